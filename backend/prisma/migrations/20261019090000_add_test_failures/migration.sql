@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "TestFailure" (
+    "id" SERIAL NOT NULL,
+    "workflowRunId" INTEGER NOT NULL,
+    "framework" TEXT NOT NULL,
+    "suite" TEXT,
+    "testName" TEXT NOT NULL,
+    "file" TEXT,
+    "message" TEXT,
+    "stack" TEXT,
+    "stepName" TEXT,
+    "chunkIndex" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TestFailure_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TestFailure_workflowRunId_idx" ON "TestFailure"("workflowRunId");
+
+-- CreateIndex
+CREATE INDEX "TestFailure_testName_idx" ON "TestFailure"("testName");
+
+-- AddForeignKey
+ALTER TABLE "TestFailure" ADD CONSTRAINT "TestFailure_workflowRunId_fkey" FOREIGN KEY ("workflowRunId") REFERENCES "WorkflowRun"("id") ON DELETE CASCADE ON UPDATE CASCADE;
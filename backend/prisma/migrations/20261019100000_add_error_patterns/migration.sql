@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "ErrorPattern" (
+    "id" SERIAL NOT NULL,
+    "repoId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "pattern" TEXT NOT NULL,
+    "flags" TEXT NOT NULL DEFAULT 'i',
+    "category" TEXT NOT NULL,
+    "confidence" TEXT NOT NULL DEFAULT 'high',
+    "failureType" TEXT,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ErrorPattern_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ErrorPattern_repoId_idx" ON "ErrorPattern"("repoId");
+
+-- AddForeignKey
+ALTER TABLE "ErrorPattern" ADD CONSTRAINT "ErrorPattern_repoId_fkey" FOREIGN KEY ("repoId") REFERENCES "Repo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
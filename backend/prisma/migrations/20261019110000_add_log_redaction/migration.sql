@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "WorkflowRun" ADD COLUMN     "redactionCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "redactionSummary" JSONB;
+
+-- CreateTable
+CREATE TABLE "RedactionRule" (
+    "id" SERIAL NOT NULL,
+    "repoId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "pattern" TEXT NOT NULL,
+    "flags" TEXT NOT NULL DEFAULT '',
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RedactionRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RedactionRule_repoId_idx" ON "RedactionRule"("repoId");
+
+-- AddForeignKey
+ALTER TABLE "RedactionRule" ADD CONSTRAINT "RedactionRule_repoId_fkey" FOREIGN KEY ("repoId") REFERENCES "Repo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "LogChunk" ADD COLUMN     "durationMs" INTEGER,
+ADD COLUMN     "endedAt" TIMESTAMP(3),
+ADD COLUMN     "startedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "WorkflowRun" ADD COLUMN     "durationMs" INTEGER,
+ADD COLUMN     "timeToFirstErrorMs" INTEGER;
+
+-- CreateTable
+CREATE TABLE "StepTiming" (
+    "id" SERIAL NOT NULL,
+    "workflowRunId" INTEGER NOT NULL,
+    "stepIndex" INTEGER NOT NULL,
+    "stepName" TEXT NOT NULL,
+    "startLine" INTEGER NOT NULL,
+    "endLine" INTEGER NOT NULL,
+    "startedAt" TIMESTAMP(3),
+    "endedAt" TIMESTAMP(3),
+    "durationMs" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StepTiming_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StepTiming_stepName_idx" ON "StepTiming"("stepName");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StepTiming_workflowRunId_stepIndex_key" ON "StepTiming"("workflowRunId", "stepIndex");
+
+-- AddForeignKey
+ALTER TABLE "StepTiming" ADD CONSTRAINT "StepTiming_workflowRunId_fkey" FOREIGN KEY ("workflowRunId") REFERENCES "WorkflowRun"("id") ON DELETE CASCADE ON UPDATE CASCADE;
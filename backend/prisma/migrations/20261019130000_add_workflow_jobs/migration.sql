@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "AnalysisResult" ADD COLUMN     "jobName" TEXT;
+
+-- AlterTable
+ALTER TABLE "LogChunk" ADD COLUMN     "jobName" TEXT;
+
+-- AlterTable
+ALTER TABLE "StepTiming" ADD COLUMN     "jobName" TEXT;
+
+-- AlterTable
+ALTER TABLE "TestFailure" ADD COLUMN     "jobName" TEXT;
+
+-- CreateTable
+CREATE TABLE "WorkflowJob" (
+    "id" SERIAL NOT NULL,
+    "workflowRunId" INTEGER NOT NULL,
+    "githubJobId" TEXT,
+    "name" TEXT NOT NULL,
+    "baseName" TEXT NOT NULL,
+    "matrixValues" JSONB,
+    "conclusion" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "durationMs" INTEGER,
+    "errorCount" INTEGER NOT NULL DEFAULT 0,
+    "primaryError" TEXT,
+    "failureSignature" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WorkflowJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WorkflowJob_baseName_idx" ON "WorkflowJob"("baseName");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WorkflowJob_workflowRunId_name_key" ON "WorkflowJob"("workflowRunId", "name");
+
+-- AddForeignKey
+ALTER TABLE "WorkflowJob" ADD CONSTRAINT "WorkflowJob_workflowRunId_fkey" FOREIGN KEY ("workflowRunId") REFERENCES "WorkflowRun"("id") ON DELETE CASCADE ON UPDATE CASCADE;
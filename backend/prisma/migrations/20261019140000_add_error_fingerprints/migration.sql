@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "AnalysisResult" ADD COLUMN     "errorSignature" TEXT,
+ADD COLUMN     "fingerprint" TEXT;
+
+-- CreateTable
+CREATE TABLE "ErrorOccurrence" (
+    "id" SERIAL NOT NULL,
+    "workflowRunId" INTEGER NOT NULL,
+    "fingerprint" TEXT NOT NULL,
+    "signature" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "toolchain" TEXT,
+    "errorCode" TEXT,
+    "errorMessage" TEXT NOT NULL,
+    "stepName" TEXT,
+    "jobName" TEXT,
+    "occurrences" INTEGER NOT NULL DEFAULT 1,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ErrorOccurrence_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AnalysisResult_fingerprint_idx" ON "AnalysisResult"("fingerprint");
+
+-- CreateIndex
+CREATE INDEX "ErrorOccurrence_fingerprint_idx" ON "ErrorOccurrence"("fingerprint");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ErrorOccurrence_workflowRunId_fingerprint_key" ON "ErrorOccurrence"("workflowRunId", "fingerprint");
+
+-- AddForeignKey
+ALTER TABLE "ErrorOccurrence" ADD CONSTRAINT "ErrorOccurrence_workflowRunId_fkey" FOREIGN KEY ("workflowRunId") REFERENCES "WorkflowRun"("id") ON DELETE CASCADE ON UPDATE CASCADE;
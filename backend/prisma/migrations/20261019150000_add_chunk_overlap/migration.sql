@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "LogChunk" ADD COLUMN     "overlapLines" INTEGER NOT NULL DEFAULT 0;
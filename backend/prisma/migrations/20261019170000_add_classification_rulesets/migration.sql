@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "AnalysisResult" ADD COLUMN     "classifierVersion" TEXT;
+
+-- CreateTable
+CREATE TABLE "ClassificationRuleset" (
+    "id" SERIAL NOT NULL,
+    "scope" TEXT NOT NULL,
+    "owner" TEXT,
+    "repoId" INTEGER,
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "rules" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ClassificationRuleset_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ClassificationRuleset_owner_key" ON "ClassificationRuleset"("owner");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ClassificationRuleset_repoId_key" ON "ClassificationRuleset"("repoId");
+
+-- AddForeignKey
+ALTER TABLE "ClassificationRuleset" ADD CONSTRAINT "ClassificationRuleset_repoId_fkey" FOREIGN KEY ("repoId") REFERENCES "Repo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "AnalysisResult" ADD COLUMN     "candidates" JSONB;
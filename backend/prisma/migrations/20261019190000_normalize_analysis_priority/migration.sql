@@ -0,0 +1,19 @@
+-- Renormalize priorities to the failure taxonomy (src/services/failureTaxonomy.js).
+-- Older rows used other scales (INTENTIONAL was 5, analytics labelled 5 as lint);
+-- rows with a type outside the taxonomy (AI suggested categories) keep their priority.
+UPDATE "AnalysisResult"
+SET "priority" = CASE "failureType"
+    WHEN 'INTENTIONAL' THEN 0
+    WHEN 'TEST' THEN 1
+    WHEN 'BUILD' THEN 2
+    WHEN 'RUNTIME' THEN 3
+    WHEN 'INFRA' THEN 4
+    WHEN 'SECURITY' THEN 5
+    WHEN 'TIMEOUT' THEN 6
+    WHEN 'DEPENDENCY' THEN 7
+    WHEN 'CONFIG' THEN 8
+    WHEN 'PERMISSION' THEN 9
+    WHEN 'LINT' THEN 10
+    WHEN 'UNKNOWN' THEN 99
+END
+WHERE "failureType" IN ('INTENTIONAL', 'TEST', 'BUILD', 'RUNTIME', 'INFRA', 'SECURITY', 'TIMEOUT', 'DEPENDENCY', 'CONFIG', 'PERMISSION', 'LINT', 'UNKNOWN');
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "WorkflowRun" ADD COLUMN     "runAttempt" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "flakinessScore" DOUBLE PRECISION,
+ADD COLUMN     "isFlaky" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "flakinessSignals" JSONB;
+
+-- CreateIndex
+CREATE INDEX "WorkflowRun_repoId_workflowName_commitSha_idx" ON "WorkflowRun"("repoId", "workflowName", "commitSha");
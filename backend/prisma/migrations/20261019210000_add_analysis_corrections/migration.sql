@@ -0,0 +1,56 @@
+-- AlterTable
+ALTER TABLE "AnalysisResult" ADD COLUMN     "humanVerified" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "AnalysisCorrection" (
+    "id" SERIAL NOT NULL,
+    "analysisResultId" INTEGER NOT NULL,
+    "repoId" INTEGER NOT NULL,
+    "fingerprint" TEXT,
+    "userId" INTEGER NOT NULL,
+    "failureType" TEXT,
+    "previousFailureType" TEXT,
+    "rootCause" TEXT,
+    "previousRootCause" TEXT,
+    "comment" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AnalysisCorrection_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "FixRating" (
+    "id" SERIAL NOT NULL,
+    "analysisResultId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "rating" INTEGER NOT NULL,
+    "comment" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FixRating_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AnalysisCorrection_analysisResultId_idx" ON "AnalysisCorrection"("analysisResultId");
+
+-- CreateIndex
+CREATE INDEX "AnalysisCorrection_repoId_fingerprint_idx" ON "AnalysisCorrection"("repoId", "fingerprint");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FixRating_analysisResultId_userId_key" ON "FixRating"("analysisResultId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "AnalysisCorrection" ADD CONSTRAINT "AnalysisCorrection_analysisResultId_fkey" FOREIGN KEY ("analysisResultId") REFERENCES "AnalysisResult"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AnalysisCorrection" ADD CONSTRAINT "AnalysisCorrection_repoId_fkey" FOREIGN KEY ("repoId") REFERENCES "Repo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AnalysisCorrection" ADD CONSTRAINT "AnalysisCorrection_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FixRating" ADD CONSTRAINT "FixRating_analysisResultId_fkey" FOREIGN KEY ("analysisResultId") REFERENCES "AnalysisResult"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FixRating" ADD CONSTRAINT "FixRating_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "AnalysisResult" ADD COLUMN     "llmProvider" TEXT;
+
+-- CreateTable
+CREATE TABLE "LlmSetting" (
+    "id" SERIAL NOT NULL,
+    "owner" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "model" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LlmSetting_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LlmSetting_owner_key" ON "LlmSetting"("owner");
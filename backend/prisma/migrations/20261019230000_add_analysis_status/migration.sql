@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "AnalysisResult" ADD COLUMN     "analysisStatus" TEXT,
+ADD COLUMN     "citedLines" JSONB,
+ADD COLUMN     "validationErrors" JSONB;
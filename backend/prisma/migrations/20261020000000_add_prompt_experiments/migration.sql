@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "AnalysisResult" ADD COLUMN     "promptExperimentId" INTEGER,
+ADD COLUMN     "promptVersion" TEXT;
+
+-- CreateTable
+CREATE TABLE "PromptExperiment" (
+    "id" SERIAL NOT NULL,
+    "repoId" INTEGER NOT NULL,
+    "versionA" TEXT NOT NULL,
+    "versionB" TEXT NOT NULL,
+    "splitPercent" INTEGER NOT NULL DEFAULT 50,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "endedAt" TIMESTAMP(3),
+
+    CONSTRAINT "PromptExperiment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AnalysisResult_promptExperimentId_idx" ON "AnalysisResult"("promptExperimentId");
+
+-- CreateIndex
+CREATE INDEX "PromptExperiment_repoId_active_idx" ON "PromptExperiment"("repoId", "active");
+
+-- AddForeignKey
+ALTER TABLE "AnalysisResult" ADD CONSTRAINT "AnalysisResult_promptExperimentId_fkey" FOREIGN KEY ("promptExperimentId") REFERENCES "PromptExperiment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PromptExperiment" ADD CONSTRAINT "PromptExperiment_repoId_fkey" FOREIGN KEY ("repoId") REFERENCES "Repo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "AnalysisResult" ADD COLUMN     "cachedFromRunId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "AnalysisCacheEntry" (
+    "id" SERIAL NOT NULL,
+    "repoId" INTEGER NOT NULL,
+    "cacheKey" TEXT NOT NULL,
+    "errorSignature" TEXT NOT NULL,
+    "stepName" TEXT,
+    "promptVersion" TEXT NOT NULL,
+    "llmProvider" TEXT NOT NULL,
+    "rootCause" TEXT NOT NULL,
+    "failureStage" TEXT NOT NULL,
+    "suggestedFix" TEXT NOT NULL,
+    "modelConfidence" DOUBLE PRECISION NOT NULL,
+    "citedSignatures" JSONB NOT NULL,
+    "analysisStatus" TEXT NOT NULL,
+    "sourceRunId" INTEGER NOT NULL,
+    "hits" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AnalysisCacheEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AnalysisCacheEntry_repoId_cacheKey_key" ON "AnalysisCacheEntry"("repoId", "cacheKey");
+
+-- CreateIndex
+CREATE INDEX "AnalysisCacheEntry_repoId_errorSignature_idx" ON "AnalysisCacheEntry"("repoId", "errorSignature");
+
+-- AddForeignKey
+ALTER TABLE "AnalysisCacheEntry" ADD CONSTRAINT "AnalysisCacheEntry_repoId_fkey" FOREIGN KEY ("repoId") REFERENCES "Repo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,49 @@
+-- CreateTable
+CREATE TABLE "LlmUsage" (
+    "id" SERIAL NOT NULL,
+    "owner" TEXT NOT NULL,
+    "repoId" INTEGER,
+    "userId" INTEGER,
+    "workflowRunId" INTEGER,
+    "kind" TEXT NOT NULL,
+    "purpose" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "inputTokens" INTEGER NOT NULL,
+    "outputTokens" INTEGER NOT NULL,
+    "estimated" BOOLEAN NOT NULL DEFAULT false,
+    "costUsd" DOUBLE PRECISION,
+    "latencyMs" INTEGER NOT NULL,
+    "success" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LlmUsage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "UsageBudget" (
+    "id" SERIAL NOT NULL,
+    "owner" TEXT,
+    "repoId" INTEGER,
+    "monthlyCostUsd" DOUBLE PRECISION,
+    "monthlyTokens" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "UsageBudget_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LlmUsage_owner_createdAt_idx" ON "LlmUsage"("owner", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "LlmUsage_repoId_createdAt_idx" ON "LlmUsage"("repoId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UsageBudget_owner_key" ON "UsageBudget"("owner");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UsageBudget_repoId_key" ON "UsageBudget"("repoId");
+
+-- AddForeignKey
+ALTER TABLE "UsageBudget" ADD CONSTRAINT "UsageBudget_repoId_fkey" FOREIGN KEY ("repoId") REFERENCES "Repo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- Org overrides were keyed on the repo owner alone, so any user with a repo of the
+-- org could change them for every other user. They now belong to a user.
+
+-- AlterTable
+ALTER TABLE "ClassificationRuleset" ADD COLUMN     "userId" INTEGER;
+
+-- DropIndex
+DROP INDEX "ClassificationRuleset_owner_key";
+
+-- Backfill: every user with a repo of the org keeps the override they had
+INSERT INTO "ClassificationRuleset" ("scope", "userId", "owner", "version", "rules", "createdAt", "updatedAt")
+SELECT DISTINCT ON (r."userId", cr."owner")
+    cr."scope", r."userId", cr."owner", cr."version", cr."rules", cr."createdAt", cr."updatedAt"
+FROM "ClassificationRuleset" cr
+JOIN "Repo" r ON r."owner" = cr."owner"
+WHERE cr."scope" = 'org' AND cr."userId" IS NULL;
+
+DELETE FROM "ClassificationRuleset" WHERE "scope" = 'org' AND "userId" IS NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ClassificationRuleset_userId_owner_key" ON "ClassificationRuleset"("userId", "owner");
+
+-- AddForeignKey
+ALTER TABLE "ClassificationRuleset" ADD CONSTRAINT "ClassificationRuleset_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
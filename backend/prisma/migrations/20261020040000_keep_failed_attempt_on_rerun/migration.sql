@@ -0,0 +1,15 @@
+-- A passing re-run used to overwrite the failed attempt's status. It is now kept
+-- next to it, and the run stays failed.
+
+-- AlterTable
+ALTER TABLE "WorkflowRun" ADD COLUMN     "rerunAttempt" INTEGER,
+ADD COLUMN     "rerunConclusion" TEXT;
+
+-- Backfill: runs flagged with a passing re-run get their failed attempt back
+UPDATE "WorkflowRun"
+SET "rerunConclusion" = "status",
+    "rerunAttempt" = "runAttempt",
+    "status" = 'failure',
+    "runAttempt" = GREATEST("runAttempt" - 1, 1)
+WHERE "status" = 'success'
+  AND "flakinessSignals" @> '[{"signal": "rerun-passed"}]'::jsonb;
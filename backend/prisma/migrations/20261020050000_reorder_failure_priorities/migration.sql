@@ -0,0 +1,22 @@
+-- OUT_OF_MEMORY moves into its precedence slot (P1, after intentional failures,
+-- before the test / build failures it causes); the types after it move down one.
+-- Rows with a type outside the taxonomy (AI suggested categories) keep their priority.
+UPDATE "AnalysisResult"
+SET "priority" = CASE "failureType"
+    WHEN 'INTENTIONAL' THEN 0
+    WHEN 'OUT_OF_MEMORY' THEN 1
+    WHEN 'TEST' THEN 2
+    WHEN 'BUILD' THEN 3
+    WHEN 'RUNTIME' THEN 4
+    WHEN 'INFRA' THEN 5
+    WHEN 'SECURITY' THEN 6
+    WHEN 'TIMEOUT' THEN 7
+    WHEN 'DEPENDENCY' THEN 8
+    WHEN 'CONFIG' THEN 9
+    WHEN 'PERMISSION' THEN 10
+    WHEN 'LINT' THEN 11
+    WHEN 'RUNNER_LOST' THEN 12
+    WHEN 'CANCELLED' THEN 13
+    WHEN 'UNKNOWN' THEN 99
+END
+WHERE "failureType" IN ('INTENTIONAL', 'OUT_OF_MEMORY', 'TEST', 'BUILD', 'RUNTIME', 'INFRA', 'SECURITY', 'TIMEOUT', 'DEPENDENCY', 'CONFIG', 'PERMISSION', 'LINT', 'RUNNER_LOST', 'CANCELLED', 'UNKNOWN');
@@ -0,0 +1,28 @@
+-- LLM settings were keyed on the repo owner alone, so any user with a repo of the
+-- org could pick the provider (and the bill) for every other user. They now belong
+-- to a user.
+
+-- AlterTable
+ALTER TABLE "LlmSetting" ADD COLUMN     "userId" INTEGER;
+
+-- DropIndex
+DROP INDEX "LlmSetting_owner_key";
+
+-- Backfill: every user with a repo of the org keeps the setting they had
+INSERT INTO "LlmSetting" ("userId", "owner", "provider", "model", "createdAt", "updatedAt")
+SELECT DISTINCT ON (r."userId", ls."owner")
+    r."userId", ls."owner", ls."provider", ls."model", ls."createdAt", ls."updatedAt"
+FROM "LlmSetting" ls
+JOIN "Repo" r ON r."owner" = ls."owner"
+WHERE ls."userId" IS NULL;
+
+DELETE FROM "LlmSetting" WHERE "userId" IS NULL;
+
+-- AlterTable
+ALTER TABLE "LlmSetting" ALTER COLUMN "userId" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LlmSetting_userId_owner_key" ON "LlmSetting"("userId", "owner");
+
+-- AddForeignKey
+ALTER TABLE "LlmSetting" ADD CONSTRAINT "LlmSetting_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
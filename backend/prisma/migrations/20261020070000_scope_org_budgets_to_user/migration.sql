@@ -0,0 +1,28 @@
+-- Org budgets were keyed on the repo owner alone and counted every user's usage of
+-- the org, so any user could set, remove or use up another user's budget. They now
+-- belong to a user and count that user's usage.
+
+-- AlterTable
+ALTER TABLE "UsageBudget" ADD COLUMN     "userId" INTEGER;
+
+-- DropIndex
+DROP INDEX "UsageBudget_owner_key";
+
+-- Backfill: every user with a repo of the org keeps the budget they had
+INSERT INTO "UsageBudget" ("userId", "owner", "monthlyCostUsd", "monthlyTokens", "createdAt", "updatedAt")
+SELECT DISTINCT ON (r."userId", ub."owner")
+    r."userId", ub."owner", ub."monthlyCostUsd", ub."monthlyTokens", ub."createdAt", ub."updatedAt"
+FROM "UsageBudget" ub
+JOIN "Repo" r ON r."owner" = ub."owner"
+WHERE ub."owner" IS NOT NULL AND ub."userId" IS NULL;
+
+DELETE FROM "UsageBudget" WHERE "owner" IS NOT NULL AND "userId" IS NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UsageBudget_userId_owner_key" ON "UsageBudget"("userId", "owner");
+
+-- CreateIndex
+CREATE INDEX "LlmUsage_userId_owner_createdAt_idx" ON "LlmUsage"("userId", "owner", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "UsageBudget" ADD CONSTRAINT "UsageBudget_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -1,4 +1,6 @@
 import { PrismaClient } from '@prisma/client';
+import { ANALYZED_CONCLUSIONS, getFailureType, getPriorityLabel, getSeverity } from '../services/failureTaxonomy.js';
+import { testKey } from '../services/flakinessService.js';
 
 const prisma = new PrismaClient();
 
@@ -42,7 +44,7 @@ export const AnalyticsController = {
                     trendsByDate[date] = { total: 0, failures: 0, successes: 0 };
                 }
                 trendsByDate[date].total++;
-                if (run.status === 'failure') {
+                if (ANALYZED_CONCLUSIONS.includes(run.status)) {
                     trendsByDate[date].failures++;
                 } else if (run.status === 'success') {
                     trendsByDate[date].successes++;
@@ -126,11 +128,15 @@ export const AnalyticsController = {
             res.json({
                 byFailureType: failureTypes.map(f => ({
                     type: f.failureType || 'Unknown',
+                    label: getFailureType(f.failureType)?.label ?? f.failureType ?? 'Unknown',
+                    severity: getSeverity(f.failureType),
+                    color: getFailureType(f.failureType)?.color ?? null,
                     count: f._count
                 })),
                 byPriority: priorities.map(p => ({
                     priority: p.priority,
                     label: getPriorityLabel(p.priority),
+                    severity: getSeverity(null, p.priority),
                     count: p._count
                 })),
                 byStage: stages.map(s => ({
@@ -185,17 +191,294 @@ export const AnalyticsController = {
             console.error('Top failures error:', error);
             res.status(500).json({ error: 'Failed to fetch top failures' });
         }
+    },
+
+    /**
+     * GET /api/analytics/step-durations
+     * Returns per-step duration stats and trends across runs of the same workflow
+     * Query: days (default 30), repoId, workflowName
+     */
+    getStepDurations: async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const days = parseInt(req.query.days) || 30;
+            const repoId = req.query.repoId ? parseInt(req.query.repoId) : undefined;
+            const workflowName = req.query.workflowName;
+
+            const repos = await prisma.repo.findMany({
+                where: { userId, ...(repoId !== undefined && { id: repoId }) },
+                select: { id: true }
+            });
+            const repoIds = repos.map(r => r.id);
+
+            const startDate = new Date();
+            startDate.setDate(startDate.getDate() - days);
+
+            const timings = await prisma.stepTiming.findMany({
+                where: {
+                    durationMs: { not: null },
+                    workflowRun: {
+                        repoId: { in: repoIds },
+                        createdAt: { gte: startDate },
+                        ...(workflowName && { workflowName })
+                    }
+                },
+                select: {
+                    stepName: true,
+                    durationMs: true,
+                    workflowRun: {
+                        select: { id: true, workflowName: true, createdAt: true }
+                    }
+                },
+                orderBy: { workflowRun: { createdAt: 'asc' } }
+            });
+
+            // Group by workflow + step name
+            const byStep = {};
+            timings.forEach(timing => {
+                const key = `${timing.workflowRun.workflowName}::${timing.stepName}`;
+                if (!byStep[key]) {
+                    byStep[key] = {
+                        workflowName: timing.workflowRun.workflowName,
+                        stepName: timing.stepName,
+                        series: []
+                    };
+                }
+                byStep[key].series.push({
+                    runId: timing.workflowRun.id,
+                    createdAt: timing.workflowRun.createdAt,
+                    durationMs: timing.durationMs
+                });
+            });
+
+            const average = (values) => values.length > 0
+                ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+                : null;
+
+            const steps = Object.values(byStep).map(step => {
+                const durations = step.series.map(point => point.durationMs);
+
+                // Trend: average of the newer half of runs vs the older half
+                const half = Math.floor(durations.length / 2);
+                const olderAvg = average(durations.slice(0, half));
+                const newerAvg = average(durations.slice(durations.length - half));
+                const trendPercent = half > 0 && olderAvg > 0
+                    ? parseFloat((((newerAvg - olderAvg) / olderAvg) * 100).toFixed(1))
+                    : null;
+
+                return {
+                    workflowName: step.workflowName,
+                    stepName: step.stepName,
+                    runs: durations.length,
+                    avgDurationMs: average(durations),
+                    maxDurationMs: Math.max(...durations),
+                    latestDurationMs: durations[durations.length - 1],
+                    trendPercent,
+                    series: step.series.slice(-50)
+                };
+            });
+
+            // Slowest steps first
+            steps.sort((a, b) => b.avgDurationMs - a.avgDurationMs);
+
+            res.json(steps);
+        } catch (error) {
+            console.error('Step durations error:', error);
+            res.status(500).json({ error: 'Failed to fetch step durations' });
+        }
+    },
+
+    /**
+     * GET /api/analytics/error-fingerprints
+     * Returns the most frequent errors grouped by fingerprint across runs and repos
+     * Query: days (default 30), repoId, limit (default 20)
+     */
+    getErrorFingerprints: async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const days = parseInt(req.query.days) || 30;
+            const limit = parseInt(req.query.limit) || 20;
+            const repoId = req.query.repoId ? parseInt(req.query.repoId) : undefined;
+
+            const repos = await prisma.repo.findMany({
+                where: { userId, ...(repoId !== undefined && { id: repoId }) },
+                select: { id: true, name: true, owner: true }
+            });
+            const repoIds = repos.map(r => r.id);
+            const repoNames = Object.fromEntries(repos.map(r => [r.id, `${r.owner}/${r.name}`]));
+
+            const startDate = new Date();
+            startDate.setDate(startDate.getDate() - days);
+
+            const occurrences = await prisma.errorOccurrence.findMany({
+                where: {
+                    workflowRun: {
+                        repoId: { in: repoIds },
+                        createdAt: { gte: startDate }
+                    }
+                },
+                select: {
+                    fingerprint: true,
+                    signature: true,
+                    category: true,
+                    toolchain: true,
+                    errorCode: true,
+                    errorMessage: true,
+                    occurrences: true,
+                    workflowRun: {
+                        select: { id: true, repoId: true, workflowName: true, createdAt: true }
+                    }
+                },
+                orderBy: { workflowRun: { createdAt: 'asc' } }
+            });
+
+            // Group by fingerprint
+            const byFingerprint = {};
+            occurrences.forEach(occurrence => {
+                const key = occurrence.fingerprint;
+                if (!byFingerprint[key]) {
+                    byFingerprint[key] = {
+                        fingerprint: key,
+                        signature: occurrence.signature,
+                        category: occurrence.category,
+                        toolchain: occurrence.toolchain,
+                        errorCode: occurrence.errorCode,
+                        exampleMessage: occurrence.errorMessage,
+                        runIds: new Set(),
+                        repoIds: new Set(),
+                        workflows: new Set(),
+                        totalOccurrences: 0,
+                        firstSeen: occurrence.workflowRun.createdAt,
+                        lastSeen: occurrence.workflowRun.createdAt,
+                        latestRunId: occurrence.workflowRun.id
+                    };
+                }
+                const group = byFingerprint[key];
+                group.runIds.add(occurrence.workflowRun.id);
+                group.repoIds.add(occurrence.workflowRun.repoId);
+                group.workflows.add(occurrence.workflowRun.workflowName);
+                group.totalOccurrences += occurrence.occurrences;
+                group.lastSeen = occurrence.workflowRun.createdAt;
+                group.latestRunId = occurrence.workflowRun.id;
+            });
+
+            const fingerprints = Object.values(byFingerprint)
+                .map(({ runIds, repoIds: groupRepoIds, workflows, ...group }) => ({
+                    ...group,
+                    runs: runIds.size,
+                    repos: [...groupRepoIds].map(id => repoNames[id]),
+                    workflows: [...workflows]
+                }))
+                // Errors seen in the most runs first
+                .sort((a, b) => b.runs - a.runs || b.totalOccurrences - a.totalOccurrences)
+                .slice(0, limit);
+
+            res.json(fingerprints);
+        } catch (error) {
+            console.error('Error fingerprints error:', error);
+            res.status(500).json({ error: 'Failed to fetch error fingerprints' });
+        }
+    },
+
+    /**
+     * GET /api/analytics/flakiness
+     * Returns flake rates per workflow (flaky runs / runs) and per test (flaky failures / failures)
+     * Query: days (default 30), repoId, limit (default 20 tests)
+     */
+    getFlakiness: async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const days = parseInt(req.query.days) || 30;
+            const limit = parseInt(req.query.limit) || 20;
+            const repoId = req.query.repoId ? parseInt(req.query.repoId) : undefined;
+
+            const repos = await prisma.repo.findMany({
+                where: { userId, ...(repoId !== undefined && { id: repoId }) },
+                select: { id: true, name: true, owner: true }
+            });
+            const repoIds = repos.map(r => r.id);
+            const repoNames = Object.fromEntries(repos.map(r => [r.id, `${r.owner}/${r.name}`]));
+
+            const startDate = new Date();
+            startDate.setDate(startDate.getDate() - days);
+
+            const [runs, testFailures] = await Promise.all([
+                prisma.workflowRun.findMany({
+                    where: { repoId: { in: repoIds }, createdAt: { gte: startDate } },
+                    select: { repoId: true, workflowName: true, status: true, isFlaky: true, runAttempt: true, rerunAttempt: true }
+                }),
+                prisma.testFailure.findMany({
+                    where: {
+                        workflowRun: { repoId: { in: repoIds }, createdAt: { gte: startDate } }
+                    },
+                    select: {
+                        framework: true,
+                        suite: true,
+                        testName: true,
+                        file: true,
+                        workflowRun: { select: { id: true, repoId: true, isFlaky: true, createdAt: true } }
+                    },
+                    orderBy: { workflowRun: { createdAt: 'asc' } }
+                })
+            ]);
+
+            // Group runs by repo + workflow
+            const byWorkflow = {};
+            runs.forEach(run => {
+                const key = `${run.repoId}:${run.workflowName}`;
+                if (!byWorkflow[key]) {
+                    byWorkflow[key] = { repository: repoNames[run.repoId], workflowName: run.workflowName, runs: 0, failures: 0, flakyRuns: 0, reruns: 0 };
+                }
+                const group = byWorkflow[key];
+                group.runs++;
+                if (ANALYZED_CONCLUSIONS.includes(run.status)) group.failures++;
+                if (run.isFlaky) group.flakyRuns++;
+                if (run.runAttempt > 1 || run.rerunAttempt) group.reruns++;
+            });
+
+            // Group failing tests by repo + test
+            const byTest = {};
+            testFailures.forEach(test => {
+                const key = `${test.workflowRun.repoId}:${testKey(test)}`;
+                if (!byTest[key]) {
+                    byTest[key] = {
+                        repository: repoNames[test.workflowRun.repoId],
+                        testName: test.testName,
+                        suite: test.suite,
+                        framework: test.framework,
+                        file: test.file,
+                        runIds: new Set(),
+                        flakyRunIds: new Set(),
+                        lastSeen: test.workflowRun.createdAt
+                    };
+                }
+                const group = byTest[key];
+                group.runIds.add(test.workflowRun.id);
+                if (test.workflowRun.isFlaky) group.flakyRunIds.add(test.workflowRun.id);
+                group.lastSeen = test.workflowRun.createdAt;
+            });
+
+            const rate = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+
+            res.json({
+                workflows: Object.values(byWorkflow)
+                    .map(group => ({ ...group, flakeRate: rate(group.flakyRuns, group.runs) }))
+                    .sort((a, b) => b.flakeRate - a.flakeRate || b.flakyRuns - a.flakyRuns),
+                tests: Object.values(byTest)
+                    .map(({ runIds, flakyRunIds, ...group }) => ({
+                        ...group,
+                        failures: runIds.size,
+                        flakyFailures: flakyRunIds.size,
+                        flakeRate: rate(flakyRunIds.size, runIds.size)
+                    }))
+                    .filter(test => test.flakyFailures > 0)
+                    // Most flaky failures first - a test that failed once, flakily, is 100% but rare
+                    .sort((a, b) => b.flakyFailures - a.flakyFailures || b.flakeRate - a.flakeRate)
+                    .slice(0, limit)
+            });
+        } catch (error) {
+            console.error('Flakiness error:', error);
+            res.status(500).json({ error: 'Failed to fetch flakiness' });
+        }
     }
 };
-
-function getPriorityLabel(priority) {
-    const labels = {
-        0: 'P0 - Intentional',
-        1: 'P1 - Test Failure',
-        2: 'P2 - Build Failure',
-        3: 'P3 - Runtime Error',
-        4: 'P4 - Infra/Dependency',
-        5: 'P5 - Lint/Warning'
-    };
-    return labels[priority] || `P${priority}`;
-}
@@ -1,6 +1,13 @@
+import { PrismaClient } from '@prisma/client';
 import { AIAnalyzerService } from '../services/aiAnalyzer.js';
+import { LlmSettingService } from '../services/llmSettingService.js';
+import { EmbeddingService } from '../services/embeddingService.js';
+import { UsageService } from '../services/usageService.js';
+import { createEmbeddingClient } from '../services/llmProviders.js';
 
-const aiAnalyzer = new AIAnalyzerService();
+const prisma = new PrismaClient();
+const llmSettingService = new LlmSettingService();
+const usageService = new UsageService();
 
 export const ChatController = {
   /**
@@ -8,15 +15,50 @@ export const ChatController = {
    */
   async chat(req, res) {
     try {
+      const userId = req.user?.id;
       const { runId, message, history } = req.body;
 
+      if (!userId) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
       if (!runId || !message) {
         return res.status(400).json({ error: 'runId and message are required' });
       }
 
+      const run = await prisma.workflowRun.findUnique({
+        where: { id: parseInt(runId) },
+        include: { repo: true }
+      });
+      if (!run) {
+        return res.status(404).json({ error: 'Run not found' });
+      }
+
+      // The chat answers from the run's logs and analysis - only its repo's user may ask
+      if (run.repo.userId !== Number(userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
       console.log(`💬 Chat request for run ${runId}: "${message}"`);
-      
-      const response = await aiAnalyzer.chat(parseInt(runId), message, history || []);
+
+      // A chat is nothing but model calls - none once the repo's LLM budget is used up
+      const budget = await usageService.getBudgetStatus(run.repo);
+      if (budget.exceeded) {
+        return res.status(429).json({ error: budget.reason });
+      }
+
+      // Answered by the repo owner's (org's) LLM provider, metered for the repo and the user
+      const meter = usageService.createMeter({
+        owner: run.repo.owner,
+        repoId: run.repo.id,
+        userId,
+        workflowRunId: run.id
+      });
+      const aiAnalyzer = new AIAnalyzerService({
+        llm: await llmSettingService.getGenerationClient(run.repo, { meter }),
+        embeddingService: new EmbeddingService(createEmbeddingClient({ meter }))
+      });
+      const response = await aiAnalyzer.chat(run.id, message, history || []);
       
       return res.json(response);
     } catch (error) {
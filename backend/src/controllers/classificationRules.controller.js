@@ -0,0 +1,145 @@
+import { PrismaClient } from '@prisma/client';
+import { getDefaultRuleset, validateRuleOverrides } from '../services/classificationRules.js';
+import { ClassificationRulesetService, RULESET_SCOPES } from '../services/classificationRulesetService.js';
+
+const prisma = new PrismaClient();
+const rulesetService = new ClassificationRulesetService();
+
+/**
+ * Find a repo owned by the user (null if missing or not theirs)
+ */
+async function findOwnedRepo(repoId, userId) {
+    return prisma.repo.findFirst({
+        where: { id: repoId, userId: Number(userId) }
+    });
+}
+
+/**
+ * API shape of a stored override
+ */
+function formatOverride(override) {
+    return override ? {
+        id: override.id,
+        scope: override.scope,
+        owner: override.owner,
+        repoId: override.repoId,
+        version: override.version,
+        rules: override.rules,
+        updatedAt: override.updatedAt
+    } : null;
+}
+
+export const ClassificationRulesController = {
+    /**
+     * GET /api/repos/:id/classification-rules
+     * Default rules, org and repo overrides, and the effective rule set (with its version)
+     */
+    get: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const overrides = await rulesetService.getOverrides(repo);
+            const effective = await rulesetService.getMergedRuleset(repo);
+
+            return res.json({
+                classifierVersion: effective.version,
+                defaults: getDefaultRuleset(),
+                overrides: {
+                    org: formatOverride(overrides.org),
+                    repo: formatOverride(overrides.repo)
+                },
+                rules: effective.rules
+            });
+        } catch (error) {
+            console.error('Error getting classification rules:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * PUT /api/repos/:id/classification-rules?scope=repo|org
+     * Replace the repo's override rules (or the user's for the repo's owner)
+     * Body: { rules: [{ id, ...fields to change } | { id, disabled: true } | new rule] }
+     */
+    update: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+            const scope = req.query.scope || 'repo';
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            if (!RULESET_SCOPES.includes(scope)) {
+                return res.status(400).json({ error: `scope must be one of ${RULESET_SCOPES.join(', ')}` });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const validationError = validateRuleOverrides(req.body?.rules);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const saved = await rulesetService.saveOverride(scope, repo, req.body.rules);
+            const effective = await rulesetService.getMergedRuleset(repo);
+
+            return res.json({
+                override: formatOverride(saved),
+                classifierVersion: effective.version
+            });
+        } catch (error) {
+            console.error('Error updating classification rules:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * DELETE /api/repos/:id/classification-rules?scope=repo|org
+     * Remove an override - back to the org / default rules
+     */
+    remove: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+            const scope = req.query.scope || 'repo';
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            if (!RULESET_SCOPES.includes(scope)) {
+                return res.status(400).json({ error: `scope must be one of ${RULESET_SCOPES.join(', ')}` });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const removed = await rulesetService.removeOverride(scope, repo);
+            if (!removed) {
+                return res.status(404).json({ error: 'No override for this scope' });
+            }
+
+            return res.json({ message: 'Override removed successfully' });
+        } catch (error) {
+            console.error('Error removing classification rules:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+};
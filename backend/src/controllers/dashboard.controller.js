@@ -1,4 +1,5 @@
 import { PrismaClient } from '@prisma/client';
+import { ANALYZED_CONCLUSIONS } from '../services/failureTaxonomy.js';
 
 const prisma = new PrismaClient();
 
@@ -32,7 +33,7 @@ export const DashboardController = {
                 prisma.workflowRun.count({
                     where: {
                         repoId: { in: repoIds },
-                        status: 'failure',
+                        status: { in: ANALYZED_CONCLUSIONS },
                         createdAt: { gte: last24h }
                     }
                 }),
@@ -45,7 +46,7 @@ export const DashboardController = {
                 prisma.workflowRun.count({
                     where: {
                         repoId: { in: repoIds },
-                        status: 'failure',
+                        status: { in: ANALYZED_CONCLUSIONS },
                         createdAt: { gte: last7d }
                     }
                 }),
@@ -111,7 +112,7 @@ export const DashboardController = {
             const recentFailures = await prisma.workflowRun.findMany({
                 where: {
                     repoId: { in: repoIds },
-                    status: 'failure'
+                    status: { in: ANALYZED_CONCLUSIONS }
                 },
                 orderBy: { createdAt: 'desc' },
                 take: limit,
@@ -187,7 +188,7 @@ export const DashboardController = {
 
             res.json(activity.map(run => ({
                 id: run.id,
-                type: run.status === 'failure' ? 'failure' : 'success',
+                type: ANALYZED_CONCLUSIONS.includes(run.status) ? 'failure' : 'success',
                 workflowName: run.workflowName,
                 branch: run.branch,
                 actor: run.actor,
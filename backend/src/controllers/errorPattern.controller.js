@@ -0,0 +1,308 @@
+import { PrismaClient } from '@prisma/client';
+import { ErrorPatternService } from '../services/errorPatternService.js';
+import { LogParserService } from '../services/logParser.js';
+import { FailureClassifierService } from '../services/failureClassifier.js';
+import { ClassificationRulesetService } from '../services/classificationRulesetService.js';
+import { getPriorityLabel } from '../services/failureTaxonomy.js';
+import { testUserPattern } from '../utils/userRegex.js';
+
+const prisma = new PrismaClient();
+
+// Max matching lines returned by the test endpoint
+const MAX_TEST_MATCHES = 50;
+
+/**
+ * Find a repo owned by the user (null if missing or not theirs)
+ */
+async function findOwnedRepo(repoId, userId) {
+    return prisma.repo.findFirst({
+        where: { id: repoId, userId: Number(userId) }
+    });
+}
+
+/**
+ * API shape of a stored pattern
+ */
+function formatPattern(pattern) {
+    return {
+        id: pattern.id,
+        name: pattern.name,
+        pattern: pattern.pattern,
+        flags: pattern.flags,
+        category: pattern.category,
+        confidence: pattern.confidence,
+        failureType: pattern.failureType,
+        enabled: pattern.enabled,
+        createdAt: pattern.createdAt,
+        updatedAt: pattern.updatedAt
+    };
+}
+
+export const ErrorPatternController = {
+    /**
+     * GET /api/repos/:id/patterns
+     * List custom error patterns for a repo
+     */
+    list: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const patterns = await prisma.errorPattern.findMany({
+                where: { repoId },
+                orderBy: { id: 'asc' }
+            });
+
+            return res.json(patterns.map(formatPattern));
+        } catch (error) {
+            console.error('Error listing error patterns:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * POST /api/repos/:id/patterns
+     * Create a custom error pattern
+     * Body: { name, pattern, flags? ("i" by default, null for none), category, confidence?, failureType?, enabled? }
+     */
+    create: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const { name, pattern, flags, category, confidence, failureType, enabled } = req.body;
+            const validationError = ErrorPatternService.validate(req.body);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const created = await prisma.errorPattern.create({
+                data: {
+                    repoId,
+                    name: name.trim(),
+                    pattern,
+                    flags: ErrorPatternService.normalizeFlags(flags),
+                    category: category.trim(),
+                    confidence: confidence || 'high',
+                    failureType: failureType || null,
+                    enabled: enabled ?? true
+                }
+            });
+
+            return res.status(201).json(formatPattern(created));
+        } catch (error) {
+            console.error('Error creating error pattern:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * PUT /api/repos/:id/patterns/:patternId
+     * Update a custom error pattern (also used to enable / disable it)
+     */
+    update: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+            const patternId = parseInt(req.params.patternId);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            if (Number.isNaN(patternId)) {
+                return res.status(404).json({ error: 'Pattern not found' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const existing = await prisma.errorPattern.findFirst({
+                where: { id: patternId, repoId }
+            });
+            if (!existing) {
+                return res.status(404).json({ error: 'Pattern not found' });
+            }
+
+            const { name, pattern, flags, category, confidence, failureType, enabled } = req.body;
+
+            const updateData = {};
+            if (name !== undefined) updateData.name = typeof name === 'string' ? name.trim() : name;
+            if (pattern !== undefined) updateData.pattern = pattern;
+            if (flags !== undefined) updateData.flags = ErrorPatternService.normalizeFlags(flags);
+            if (category !== undefined) updateData.category = typeof category === 'string' ? category.trim() : category;
+            if (confidence !== undefined) updateData.confidence = confidence;
+            if (failureType !== undefined) updateData.failureType = failureType || null;
+            if (enabled !== undefined) updateData.enabled = enabled;
+
+            const validationError = ErrorPatternService.validate({ ...existing, ...updateData });
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const updated = await prisma.errorPattern.update({
+                where: { id: patternId },
+                data: updateData
+            });
+
+            return res.json(formatPattern(updated));
+        } catch (error) {
+            console.error('Error updating error pattern:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * DELETE /api/repos/:id/patterns/:patternId
+     * Delete a custom error pattern
+     */
+    remove: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+            const patternId = parseInt(req.params.patternId);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            if (Number.isNaN(patternId)) {
+                return res.status(404).json({ error: 'Pattern not found' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const deleted = await prisma.errorPattern.deleteMany({
+                where: { id: patternId, repoId }
+            });
+            if (deleted.count === 0) {
+                return res.status(404).json({ error: 'Pattern not found' });
+            }
+
+            return res.json({ message: 'Pattern deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting error pattern:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * POST /api/repos/:id/patterns/test
+     * Try a pattern against a sample log without saving it
+     * Body: { sampleLog, patternId } or { sampleLog, name, pattern, flags?, category, confidence?, failureType? }
+     */
+    test: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+            const { sampleLog, patternId } = req.body;
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            if (typeof sampleLog !== 'string' || !sampleLog) {
+                return res.status(400).json({ error: 'sampleLog is required' });
+            }
+
+            if (patternId !== undefined && Number.isNaN(parseInt(patternId))) {
+                return res.status(400).json({ error: 'patternId must be a pattern id' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            let definition;
+            if (patternId !== undefined) {
+                definition = await prisma.errorPattern.findFirst({
+                    where: { id: parseInt(patternId), repoId }
+                });
+                if (!definition) {
+                    return res.status(404).json({ error: 'Pattern not found' });
+                }
+            } else {
+                const validationError = ErrorPatternService.validate(req.body);
+                if (validationError) {
+                    return res.status(400).json({ error: validationError });
+                }
+                // Unsaved pattern - placeholder id so its errors can be told apart
+                const { name, pattern, flags, category, confidence, failureType } = req.body;
+                definition = {
+                    id: 0,
+                    name,
+                    pattern,
+                    flags: ErrorPatternService.normalizeFlags(flags),
+                    category,
+                    confidence: confidence || 'high',
+                    failureType: failureType || null,
+                    enabled: true
+                };
+            }
+
+            const [customPattern] = ErrorPatternService.compile([definition]);
+            // A stored pattern saved before the safety check may not compile any more
+            if (!customPattern) {
+                return res.status(400).json({ error: ErrorPatternService.validate(definition) });
+            }
+            const logParser = new LogParserService({ customPatterns: [customPattern] });
+
+            // Raw line matches
+            const lineMeta = [];
+            const matches = [];
+            logParser.cleanLog(sampleLog, lineMeta).forEach((line, index) => {
+                if (testUserPattern(customPattern.pattern, line)) {
+                    matches.push({ lineNumber: lineMeta[index].lineNumber, line });
+                }
+            });
+
+            // What the pipeline would record and how it would classify the run
+            const parsed = logParser.parse(sampleLog);
+            const classifier = new FailureClassifierService({
+                ruleset: await new ClassificationRulesetService().getRuleset(repo)
+            });
+            const classification = classifier.classify(parsed.chunks, parsed.detectedErrors);
+
+            return res.json({
+                pattern: formatPattern(definition),
+                matchCount: matches.length,
+                matches: matches.slice(0, MAX_TEST_MATCHES),
+                detectedErrors: parsed.detectedErrors.filter(e => e.customPatternId === customPattern.id),
+                classification: {
+                    failureType: classification.failureType,
+                    priority: classification.priority,
+                    label: getPriorityLabel(classification.priority),
+                    classifierVersion: classification.classifierVersion,
+                    candidates: classification.candidates
+                }
+            });
+        } catch (error) {
+            console.error('Error testing error pattern:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+};
@@ -1,11 +1,13 @@
 import { PrismaClient } from '@prisma/client';
+import { ANALYZED_CONCLUSIONS, INCIDENT_SEVERITIES, getPriorityLabel, getPrioritiesWithSeverity, getSeverity } from '../services/failureTaxonomy.js';
 
 const prisma = new PrismaClient();
 
 export const IncidentsController = {
     /**
      * GET /api/incidents
-     * Returns active incidents (P0-P1 failures that haven't been resolved)
+     * Returns incidents - failures whose type is critical, high or medium severity (see failureTaxonomy.js)
+     * Known flaky runs don't page: they are left out unless includeFlaky=true
      */
     list: async (req, res) => {
         try {
@@ -13,6 +15,7 @@ export const IncidentsController = {
             const status = req.query.status; // 'active', 'resolved', 'all'
             const priority = req.query.priority ? parseInt(req.query.priority) : undefined;
             const limit = parseInt(req.query.limit) || 20;
+            const includeFlaky = req.query.includeFlaky === 'true';
 
             const repos = await prisma.repo.findMany({
                 where: { userId },
@@ -24,12 +27,13 @@ export const IncidentsController = {
                 return res.json([]);
             }
 
-            // Build where clause for high priority failures
+            // Build where clause for incident severity failures
             const where = {
                 repoId: { in: repoIds },
-                status: 'failure',
+                status: { in: ANALYZED_CONCLUSIONS },
+                ...(!includeFlaky && { isFlaky: false }),
                 analysis: {
-                    priority: priority !== undefined ? priority : { lte: 5 } // Show all priorities by default
+                    priority: priority !== undefined ? priority : { in: getPrioritiesWithSeverity(INCIDENT_SEVERITIES) }
                 }
             };
 
@@ -49,7 +53,8 @@ export const IncidentsController = {
                             failureStage: true,
                             suggestedFix: true,
                             priority: true,
-                            failureType: true
+                            failureType: true,
+                            fingerprint: true
                         }
                     }
                 }
@@ -79,6 +84,10 @@ export const IncidentsController = {
                     runUrl: incident.runUrl,
                     createdAt: incident.createdAt,
                     status: isResolved ? 'resolved' : 'active',
+                    flakiness: {
+                        score: incident.flakinessScore,
+                        isFlaky: incident.isFlaky
+                    },
                     repo: {
                         name: incident.repo.name,
                         owner: incident.repo.owner,
@@ -90,7 +99,9 @@ export const IncidentsController = {
                         suggestedFix: incident.analysis.suggestedFix,
                         priority: incident.analysis.priority,
                         priorityLabel: getPriorityLabel(incident.analysis.priority),
-                        failureType: incident.analysis.failureType
+                        severity: getSeverity(incident.analysis.failureType, incident.analysis.priority),
+                        failureType: incident.analysis.failureType,
+                        fingerprint: incident.analysis.fingerprint
                     } : null
                 };
             }));
@@ -160,6 +171,17 @@ export const IncidentsController = {
                 select: { id: true, createdAt: true, commitSha: true }
             });
 
+            // Other runs that failed with the same error (same fingerprint)
+            const recurrences = incident.analysis?.fingerprint
+                ? await prisma.workflowRun.count({
+                    where: {
+                        id: { not: incident.id },
+                        repo: { userId },
+                        analysis: { fingerprint: incident.analysis.fingerprint }
+                    }
+                })
+                : 0;
+
             res.json({
                 id: incident.id,
                 githubRunId: incident.githubRunId,
@@ -170,6 +192,11 @@ export const IncidentsController = {
                 runUrl: incident.runUrl,
                 createdAt: incident.createdAt,
                 status: newerSuccess ? 'resolved' : 'active',
+                flakiness: {
+                    score: incident.flakinessScore,
+                    isFlaky: incident.isFlaky,
+                    signals: incident.flakinessSignals || []
+                },
                 resolvedBy: newerSuccess ? {
                     runId: newerSuccess.id,
                     commitSha: newerSuccess.commitSha.substring(0, 7),
@@ -187,9 +214,13 @@ export const IncidentsController = {
                     suggestedFix: incident.analysis.suggestedFix,
                     priority: incident.analysis.priority,
                     priorityLabel: getPriorityLabel(incident.analysis.priority),
+                    severity: getSeverity(incident.analysis.failureType, incident.analysis.priority),
                     failureType: incident.analysis.failureType,
+                    fingerprint: incident.analysis.fingerprint,
+                    errorSignature: incident.analysis.errorSignature,
                     detectedErrors: incident.analysis.detectedErrors
                 } : null,
+                recurrences,
                 errorLogs: incident.chunks.map(c => ({
                     stepName: c.stepName,
                     content: c.content.substring(0, 500) + (c.content.length > 500 ? '...' : ''),
@@ -220,37 +251,34 @@ export const IncidentsController = {
             const last24h = new Date(now.getTime() - 24 * 60 * 60 * 1000);
             const last7d = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
 
-            // Count by priority
-            const [p0Count, p1Count, p2Count, total24h, total7d] = await Promise.all([
-                prisma.analysisResult.count({
-                    where: {
-                        priority: 0,
-                        workflowRun: { repoId: { in: repoIds }, status: 'failure' }
-                    }
-                }),
-                prisma.analysisResult.count({
+            // Count incidents by priority (known flaky runs don't count)
+            const [priorityCounts, flakyCount, total24h, total7d] = await Promise.all([
+                prisma.analysisResult.groupBy({
+                    by: ['priority'],
                     where: {
-                        priority: 1,
-                        workflowRun: { repoId: { in: repoIds }, status: 'failure' }
-                    }
+                        priority: { in: getPrioritiesWithSeverity(INCIDENT_SEVERITIES) },
+                        workflowRun: { repoId: { in: repoIds }, status: { in: ANALYZED_CONCLUSIONS }, isFlaky: false }
+                    },
+                    _count: true
                 }),
-                prisma.analysisResult.count({
+                prisma.workflowRun.count({
                     where: {
-                        priority: 2,
-                        workflowRun: { repoId: { in: repoIds }, status: 'failure' }
+                        repoId: { in: repoIds },
+                        status: { in: ANALYZED_CONCLUSIONS },
+                        isFlaky: true
                     }
                 }),
                 prisma.workflowRun.count({
                     where: {
                         repoId: { in: repoIds },
-                        status: 'failure',
+                        status: { in: ANALYZED_CONCLUSIONS },
                         createdAt: { gte: last24h }
                     }
                 }),
                 prisma.workflowRun.count({
                     where: {
                         repoId: { in: repoIds },
-                        status: 'failure',
+                        status: { in: ANALYZED_CONCLUSIONS },
                         createdAt: { gte: last7d }
                     }
                 })
@@ -260,20 +288,26 @@ export const IncidentsController = {
             const activeIncidents = await prisma.workflowRun.count({
                 where: {
                     repoId: { in: repoIds },
-                    status: 'failure',
+                    status: { in: ANALYZED_CONCLUSIONS },
+                    isFlaky: false,
                     createdAt: { gte: last24h },
-                    analysis: { priority: { lte: 1 } }
+                    analysis: { priority: { in: getPrioritiesWithSeverity(['critical', 'high']) } }
                 }
             });
 
+            const byPriority = {};
+            const bySeverity = Object.fromEntries(INCIDENT_SEVERITIES.map(severity => [severity, 0]));
+            for (const row of priorityCounts) {
+                byPriority[`p${row.priority}`] = row._count;
+                bySeverity[getSeverity(null, row.priority)] += row._count;
+            }
+
             res.json({
-                total: p0Count + p1Count + p2Count,
-                byPriority: {
-                    p0: p0Count,
-                    p1: p1Count,
-                    p2: p2Count
-                },
+                total: priorityCounts.reduce((sum, row) => sum + row._count, 0),
+                byPriority,
+                bySeverity,
                 activeCount: activeIncidents,
+                flakyCount,
                 last24h: total24h,
                 last7d: total7d,
                 mttr: null // Mean time to resolve - would need more data to calculate
@@ -284,15 +318,3 @@ export const IncidentsController = {
         }
     }
 };
-
-function getPriorityLabel(priority) {
-    const labels = {
-        0: 'P0 - Critical',
-        1: 'P1 - High',
-        2: 'P2 - Medium',
-        3: 'P3 - Low',
-        4: 'P4 - Info',
-        5: 'P5 - Trivial'
-    };
-    return labels[priority] || `P${priority}`;
-}
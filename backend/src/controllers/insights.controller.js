@@ -1,4 +1,5 @@
 import { PrismaClient } from '@prisma/client';
+import { ANALYZED_CONCLUSIONS, SEVERITIES, getPrioritiesWithSeverity } from '../services/failureTaxonomy.js';
 
 const prisma = new PrismaClient();
 
@@ -34,13 +35,13 @@ export const InsightsController = {
             // 1. ANOMALIES: Detect spikes in failure rates
             const [failures24h, total24h, failures7d, total7d] = await Promise.all([
                 prisma.workflowRun.count({
-                    where: { repoId: { in: repoIds }, status: 'failure', createdAt: { gte: last24h } }
+                    where: { repoId: { in: repoIds }, status: { in: ANALYZED_CONCLUSIONS }, createdAt: { gte: last24h } }
                 }),
                 prisma.workflowRun.count({
                     where: { repoId: { in: repoIds }, createdAt: { gte: last24h } }
                 }),
                 prisma.workflowRun.count({
-                    where: { repoId: { in: repoIds }, status: 'failure', createdAt: { gte: last7d } }
+                    where: { repoId: { in: repoIds }, status: { in: ANALYZED_CONCLUSIONS }, createdAt: { gte: last7d } }
                 }),
                 prisma.workflowRun.count({
                     where: { repoId: { in: repoIds }, createdAt: { gte: last7d } }
@@ -110,7 +111,7 @@ export const InsightsController = {
             for (const repo of repos) {
                 const [repoFailures, repoTotal] = await Promise.all([
                     prisma.workflowRun.count({
-                        where: { repoId: repo.id, status: 'failure', createdAt: { gte: last7d } }
+                        where: { repoId: repo.id, status: { in: ANALYZED_CONCLUSIONS }, createdAt: { gte: last7d } }
                     }),
                     prisma.workflowRun.count({
                         where: { repoId: repo.id, createdAt: { gte: last7d } }
@@ -135,7 +136,7 @@ export const InsightsController = {
                 }
             }
 
-            // 4. Check for resolved issues (P0/P1 that had recent success)
+            // 4. Check for resolved issues (critical / high severity failures that had recent success)
             const recentCriticalFixed = await prisma.workflowRun.findMany({
                 where: {
                     repoId: { in: repoIds },
@@ -156,7 +157,7 @@ export const InsightsController = {
                         repoId: run.repoId,
                         workflowName: run.workflowName,
                         branch: run.branch,
-                        status: 'failure',
+                        status: { in: ANALYZED_CONCLUSIONS },
                         createdAt: { lt: run.createdAt }
                     },
                     include: {
@@ -165,7 +166,7 @@ export const InsightsController = {
                     orderBy: { createdAt: 'desc' }
                 });
 
-                if (priorFailure?.analysis?.priority <= 1) {
+                if (getPrioritiesWithSeverity(['critical', 'high']).includes(priorFailure?.analysis?.priority)) {
                     insights.push({
                         id: `resolved-${run.id}`,
                         type: 'resolved',
@@ -191,8 +192,8 @@ export const InsightsController = {
             }
 
             // Sort by severity and limit
-            const severityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
-            filtered.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+            const severityOrder = SEVERITIES.map(s => s.severity);
+            filtered.sort((a, b) => severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity));
 
             res.json(filtered.slice(0, limit));
         } catch (error) {
@@ -219,10 +220,10 @@ export const InsightsController = {
             const last24h = new Date(now.getTime() - 24 * 60 * 60 * 1000);
             const last7d = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
 
-            // Count critical issues (P0-P1 in last 24h)
+            // Count critical issues (critical / high severity failures in last 24h)
             const criticalCount = await prisma.analysisResult.count({
                 where: {
-                    priority: { in: [0, 1] },
+                    priority: { in: getPrioritiesWithSeverity(['critical', 'high']) },
                     workflowRun: {
                         repoId: { in: repoIds },
                         createdAt: { gte: last24h }
@@ -245,7 +246,7 @@ export const InsightsController = {
             for (const repoId of repoIds) {
                 const [failures, total] = await Promise.all([
                     prisma.workflowRun.count({
-                        where: { repoId, status: 'failure', createdAt: { gte: last7d } }
+                        where: { repoId, status: { in: ANALYZED_CONCLUSIONS }, createdAt: { gte: last7d } }
                     }),
                     prisma.workflowRun.count({
                         where: { repoId, createdAt: { gte: last7d } }
@@ -0,0 +1,123 @@
+import { PrismaClient } from '@prisma/client';
+import { LlmSettingService, validateLlmSetting } from '../services/llmSettingService.js';
+
+const prisma = new PrismaClient();
+const llmSettingService = new LlmSettingService();
+
+/**
+ * Find a repo owned by the user (null if missing or not theirs)
+ */
+async function findOwnedRepo(repoId, userId) {
+    return prisma.repo.findFirst({
+        where: { id: repoId, userId: Number(userId) }
+    });
+}
+
+/**
+ * API shape of a stored setting
+ */
+function formatSetting(setting) {
+    return setting ? {
+        id: setting.id,
+        owner: setting.owner,
+        provider: setting.provider,
+        model: setting.model,
+        updatedAt: setting.updatedAt
+    } : null;
+}
+
+export const LlmSettingsController = {
+    /**
+     * GET /api/repos/:id/llm-provider
+     * Available providers, the deployment's providers, the org (repo owner) setting and the
+     * effective generation provider / model
+     */
+    get: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const description = await llmSettingService.describe(repo);
+
+            return res.json({
+                ...description,
+                org: formatSetting(description.org)
+            });
+        } catch (error) {
+            console.error('Error getting LLM provider:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * PUT /api/repos/:id/llm-provider
+     * Set the generation provider / model of the repo's owner (org) for the user's repos of it
+     * Body: { provider, model? } - the provider must be configured in this deployment
+     */
+    update: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const validationError = validateLlmSetting(req.body);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const saved = await llmSettingService.saveSetting(repo, req.body);
+
+            return res.json({ org: formatSetting(saved) });
+        } catch (error) {
+            console.error('Error updating LLM provider:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * DELETE /api/repos/:id/llm-provider
+     * Remove the org setting - back to the deployment's provider
+     */
+    remove: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const removed = await llmSettingService.removeSetting(repo);
+            if (!removed) {
+                return res.status(404).json({ error: 'No LLM provider set for this org' });
+            }
+
+            return res.json({ message: 'LLM provider setting removed successfully' });
+        } catch (error) {
+            console.error('Error removing LLM provider:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+};
@@ -0,0 +1,167 @@
+import { PrismaClient } from '@prisma/client';
+import { PromptExperimentService, validatePromptExperiment } from '../services/promptExperimentService.js';
+import { listPromptTemplates } from '../services/promptTemplates.js';
+
+const prisma = new PrismaClient();
+const experimentService = new PromptExperimentService();
+
+/**
+ * Find a repo owned by the user (null if missing or not theirs)
+ */
+async function findOwnedRepo(repoId, userId) {
+    return prisma.repo.findFirst({
+        where: { id: repoId, userId: Number(userId) }
+    });
+}
+
+/**
+ * API shape of an experiment
+ */
+function formatExperiment(experiment) {
+    return experiment ? {
+        id: experiment.id,
+        versionA: experiment.versionA,
+        versionB: experiment.versionB,
+        splitPercent: experiment.splitPercent,
+        active: experiment.active,
+        createdAt: experiment.createdAt,
+        endedAt: experiment.endedAt,
+        analysisCount: experiment._count?.analyses
+    } : null;
+}
+
+export const PromptExperimentController = {
+    /**
+     * GET /api/repos/:id/prompt-experiment
+     * Prompt templates and their versions, the repo's running experiment and past ones
+     */
+    get: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const experiments = await experimentService.list(repo.id);
+
+            return res.json({
+                prompts: listPromptTemplates(),
+                active: formatExperiment(experiments.find(experiment => experiment.active)),
+                experiments: experiments.map(formatExperiment)
+            });
+        } catch (error) {
+            console.error('Error getting prompt experiment:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * PUT /api/repos/:id/prompt-experiment
+     * Start an A/B test of two analysis prompt versions (stops the running one)
+     * Body: { versionA: "analysis@1", versionB: "analysis@2", splitPercent?: share of runs on versionB (default 50) }
+     */
+    update: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const validationError = validatePromptExperiment(req.body);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const experiment = await experimentService.start(repo.id, req.body);
+
+            return res.status(201).json({ experiment: formatExperiment(experiment) });
+        } catch (error) {
+            console.error('Error starting prompt experiment:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * DELETE /api/repos/:id/prompt-experiment
+     * Stop the running experiment - back to the default prompt version (its report stays available)
+     */
+    remove: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const stopped = await experimentService.stop(repo.id);
+            if (!stopped) {
+                return res.status(404).json({ error: 'No running prompt experiment' });
+            }
+
+            return res.json({ experiment: formatExperiment(stopped) });
+        } catch (error) {
+            console.error('Error stopping prompt experiment:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * GET /api/repos/:id/prompt-experiment/report?experimentId=
+     * How the two versions compare (the given experiment of the repo, the latest by default)
+     */
+    report: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+            const experimentId = req.query.experimentId ? parseInt(req.query.experimentId) : null;
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            // Starting an experiment stops the running one, so the latest is the running one if any
+            const experiment = await prisma.promptExperiment.findFirst({
+                where: { repoId: repo.id, ...(experimentId ? { id: experimentId } : {}) },
+                orderBy: { createdAt: 'desc' }
+            });
+            if (!experiment) {
+                return res.status(404).json({ error: 'Prompt experiment not found' });
+            }
+
+            const report = await experimentService.report(experiment);
+
+            return res.json({
+                experiment: formatExperiment(experiment),
+                ...report
+            });
+        } catch (error) {
+            console.error('Error getting prompt experiment report:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+};
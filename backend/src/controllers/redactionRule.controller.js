@@ -0,0 +1,188 @@
+import { PrismaClient } from '@prisma/client';
+import { RedactionService } from '../services/redactionService.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Find a repo owned by the user (null if missing or not theirs)
+ */
+async function findOwnedRepo(repoId, userId) {
+    return prisma.repo.findFirst({
+        where: { id: repoId, userId: Number(userId) }
+    });
+}
+
+/**
+ * API shape of a stored rule
+ */
+function formatRule(rule) {
+    return {
+        id: rule.id,
+        name: rule.name,
+        pattern: rule.pattern,
+        flags: rule.flags,
+        enabled: rule.enabled,
+        // Why the rule is not applied (saved before a check it now fails), null when it is fine
+        error: RedactionService.validateRule(rule),
+        createdAt: rule.createdAt,
+        updatedAt: rule.updatedAt
+    };
+}
+
+export const RedactionRuleController = {
+    /**
+     * GET /api/repos/:id/redaction-rules
+     * List redaction rules for a repo
+     */
+    list: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const rules = await prisma.redactionRule.findMany({
+                where: { repoId },
+                orderBy: { id: 'asc' }
+            });
+
+            return res.json(rules.map(formatRule));
+        } catch (error) {
+            console.error('Error listing redaction rules:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * POST /api/repos/:id/redaction-rules
+     * Create a redaction rule
+     * Body: { name, pattern, flags?, enabled? }
+     */
+    create: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const { name, pattern, flags, enabled } = req.body;
+            const validationError = RedactionService.validateRule(req.body);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const created = await prisma.redactionRule.create({
+                data: {
+                    repoId,
+                    name: name.trim(),
+                    pattern,
+                    flags: flags || '',
+                    enabled: enabled ?? true
+                }
+            });
+
+            return res.status(201).json(formatRule(created));
+        } catch (error) {
+            console.error('Error creating redaction rule:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * PUT /api/repos/:id/redaction-rules/:ruleId
+     * Update / enable / disable a redaction rule
+     */
+    update: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+            const ruleId = parseInt(req.params.ruleId);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const existing = await prisma.redactionRule.findFirst({
+                where: { id: ruleId, repoId }
+            });
+            if (!existing) {
+                return res.status(404).json({ error: 'Rule not found' });
+            }
+
+            const { name, pattern, flags, enabled } = req.body;
+
+            const updateData = {};
+            if (name !== undefined) updateData.name = typeof name === 'string' ? name.trim() : name;
+            if (pattern !== undefined) updateData.pattern = pattern;
+            if (flags !== undefined) updateData.flags = flags || '';
+            if (enabled !== undefined) updateData.enabled = enabled;
+
+            const validationError = RedactionService.validateRule({ ...existing, ...updateData });
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const updated = await prisma.redactionRule.update({
+                where: { id: ruleId },
+                data: updateData
+            });
+
+            return res.json(formatRule(updated));
+        } catch (error) {
+            console.error('Error updating redaction rule:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * DELETE /api/repos/:id/redaction-rules/:ruleId
+     * Delete a redaction rule
+     */
+    remove: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+            const ruleId = parseInt(req.params.ruleId);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const deleted = await prisma.redactionRule.deleteMany({
+                where: { id: ruleId, repoId }
+            });
+            if (deleted.count === 0) {
+                return res.status(404).json({ error: 'Rule not found' });
+            }
+
+            return res.json({ message: 'Rule deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting redaction rule:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+};
@@ -1,4 +1,5 @@
 import { PrismaClient } from '@prisma/client';
+import { ANALYZED_CONCLUSIONS } from '../services/failureTaxonomy.js';
 
 const prisma = new PrismaClient();
 
@@ -32,7 +33,7 @@ export const RepoController = {
                     prisma.workflowRun.count({
                         where: {
                             repoId: repo.id,
-                            status: 'failure',
+                            status: { in: ANALYZED_CONCLUSIONS },
                             createdAt: { gte: last7d }
                         }
                     }),
@@ -108,7 +109,7 @@ export const RepoController = {
                 priorityDistribution
             ] = await Promise.all([
                 prisma.workflowRun.count({
-                    where: { repoId, status: 'failure', createdAt: { gte: last30d } }
+                    where: { repoId, status: { in: ANALYZED_CONCLUSIONS }, createdAt: { gte: last30d } }
                 }),
                 prisma.workflowRun.count({
                     where: { repoId, createdAt: { gte: last30d } }
@@ -246,6 +247,10 @@ export const RepoController = {
                     commitSha: run.commitSha.substring(0, 7),
                     runUrl: run.runUrl,
                     createdAt: run.createdAt,
+                    runAttempt: run.runAttempt,
+                    rerunConclusion: run.rerunConclusion,
+                    flakinessScore: run.flakinessScore,
+                    isFlaky: run.isFlaky,
                     analysis: run.analysis ? {
                         rootCause: run.analysis.rootCause.substring(0, 100) + '...',
                         failureStage: run.analysis.failureStage,
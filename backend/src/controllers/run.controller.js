@@ -1,8 +1,76 @@
 import { PrismaClient } from '@prisma/client';
 import { VectorSearchService } from '../services/vectorSearch.js';
+import { LogDiffService } from '../services/logDiffService.js';
+import { CorrectionService, validateCorrection, validateFixRating, summarizeRatings } from '../services/correctionService.js';
 
 const prisma = new PrismaClient();
 const vectorSearch = new VectorSearchService();
+const logDiff = new LogDiffService();
+const correctionService = new CorrectionService();
+
+/**
+ * Analysis JSON field - stored as a JSON string by the worker ([] when missing or unreadable)
+ */
+function parseJsonField(value) {
+    if (!value) {
+        return [];
+    }
+    try {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Matrix view of a run's jobs: legs grouped by job base name, which legs failed
+ * and whether the failed legs share one failure signature (failed the same way)
+ */
+function groupMatrixLegs(jobs) {
+    const groups = new Map();
+    for (const job of jobs) {
+        if (!groups.has(job.baseName)) {
+            groups.set(job.baseName, []);
+        }
+        groups.get(job.baseName).push(job);
+    }
+
+    return [...groups.entries()]
+        .filter(([, legs]) => legs.length > 1)
+        .map(([baseName, legs]) => {
+            const failedLegs = legs.filter(leg => leg.conclusion === 'failure');
+            const signatures = [...new Set(failedLegs.map(leg => leg.failureSignature).filter(Boolean))];
+
+            return {
+                baseName,
+                totalLegs: legs.length,
+                failedLegs: failedLegs.map(leg => leg.name),
+                passedLegs: legs.filter(leg => leg.conclusion === 'success').map(leg => leg.name),
+                // null when fewer than two legs failed - nothing to compare
+                sameFailure: failedLegs.length > 1
+                    ? signatures.length === 1 && failedLegs.every(leg => leg.failureSignature)
+                    : null,
+                signatures: signatures.map(signature => ({
+                    signature,
+                    legs: failedLegs.filter(leg => leg.failureSignature === signature).map(leg => leg.name)
+                }))
+            };
+        });
+}
+
+/**
+ * GitHub link to a diagnostic's source lines at the run's commit
+ * (null without a repo-relative file or a commit)
+ */
+function sourceUrl(run, diagnostic) {
+    if (!diagnostic.file || !run.commitSha || /^(?:[A-Za-z]:|[\\/])/.test(diagnostic.file)) {
+        return null;
+    }
+    const lines = diagnostic.line
+        ? `#L${diagnostic.line}${diagnostic.endLine > diagnostic.line ? `-L${diagnostic.endLine}` : ''}`
+        : '';
+    return `https://github.com/${run.repo.owner}/${run.repo.name}/blob/${run.commitSha}/${encodeURI(diagnostic.file)}${lines}`;
+}
 
 export const RunController = {
     /**
@@ -24,18 +92,36 @@ export const RunController = {
                     repo: {
                         select: { id: true, name: true, owner: true, userId: true }
                     },
-                    analysis: true,
+                    analysis: {
+                        include: {
+                            fixRatings: { select: { rating: true } },
+                            _count: { select: { corrections: true } }
+                        }
+                    },
                     chunks: {
                         orderBy: { chunkIndex: 'asc' },
                         select: {
                             id: true,
                             chunkIndex: true,
                             stepName: true,
+                            jobName: true,
                             hasErrors: true,
                             errorCount: true,
                             startLine: true,
-                            endLine: true
+                            endLine: true,
+                            startedAt: true,
+                            endedAt: true,
+                            durationMs: true
                         }
+                    },
+                    testFailures: {
+                        orderBy: { id: 'asc' }
+                    },
+                    stepTimings: {
+                        orderBy: { stepIndex: 'asc' }
+                    },
+                    jobs: {
+                        orderBy: { id: 'asc' }
                     }
                 }
             });
@@ -48,17 +134,15 @@ export const RunController = {
                 return res.status(403).json({ error: 'Access denied' });
             }
 
-            // Parse detected errors if stored as JSON string
-            let detectedErrors = [];
-            if (run.analysis?.detectedErrors) {
-                try {
-                    detectedErrors = typeof run.analysis.detectedErrors === 'string'
-                        ? JSON.parse(run.analysis.detectedErrors)
-                        : run.analysis.detectedErrors;
-                } catch (e) {
-                    detectedErrors = [];
-                }
-            }
+            // Analysis JSON fields may be stored as JSON strings
+            const detectedErrors = parseJsonField(run.analysis?.detectedErrors);
+            const diagnostics = parseJsonField(run.analysis?.diagnostics);
+            const candidates = parseJsonField(run.analysis?.candidates);
+
+            // Slowest step by duration (steps without timestamps are ignored)
+            const slowestStep = run.stepTimings
+                .filter(step => step.durationMs !== null)
+                .reduce((slowest, step) => (!slowest || step.durationMs > slowest.durationMs ? step : slowest), null);
 
             return res.json({
                 id: run.id,
@@ -71,6 +155,52 @@ export const RunController = {
                 actor: run.actor,
                 runUrl: run.runUrl,
                 createdAt: run.createdAt,
+                timing: {
+                    durationMs: run.durationMs,
+                    timeToFirstErrorMs: run.timeToFirstErrorMs,
+                    slowestStep: slowestStep ? {
+                        name: slowestStep.stepName,
+                        durationMs: slowestStep.durationMs
+                    } : null
+                },
+                jobs: run.jobs.map(job => ({
+                    id: job.id,
+                    githubJobId: job.githubJobId,
+                    name: job.name,
+                    baseName: job.baseName,
+                    matrixValues: job.matrixValues || [],
+                    conclusion: job.conclusion,
+                    startedAt: job.startedAt,
+                    completedAt: job.completedAt,
+                    durationMs: job.durationMs,
+                    errorCount: job.errorCount,
+                    primaryError: job.primaryError,
+                    failureSignature: job.failureSignature,
+                    steps: run.stepTimings
+                        .filter(step => step.jobName === job.name)
+                        .map(step => ({ index: step.stepIndex, name: step.stepName, durationMs: step.durationMs }))
+                })),
+                matrix: groupMatrixLegs(run.jobs),
+                stepTimings: run.stepTimings.map(step => ({
+                    index: step.stepIndex,
+                    name: step.stepName,
+                    jobName: step.jobName,
+                    startedAt: step.startedAt,
+                    endedAt: step.endedAt,
+                    durationMs: step.durationMs,
+                    lineRange: `${step.startLine}-${step.endLine}`
+                })),
+                runAttempt: run.runAttempt,
+                rerun: run.rerunConclusion ? { conclusion: run.rerunConclusion, attempt: run.rerunAttempt } : null,
+                flakiness: {
+                    score: run.flakinessScore,
+                    isFlaky: run.isFlaky,
+                    signals: run.flakinessSignals || []
+                },
+                redaction: {
+                    count: run.redactionCount,
+                    byType: run.redactionSummary || {}
+                },
                 repo: {
                     id: run.repo.id,
                     name: run.repo.name,
@@ -84,20 +214,56 @@ export const RunController = {
                     suggestedFix: run.analysis.suggestedFix,
                     priority: run.analysis.priority,
                     failureType: run.analysis.failureType,
+                    jobName: run.analysis.jobName,
+                    fingerprint: run.analysis.fingerprint,
+                    errorSignature: run.analysis.errorSignature,
+                    classifierVersion: run.analysis.classifierVersion,
+                    candidates,
                     usedAI: run.analysis.usedAI,
+                    llmProvider: run.analysis.llmProvider,
+                    analysisStatus: run.analysis.analysisStatus,
+                    promptVersion: run.analysis.promptVersion,
+                    promptExperimentId: run.analysis.promptExperimentId,
+                    cachedFromRunId: run.analysis.cachedFromRunId,
+                    citedLines: parseJsonField(run.analysis.citedLines),
+                    validationErrors: parseJsonField(run.analysis.validationErrors),
+                    humanVerified: run.analysis.humanVerified,
+                    correctionCount: run.analysis._count.corrections,
+                    fixRating: summarizeRatings(run.analysis.fixRatings),
                     detectedErrors,
+                    diagnostics: diagnostics.map(diagnostic => ({
+                        ...diagnostic,
+                        sourceUrl: sourceUrl(run, diagnostic)
+                    })),
                     createdAt: run.analysis.createdAt
                 } : null,
                 chunks: run.chunks.map(chunk => ({
                     id: chunk.id,
                     index: chunk.chunkIndex,
                     stepName: chunk.stepName,
+                    jobName: chunk.jobName,
                     hasErrors: chunk.hasErrors,
                     errorCount: chunk.errorCount,
-                    lineRange: `${chunk.startLine}-${chunk.endLine}`
+                    lineRange: `${chunk.startLine}-${chunk.endLine}`,
+                    startedAt: chunk.startedAt,
+                    endedAt: chunk.endedAt,
+                    durationMs: chunk.durationMs
+                })),
+                failedTests: run.testFailures.map(test => ({
+                    id: test.id,
+                    framework: test.framework,
+                    suite: test.suite,
+                    testName: test.testName,
+                    file: test.file,
+                    message: test.message,
+                    stack: test.stack,
+                    stepName: test.stepName,
+                    jobName: test.jobName,
+                    chunkIndex: test.chunkIndex
                 })),
                 totalChunks: run.chunks.length,
-                totalErrors: run.chunks.reduce((sum, c) => sum + c.errorCount, 0)
+                totalErrors: run.chunks.reduce((sum, c) => sum + c.errorCount, 0),
+                totalFailedTests: run.testFailures.length
             });
         } catch (error) {
             console.error('Error getting run:', error);
@@ -147,9 +313,11 @@ export const RunController = {
                     id: true,
                     chunkIndex: true,
                     stepName: true,
+                    jobName: true,
                     content: true,
                     startLine: true,
                     endLine: true,
+                    overlapLines: true,
                     hasErrors: true,
                     errorCount: true
                 }
@@ -161,8 +329,10 @@ export const RunController = {
                     id: chunk.id,
                     index: chunk.chunkIndex,
                     stepName: chunk.stepName,
+                    jobName: chunk.jobName,
                     content: chunk.content,
                     lineRange: { start: chunk.startLine, end: chunk.endLine },
+                    overlapLines: chunk.overlapLines,
                     hasErrors: chunk.hasErrors,
                     errorCount: chunk.errorCount
                 })),
@@ -174,9 +344,82 @@ export const RunController = {
         }
     },
 
+    /**
+     * GET /api/runs/:id/diff?against=last-success
+     * Diff the run's log against another run, step by step: new lines, missing steps,
+     * changed tool versions. against: 'last-success' (default, same workflow and branch) or a run id
+     */
+    getDiff: async (req, res) => {
+        try {
+            const runId = parseInt(req.params.id);
+            const userId = req.user?.id;
+            const against = req.query.against || 'last-success';
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            if (against !== 'last-success' && !/^\d+$/.test(against)) {
+                return res.status(400).json({ error: "against must be 'last-success' or a run id" });
+            }
+
+            const run = await prisma.workflowRun.findUnique({
+                where: { id: runId },
+                include: {
+                    repo: { select: { userId: true } }
+                }
+            });
+
+            if (!run) {
+                return res.status(404).json({ error: 'Run not found' });
+            }
+
+            if (run.repo.userId !== Number(userId)) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+
+            const baseline = await logDiff.findBaseline(run, against);
+            if (!baseline) {
+                return res.status(404).json({
+                    error: against === 'last-success'
+                        ? 'No earlier successful run of this workflow on this branch'
+                        : 'Run to compare against not found'
+                });
+            }
+
+            const [chunks, baselineChunks] = await Promise.all([
+                logDiff.getChunks(run.id),
+                logDiff.getChunks(baseline.id)
+            ]);
+
+            // Green runs are only chunked when a later failure is analyzed
+            if (chunks.length === 0 || baselineChunks.length === 0) {
+                return res.status(409).json({ error: 'Logs of one of the runs have not been processed yet' });
+            }
+
+            return res.json({
+                runId,
+                baseline: {
+                    id: baseline.id,
+                    githubRunId: baseline.githubRunId,
+                    status: baseline.status,
+                    commitSha: baseline.commitSha,
+                    branch: baseline.branch,
+                    runUrl: baseline.runUrl,
+                    createdAt: baseline.createdAt
+                },
+                ...logDiff.diff(chunks, baselineChunks)
+            });
+        } catch (error) {
+            console.error('Error diffing run logs:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
     /**
      * GET /api/runs/:id/similar
-     * Get similar past failures using vector search
+     * Get similar past failures: runs with the same error fingerprint first,
+     * then vector search over the error chunks
      */
     getSimilar: async (req, res) => {
         try {
@@ -192,7 +435,7 @@ export const RunController = {
                 where: { id: runId },
                 include: {
                     repo: { select: { userId: true } },
-                    analysis: { select: { rootCause: true } },
+                    analysis: { select: { rootCause: true, fingerprint: true } },
                     chunks: {
                         where: { hasErrors: true },
                         take: 3,
@@ -209,19 +452,57 @@ export const RunController = {
                 return res.status(403).json({ error: 'Access denied' });
             }
 
-            // Find similar failures using vector search
             let similarRuns = [];
+            const seenRunIds = new Set([runId]);
+
+            // Same failure (same primary error fingerprint) in the user's other runs
+            if (run.analysis?.fingerprint) {
+                const sameFailureRuns = await prisma.workflowRun.findMany({
+                    where: {
+                        id: { not: runId },
+                        repo: { userId: Number(userId) },
+                        analysis: { fingerprint: run.analysis.fingerprint }
+                    },
+                    orderBy: { createdAt: 'desc' },
+                    take: limit,
+                    include: {
+                        repo: { select: { name: true, owner: true } },
+                        analysis: {
+                            select: { rootCause: true, failureStage: true, priority: true, humanVerified: true }
+                        }
+                    }
+                });
+
+                for (const sameRun of sameFailureRuns) {
+                    seenRunIds.add(sameRun.id);
+                    similarRuns.push({
+                        id: sameRun.id,
+                        githubRunId: sameRun.githubRunId,
+                        workflowName: sameRun.workflowName,
+                        repo: `${sameRun.repo.owner}/${sameRun.repo.name}`,
+                        createdAt: sameRun.createdAt,
+                        similarity: 1,
+                        matchedBy: 'fingerprint',
+                        analysis: {
+                            rootCause: sameRun.analysis.rootCause.substring(0, 100) + '...',
+                            failureStage: sameRun.analysis.failureStage,
+                            priority: sameRun.analysis.priority,
+                            humanVerified: sameRun.analysis.humanVerified
+                        }
+                    });
+                }
+            }
 
-            if (run.chunks.length > 0) {
+            // Fill up with similar failures from vector search
+            if (run.chunks.length > 0 && similarRuns.length < limit) {
                 try {
                     // Use first error chunk to find similar
                     const similarChunks = await vectorSearch.findSimilarChunks(
                         run.chunks[0].id,
-                        limit + 1 // +1 to exclude self
+                        limit + seenRunIds.size // Extra to skip self and fingerprint matches
                     );
 
                     // Get unique workflow runs from similar chunks
-                    const seenRunIds = new Set([runId]);
                     for (const chunk of similarChunks) {
                         if (!seenRunIds.has(chunk.workflowRunId) && similarRuns.length < limit) {
                             seenRunIds.add(chunk.workflowRunId);
@@ -231,7 +512,7 @@ export const RunController = {
                                 include: {
                                     repo: { select: { name: true, owner: true } },
                                     analysis: {
-                                        select: { rootCause: true, failureStage: true, priority: true }
+                                        select: { rootCause: true, failureStage: true, priority: true, humanVerified: true }
                                     }
                                 }
                             });
@@ -244,10 +525,12 @@ export const RunController = {
                                     repo: `${similarRun.repo.owner}/${similarRun.repo.name}`,
                                     createdAt: similarRun.createdAt,
                                     similarity: chunk.similarity || 0,
+                                    matchedBy: 'embedding',
                                     analysis: similarRun.analysis ? {
                                         rootCause: similarRun.analysis.rootCause.substring(0, 100) + '...',
                                         failureStage: similarRun.analysis.failureStage,
-                                        priority: similarRun.analysis.priority
+                                        priority: similarRun.analysis.priority,
+                                        humanVerified: similarRun.analysis.humanVerified
                                     } : null
                                 });
                             }
@@ -270,6 +553,151 @@ export const RunController = {
         }
     },
 
+    /**
+     * POST /api/runs/:id/corrections
+     * Correct the run's failure type and / or root cause - body { failureType?, rootCause?, comment? }.
+     * Also the override for future runs of the repo with the same error fingerprint.
+     */
+    correct: async (req, res) => {
+        try {
+            const runId = parseInt(req.params.id);
+            const userId = req.user?.id;
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const validationError = validateCorrection(req.body);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const run = await prisma.workflowRun.findUnique({
+                where: { id: runId },
+                include: {
+                    repo: { select: { userId: true } },
+                    analysis: true
+                }
+            });
+
+            if (!run) {
+                return res.status(404).json({ error: 'Run not found' });
+            }
+
+            if (run.repo.userId !== Number(userId)) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+
+            if (!run.analysis) {
+                return res.status(409).json({ error: 'Run has no analysis to correct yet' });
+            }
+
+            const { analysis, correction } = await correctionService.correct(run.analysis, run, Number(userId), req.body);
+
+            return res.status(201).json({
+                correction,
+                analysis: {
+                    id: analysis.id,
+                    failureType: analysis.failureType,
+                    priority: analysis.priority,
+                    rootCause: analysis.rootCause,
+                    humanVerified: analysis.humanVerified
+                },
+                // Future runs only inherit corrections of a fingerprinted error
+                appliesToFutureRuns: Boolean(analysis.fingerprint)
+            });
+        } catch (error) {
+            console.error('Error correcting analysis:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * GET /api/runs/:id/corrections
+     * Correction history and fix ratings of the run's analysis
+     */
+    getCorrections: async (req, res) => {
+        try {
+            const runId = parseInt(req.params.id);
+            const userId = req.user?.id;
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const run = await prisma.workflowRun.findUnique({
+                where: { id: runId },
+                include: {
+                    repo: { select: { userId: true } },
+                    analysis: { select: { id: true } }
+                }
+            });
+
+            if (!run) {
+                return res.status(404).json({ error: 'Run not found' });
+            }
+
+            if (run.repo.userId !== Number(userId)) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+
+            if (!run.analysis) {
+                return res.json({ corrections: [], fixRating: { average: null, count: 0, ratings: [] } });
+            }
+
+            return res.json(await correctionService.getHistory(run.analysis.id));
+        } catch (error) {
+            console.error('Error fetching corrections:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * PUT /api/runs/:id/fix-rating
+     * Rate the suggested fix - body { rating: 1 (did not help) - 5 (fixed it), comment? }
+     */
+    rateFix: async (req, res) => {
+        try {
+            const runId = parseInt(req.params.id);
+            const userId = req.user?.id;
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const validationError = validateFixRating(req.body);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const run = await prisma.workflowRun.findUnique({
+                where: { id: runId },
+                include: {
+                    repo: { select: { userId: true } },
+                    analysis: { select: { id: true } }
+                }
+            });
+
+            if (!run) {
+                return res.status(404).json({ error: 'Run not found' });
+            }
+
+            if (run.repo.userId !== Number(userId)) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+
+            if (!run.analysis) {
+                return res.status(409).json({ error: 'Run has no analysis to rate yet' });
+            }
+
+            const rating = await correctionService.rateFix(run.analysis.id, Number(userId), req.body);
+            return res.json(rating);
+        } catch (error) {
+            console.error('Error rating fix:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
     /**
      * GET /api/runs/repo/:repoId (deprecated - use /api/repos/:id/runs instead)
      * List runs for a specific repo
@@ -0,0 +1,16 @@
+import { getTaxonomy } from '../services/failureTaxonomy.js';
+
+export const TaxonomyController = {
+    /**
+     * GET /api/taxonomy
+     * Failure types with their priorities, labels, severities and colours
+     */
+    get: async (req, res) => {
+        try {
+            return res.json(getTaxonomy());
+        } catch (error) {
+            console.error('Error getting taxonomy:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+};
@@ -0,0 +1,159 @@
+import { PrismaClient } from '@prisma/client';
+import { UsageService } from '../services/usageService.js';
+import { validateUsageBudget, getMonthRange, BUDGET_SCOPES } from '../services/usageBudget.js';
+
+const prisma = new PrismaClient();
+const usageService = new UsageService();
+
+/**
+ * Find a repo owned by the user (null if missing or not theirs)
+ */
+async function findOwnedRepo(repoId, userId) {
+    return prisma.repo.findFirst({
+        where: { id: repoId, userId: Number(userId) }
+    });
+}
+
+export const UsageController = {
+    /**
+     * GET /api/usage?month=2026-10&repoId=
+     * LLM and embedding usage of the user's repos (or one of them) in a month, the current
+     * one by default: calls, tokens and cost by repo, purpose and model, and the budgets
+     */
+    getUsage: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const range = getMonthRange(req.query.month);
+            if (!range) {
+                return res.status(400).json({ error: 'month must be a month like "2026-10"' });
+            }
+
+            const repos = await prisma.repo.findMany({
+                where: {
+                    userId: Number(userId),
+                    ...(req.query.repoId ? { id: parseInt(req.query.repoId) } : {})
+                },
+                select: { id: true, name: true, owner: true, userId: true }
+            });
+            if (req.query.repoId && repos.length === 0) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const [usage, budgets] = await Promise.all([
+                usageService.getUsage(repos, range),
+                Promise.all(repos.map(async repo => ({
+                    repoId: repo.id,
+                    repo: repo.name,
+                    ...await usageService.getBudgetStatus(repo)
+                })))
+            ]);
+
+            return res.json({
+                ...usage,
+                // Budgets are monthly - their status is the current month's
+                budgets: budgets.filter(status => status.budgets.length > 0)
+            });
+        } catch (error) {
+            console.error('Error getting LLM usage:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * GET /api/repos/:id/usage-budget
+     * The repo's and its org's monthly LLM budgets with this month's usage
+     */
+    getBudget: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            return res.json(await usageService.getBudgetStatus(repo));
+        } catch (error) {
+            console.error('Error getting usage budget:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * PUT /api/repos/:id/usage-budget
+     * Set the monthly LLM budget of the repo or of its owner (org) - the user's usage of the org
+     * Body: { scope?: "repo" (default) | "org", monthlyCostUsd?, monthlyTokens? } - at least one limit
+     */
+    updateBudget: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const validationError = validateUsageBudget(req.body);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            await usageService.saveBudget(repo, req.body);
+
+            return res.json(await usageService.getBudgetStatus(repo));
+        } catch (error) {
+            console.error('Error updating usage budget:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    },
+
+    /**
+     * DELETE /api/repos/:id/usage-budget?scope=repo|org
+     * Remove the repo's (default) or its org's budget
+     */
+    removeBudget: async (req, res) => {
+        try {
+            const userId = req.user?.id;
+            const repoId = parseInt(req.params.id);
+            const scope = req.query.scope || 'repo';
+
+            if (!userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            if (!BUDGET_SCOPES.includes(scope)) {
+                return res.status(400).json({ error: `scope must be one of ${BUDGET_SCOPES.join(', ')}` });
+            }
+
+            const repo = await findOwnedRepo(repoId, userId);
+            if (!repo) {
+                return res.status(404).json({ error: 'Repository not found' });
+            }
+
+            const removed = await usageService.removeBudget(repo, scope);
+            if (!removed) {
+                return res.status(404).json({ error: `No ${scope} budget set` });
+            }
+
+            return res.json({ message: 'Usage budget removed successfully' });
+        } catch (error) {
+            console.error('Error removing usage budget:', error);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+};
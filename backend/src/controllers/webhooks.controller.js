@@ -1,6 +1,8 @@
 // import { Request, Response } from 'express';
 import { PrismaClient } from '@prisma/client';
 import { logProcessingQueue } from '../queues/logProcessingQueue.js';
+import { FlakinessService } from '../services/flakinessService.js';
+import { ANALYZED_CONCLUSIONS } from '../services/failureTaxonomy.js';
 
 const prisma = new PrismaClient();
 
@@ -18,12 +20,12 @@ export const WebhooksController = {
     console.log('Conclusion:', payload?.workflow_run?.conclusion);
 
     // ----------------------------
-    // Handle workflow_run completions (both success and failure)
+    // Handle workflow_run completions (success, failure, timed_out, cancelled, ...)
     // ----------------------------
     if (
       event === 'workflow_run' &&
       payload.action === 'completed' &&
-      payload.workflow_run?.conclusion // success, failure, or cancelled
+      payload.workflow_run?.conclusion
     ) {
       const run = payload.workflow_run;
       const repo = payload.repository;
@@ -35,27 +37,41 @@ export const WebhooksController = {
       }
 
       const githubRunId = String(run.id);
-      const isFailure = run.conclusion === 'failure';
+      // Failed, timed out and cancelled runs all get their logs analyzed
+      const needsAnalysis = ANALYZED_CONCLUSIONS.includes(run.conclusion);
+      const runAttempt = run.run_attempt ?? 1;
 
-      console.log(`--- ${isFailure ? '❌ Workflow Run Failed' : '✅ Workflow Run Succeeded'} ---`);
+      console.log(`--- ${needsAnalysis ? `❌ Workflow Run ${run.conclusion === 'failure' ? 'Failed' : `Ended (${run.conclusion})`}` : '✅ Workflow Run Succeeded'} ---`);
       console.log('Repo:', repo.full_name);
       console.log('Run ID:', githubRunId);
       console.log('Conclusion:', run.conclusion);
+      console.log('Attempt:', runAttempt);
 
       try {
+        // Status of the previous attempt - a re-run keeps the run id
+        const previous = await prisma.workflowRun.findUnique({
+          where: { githubRunId },
+          select: { status: true }
+        });
+
+        // A passing re-run of a failed attempt is recorded next to it: the run stays
+        // failed, so its analysis, incidents and flakiness keep the failed attempt
+        const passedAfterFailure = !needsAnalysis && ANALYZED_CONCLUSIONS.includes(previous?.status);
+
         // ----------------------------
         // 1️⃣ Save WorkflowRun in DB (both success and failure)
         // ----------------------------
-        await prisma.workflowRun.upsert({
+        const savedRun = await prisma.workflowRun.upsert({
           where: { githubRunId },
-          update: {
-            status: run.conclusion,
-          },
+          update: passedAfterFailure
+            ? { rerunConclusion: run.conclusion, rerunAttempt: runAttempt }
+            : { status: run.conclusion, runAttempt, rerunConclusion: null, rerunAttempt: null },
           create: {
             githubRunId,
             workflowName: run.name ?? 'unknown',
             status: run.conclusion ?? 'unknown',
             triggerEvent: run.event ?? 'unknown',
+            runAttempt,
 
             // ✅ REQUIRED FIELDS
             commitSha: run.head_sha ?? 'unknown',
@@ -83,16 +99,25 @@ export const WebhooksController = {
 
         console.log('✅ WorkflowRun saved in DB:', githubRunId);
 
+        // A passing run makes earlier failures of the same commit (and attempt) look flaky
+        if (run.conclusion === 'success') {
+          const rescored = await new FlakinessService().recordSuccess(savedRun);
+          if (passedAfterFailure || rescored > 0) {
+            console.log(`🎲 Flakiness updated: re-run after failure: ${passedAfterFailure}, ${rescored} failed run(s) on the same commit rescored`);
+          }
+        }
+
         // ----------------------------
-        // 2️⃣ Only queue log processing for FAILURES
+        // 2️⃣ Only queue log processing for failed / timed out / cancelled runs
         // ----------------------------
-        if (isFailure && installation) {
+        if (needsAnalysis && installation) {
           // Use unique jobId with timestamp to allow re-processing of same run ID
           const jobId = `${run.id}-${Date.now()}`;
           await logProcessingQueue.add('log-processing', {
             repoFullName: repo.full_name,
             runId: run.id,
             installationId: installation.id,
+            conclusion: run.conclusion,
           }, {
             jobId: jobId,  // Unique ID prevents deduplication
             removeOnComplete: 100,  // Keep last 100 completed jobs
@@ -18,8 +18,14 @@ import userRoutes from './routes/user.routes.js';
 import insightsRoutes from './routes/insights.routes.js';
 import incidentsRoutes from './routes/incidents.routes.js';
 import chatRoutes from './routes/chat.routes.js';
+import taxonomyRoutes from './routes/taxonomy.routes.js';
+import usageRoutes from './routes/usage.routes.js';
 import { LogParserService } from './services/logParser.js';
 import { AIAnalyzerService } from './services/aiAnalyzer.js';
+import { FailureClassifierService } from './services/failureClassifier.js';
+import { UsageService } from './services/usageService.js';
+import { createGenerationClient } from './services/llmProviders.js';
+import { authenticate } from './middlewares/auth.middleware.js';
 
 const app = express();
 const port = process.env.PORT || 3001;
@@ -75,20 +81,64 @@ app.use('/api/runs', runRoutes);
 app.use('/api/insights', insightsRoutes);
 app.use('/api/incidents', incidentsRoutes);
 app.use('/api/chat', chatRoutes);
-console.log('API ROUTES LOADED: /api/dashboard, /api/analytics, /api/user, /api/repos, /api/runs, /api/insights, /api/incidents, /api/chat');
+app.use('/api/taxonomy', taxonomyRoutes);
+app.use('/api/usage', usageRoutes);
+console.log('API ROUTES LOADED: /api/dashboard, /api/analytics, /api/user, /api/repos, /api/runs, /api/insights, /api/incidents, /api/chat, /api/taxonomy, /api/usage');
 
 // 6. Global log analysis endpoint
 const logParser = new LogParserService();
-const aiAnalyzer = new AIAnalyzerService();
+const usageService = new UsageService();
 
-app.post('/api/analyze', async (req, res) => {
+app.post('/api/analyze', authenticate, async (req, res) => {
   try {
     const { rawLog, context } = req.body;
     if (!rawLog) {
       return res.status(400).json({ error: 'rawLog is required' });
     }
-    const parsedLog = logParser.parse(rawLog);
-    const analysis = await aiAnalyzer.analyze(parsedLog, context || {});
+    // Optional CI provider hint (github-actions, gitlab-ci, jenkins, circleci), auto-detected otherwise
+    // Optional JUnit XML reports for structured test results
+    const parsedLog = logParser.parse(rawLog, { provider: context?.provider, reports: context?.reports });
+
+    // Deterministic classification first, like the worker - default rules, no repo to override them
+    const classification = new FailureClassifierService().classify(parsedLog.chunks, parsedLog.detectedErrors);
+    if (classification.skipAI) {
+      const analysis = {
+        rootCause: classification.rootCause,
+        failureStage: classification.failureStage,
+        suggestedFix: classification.suggestedFix,
+        confidence: classification.confidence,
+        usedAI: false,
+        analysisStatus: 'deterministic',
+        classification: classification.failureType,
+        priority: classification.priority,
+      };
+      return res.json({ success: true, parsed: parsedLog, analysis });
+    }
+
+    // Created per request - the deployment's provider is resolved when the endpoint is used,
+    // and the calls are metered for the user. No RAG: the log belongs to no repo.
+    const meter = usageService.createMeter({ owner: req.user.username, userId: req.user.id });
+    const aiAnalyzer = new AIAnalyzerService({
+      llm: createGenerationClient(undefined, { meter }),
+      embeddingService: null,
+    });
+    const aiResult = await aiAnalyzer.analyzeFailure(
+      logParser.getAnalysisSteps(parsedLog.chunks),
+      parsedLog.detectedErrors,
+      parsedLog.chunks,
+      {
+        failureType: classification.failureType,
+        priority: classification.priority,
+        candidates: classification.candidates,
+      },
+      { diagnostics: parsedLog.diagnostics }
+    );
+
+    const analysis = {
+      ...aiResult,
+      classification: classification.failureType,
+      priority: classification.priority,
+    };
     return res.json({ success: true, parsed: parsedLog, analysis });
   } catch (err) {
     console.error('Analysis error:', err);
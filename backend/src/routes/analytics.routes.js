@@ -16,4 +16,13 @@ router.get('/categories', AnalyticsController.getCategories);
 // GET /api/analytics/top-failures - Most common failure patterns
 router.get('/top-failures', AnalyticsController.getTopFailures);
 
+// GET /api/analytics/step-durations - Step durations and trends across runs
+router.get('/step-durations', AnalyticsController.getStepDurations);
+
+// GET /api/analytics/error-fingerprints - Same errors grouped across runs and repos
+router.get('/error-fingerprints', AnalyticsController.getErrorFingerprints);
+
+// GET /api/analytics/flakiness - Flake rates per workflow and per test
+router.get('/flakiness', AnalyticsController.getFlakiness);
+
 export default router;
@@ -1,5 +1,11 @@
 import { Router } from 'express';
 import { RepoController } from '../controllers/repo.controller.js';
+import { ErrorPatternController } from '../controllers/errorPattern.controller.js';
+import { RedactionRuleController } from '../controllers/redactionRule.controller.js';
+import { ClassificationRulesController } from '../controllers/classificationRules.controller.js';
+import { LlmSettingsController } from '../controllers/llmSettings.controller.js';
+import { PromptExperimentController } from '../controllers/promptExperiment.controller.js';
+import { UsageController } from '../controllers/usage.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
 
 const router = Router();
@@ -17,6 +23,72 @@ router.get('/:id', authenticate, RepoController.getById);
 // GET /api/repos/:id/runs - Get runs for a repo with filtering
 router.get('/:id/runs', authenticate, RepoController.getRuns);
 
+// GET /api/repos/:id/patterns - List custom error patterns
+router.get('/:id/patterns', authenticate, ErrorPatternController.list);
+
+// POST /api/repos/:id/patterns - Create a custom error pattern
+router.post('/:id/patterns', authenticate, ErrorPatternController.create);
+
+// POST /api/repos/:id/patterns/test - Test a pattern against a sample log
+router.post('/:id/patterns/test', authenticate, ErrorPatternController.test);
+
+// PUT /api/repos/:id/patterns/:patternId - Update / enable / disable a custom error pattern
+router.put('/:id/patterns/:patternId', authenticate, ErrorPatternController.update);
+
+// DELETE /api/repos/:id/patterns/:patternId - Delete a custom error pattern
+router.delete('/:id/patterns/:patternId', authenticate, ErrorPatternController.remove);
+
+// GET /api/repos/:id/redaction-rules - List secret / PII redaction rules
+router.get('/:id/redaction-rules', authenticate, RedactionRuleController.list);
+
+// POST /api/repos/:id/redaction-rules - Create a redaction rule
+router.post('/:id/redaction-rules', authenticate, RedactionRuleController.create);
+
+// PUT /api/repos/:id/redaction-rules/:ruleId - Update / enable / disable a redaction rule
+router.put('/:id/redaction-rules/:ruleId', authenticate, RedactionRuleController.update);
+
+// DELETE /api/repos/:id/redaction-rules/:ruleId - Delete a redaction rule
+router.delete('/:id/redaction-rules/:ruleId', authenticate, RedactionRuleController.remove);
+
+// GET /api/repos/:id/classification-rules - Default, org / repo override and effective classification rules
+router.get('/:id/classification-rules', authenticate, ClassificationRulesController.get);
+
+// PUT /api/repos/:id/classification-rules?scope=repo|org - Replace the repo (or org) rule overrides
+router.put('/:id/classification-rules', authenticate, ClassificationRulesController.update);
+
+// DELETE /api/repos/:id/classification-rules?scope=repo|org - Remove the repo (or org) rule overrides
+router.delete('/:id/classification-rules', authenticate, ClassificationRulesController.remove);
+
+// GET /api/repos/:id/llm-provider - Available LLM providers, the org (repo owner) setting and the effective one
+router.get('/:id/llm-provider', authenticate, LlmSettingsController.get);
+
+// PUT /api/repos/:id/llm-provider - Set the org's LLM provider / model
+router.put('/:id/llm-provider', authenticate, LlmSettingsController.update);
+
+// DELETE /api/repos/:id/llm-provider - Remove the org's LLM provider setting
+router.delete('/:id/llm-provider', authenticate, LlmSettingsController.remove);
+
+// GET /api/repos/:id/prompt-experiment - Prompt versions, the running and past A/B experiments
+router.get('/:id/prompt-experiment', authenticate, PromptExperimentController.get);
+
+// GET /api/repos/:id/prompt-experiment/report?experimentId= - Compare the two prompt versions of an experiment
+router.get('/:id/prompt-experiment/report', authenticate, PromptExperimentController.report);
+
+// PUT /api/repos/:id/prompt-experiment - Start an A/B experiment of two analysis prompt versions
+router.put('/:id/prompt-experiment', authenticate, PromptExperimentController.update);
+
+// DELETE /api/repos/:id/prompt-experiment - Stop the running experiment
+router.delete('/:id/prompt-experiment', authenticate, PromptExperimentController.remove);
+
+// GET /api/repos/:id/usage-budget - The repo's and its org's monthly LLM budgets and usage
+router.get('/:id/usage-budget', authenticate, UsageController.getBudget);
+
+// PUT /api/repos/:id/usage-budget - Set the repo's or its org's monthly LLM budget
+router.put('/:id/usage-budget', authenticate, UsageController.updateBudget);
+
+// DELETE /api/repos/:id/usage-budget?scope=repo|org - Remove a budget
+router.delete('/:id/usage-budget', authenticate, UsageController.removeBudget);
+
 // POST /api/repos/sync - Import selected repos from GitHub
 router.post('/sync', authenticate, RepoController.sync);
 
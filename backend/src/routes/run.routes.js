@@ -10,9 +10,21 @@ router.get('/:id', authenticate, RunController.getById);
 // GET /api/runs/:id/logs - Get log chunks for a run
 router.get('/:id/logs', authenticate, RunController.getLogs);
 
+// GET /api/runs/:id/diff - Diff the run's log against the last green run (or ?against=<runId>)
+router.get('/:id/diff', authenticate, RunController.getDiff);
+
 // GET /api/runs/:id/similar - Get similar past failures
 router.get('/:id/similar', authenticate, RunController.getSimilar);
 
+// POST /api/runs/:id/corrections - Correct the failure type / root cause
+router.post('/:id/corrections', authenticate, RunController.correct);
+
+// GET /api/runs/:id/corrections - Correction history and fix ratings
+router.get('/:id/corrections', authenticate, RunController.getCorrections);
+
+// PUT /api/runs/:id/fix-rating - Rate the suggested fix
+router.put('/:id/fix-rating', authenticate, RunController.rateFix);
+
 // GET /api/runs/:id/analysis - Get analysis (deprecated, use /:id instead)
 router.get('/:id/analysis', authenticate, RunController.getAnalysis);
 
@@ -0,0 +1,13 @@
+import express from 'express';
+import { TaxonomyController } from '../controllers/taxonomy.controller.js';
+import { authMiddleware } from '../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// All taxonomy routes require authentication
+router.use(authMiddleware);
+
+// GET /api/taxonomy - Failure types, priorities, labels, severities and colours
+router.get('/', TaxonomyController.get);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from 'express';
+import { UsageController } from '../controllers/usage.controller.js';
+import { authMiddleware } from '../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// All usage routes require authentication
+router.use(authMiddleware);
+
+// GET /api/usage?month=&repoId= - LLM calls, tokens and cost by repo, purpose and model, and budgets
+router.get('/', UsageController.getUsage);
+
+export default router;
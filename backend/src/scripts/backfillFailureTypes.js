@@ -7,6 +7,7 @@
 import 'dotenv/config';
 import { PrismaClient } from '@prisma/client';
 import { FailureClassifierService } from '../services/failureClassifier.js';
+import { ClassificationRulesetService } from '../services/classificationRulesetService.js';
 
 const prisma = new PrismaClient();
 
@@ -24,7 +25,8 @@ async function backfillFailureTypes() {
         include: {
             workflowRun: {
                 include: {
-                    chunks: true
+                    chunks: true,
+                    repo: true
                 }
             }
         }
@@ -38,7 +40,9 @@ async function backfillFailureTypes() {
         return;
     }
 
-    const classifier = new FailureClassifierService();
+    // One classifier per repo - each repo may override the default rules
+    const rulesetService = new ClassificationRulesetService();
+    const classifiers = new Map();
     let updated = 0;
 
     for (const analysis of analyses) {
@@ -63,7 +67,11 @@ async function backfillFailureTypes() {
             }
 
             // Run classifier
-            const classification = classifier.classify(chunks, detectedErrors);
+            const repo = analysis.workflowRun.repo;
+            if (!classifiers.has(repo.id)) {
+                classifiers.set(repo.id, new FailureClassifierService({ ruleset: await rulesetService.getRuleset(repo) }));
+            }
+            const classification = classifiers.get(repo.id).classify(chunks, detectedErrors);
 
             console.log(`  → Classified as: ${classification.failureType} (P${classification.priority})`);
 
@@ -73,6 +81,8 @@ async function backfillFailureTypes() {
                 data: {
                     failureType: classification.failureType,
                     priority: classification.priority,
+                    classifierVersion: classification.classifierVersion,
+                    candidates: JSON.stringify(classification.candidates),
                 }
             });
 
@@ -0,0 +1,129 @@
+/**
+ * Classifier Evaluation: parser + classifier accuracy over the labeled corpus
+ *
+ * Run with: node backend/src/scripts/evaluateClassifier.js [options]
+ *   --corpus <dir>        corpus directory (default backend/eval/corpus)
+ *   --baseline <file>     baseline to diff against (default backend/eval/baseline.json)
+ *   --rules <file>        override rules to evaluate ({ rules: [...] }, as saved per repo)
+ *   --update-baseline     save this run as the new baseline
+ *   --fail-on-regression  exit 1 when a case that was right in the baseline is now wrong, or
+ *                         any case is misclassified
+ *   --json                print the full evaluation as JSON
+ *
+ * See services/classifierEvaluation.js for the corpus format.
+ */
+
+import fs from 'fs';
+import {
+    DEFAULT_CORPUS_DIR, DEFAULT_BASELINE_FILE,
+    loadCorpus, evaluate, getMisclassified, toBaseline, compareToBaseline
+} from '../services/classifierEvaluation.js';
+import { FailureClassifierService } from '../services/failureClassifier.js';
+import { getDefaultRuleset, mergeRulesets, compileRuleset, validateRuleOverrides } from '../services/classificationRules.js';
+
+function parseArgs(argv) {
+    const options = { corpus: DEFAULT_CORPUS_DIR, baseline: DEFAULT_BASELINE_FILE };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (['--corpus', '--baseline', '--rules'].includes(arg)) {
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--update-baseline') {
+            options.updateBaseline = true;
+        } else if (arg === '--fail-on-regression') {
+            options.failOnRegression = true;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    return options;
+}
+
+function buildClassifier(rulesFile) {
+    if (!rulesFile) {
+        return new FailureClassifierService();
+    }
+    const { rules } = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+    const validationError = validateRuleOverrides(rules);
+    if (validationError) {
+        throw new Error(`${rulesFile}: ${validationError}`);
+    }
+    const ruleset = mergeRulesets(getDefaultRuleset(), [{ scope: 'eval', version: 1, rules }]);
+    return new FailureClassifierService({ ruleset: compileRuleset(ruleset) });
+}
+
+const percent = (value) => (value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+function printReport(evaluation, comparison) {
+    const { metrics } = evaluation;
+    console.log(`📊 Classifier ${evaluation.classifierVersion} - ${metrics.cases} case(s)\n`);
+    console.log(`Failure type accuracy: ${percent(metrics.accuracy)}`);
+    console.log(`Priority accuracy:     ${percent(metrics.priorityAccuracy)}`);
+    console.log(`Failing step accuracy: ${percent(metrics.stepAccuracy)}\n`);
+
+    console.log('Per class:');
+    console.log(`  ${'type'.padEnd(12)} support  precision  recall     f1`);
+    for (const c of metrics.perClass) {
+        console.log(`  ${c.failureType.padEnd(12)} ${String(c.support).padStart(7)}  ${percent(c.precision).padStart(9)}  ${percent(c.recall)}  ${c.f1.toFixed(3)}`);
+    }
+
+    const classes = Object.keys(metrics.confusion);
+    const width = Math.max(...classes.map(c => c.length), 8) + 1;
+    console.log('\nConfusion matrix (rows: expected, columns: predicted):');
+    console.log(`  ${''.padEnd(width)}${classes.map(c => c.slice(0, 5).padStart(6)).join('')}`);
+    for (const expected of classes) {
+        console.log(`  ${expected.padEnd(width)}${classes.map(p => String(metrics.confusion[expected][p] || '.').padStart(6)).join('')}`);
+    }
+
+    const wrong = getMisclassified(evaluation);
+    if (wrong.length > 0) {
+        console.log('\nMisclassified:');
+        for (const r of wrong) {
+            console.log(`  ${r.id}: expected ${r.expected.failureType} @ ${r.expected.step ?? '-'}, got ${r.predicted.failureType} @ ${r.predicted.step ?? '-'} (rule ${r.predicted.ruleId ?? '-'})`);
+        }
+    }
+
+    if (!comparison) {
+        console.log('\nNo baseline to compare against (save one with --update-baseline)');
+        return;
+    }
+    console.log(`\nVs baseline: ${comparison.fixed} fixed, ${comparison.regressed} regressed, ${comparison.newCases.length} new case(s), ${comparison.removedCases.length} removed`);
+    for (const change of comparison.changes) {
+        const icon = { fixed: '✅', regressed: '❌', changed: '🔁' }[change.status];
+        console.log(`  ${icon} ${change.id} ${change.field}: ${change.baseline ?? '-'} -> ${change.current ?? '-'} (expected ${change.expected ?? '-'})`);
+    }
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const corpus = loadCorpus(options.corpus);
+    const evaluation = evaluate(corpus, { classifier: buildClassifier(options.rules) });
+
+    const baseline = fs.existsSync(options.baseline)
+        ? JSON.parse(fs.readFileSync(options.baseline, 'utf8'))
+        : null;
+    const comparison = baseline ? compareToBaseline(evaluation, baseline) : null;
+
+    if (options.json) {
+        console.log(JSON.stringify({ ...evaluation, comparison }, null, 2));
+    } else {
+        printReport(evaluation, comparison);
+    }
+
+    if (options.updateBaseline) {
+        fs.writeFileSync(options.baseline, `${JSON.stringify(toBaseline(evaluation), null, 2)}\n`);
+        console.log(`\n💾 Baseline saved to ${options.baseline}`);
+    }
+
+    if (options.failOnRegression && (comparison?.regressed > 0 || getMisclassified(evaluation).length > 0)) {
+        process.exitCode = 1;
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exitCode = 1;
+}
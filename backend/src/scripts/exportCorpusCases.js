@@ -0,0 +1,113 @@
+/**
+ * Export analyzed runs into the classifier evaluation corpus
+ *
+ * Run with: node backend/src/scripts/exportCorpusCases.js --repo <owner/name> [options]
+ *   --repo <owner/name>  runs of this repo (required unless --run is given)
+ *   --run <id>           a single run (WorkflowRun id), can be repeated
+ *   --limit <n>          most recent analyzed failures of the repo (default 20)
+ *   --verified           only runs whose analysis a user corrected or confirmed
+ *   --corpus <dir>       corpus directory (default backend/eval/corpus)
+ *
+ * The log is rebuilt from the stored (already redacted) chunks, the labels come from
+ * the run's analysis: failureType, priority and the step of its primary error.
+ * Labels of --verified runs come from a user (POST /api/runs/:id/corrections), review
+ * any other labels before committing a case - the corpus is only as good as they are.
+ */
+
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import { DEFAULT_CORPUS_DIR, writeCase, logFromChunks } from '../services/classifierEvaluation.js';
+
+const prisma = new PrismaClient();
+
+function parseArgs(argv) {
+    const options = { corpus: DEFAULT_CORPUS_DIR, runs: [], limit: 20 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--repo') {
+            options.repo = argv[++i];
+        } else if (arg === '--run') {
+            options.runs.push(parseInt(argv[++i]));
+        } else if (arg === '--limit') {
+            options.limit = parseInt(argv[++i]) || options.limit;
+        } else if (arg === '--verified') {
+            options.verified = true;
+        } else if (arg === '--corpus') {
+            options.corpus = argv[++i];
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    if (!options.repo && options.runs.length === 0) {
+        throw new Error('Pass --repo <owner/name> or --run <id>');
+    }
+    return options;
+}
+
+async function findRuns(options) {
+    const include = {
+        repo: true,
+        analysis: true,
+        chunks: { orderBy: { chunkIndex: 'asc' } },
+        errorOccurrences: true
+    };
+
+    const analysis = options.verified ? { is: { humanVerified: true } } : { isNot: null };
+
+    if (options.runs.length > 0) {
+        return prisma.workflowRun.findMany({ where: { id: { in: options.runs }, analysis }, include });
+    }
+
+    const [owner, name] = options.repo.split('/');
+    return prisma.workflowRun.findMany({
+        where: {
+            repo: { owner, name },
+            status: 'failure',
+            analysis
+        },
+        orderBy: { createdAt: 'desc' },
+        take: options.limit,
+        include
+    });
+}
+
+async function exportCorpusCases() {
+    const options = parseArgs(process.argv.slice(2));
+    const runs = await findRuns(options);
+    console.log(`🔄 Exporting ${runs.length} run(s) to ${options.corpus}\n`);
+
+    let exported = 0;
+    for (const run of runs) {
+        if (!run.analysis?.failureType || run.chunks.length === 0) {
+            console.log(`  ⏭️  Run ${run.id}: no analysis or stored log, skipped`);
+            continue;
+        }
+
+        const primaryError = run.errorOccurrences.find(e => e.fingerprint === run.analysis.fingerprint);
+        const id = `${run.repo.owner}-${run.repo.name}-${run.githubRunId}`.toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+
+        writeCase(options.corpus, {
+            id,
+            description: `${run.repo.owner}/${run.repo.name} ${run.workflowName} on ${run.branch} (${run.commitSha.substring(0, 7)}): ${run.analysis.rootCause.substring(0, 200)}`,
+            source: run.analysis.humanVerified ? 'correction' : 'export',
+            expected: {
+                failureType: run.analysis.failureType,
+                priority: run.analysis.priority,
+                step: primaryError?.stepName ?? null
+            },
+            log: logFromChunks(run.chunks)
+        });
+
+        exported++;
+        console.log(`  ✅ Run ${run.id} -> ${id} (${run.analysis.failureType})`);
+    }
+
+    console.log(`\n✅ Exported ${exported} case(s)`);
+}
+
+exportCorpusCases()
+    .catch(error => {
+        console.error('❌ Export failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
@@ -1,26 +1,66 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { RAGService } from './ragService.js';
+import { createGenerationClient } from './llmProviders.js';
+import { parseAnalysisResponse, parseClassificationResponse } from './analysisSchema.js';
+import { renderPrompt, getDefaultPromptId } from './promptTemplates.js';
+import { FAILURE_TYPES, getPriority } from './failureTaxonomy.js';
+
+// Failure types the AI can choose from (UNKNOWN is the fallback, not a choice)
+const PROMPT_FAILURE_TYPES = FAILURE_TYPES.filter(entry => entry.type !== 'UNKNOWN');
+
+// Times an analysis that fails the schema goes back to the model with its errors
+const MAX_REPAIR_ATTEMPTS = (() => {
+  const value = parseInt(process.env.AI_REPAIR_ATTEMPTS, 10);
+  return Number.isNaN(value) || value < 0 ? 2 : value;
+})();
+
+/**
+ * classifyWithAI result when the AI adds nothing - the failure stays UNKNOWN
+ */
+function unclassified(reason) {
+  return {
+    failureType: 'UNKNOWN',
+    priority: getPriority('UNKNOWN'),
+    confidence: { score: 0.0, reason }
+  };
+}
 
 export class AIAnalyzerService {
-  constructor() {
-    // Initialize Gemini AI only if API key is provided
-    if (process.env.GEMINI_API_KEY) {
-      this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-      // Use gemini-2.0-flash (current model)
-      this.model = this.genAI.getGenerativeModel({
-        model: "gemini-2.5-flash-lite"
-      });
-      this.useRealAI = true;
-      console.log('✅ Google Gemini AI initialized (gemini-1.5-flash)');
+  /**
+   * @param {Object} options - {
+   *   llm: generation client from createGenerationClient(), the deployment's by default -
+   *     the worker passes the repo owner's (see llmSettingService.js),
+   *   promptVersion: analysis prompt version ("analysis@2"), the default one by default -
+   *     the worker passes the repo's A/B assignment (see promptExperimentService.js),
+   *   embeddingService: EmbeddingService for RAG, on a metered client (createEmbeddingClient({ meter })) -
+   *     RAG is off without one,
+   *   offlineStatus: analysisStatus of offline analyses - 'budget' when the offline client
+   *     stands in for a model because the repo's LLM budget is used up (see usageService.js)
+   * }
+   */
+  constructor({
+    llm = createGenerationClient(),
+    promptVersion = getDefaultPromptId('analysis'),
+    embeddingService = null,
+    offlineStatus = 'offline',
+  } = {}) {
+    this.llm = llm;
+    this.promptVersion = promptVersion;
+    this.offlineStatus = offlineStatus;
+    this.useRealAI = !llm.offline;
+    // Answers when the model fails - deterministic, from the same input
+    this.offlineLlm = llm.offline ? llm : createGenerationClient({ provider: 'offline' });
 
-      // Phase 3: Initialize RAG
-      this.ragService = new RAGService();
-      this.useRAG = true;
+    if (this.useRealAI) {
+      console.log(`✅ LLM initialized (${llm.label})`);
+    } else if (offlineStatus === 'budget') {
+      console.warn('⚠️  Monthly LLM budget used up. Using offline analysis.');
     } else {
-      this.useRealAI = false;
-      this.useRAG = false;
-      console.warn('⚠️  GEMINI_API_KEY not found. Using mock AI responses.');
+      console.warn('⚠️  No LLM provider configured (see GEMINI_SETUP.md). Using offline analysis.');
     }
+
+    // Phase 3: Initialize RAG - every embedding provider works, the offline one included
+    this.useRAG = embeddingService !== null;
+    this.ragService = this.useRAG ? new RAGService(embeddingService) : null;
   }
 
   /**
@@ -30,8 +70,12 @@ export class AIAnalyzerService {
    * @param {Array} detectedErrors - Detected errors
    * @param {Array} chunks - Log chunks for RAG
    * @param {Object} classificationContext - Optional priority context from classifier
+   * @param {Object} evidence - Optional extra evidence: {
+   *   diagnostics: file / line annotations from the log parser,
+   *   baselineDiff: what changed since the last green run ({ sections, missingSteps, changedToolVersions })
+   * }
    */
-  async analyzeFailure(steps, detectedErrors, chunks = null, classificationContext = null) {
+  async analyzeFailure(steps, detectedErrors, chunks = null, classificationContext = null, evidence = {}) {
     // Phase 3: Retrieve RAG context if available
     let ragContext = null;
     if (this.useRAG && chunks) {
@@ -47,142 +91,137 @@ export class AIAnalyzerService {
     }
 
     // Build prompt (with or without RAG context and classification)
-    const basePrompt = this.constructPrompt(steps, detectedErrors, classificationContext);
+    const { prompt: basePrompt, promptVersion } = this.constructPrompt(steps, detectedErrors, classificationContext, null, evidence);
     const prompt = ragContext && ragContext.hasSimilarCases
       ? this.ragService.buildEnhancedPrompt(basePrompt, ragContext)
       : basePrompt;
 
-    // Use real AI if configured
-    if (this.useRealAI) {
-      try {
-        console.log('🤖 Sending request to Google Gemini AI...');
-
-        const result = await this.model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-
-        console.log('✅ Received response from Gemini AI');
-
-        // Parse AI response
-        const parsedResponse = this.parseAIResponse(text);
-
-        // Add RAG confidence if available
-        if (ragContext && ragContext.hasSimilarCases) {
-          const confidence = this.ragService.assessConfidence(ragContext);
-          parsedResponse.confidence = confidence;
-          parsedResponse.usedRAG = true;
-          parsedResponse.similarCasesCount = ragContext.similarCases.length;
-        } else {
-          parsedResponse.confidence = { score: 0.5, reason: 'No historical context available' };
-          parsedResponse.usedRAG = false;
-        }
+    // Structured input of the prompt, for the offline provider
+    const request = {
+      task: 'analysis',
+      input: { steps, detectedErrors, classificationContext, ragContext },
+    };
 
-        return parsedResponse;
+    // The failure stage and cited lines must come from what the prompt showed
+    const schemaContext = { steps: steps || [], detectedErrors: detectedErrors || [] };
+    const parsedResponse = this.useRealAI
+      ? await this.generateValidAnalysis(prompt, request, schemaContext)
+      : await this.offlineAnalysis(prompt, request, schemaContext, this.offlineStatus);
+    parsedResponse.promptVersion = promptVersion;
 
-      } catch (error) {
-        console.error('❌ Gemini AI error:', error.message);
-        console.log('⚠️  Falling back to mock response');
-        return this.getMockResponse();
-      }
+    // Add RAG confidence if available
+    if (ragContext && ragContext.hasSimilarCases) {
+      const confidence = this.ragService.assessConfidence(ragContext);
+      parsedResponse.confidence = confidence;
+      parsedResponse.usedRAG = true;
+      parsedResponse.similarCasesCount = ragContext.similarCases.length;
+    } else {
+      parsedResponse.confidence = { score: 0.5, reason: 'No historical context available' };
+      parsedResponse.usedRAG = false;
     }
 
-    // Fall back to mock response
-    console.log('--- Using Mock AI Response ---');
-    return this.getMockResponse();
+    return parsedResponse;
   }
 
   /**
-   * Parse AI response into structured format
-   * Tries to extract JSON first, falls back to text parsing
+   * Generate an analysis that passes the schema (see analysisSchema.js). An invalid
+   * response goes back to the model with its errors, up to MAX_REPAIR_ATTEMPTS times;
+   * when none validates or the provider fails, the offline analysis is used instead.
+   * @returns {Promise<Object>} analysis with analysisStatus 'valid', 'repaired', 'invalid' or 'failed'
    */
-  parseAIResponse(aiText) {
-    try {
-      // Try to parse as JSON if AI returned JSON format
-      const jsonMatch = aiText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return {
-          rootCause: parsed.rootCause || parsed.root_cause || 'Analysis completed',
-          failureStage: parsed.failureStage || parsed.failure_stage || 'Build/Test',
-          suggestedFix: parsed.suggestedFix || parsed.suggested_fix || parsed.fix || aiText
-        };
-      }
-    } catch (error) {
-      // JSON parsing failed, fall back to text extraction
-    }
+  async generateValidAnalysis(prompt, request, schemaContext) {
+    let attemptPrompt = prompt;
+    let errors = [];
 
-    // Extract information from text response
-    const lines = aiText.split('\n').filter(line => line.trim());
-
-    // Try to find specific sections
-    let rootCause = 'Unable to determine root cause';
-    let failureStage = 'Build/Test';
-    let suggestedFix = aiText;
-
-    // Look for common patterns in AI responses
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].toLowerCase();
-
-      if (line.includes('root cause') || line.includes('problem') || line.includes('issue')) {
-        rootCause = lines[i + 1] || lines[i];
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+      let text;
+      try {
+        console.log(`🤖 Sending request to ${this.llm.label}${attempt > 0 ? ` (repair ${attempt}/${MAX_REPAIR_ATTEMPTS})` : ''}...`);
+        text = await this.llm.generate(attemptPrompt, attempt > 0 ? { ...request, purpose: 'repair' } : request);
+      } catch (error) {
+        console.error(`❌ ${this.llm.label} error:`, error.message);
+        console.log('⚠️  Falling back to offline analysis');
+        return this.offlineAnalysis(prompt, request, schemaContext, 'failed');
       }
 
-      if (line.includes('stage') || line.includes('step')) {
-        failureStage = lines[i + 1] || lines[i];
+      const { analysis, errors: responseErrors } = parseAnalysisResponse(text, schemaContext);
+      if (analysis) {
+        console.log(`✅ Received ${attempt > 0 ? 'repaired' : 'valid'} response from ${this.llm.label}`);
+        return this.formatAnalysis(analysis, {
+          analysisStatus: attempt > 0 ? 'repaired' : 'valid',
+          // What the repair fixed
+          validationErrors: attempt > 0 ? errors : null,
+          usedAI: true,
+          llmProvider: this.llm.label,
+        });
       }
 
-      if (line.includes('fix') || line.includes('solution') || line.includes('resolve')) {
-        suggestedFix = lines.slice(i).join('\n');
-      }
+      errors = responseErrors;
+      console.warn(`⚠️  Invalid response from ${this.llm.label}: ${errors.join('; ')}`);
+      attemptPrompt = this.constructRepairPrompt(prompt, text, errors);
     }
 
-    return {
-      rootCause: rootCause.replace(/^[\*\-#\d.]+\s*/, '').substring(0, 300),
-      failureStage: failureStage.replace(/^[\*\-#\d.]+\s*/, '').substring(0, 100),
-      suggestedFix: suggestedFix.substring(0, 500)
-    };
+    console.log(`⚠️  No valid response after ${MAX_REPAIR_ATTEMPTS} repair(s) - falling back to offline analysis`);
+    return this.offlineAnalysis(prompt, request, schemaContext, 'invalid', errors);
   }
 
   /**
-   * Mock response for when AI is not configured or fails
+   * Deterministic analysis of the offline provider, from the same input as the prompt
+   * @param {string} analysisStatus - 'offline', or why the model's analysis wasn't used
+   * @param {Array} validationErrors - Schema errors of the model's last response
    */
-  getMockResponse() {
-    return {
-      rootCause: 'The build failed because the `react-scripts` package, a crucial dependency for Create React App projects, was not found in the node_modules directory.',
-      failureStage: 'Run npm build',
-      suggestedFix: "The missing dependency suggests an incomplete or corrupted installation. Run `npm install` to ensure all dependencies from `package.json` are correctly installed. If the issue persists, consider deleting `node_modules` and `package-lock.json` before running `npm install` again to start with a clean slate.",
-    };
+  async offlineAnalysis(prompt, request, schemaContext, analysisStatus, validationErrors = null) {
+    const text = await this.offlineLlm.generate(prompt, request);
+    const { analysis, errors } = parseAnalysisResponse(text, schemaContext);
+    if (!analysis) {
+      // A bug, not a model answer - fail loudly instead of storing it
+      throw new Error(`Offline analysis does not match the schema: ${errors.join('; ')}`);
+    }
+    return this.formatAnalysis(analysis, {
+      analysisStatus,
+      validationErrors,
+      usedAI: false,
+      llmProvider: this.offlineLlm.label,
+    });
+  }
+
+  /**
+   * Validated analysis to the analyzeFailure result - the model's confidence is kept
+   * apart, confidence is set from the RAG context
+   */
+  formatAnalysis({ confidence, ...analysis }, details) {
+    return { ...analysis, modelConfidence: confidence, ...details };
+  }
+
+  /**
+   * Prompt asking the model to fix its invalid response
+   * @param {string} prompt - Original analysis prompt
+   * @param {string} response - The invalid response
+   * @param {Array} errors - Schema errors of the response
+   */
+  constructRepairPrompt(prompt, response, errors) {
+    return renderPrompt('repair', {
+      prompt,
+      response: (response || '').substring(0, 4000),
+      problems: errors.map(error => `- ${error}`).join('\n'),
+    }).prompt;
   }
 
   /**
-   * Construct a detailed prompt for the AI
+   * Construct a detailed prompt for the AI from the analysis prompt template
    * @param {Array} steps - Parsed log steps
    * @param {Array} detectedErrors - Detected errors  
    * @param {Object} classificationContext - Optional priority context
    * @param {Object} ragContext - Optional RAG context for historical grounding
+   * @param {Object} evidence - Optional { diagnostics, baselineDiff }, see analyzeFailure
+   * @param {string} promptVersion - Template version, this analyzer's by default
+   * @returns {Object} { prompt, promptVersion }
    */
-  constructPrompt(steps, detectedErrors, classificationContext = null, ragContext = null) {
-    // ============================================
-    // SECTION 1: STRICT OUTPUT RULES (Top Priority)
-    // ============================================
-    let prompt = `IMPORTANT OUTPUT RULES:
-- Respond with ONLY valid JSON
-- Do NOT include explanations, markdown, or extra text
-- Do NOT wrap JSON in code blocks
-- The response MUST start with '{' and end with '}'
-- If you are unsure, still return JSON using your best judgment
-
-You are an expert CI/CD troubleshooter analyzing a build failure.
-
-`;
-
-    // ============================================
-    // SECTION 2: PRIMARY ERROR SIGNALS (Authoritative)
-    // ============================================
-    prompt += `== PRIMARY ERROR SIGNALS (AUTHORITATIVE) ==
-These errors were extracted deterministically and are TRUSTED. Base your analysis primarily on these.
-
-`;
+  constructPrompt(steps, detectedErrors, classificationContext = null, ragContext = null, evidence = {}, promptVersion = this.promptVersion) {
+    const { diagnostics = [], baselineDiff = null } = evidence || {};
+
+    // Primary error signals (authoritative)
+    const errorLines = [];
     if (detectedErrors && detectedErrors.length > 0) {
       // Sort errors by priority (high confidence first)
       const sortedErrors = [...detectedErrors].sort((a, b) => {
@@ -190,135 +229,109 @@ These errors were extracted deterministically and are TRUSTED. Base your analysi
         return (priorityOrder[a.confidence] || 2) - (priorityOrder[b.confidence] || 2);
       });
 
-      sortedErrors.forEach(error => {
-        prompt += `• [${error.confidence?.toUpperCase() || 'MEDIUM'}] ${error.category}: ${error.errorMessage}\n`;
+      sortedErrors.forEach((error, index) => {
+        const location = error.lineNumber ? ` (log line ${error.lineNumber})` : '';
+        errorLines.push(`• [${error.confidence?.toUpperCase() || 'MEDIUM'}] ${error.category}${location}: ${error.errorMessage}`);
+        // Structured errors from the language extractors
+        const source = error.sourceFile
+          ? ` at ${error.sourceFile}${error.sourceLine ? `:${error.sourceLine}` : ''}${error.sourceColumn ? `:${error.sourceColumn}` : ''}`
+          : '';
+        if (error.toolchain) {
+          errorLines.push(`  Toolchain: ${error.toolchain}${error.errorCode ? `, code ${error.errorCode}` : ''}${source}`);
+        } else if (source) {
+          errorLines.push(`  Source:${source}`);
+        }
+        // Full stack trace / code frame for the most important errors only (keeps the prompt small)
+        if (error.stackTrace && index < 5) {
+          const traceLines = error.stackTrace.split('\n');
+          errorLines.push(...traceLines.slice(0, 15).map(line => `    ${line}`));
+          if (traceLines.length > 15) {
+            errorLines.push(`    ... ${traceLines.length - 15} more line(s)`);
+          }
+        }
         if (error.isIntentionalFailure) {
-          prompt += `  ⚠️ INTENTIONAL FAILURE - This is P0 priority, MUST be the root cause\n`;
+          errorLines.push(`  ⚠️ INTENTIONAL FAILURE - This is P0 priority, MUST be the root cause`);
         }
       });
-    } else {
-      prompt += 'No specific errors were automatically detected. Analyze logs for clues.\n';
     }
 
-    // ============================================
-    // SECTION 3: PRIORITY ENFORCEMENT (Critical)
-    // ============================================
-    prompt += `
-== FAILURE PRIORITY RULES (MUST FOLLOW) ==
-
-Priority Hierarchy (highest to lowest):
-- P0: Intentional failures (exit 1) → ALWAYS the root cause, ignore everything else
-- P1: Test failures → Prefer over lint/warnings
-- P2: Build/compile errors → Prefer over runtime/lint
-- P3: Runtime errors → Prefer over dependencies/lint
-- P4-P7: Infrastructure, security, timeout, dependency issues
-- P8-P10: Config, permission, lint/warnings → NEVER root cause if higher exists
-
-BEFORE determining rootCause, you MUST:
-1. Identify the HIGHEST priority error present
-2. Explicitly IGNORE all lower-priority issues
-3. Base the rootCause ONLY on the highest-priority failure
-
-`;
-
-    if (classificationContext) {
-      prompt += `CURRENT FAILURE CONTEXT:
-- Detected Type: ${classificationContext.failureType}
-- Priority Level: P${classificationContext.priority}
-- Your analysis MUST align with this classification
-
-`;
-    }
-
-    // ============================================
-    // SECTION 4: RAG GROUNDING RULES (If Present)
-    // ============================================
-    if (ragContext && ragContext.hasSimilarCases) {
-      prompt += `== HISTORICAL CONTEXT (RAG) ==
-Similar failures have been seen before. Use this context wisely.
-
-RAG RULES:
-- PREFER historical fixes over speculation
-- Do NOT invent fixes that contradict past resolutions
-- If multiple fixes exist, choose the most frequently successful one
-- If RAG context contradicts detected errors, DETECTED ERRORS WIN
-
-Similar Cases Found: ${ragContext.similarCases?.length || 0}
-
-`;
+    // Exact source locations reported by the CI tools (annotations / problem matchers)
+    const locationLines = [];
+    const located = (diagnostics || []).filter(diagnostic => diagnostic.file);
+    if (located.length > 0) {
+      const severityOrder = { 'error': 0, 'warning': 1, 'notice': 2 };
+      const shown = [...located]
+        .sort((a, b) => (severityOrder[a.severity] ?? 2) - (severityOrder[b.severity] ?? 2))
+        .slice(0, 15);
+
+      shown.forEach(diagnostic => {
+        const position = `${diagnostic.file}${diagnostic.line ? `:${diagnostic.line}` : ''}${diagnostic.column ? `:${diagnostic.column}` : ''}`;
+        const title = diagnostic.title ? ` [${diagnostic.title}]` : '';
+        locationLines.push(`• ${diagnostic.severity.toUpperCase()} ${position}${title}: ${diagnostic.message.split('\n')[0]}`);
+      });
+      if (located.length > shown.length) {
+        locationLines.push(`... ${located.length - shown.length} more location(s)`);
+      }
     }
 
-    // ============================================
-    // SECTION 5: REQUIRED OUTPUT FORMAT
-    // ============================================
-    prompt += `== REQUIRED JSON OUTPUT FORMAT ==
-{
-  "rootCause": "Brief, specific explanation of what caused the failure (1-2 sentences)",
-  "failureStage": "The exact build stage/step name that failed",
-  "suggestedFix": "Clear, actionable steps to fix the issue. Include commands if applicable."
-}
-
-`;
-
-    // ============================================
-    // SECTION 6: SUPPORTING LOG EVIDENCE (Secondary)
-    // ============================================
-    prompt += `== SUPPORTING LOG EVIDENCE ==
-These logs SUPPORT the errors above. Do NOT let verbose logs override the primary error signals.
-
-`;
-    if (steps && steps.length > 0) {
-      steps.forEach(step => {
-        prompt += `--- Step: ${step.name} (Status: ${step.status}) ---\n`;
-        // Include last 30 lines to reduce noise
-        const logSample = step.logLines.slice(-30).join('\n');
-        prompt += logSample;
-        prompt += '\n--------------------\n';
+    // What differs from the last successful run of the same workflow and branch
+    const changeLines = [];
+    if (baselineDiff) {
+      baselineDiff.changedToolVersions.forEach(change => {
+        changeLines.push(`• Tool version ${change.tool}: ${change.baseline.join(', ') || 'not used'} → ${change.current.join(', ') || 'not used'}`);
+      });
+      if (baselineDiff.missingSteps.length > 0) {
+        changeLines.push(`• Steps that ran in the green run but not here: ${baselineDiff.missingSteps.map(step => step.stepName).join(', ')}`);
+      }
+      baselineDiff.sections.forEach(section => {
+        const name = section.jobName ? `${section.jobName} / ${section.stepName}` : section.stepName;
+        changeLines.push(`\n### ${name} (${section.newLineCount} new line(s))`);
+        changeLines.push(...section.newLines.slice(0, 20).map(line => `    ${line.text}`));
       });
     }
 
-    // ============================================
-    // SECTION 7: FINAL INSTRUCTIONS
-    // ============================================
-    prompt += `
-== FINAL INSTRUCTIONS ==
-1. Respond with ONLY the JSON object, nothing else
-2. The highest-priority error MUST be the rootCause
-3. Be specific about the failure stage name
-4. Provide actionable fix steps (include commands when helpful)
-5. Start your response with '{' and end with '}'
-`;
-
-    return prompt;
+    // Other failure types in the log - secondary ones are likely symptoms of the primary failure
+    const others = (classificationContext?.candidates || []).slice(1);
+
+    // Supporting log evidence - last 30 lines of each step to reduce noise
+    const stepLogs = (steps || []).map(step =>
+      `--- Step: ${step.name} (Status: ${step.status}) ---\n${step.logLines.slice(-30).join('\n')}\n--------------------`
+    );
+
+    return renderPrompt('analysis', {
+      errorSignals: errorLines.join('\n'),
+      sourceLocations: locationLines.join('\n'),
+      baselineCommit: baselineDiff ? (baselineDiff.baselineCommitSha?.substring(0, 7) || 'unknown') : '',
+      baselineChanges: changeLines.join('\n'),
+      priorityHierarchy: PROMPT_FAILURE_TYPES.map(entry => `- P${entry.priority}: ${entry.label} (${entry.type})`).join('\n'),
+      intentionalPriority: getPriority('INTENTIONAL'),
+      failureType: classificationContext?.failureType || '',
+      priority: classificationContext?.priority ?? '',
+      alsoDetected: others.map(c => (c.secondary ? `${c.failureType} (likely caused by ${c.causedBy})` : c.failureType)).join(', '),
+      // A user corrected the root cause of this same error on an earlier run
+      verifiedRootCause: classificationContext?.verifiedRootCause || '',
+      similarCaseCount: ragContext?.hasSimilarCases ? (ragContext.similarCases?.length || 0) : 0,
+      stepLogs: stepLogs.join('\n'),
+    }, promptVersion);
   }
 
   /**
-   * Classify failure type using AI when deterministic classifier returns UNKNOWN
+   * Classify failure type using AI when deterministic classifier returns UNKNOWN - the
+   * response must pass the classification schema (see analysisSchema.js)
    * @param {Array} chunks - Log chunks
    * @param {Array} detectedErrors - Detected errors
    * @returns {Object} Classification result with suggested type
    */
   async classifyWithAI(chunks, detectedErrors) {
+    // The offline provider has nothing to add to the deterministic classifier
     if (!this.useRealAI) {
-      return {
-        failureType: 'UNKNOWN',
-        priority: 99,
-        confidence: { score: 0.0, reason: 'AI not available' }
-      };
+      return unclassified('AI not available (offline provider)');
     }
 
-    const categories = [
-      'TEST - Test failures (Jest, Mocha, Vitest, Cypress, Playwright)',
-      'BUILD - Compilation/build errors (TypeScript, Webpack, Babel, Vite)',
-      'RUNTIME - Runtime errors (TypeError, ReferenceError, exceptions)',
-      'INFRA - Infrastructure issues (Docker, Kubernetes, network, database)',
-      'SECURITY - Security vulnerabilities, auth failures, secret issues',
-      'TIMEOUT - Timeout or deadline exceeded (any timeout)',
-      'DEPENDENCY - Package/dependency issues (npm, yarn, pnpm, resolution)',
-      'CONFIG - Configuration or environment variable issues',
-      'PERMISSION - Permission or access denied errors (EACCES, EPERM)',
-      'LINT - Linting, formatting, or code style warnings (ESLint, Prettier)'
-    ];
+    // Intentional failures are structural (exit 1, forced steps) - never an AI guess
+    const categories = PROMPT_FAILURE_TYPES
+      .filter(entry => entry.type !== 'INTENTIONAL')
+      .map(entry => `P${entry.priority} ${entry.type} - ${entry.description}`);
 
     const errorSummary = detectedErrors.slice(0, 5).map(e =>
       `• [${e.confidence?.toUpperCase() || 'MEDIUM'}] ${e.category}: ${e.errorMessage?.substring(0, 150)}`
@@ -330,75 +343,32 @@ These logs SUPPORT the errors above. Do NOT let verbose logs override the primar
       .map(c => `Step: ${c.stepName}\n${c.content.substring(0, 300)}`)
       .join('\n---\n');
 
-    const prompt = `STRICT OUTPUT RULES:
-- Respond with ONLY valid JSON, nothing else
-- Do NOT include explanations or markdown
-- Start with '{' and end with '}'
-
-You are a CI/CD failure classifier. Classify this failure into ONE category.
+    const { prompt } = renderPrompt('classification', {
+      categories: categories.join('\n'),
+      errorSummary,
+      chunkSummary,
+    });
 
-== AVAILABLE CATEGORIES (with priority) ==
-Priority 1-2 (Critical):
-${categories.slice(0, 2).join('\n')}
+    // Same repair loop as generateValidAnalysis - the deterministic UNKNOWN stands when it fails
+    const request = { task: 'classification', input: { chunks, detectedErrors } };
+    const schemaContext = { failureTypes: FAILURE_TYPES.map(entry => entry.type) };
+    let attemptPrompt = prompt;
 
-Priority 3-5 (High):
-${categories.slice(2, 5).join('\n')}
-
-Priority 6-8 (Medium):
-${categories.slice(5, 8).join('\n')}
-
-Priority 9-10 (Low):
-${categories.slice(8).join('\n')}
-
-== DETECTED ERRORS (Primary Signal) ==
-${errorSummary || 'No specific errors detected'}
-
-== LOG EXCERPTS (Supporting Evidence) ==
-${chunkSummary || 'No error chunks available'}
-
-== REQUIRED JSON OUTPUT ==
-{
-  "failureType": "CATEGORY_NAME",
-  "priority": <number 1-10>,
-  "confidence": <decimal 0.0 to 1.0>,
-  "reason": "Brief explanation (1 sentence)"
-}
-
-== RULES ==
-1. PREFER existing categories - only create NEW if absolutely none fit
-2. If creating new: SHORT name (1-2 words), UPPERCASE, underscores only
-3. Priority must match category type (TEST=1, BUILD=2, RUNTIME=3, etc.)
-4. Use UNKNOWN only as last resort
-5. Respond with ONLY the JSON object, nothing else`;
-
-    try {
-      console.log('🤖 AI classifying unknown failure...');
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-
-      // Parse JSON response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-
-        // Normalize the category name: UPPERCASE, replace spaces with underscores
-        let failureType = (parsed.failureType || 'UNKNOWN')
-          .toUpperCase()
-          .trim()
-          .replace(/\s+/g, '_')
-          .replace(/[^A-Z0-9_]/g, '');
-
-        // Ensure it's not empty
-        if (!failureType || failureType.length === 0) {
-          failureType = 'UNKNOWN';
-        }
-
-        // Log if it's a new category
-        const knownTypes = ['TEST', 'BUILD', 'RUNTIME', 'INFRA', 'SECURITY',
-          'TIMEOUT', 'DEPENDENCY', 'CONFIG', 'PERMISSION', 'LINT', 'UNKNOWN', 'INTENTIONAL'];
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+      let text;
+      try {
+        console.log(`🤖 AI classifying unknown failure${attempt > 0 ? ` (repair ${attempt}/${MAX_REPAIR_ATTEMPTS})` : ''}...`);
+        text = await this.llm.generate(attemptPrompt, attempt > 0 ? { ...request, purpose: 'repair' } : request);
+      } catch (error) {
+        console.error('❌ AI classification error:', error.message);
+        return unclassified('AI classification failed');
+      }
 
-        if (!knownTypes.includes(failureType)) {
+      const { classification, errors } = parseClassificationResponse(text, schemaContext);
+      if (classification) {
+        const { failureType, priority, confidence, reason } = classification;
+        const isNewCategory = priority !== null;
+        if (isNewCategory) {
           console.log(`🆕 AI suggested NEW category: ${failureType}`);
         } else {
           console.log(`✅ AI classified as: ${failureType}`);
@@ -406,24 +376,20 @@ ${chunkSummary || 'No error chunks available'}
 
         return {
           failureType,
-          priority: parsed.priority || 99,
-          confidence: {
-            score: parsed.confidence || 0.5,
-            reason: parsed.reason || 'AI classification'
-          },
+          // Known categories always get the taxonomy priority
+          priority: isNewCategory ? priority : getPriority(failureType),
+          confidence: { score: confidence, reason },
           aiClassified: true,
-          isNewCategory: !knownTypes.includes(failureType)
+          isNewCategory
         };
       }
-    } catch (error) {
-      console.error('❌ AI classification error:', error.message);
+
+      console.warn(`⚠️  Invalid classification from ${this.llm.label}: ${errors.join('; ')}`);
+      attemptPrompt = this.constructRepairPrompt(prompt, text, errors);
     }
 
-    return {
-      failureType: 'UNKNOWN',
-      priority: 99,
-      confidence: { score: 0.0, reason: 'AI classification failed' }
-    };
+    console.log(`⚠️  No valid classification after ${MAX_REPAIR_ATTEMPTS} repair(s) - keeping UNKNOWN`);
+    return unclassified('AI classification invalid');
   }
 
   /**
@@ -440,26 +406,21 @@ ${chunkSummary || 'No error chunks available'}
       // 2. Build prompt
       const prompt = this.constructChatPrompt(message, contextChunks, history);
 
-      // 3. Send to Gemini
-      if (this.useRealAI) {
-        const result = await this.model.generateContent(prompt);
-        const response = await result.response;
-        return {
-          response: response.text(),
-          usedRAG: contextChunks.length > 0,
-          contextChunks: contextChunks.map(c => ({ 
-             index: c.chunkIndex, 
-             content: c.content?.substring(0, 100) + '...',
-             step: c.stepName
-          }))
-        };
-      } else {
-        return {
-          response: "Mock AI: I see you're asking about '" + message + "'. Based on your logs, it looks like a dependency issue in the build step.",
-          usedRAG: false,
-          contextChunks: []
-        };
-      }
+      // 3. Send to the LLM (the offline provider answers with the matching snippets)
+      const text = await this.llm.generate(prompt, {
+        task: 'chat',
+        input: { message, chunks: contextChunks, history },
+      });
+      return {
+        response: text,
+        usedRAG: contextChunks.length > 0,
+        llmProvider: this.llm.label,
+        contextChunks: contextChunks.map(c => ({ 
+           index: c.chunkIndex, 
+           content: c.content?.substring(0, 100) + '...',
+           step: c.stepName
+        }))
+      };
 
     } catch (error) {
       console.error('Chat error:', error);
@@ -468,37 +429,15 @@ ${chunkSummary || 'No error chunks available'}
   }
 
   constructChatPrompt(message, chunks, history) {
-    let prompt = `You are an expert CI/CD DevOps Engineer. 
-The user is asking questions about a specific specific build/workflow failure.
-You have access to relevant snippets of the build logs below.
-
-ROLE:
-- Helpful, technical, concise.
-- Cite specific log lines if possible.
-- If the logs don't contain the answer, admit it.
-
-USER QUESTION: "${message}"
-
-`;
-
-    if (history && history.length > 0) {
-      prompt += `\n== CHAT HISTORY ==\n`;
+    return renderPrompt('chat', {
+      message,
       // Take last 4 messages to save context window
-      history.slice(-4).forEach(msg => {
-         prompt += `${msg.role === 'user' ? 'User' : 'AI'}: ${msg.content}\n`;
-      });
-      prompt += `\n`;
-    }
-
-    if (chunks && chunks.length > 0) {
-      prompt += `\n== RELEVANT LOG SNIPPETS ==\n`;
-      chunks.forEach((chunk, i) => {
-        prompt += `[Snippet ${i+1}] (Step: ${chunk.stepName})\n${chunk.content}\n\n`;
-      });
-    } else {
-      prompt += `\n(No specific log parts were found relevant to this question. Answer based on general knowledge if possible, or ask for clarification.)\n`;
-    }
-
-    return prompt;
+      history: (history || []).slice(-4)
+        .map(msg => `${msg.role === 'user' ? 'User' : 'AI'}: ${msg.content}`)
+        .join('\n'),
+      snippets: (chunks || [])
+        .map((chunk, i) => `[Snippet ${i+1}] (Step: ${chunk.stepName})\n${chunk.content}\n`)
+        .join('\n'),
+    }).prompt;
   }
 }
@@ -0,0 +1,179 @@
+/**
+ * Analysis Cache Service
+ *
+ * The same failure (a lockfile conflict, a broken test) tends to fail dozens of runs
+ * of a repo in a row. A validated AI analysis is kept per repo for the run's primary
+ * error signature and failing step, and served to the next runs that fail the same
+ * way instead of calling the model again. The prompt version and model are part of
+ * the key, so an A/B experiment or a provider change gets fresh analyses.
+ *
+ * Entries expire after ANALYSIS_CACHE_TTL_HOURS (0 turns the cache off) and are
+ * dropped when a user corrects an analysis of the same error (correctionService.js).
+ * A hit is validated against the new run like a model response - cited lines are
+ * looked up by error signature, the failure stage must be a step of the run.
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { validateAnalysis } from './analysisSchema.js';
+
+const prisma = new PrismaClient();
+
+// How long an analysis is reused (hours, fractions allowed) - 0 turns the cache off
+export const ANALYSIS_CACHE_TTL_HOURS = (() => {
+    const value = parseFloat(process.env.ANALYSIS_CACHE_TTL_HOURS);
+    return Number.isNaN(value) || value < 0 ? 24 : value;
+})();
+
+// Model analyses worth reusing - see ANALYSIS_STATUSES
+const CACHEABLE_STATUSES = ['valid', 'repaired'];
+
+/**
+ * Step of an error, as the analysis prompt names steps ("job / step")
+ */
+function stepNameOf(error) {
+    if (!error?.stepName) {
+        return null;
+    }
+    return error.jobName ? `${error.jobName} / ${error.stepName}` : error.stepName;
+}
+
+export class AnalysisCacheService {
+    /**
+     * Cache key of a run's analysis - null when the run has no primary error to key on
+     * @param {Object} key - { primaryError, promptVersion, llmProvider }
+     */
+    static buildKey({ primaryError, promptVersion, llmProvider }) {
+        if (!primaryError?.signature) {
+            return null;
+        }
+        const stepName = stepNameOf(primaryError);
+        return {
+            errorSignature: primaryError.signature,
+            stepName,
+            promptVersion,
+            llmProvider,
+            cacheKey: crypto
+                .createHash('sha256')
+                .update([primaryError.signature, stepName || '', promptVersion, llmProvider].join('\n'))
+                .digest('hex')
+        };
+    }
+
+    /**
+     * Cached analysis for a run, in the shape of AIAnalyzerService.analyzeFailure() -
+     * null on a miss (none, expired, or not valid for this run)
+     * @param {number} repoId
+     * @param {Object} key - see buildKey
+     * @param {Object} context - { steps, detectedErrors } of the run's prompt
+     */
+    async get(repoId, key, { steps = [], detectedErrors = [] } = {}) {
+        const cacheKey = AnalysisCacheService.buildKey(key);
+        if (!cacheKey || ANALYSIS_CACHE_TTL_HOURS === 0) {
+            return null;
+        }
+
+        try {
+            const entry = await prisma.analysisCacheEntry.findUnique({
+                where: { repoId_cacheKey: { repoId, cacheKey: cacheKey.cacheKey } }
+            });
+            if (!entry || entry.expiresAt <= new Date()) {
+                return null;
+            }
+
+            // The cited errors' lines in this run's log
+            const citedSignatures = new Set(entry.citedSignatures || []);
+            const citedLines = detectedErrors
+                .filter(error => citedSignatures.has(error.signature) && Number.isInteger(error.lineNumber))
+                .map(error => error.lineNumber);
+
+            const { analysis, errors } = validateAnalysis({
+                rootCause: entry.rootCause,
+                failureStage: entry.failureStage,
+                suggestedFix: entry.suggestedFix,
+                confidence: entry.modelConfidence,
+                citedLines
+            }, { steps, detectedErrors });
+            if (!analysis) {
+                console.warn(`⚠️  Cached analysis of run ${entry.sourceRunId} does not fit this run: ${errors.join('; ')}`);
+                return null;
+            }
+
+            await prisma.analysisCacheEntry.update({
+                where: { id: entry.id },
+                data: { hits: { increment: 1 } }
+            });
+
+            const { confidence, ...fields } = analysis;
+            return {
+                ...fields,
+                modelConfidence: confidence,
+                analysisStatus: 'cached',
+                validationErrors: null,
+                usedAI: true,
+                llmProvider: entry.llmProvider,
+                promptVersion: entry.promptVersion,
+                cachedFromRunId: entry.sourceRunId,
+                confidence: {
+                    score: confidence,
+                    reason: `Same error as run ${entry.sourceRunId} - its analysis was reused`
+                },
+                usedRAG: false
+            };
+        } catch (error) {
+            // The cache is an optimization - a broken one means a model call, not a failed job
+            console.warn('⚠️  Analysis cache lookup failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Keep a run's analysis for the next runs with the same error - only validated
+     * model analyses are kept
+     * @param {number} repoId
+     * @param {number} runId - Run the analysis was written for
+     * @param {Object} key - see buildKey
+     * @param {Object} analysis - AIAnalyzerService.analyzeFailure() result
+     * @param {Array} detectedErrors - Detected errors of the run
+     * @returns {Promise<boolean>} whether the analysis was cached
+     */
+    async set(repoId, runId, key, analysis, detectedErrors = []) {
+        const cacheKey = AnalysisCacheService.buildKey(key);
+        if (!cacheKey || ANALYSIS_CACHE_TTL_HOURS === 0 || !CACHEABLE_STATUSES.includes(analysis.analysisStatus)) {
+            return false;
+        }
+
+        const citedLines = new Set(analysis.citedLines || []);
+        const data = {
+            rootCause: analysis.rootCause,
+            failureStage: analysis.failureStage,
+            suggestedFix: analysis.suggestedFix,
+            modelConfidence: analysis.modelConfidence,
+            citedSignatures: [...new Set(detectedErrors
+                .filter(error => citedLines.has(error.lineNumber) && error.signature)
+                .map(error => error.signature))],
+            analysisStatus: analysis.analysisStatus,
+            sourceRunId: runId,
+            hits: 0,
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + ANALYSIS_CACHE_TTL_HOURS * 60 * 60 * 1000)
+        };
+
+        try {
+            await prisma.$transaction([
+                prisma.analysisCacheEntry.deleteMany({
+                    where: { repoId, expiresAt: { lte: new Date() } }
+                }),
+                prisma.analysisCacheEntry.upsert({
+                    where: { repoId_cacheKey: { repoId, cacheKey: cacheKey.cacheKey } },
+                    update: data,
+                    create: { repoId, ...cacheKey, ...data }
+                })
+            ]);
+            return true;
+        } catch (error) {
+            console.warn('⚠️  Caching the analysis failed:', error.message);
+            return false;
+        }
+    }
+}
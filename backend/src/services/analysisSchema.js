@@ -0,0 +1,244 @@
+/**
+ * Analysis Schema
+ *
+ * The JSON an LLM must answer an analysis prompt with, and its validation:
+ * {
+ *   rootCause: string,       // 1-2 sentences
+ *   failureStage: string,    // a step of the prompt, exactly as named there
+ *   suggestedFix: string,
+ *   confidence: number,      // 0.0 - 1.0, the model's own
+ *   citedLines: number[]     // log line numbers of the detected errors that support the root cause
+ * }
+ *
+ * and the JSON of a classification prompt:
+ * {
+ *   failureType: string,     // a category of the prompt, or a new one (UPPERCASE, underscores)
+ *   priority: number,        // 1 - 10 for a new category - known ones keep the taxonomy's
+ *   confidence: number,      // 0.0 - 1.0
+ *   reason: string           // 1 sentence
+ * }
+ *
+ * Errors are phrased for the model - AIAnalyzerService sends them back with the
+ * response for a repair.
+ */
+
+export const MAX_ROOT_CAUSE_LENGTH = 1000;
+export const MAX_SUGGESTED_FIX_LENGTH = 5000;
+export const MAX_REASON_LENGTH = 500;
+// Line numbers listed in a repair message - a log can have hundreds of detected errors
+export const MAX_LISTED_LINES = 20;
+
+// How an analysis came about (AnalysisResult.analysisStatus)
+export const ANALYSIS_STATUSES = [
+    'deterministic',  // classification rules, no AI
+    'valid',          // AI output valid on the first response
+    'repaired',       // AI output valid after a repair retry
+    'invalid',        // AI output never valid - the offline analysis was saved
+    'failed',         // the LLM provider failed - the offline analysis was saved
+    'offline',        // offline provider, no model configured
+    'budget',         // the repo's monthly LLM budget is used up - the offline analysis was saved
+    'cached',         // AI output of an earlier run with the same error (analysisCacheService.js)
+];
+
+/**
+ * JSON object of a response - tolerates code fences and text around the object
+ * @returns {Object} { value, error } - error is a message when there is no JSON object
+ */
+export function extractJson(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return { value: null, error: 'The response is empty' };
+    }
+    const stripped = text.replace(/```(?:json)?/gi, '');
+    const start = stripped.indexOf('{');
+    const end = stripped.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        return { value: null, error: 'The response contains no JSON object' };
+    }
+    try {
+        const value = JSON.parse(stripped.substring(start, end + 1));
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return { value: null, error: 'The response is not a JSON object' };
+        }
+        return { value, error: null };
+    } catch (error) {
+        return { value: null, error: `The response is not valid JSON (${error.message})` };
+    }
+}
+
+/**
+ * Step of the prompt a failureStage names - exactly (case-insensitive), or the step
+ * part of one "job / step" name. null when it names none or several.
+ * @param {string} name - failureStage
+ * @param {Array} steps - prompt steps [{ name }]
+ */
+export function matchStepName(name, steps) {
+    if (typeof name !== 'string') {
+        return null;
+    }
+    const wanted = name.trim().toLowerCase();
+    const exact = steps.find(step => step.name.toLowerCase() === wanted);
+    if (exact) {
+        return exact.name;
+    }
+    const bySuffix = [...new Set(steps
+        .filter(step => step.name.toLowerCase().endsWith(` / ${wanted}`))
+        .map(step => step.name))];
+    return bySuffix.length === 1 ? bySuffix[0] : null;
+}
+
+function nonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * "12, 40, 41 and 7 more" - at most MAX_LISTED_LINES line numbers
+ */
+function listLines(lines) {
+    const listed = lines.slice(0, MAX_LISTED_LINES).join(', ');
+    return lines.length > MAX_LISTED_LINES ? `${listed} and ${lines.length - MAX_LISTED_LINES} more` : listed;
+}
+
+/**
+ * Validate a parsed analysis against the schema and the prompt it answers
+ * @param {Object} value - parsed response
+ * @param {Object} context - { steps, detectedErrors } of the prompt
+ * @returns {Object} { analysis, errors } - analysis (normalized) is null unless errors is empty
+ */
+export function validateAnalysis(value, { steps = [], detectedErrors = [] } = {}) {
+    const errors = [];
+
+    if (!nonEmptyString(value.rootCause)) {
+        errors.push('"rootCause" must be a non-empty string');
+    } else if (value.rootCause.length > MAX_ROOT_CAUSE_LENGTH) {
+        errors.push(`"rootCause" must be at most ${MAX_ROOT_CAUSE_LENGTH} characters`);
+    }
+
+    if (!nonEmptyString(value.suggestedFix)) {
+        errors.push('"suggestedFix" must be a non-empty string');
+    } else if (value.suggestedFix.length > MAX_SUGGESTED_FIX_LENGTH) {
+        errors.push(`"suggestedFix" must be at most ${MAX_SUGGESTED_FIX_LENGTH} characters`);
+    }
+
+    // Without steps in the prompt there is nothing to check the stage against
+    let failureStage = null;
+    if (!nonEmptyString(value.failureStage)) {
+        errors.push('"failureStage" must be a non-empty string');
+    } else if ((steps || []).length > 0) {
+        failureStage = matchStepName(value.failureStage, steps);
+        if (!failureStage) {
+            errors.push(`"failureStage" must be one of the steps of the log, exactly as named: ${steps.map(step => JSON.stringify(step.name)).join(', ')}`);
+        }
+    } else {
+        failureStage = value.failureStage.trim();
+    }
+
+    if (typeof value.confidence !== 'number' || Number.isNaN(value.confidence) || value.confidence < 0 || value.confidence > 1) {
+        errors.push('"confidence" must be a number from 0.0 to 1.0');
+    }
+
+    const knownLines = new Set((detectedErrors || []).map(error => error.lineNumber).filter(Number.isInteger));
+    if (!Array.isArray(value.citedLines) || !value.citedLines.every(Number.isInteger)) {
+        errors.push('"citedLines" must be an array of log line numbers (integers), empty when none apply');
+    } else {
+        const unknown = value.citedLines.filter(line => !knownLines.has(line));
+        if (unknown.length > 0) {
+            errors.push(knownLines.size > 0
+                ? `"citedLines" may only contain log lines of the detected errors (${listLines([...knownLines].sort((x, y) => x - y))}), not ${listLines(unknown)}`
+                : '"citedLines" must be empty - no log line numbers were given');
+        }
+    }
+
+    if (errors.length > 0) {
+        return { analysis: null, errors };
+    }
+
+    return {
+        analysis: {
+            rootCause: value.rootCause.trim(),
+            failureStage,
+            suggestedFix: value.suggestedFix.trim(),
+            confidence: value.confidence,
+            citedLines: [...new Set(value.citedLines)].sort((a, b) => a - b),
+        },
+        errors: [],
+    };
+}
+
+/**
+ * Parse and validate an analysis response
+ * @returns {Object} { analysis, errors } - see validateAnalysis
+ */
+export function parseAnalysisResponse(text, context) {
+    const { value, error } = extractJson(text);
+    if (error) {
+        return { analysis: null, errors: [error] };
+    }
+    return validateAnalysis(value, context);
+}
+
+/**
+ * Category name of a failureType - "Out of memory" -> "OUT_OF_MEMORY", '' when none is left
+ */
+export function normalizeFailureType(name) {
+    if (typeof name !== 'string') {
+        return '';
+    }
+    return name.trim().toUpperCase().replace(/\s+/g, '_').replace(/[^A-Z0-9_]/g, '');
+}
+
+/**
+ * Validate a parsed classification against the schema and the prompt it answers
+ * @param {Object} value - parsed response
+ * @param {Object} context - { failureTypes } - the taxonomy's types, which keep their own priority
+ * @returns {Object} { classification, errors } - classification (normalized) is null unless errors is empty
+ */
+export function validateClassification(value, { failureTypes = [] } = {}) {
+    const errors = [];
+
+    const failureType = normalizeFailureType(value.failureType);
+    if (!failureType) {
+        errors.push('"failureType" must be a category name (UPPERCASE, underscores only)');
+    }
+
+    // Only a new category's priority comes from the model
+    const isNewCategory = Boolean(failureType) && !failureTypes.includes(failureType);
+    if (isNewCategory && (!Number.isInteger(value.priority) || value.priority < 1 || value.priority > 10)) {
+        errors.push('"priority" of a new category must be an integer from 1 to 10');
+    }
+
+    if (typeof value.confidence !== 'number' || Number.isNaN(value.confidence) || value.confidence < 0 || value.confidence > 1) {
+        errors.push('"confidence" must be a number from 0.0 to 1.0');
+    }
+
+    if (!nonEmptyString(value.reason)) {
+        errors.push('"reason" must be a non-empty string');
+    } else if (value.reason.length > MAX_REASON_LENGTH) {
+        errors.push(`"reason" must be at most ${MAX_REASON_LENGTH} characters`);
+    }
+
+    if (errors.length > 0) {
+        return { classification: null, errors };
+    }
+
+    return {
+        classification: {
+            failureType,
+            priority: isNewCategory ? value.priority : null,
+            confidence: value.confidence,
+            reason: value.reason.trim(),
+        },
+        errors: [],
+    };
+}
+
+/**
+ * Parse and validate a classification response
+ * @returns {Object} { classification, errors } - see validateClassification
+ */
+export function parseClassificationResponse(text, context) {
+    const { value, error } = extractJson(text);
+    if (error) {
+        return { classification: null, errors: [error] };
+    }
+    return validateClassification(value, context);
+}
@@ -0,0 +1,280 @@
+/**
+ * Annotation Extractor Service
+ *
+ * File / line diagnostics from machine-readable CI output, so a run can point
+ * at the exact source location instead of a "CI Error" line:
+ * - Workflow commands   ("::error file=src/a.ts,line=12,col=5,title=Lint::msg", ::warning, ::notice)
+ * - Runner annotations  ("##[error]msg", "##[warning file=src/a.ts,line=3]msg")
+ * - Problem matcher output - what actions/setup-* matchers turn into annotations:
+ *   - gcc / clang / mypy / eslint compact  ("src/a.c:12:5: error: msg")
+ *   - flake8 / ruff                        ("app/main.py:3:1: F401 'os' imported but unused")
+ *   - tsc / MSBuild                        ("src/a.ts(12,5): error TS2345: msg")
+ *   - ESLint stylish                       (file header line + "12:5  error  msg  rule" rows)
+ *
+ * Each diagnostic: { source, tool, severity, file, line, column, endLine, endColumn, title, message, lineIndex }
+ * - source: 'workflow-command' | 'problem-matcher'
+ * - severity: 'error' | 'warning' | 'notice'
+ * - file: repo-relative when the log printed a runner workspace path (null when the command had none)
+ * lineIndex is the index of the line in the lines passed to extract().
+ */
+
+const WORKFLOW_COMMAND = /^::(error|warning|notice)(?:\s+(.*?))?::(.*)$/;
+const RUNNER_ANNOTATION = /^##\[(error|warning|notice)(?:\s+([^\]]*))?\](.*)$/;
+
+const COMPACT_DIAGNOSTIC = /^((?:[A-Za-z]:)?[^\s:()]+\.\w+):(\d+)(?::(\d+))?:\s+(fatal error|error|warning|note|notice|info)(?:\[([\w-]+)\])?:\s+(.+?)(?:\s+\[([\w-]+)\])?$/;
+const CODE_FIRST_DIAGNOSTIC = /^((?:[A-Za-z]:)?[^\s:()]+\.py):(\d+):(\d+):\s+([A-Z]{1,3}\d{3,4})\s+(.+)$/;
+const PAREN_DIAGNOSTIC = /^(.+?)\((\d+),(\d+)(?:,(\d+),(\d+))?\):\s+(error|warning)\s+([A-Z]{2,}\d{3,5}):\s+(.+?)(?:\s+\[[^\]]+\])?$/;
+const COMPACT_SEVERITY = { 'fatal error': 'error', error: 'error', warning: 'warning' };
+const STYLISH_ROW = /^(\d+):(\d+)\s+(error|warning)\s+(.+?)(?:\s{2,}(@?[\w-]+(?:\/[\w-]+)*))?$/;
+const STYLISH_FILE = /^(?:[A-Za-z]:)?[\w@.\/\\-]+\.\w+$/;
+
+// Runner workspace prefix (/home/runner/work/<repo>/<repo>/, /__w/..., D:\a\<repo>\<repo>\)
+const WORKSPACE_PREFIX = /^(?:(?:\/home\/runner\/work|\/__w)\/[^/]+\/[^/]+\/|[A-Za-z]:\\a\\[^\\]+\\[^\\]+\\)/;
+
+// How far back an ESLint stylish row looks for its file header
+const MAX_STYLISH_LOOKBACK = 200;
+
+export class AnnotationExtractorService {
+  /**
+   * Extract diagnostics from cleaned log lines
+   * @param {string[]} lines - Cleaned log lines
+   * @returns {Array} Diagnostics in log order
+   */
+  extract(lines) {
+    const diagnostics = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const diagnostic = this.match(lines, i);
+      if (diagnostic) {
+        diagnostics.push({ ...diagnostic, lineIndex: i });
+      }
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Diagnostic for lines[index], or null when the line is not an annotation / matcher output
+   */
+  match(lines, index) {
+    const line = lines[index];
+    return this.parseWorkflowCommand(line)
+      || this.matchCompact(line)
+      || this.matchParen(line)
+      || this.matchStylish(lines, index);
+  }
+
+  /**
+   * "::error file=a.ts,line=1::msg" / "##[warning]msg" - null for anything else
+   * (including ::group::, ::set-output and other workflow commands)
+   */
+  parseWorkflowCommand(line) {
+    const match = line.match(WORKFLOW_COMMAND) || line.match(RUNNER_ANNOTATION);
+    if (!match) {
+      return null;
+    }
+
+    const [, severity, rawProperties, rawMessage] = match;
+    const properties = this.parseProperties(rawProperties);
+
+    return this.diagnostic({
+      source: 'workflow-command',
+      severity,
+      file: properties.file,
+      line: properties.line,
+      column: properties.col ?? properties.column,
+      endLine: properties.endLine,
+      endColumn: properties.endColumn,
+      title: properties.title,
+      message: this.unescapeData(rawMessage),
+    });
+  }
+
+  /**
+   * "file=a.ts,line=12,col=5" -> { file: 'a.ts', line: '12', col: '5' }
+   */
+  parseProperties(rawProperties) {
+    const properties = {};
+
+    for (const pair of (rawProperties || '').split(',')) {
+      const separator = pair.indexOf('=');
+      if (separator > 0) {
+        properties[pair.slice(0, separator).trim()] = this.unescapeProperty(pair.slice(separator + 1));
+      }
+    }
+
+    return properties;
+  }
+
+  /**
+   * Workflow command escaping (see @actions/core toCommandValue / escapeData)
+   */
+  unescapeData(value) {
+    return value
+      .replace(/%0D/gi, '\r')
+      .replace(/%0A/gi, '\n')
+      .replace(/%25/g, '%')
+      .trim();
+  }
+
+  /**
+   * Property values also escape ':' and ','
+   */
+  unescapeProperty(value) {
+    return this.unescapeData(value
+      .replace(/%3A/gi, ':')
+      .replace(/%2C/gi, ','));
+  }
+
+  /**
+   * gcc / clang / mypy style "file:line[:col]: severity: message" and flake8 / ruff "file:line:col: CODE message"
+   */
+  matchCompact(line) {
+    const compact = line.match(COMPACT_DIAGNOSTIC);
+    if (compact) {
+      const [, file, lineNumber, column, severity, code, message, trailingCode] = compact;
+      return this.diagnostic({
+        source: 'problem-matcher',
+        tool: /\.py$/.test(file) ? 'mypy' : /\.(?:c|cc|cpp|cxx|h|hpp|m|mm)$/.test(file) ? 'gcc' : null,
+        severity: COMPACT_SEVERITY[severity] || 'notice',
+        file,
+        line: lineNumber,
+        column,
+        title: code || trailingCode || null,
+        message,
+      });
+    }
+
+    const codeFirst = line.match(CODE_FIRST_DIAGNOSTIC);
+    if (codeFirst) {
+      const [, file, lineNumber, column, code, message] = codeFirst;
+      return this.diagnostic({
+        source: 'problem-matcher',
+        tool: 'flake8',
+        // pycodestyle / flake8 warnings and conventions are W / C / N codes
+        severity: /^[WCN]/.test(code) ? 'warning' : 'error',
+        file,
+        line: lineNumber,
+        column,
+        title: code,
+        message,
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * tsc / MSBuild "file(line,col[,endLine,endCol]): error CODE: message"
+   */
+  matchParen(line) {
+    const match = line.match(PAREN_DIAGNOSTIC);
+    if (!match) {
+      return null;
+    }
+
+    const [, file, lineNumber, column, endLine, endColumn, severity, code, message] = match;
+    return this.diagnostic({
+      source: 'problem-matcher',
+      tool: code.startsWith('TS') ? 'tsc' : 'msbuild',
+      severity,
+      file,
+      line: lineNumber,
+      column,
+      endLine,
+      endColumn,
+      title: code,
+      message,
+    });
+  }
+
+  /**
+   * ESLint stylish row "12:5  error  'x' is not defined  no-undef" - the file is the
+   * header line above the block of rows
+   */
+  matchStylish(lines, index) {
+    const match = lines[index].match(STYLISH_ROW);
+    if (!match) {
+      return null;
+    }
+
+    let file = null;
+    for (let i = index - 1; i >= 0 && i >= index - MAX_STYLISH_LOOKBACK; i--) {
+      if (STYLISH_ROW.test(lines[i])) {
+        continue;
+      }
+      file = STYLISH_FILE.test(lines[i]) ? lines[i] : null;
+      break;
+    }
+    // A row without its file says nothing about where to look
+    if (!file) {
+      return null;
+    }
+
+    const [, lineNumber, column, severity, message, rule] = match;
+    return this.diagnostic({
+      source: 'problem-matcher',
+      tool: 'eslint',
+      severity,
+      file,
+      line: lineNumber,
+      column,
+      title: rule || null,
+      message,
+    });
+  }
+
+  /**
+   * Common diagnostic shape - numbers parsed, file made repo-relative
+   */
+  diagnostic({ source, tool = null, severity, file, line, column, endLine, endColumn, title, message }) {
+    const toNumber = (value) => {
+      const number = parseInt(value, 10);
+      return Number.isNaN(number) ? null : number;
+    };
+
+    return {
+      source,
+      tool,
+      severity,
+      file: file ? this.toRepoPath(file) : null,
+      line: toNumber(line),
+      column: toNumber(column),
+      endLine: toNumber(endLine),
+      endColumn: toNumber(endColumn),
+      title: title || null,
+      message,
+    };
+  }
+
+  /**
+   * "/home/runner/work/app/app/src/a.ts" -> "src/a.ts", "D:\a\app\app\src\A.cs" -> "src/A.cs"
+   */
+  toRepoPath(file) {
+    const relative = file.replace(WORKSPACE_PREFIX, '');
+    if (relative === file) {
+      return file.replace(/^\.\//, '');
+    }
+    return relative.replace(/\\/g, '/');
+  }
+
+  /**
+   * Same location and message reported twice (e.g. an annotation echoed by the
+   * tool and again by its problem matcher) keeps the first occurrence
+   */
+  deduplicate(diagnostics) {
+    const seen = new Set();
+    return diagnostics.filter(diagnostic => {
+      const key = this.diagnosticKey(diagnostic);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  diagnosticKey(diagnostic) {
+    return `${diagnostic.severity}:${diagnostic.file}:${diagnostic.line}:${diagnostic.column}:${diagnostic.message}`;
+  }
+}
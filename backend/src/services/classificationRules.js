@@ -0,0 +1,225 @@
+/**
+ * Classification Rules
+ *
+ * Declarative rule set behind FailureClassifierService. The default rules ship in
+ * config/classificationRules.default.json; an org (repo owner) and a repo can each
+ * override them:
+ * - a rule with an existing id replaces the fields it sets ({ id, patterns: [...] })
+ * - { id, disabled: true } removes a rule
+ * - a rule with a new id is added (failureType, order and a matcher required)
+ * A rule's priority is its failure type's priority in the taxonomy (failureTaxonomy.js).
+ * Every rule is evaluated; each matching failure type is a candidate, and `causes`
+ * lists the failure types a rule's failure can trigger (see FailureClassifierService.rankCandidates).
+ *
+ * The version of the effective rule set ("2026.10.19+org.3+repo.5") is stored on
+ * each analysis, so a classification can be traced back to the rules that made it.
+ */
+
+import fs from 'fs';
+import { FAILURE_TYPES, getPriority } from './failureTaxonomy.js';
+import { checkUserRegex } from '../utils/userRegex.js';
+
+const DEFAULT_RULESET = JSON.parse(
+    fs.readFileSync(new URL('../config/classificationRules.default.json', import.meta.url), 'utf8')
+);
+
+// Shipped patterns are reviewed with the code - only override patterns go through
+// the safety check of userRegex.js (the default security rule uses a lookbehind)
+const DEFAULT_PATTERNS = new Set(DEFAULT_RULESET.rules.flatMap(rule =>
+    [...(rule.patterns || []), ...(rule.stepNamePatterns || [])].map(pattern => `${rule.flags ?? 'i'}/${pattern}`)
+));
+
+/**
+ * Error message for an invalid or unsafe rule pattern, null when it can be used
+ */
+function checkRulePattern(pattern, flags) {
+    return DEFAULT_PATTERNS.has(`${flags}/${pattern}`) ? null : checkUserRegex(pattern, flags);
+}
+
+// Failure types a rule can produce (UNKNOWN is what no match means)
+export const RULE_FAILURE_TYPES = FAILURE_TYPES.map(entry => entry.type).filter(type => type !== 'UNKNOWN');
+
+const MAX_RULES = 100;
+const MAX_PATTERNS_PER_RULE = 100;
+const MAX_PATTERN_LENGTH = 500;
+const ALLOWED_FLAGS = /^[imsu]*$/;
+const RULE_FIELDS = [
+    'id', 'order', 'failureType', 'skipAI', 'fallback', 'disabled', 'categories', 'patterns', 'flags',
+    'matchChunkContent', 'stepNamePatterns', 'causes', 'confidence', 'rootCause', 'failureStage', 'suggestedFix'
+];
+
+/**
+ * The shipped rule set (a copy - callers may not change the default)
+ */
+export function getDefaultRuleset() {
+    return structuredClone(DEFAULT_RULESET);
+}
+
+/**
+ * Apply overrides to a rule set, in order (org, then repo)
+ * @param {Object} base - { version, rules }
+ * @param {Array} overrides - [{ scope: 'org' | 'repo', version, rules }] (missing ones are skipped)
+ * @returns {Object} { version, rules } - rules sorted by order, disabled ones removed
+ */
+export function mergeRulesets(base, overrides = []) {
+    const rules = new Map(base.rules.map(rule => [rule.id, { ...rule }]));
+    let version = base.version;
+
+    for (const override of overrides.filter(Boolean)) {
+        for (const rule of override.rules) {
+            rules.set(rule.id, { ...rules.get(rule.id), ...rule });
+        }
+        version += `+${override.scope}.${override.version}`;
+    }
+
+    return {
+        version,
+        rules: [...rules.values()]
+            .filter(rule => !rule.disabled)
+            .sort((a, b) => a.order - b.order),
+    };
+}
+
+/**
+ * Compile rule patterns into RegExps - the shape FailureClassifierService runs.
+ * Invalid and unsafe patterns are skipped (overrides are validated on save, this only guards old rows).
+ */
+export function compileRuleset(ruleset) {
+    const compilePatterns = (rule, patterns = []) => patterns.flatMap(pattern => {
+        const error = checkRulePattern(pattern, rule.flags ?? 'i');
+        if (error) {
+            console.warn(`⚠️  Skipping invalid pattern in classification rule ${rule.id}: ${error}`);
+            return [];
+        }
+        return [new RegExp(pattern, rule.flags ?? 'i')];
+    });
+
+    return {
+        version: ruleset.version,
+        rules: ruleset.rules.map(rule => ({
+            ...rule,
+            // Overrides saved before the taxonomy could set their own priority
+            priority: getPriority(rule.failureType),
+            skipAI: rule.skipAI === true,
+            fallback: rule.fallback === true,
+            // "Exit Failure" or { category: 'Error', confidence: 'medium' }
+            categories: (rule.categories || []).map(category =>
+                typeof category === 'string' ? { category } : category
+            ),
+            patterns: compilePatterns(rule, rule.patterns),
+            stepNamePatterns: rule.stepNamePatterns ? compilePatterns(rule, rule.stepNamePatterns) : null,
+        })),
+    };
+}
+
+/**
+ * Validate override rules from a request body, returns an error message or null
+ */
+export function validateRuleOverrides(rules) {
+    if (!Array.isArray(rules)) {
+        return 'rules must be an array';
+    }
+    if (rules.length > MAX_RULES) {
+        return `at most ${MAX_RULES} rules are allowed`;
+    }
+
+    const defaultIds = new Set(DEFAULT_RULESET.rules.map(rule => rule.id));
+    const ids = new Set();
+
+    for (const rule of rules) {
+        if (!rule || typeof rule !== 'object' || typeof rule.id !== 'string' || !rule.id.trim()) {
+            return 'every rule needs an id';
+        }
+        const label = `rule ${rule.id}`;
+        if (ids.has(rule.id)) {
+            return `${label} is listed twice`;
+        }
+        ids.add(rule.id);
+
+        if (rule.priority !== undefined) {
+            return `${label}: priority comes from the failure type (GET /api/taxonomy), set failureType instead`;
+        }
+        const unknownField = Object.keys(rule).find(field => !RULE_FIELDS.includes(field));
+        if (unknownField) {
+            return `${label}: unknown field ${unknownField}`;
+        }
+        if (rule.disabled !== undefined && typeof rule.disabled !== 'boolean') {
+            return `${label}: disabled must be a boolean`;
+        }
+        if (rule.disabled) {
+            continue;
+        }
+
+        // New rules must be complete, overrides of a default rule only set what they change
+        if (!defaultIds.has(rule.id)) {
+            for (const field of ['failureType', 'order']) {
+                if (rule[field] === undefined) {
+                    return `${label}: ${field} is required for a new rule`;
+                }
+            }
+            if (!rule.patterns?.length && !rule.categories?.length && !rule.stepNamePatterns?.length) {
+                return `${label}: needs patterns, categories or stepNamePatterns`;
+            }
+        }
+
+        if (rule.failureType !== undefined && !RULE_FAILURE_TYPES.includes(rule.failureType)) {
+            return `${label}: failureType must be one of ${RULE_FAILURE_TYPES.join(', ')}`;
+        }
+        if (rule.order !== undefined && !Number.isInteger(rule.order)) {
+            return `${label}: order must be an integer`;
+        }
+        for (const field of ['skipAI', 'fallback', 'matchChunkContent']) {
+            if (rule[field] !== undefined && typeof rule[field] !== 'boolean') {
+                return `${label}: ${field} must be a boolean`;
+            }
+        }
+        for (const field of ['rootCause', 'failureStage', 'suggestedFix']) {
+            if (rule[field] !== undefined && typeof rule[field] !== 'string') {
+                return `${label}: ${field} must be a string`;
+            }
+        }
+        if (rule.skipAI && !(rule.rootCause ?? DEFAULT_RULESET.rules.find(r => r.id === rule.id)?.rootCause)) {
+            return `${label}: a rule that skips AI needs a rootCause`;
+        }
+        if (rule.confidence !== undefined) {
+            const { score, reason } = rule.confidence || {};
+            if (typeof score !== 'number' || score < 0 || score > 1 || typeof reason !== 'string') {
+                return `${label}: confidence must be { score: 0-1, reason }`;
+            }
+        }
+        if (rule.categories !== undefined && (!Array.isArray(rule.categories) || !rule.categories.every(category =>
+            typeof category === 'string' || (category && typeof category.category === 'string')
+        ))) {
+            return `${label}: categories must be category names or { category, confidence }`;
+        }
+        if (rule.causes !== undefined && (!Array.isArray(rule.causes) || !rule.causes.every(type => RULE_FAILURE_TYPES.includes(type)))) {
+            return `${label}: causes must be a list of failure types`;
+        }
+        if (rule.flags !== undefined && (typeof rule.flags !== 'string' || !ALLOWED_FLAGS.test(rule.flags))) {
+            return `${label}: flags may only contain i, m, s and u`;
+        }
+
+        for (const field of ['patterns', 'stepNamePatterns']) {
+            if (rule[field] === undefined) {
+                continue;
+            }
+            if (!Array.isArray(rule[field]) || rule[field].length > MAX_PATTERNS_PER_RULE) {
+                return `${label}: ${field} must be an array of at most ${MAX_PATTERNS_PER_RULE} patterns`;
+            }
+            for (const pattern of rule[field]) {
+                if (typeof pattern !== 'string' || !pattern || pattern.length > MAX_PATTERN_LENGTH) {
+                    return `${label}: patterns must be non-empty strings of at most ${MAX_PATTERN_LENGTH} characters`;
+                }
+                const error = checkRulePattern(pattern, rule.flags ?? 'i');
+                if (error) {
+                    return `${label}: pattern ${pattern}: ${error}`;
+                }
+                if (new RegExp(pattern, rule.flags ?? 'i').test('')) {
+                    return `${label}: pattern ${pattern} must not match an empty string`;
+                }
+            }
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,82 @@
+/**
+ * Classification Ruleset Service
+ *
+ * Stored org / repo overrides of the classification rules (see classificationRules.js)
+ * and the effective, compiled rule set for a repo: default rules, then the org
+ * (repo owner) override, then the repo override.
+ *
+ * An org override belongs to the user who set it and applies to their repos of the
+ * org - any user can add a repo of an org, so it can't be shared by the org's users.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { getDefaultRuleset, mergeRulesets, compileRuleset } from './classificationRules.js';
+
+const prisma = new PrismaClient();
+
+export const RULESET_SCOPES = ['repo', 'org'];
+
+export class ClassificationRulesetService {
+    /**
+     * Key fields of a repo's override in a scope
+     */
+    static scopeKey(scope, repo) {
+        return scope === 'org' ? { userId: repo.userId, owner: repo.owner } : { repoId: repo.id };
+    }
+
+    /**
+     * Unique where clause of a repo's override in a scope
+     */
+    static scopeWhere(scope, repo) {
+        const key = ClassificationRulesetService.scopeKey(scope, repo);
+        return scope === 'org' ? { userId_owner: key } : key;
+    }
+
+    /**
+     * Stored overrides for a repo - { org, repo } (null when not set)
+     */
+    async getOverrides(repo) {
+        const [org, repoOverride] = await Promise.all([
+            prisma.classificationRuleset.findUnique({ where: ClassificationRulesetService.scopeWhere('org', repo) }),
+            prisma.classificationRuleset.findUnique({ where: ClassificationRulesetService.scopeWhere('repo', repo) })
+        ]);
+        return { org, repo: repoOverride };
+    }
+
+    /**
+     * Effective rule set for a repo, merged but not compiled - { version, rules }
+     */
+    async getMergedRuleset(repo) {
+        const overrides = await this.getOverrides(repo);
+        return mergeRulesets(getDefaultRuleset(), [overrides.org, overrides.repo]);
+    }
+
+    /**
+     * Compiled rule set for FailureClassifierService
+     */
+    async getRuleset(repo) {
+        return compileRuleset(await this.getMergedRuleset(repo));
+    }
+
+    /**
+     * Create or replace an override - the version goes up on every change
+     */
+    async saveOverride(scope, repo, rules) {
+        const where = ClassificationRulesetService.scopeWhere(scope, repo);
+        return prisma.classificationRuleset.upsert({
+            where,
+            update: { rules, version: { increment: 1 } },
+            create: { ...ClassificationRulesetService.scopeKey(scope, repo), scope, rules }
+        });
+    }
+
+    /**
+     * Remove an override - returns false when there was none
+     */
+    async removeOverride(scope, repo) {
+        const deleted = await prisma.classificationRuleset.deleteMany({
+            where: ClassificationRulesetService.scopeKey(scope, repo)
+        });
+        return deleted.count > 0;
+    }
+}
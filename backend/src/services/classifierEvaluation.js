@@ -0,0 +1,249 @@
+/**
+ * Classifier Evaluation
+ *
+ * Offline accuracy check of LogParserService + FailureClassifierService against a
+ * labeled corpus (backend/eval/corpus), so a change to the classification rules or
+ * the parser's error patterns can be measured before it ships.
+ *
+ * Corpus format - one directory per case:
+ *   <case id>/case.json  { description, source: 'seed' | 'export' | 'correction', provider?,
+ *                          expected: { failureType, priority?, step? } }
+ *   <case id>/log.txt    the raw log (GitHub Actions archives combined with
+ *                        "--- Log File: job/1_step.txt ---" markers)
+ * priority defaults to the failure type's priority in the taxonomy; step is the
+ * failing step as the parser names it (" (part n)" suffixes are ignored).
+ * Every case must be classified right - a misclassified case fails the gate even when
+ * the baseline has the same wrong prediction, so a baseline can't freeze one.
+ *
+ * No database access - the harness runs anywhere the source does.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { LogParserService } from './logParser.js';
+import { FailureClassifierService } from './failureClassifier.js';
+import { getPriority } from './failureTaxonomy.js';
+
+export const DEFAULT_CORPUS_DIR = new URL('../../eval/corpus', import.meta.url).pathname;
+export const DEFAULT_BASELINE_FILE = new URL('../../eval/baseline.json', import.meta.url).pathname;
+
+// Chunks of one step are named "Step (part 2)"
+const PART_SUFFIX = / \(part \d+\)$/;
+
+/**
+ * Read every case of a corpus directory, sorted by id
+ * @returns {Array} [{ id, description, source, provider, expected, log }]
+ */
+export function loadCorpus(corpusDir = DEFAULT_CORPUS_DIR) {
+    return fs.readdirSync(corpusDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort()
+        .map(id => {
+            const dir = path.join(corpusDir, id);
+            const definition = JSON.parse(fs.readFileSync(path.join(dir, 'case.json'), 'utf8'));
+            if (!definition.expected?.failureType) {
+                throw new Error(`Corpus case ${id}: expected.failureType is required`);
+            }
+            return {
+                id,
+                description: definition.description || '',
+                source: definition.source || 'seed',
+                provider: definition.provider,
+                expected: {
+                    failureType: definition.expected.failureType,
+                    priority: definition.expected.priority ?? getPriority(definition.expected.failureType),
+                    step: definition.expected.step ?? null,
+                },
+                log: fs.readFileSync(path.join(dir, 'log.txt'), 'utf8'),
+            };
+        });
+}
+
+/**
+ * Write a case into a corpus directory (an existing case with the same id is replaced)
+ */
+export function writeCase(corpusDir, { id, description, source, provider, expected, log }) {
+    const dir = path.join(corpusDir, id);
+    fs.mkdirSync(dir, { recursive: true });
+    const definition = { description, source, ...(provider && { provider }), expected };
+    fs.writeFileSync(path.join(dir, 'case.json'), `${JSON.stringify(definition, null, 2)}\n`);
+    fs.writeFileSync(path.join(dir, 'log.txt'), log);
+}
+
+/**
+ * Rebuild a log from stored chunks - overlap lines dropped, each step behind a
+ * "--- Log File: job/n_step.txt ---" marker so the parser gets the step and job back
+ * @param {Array} chunks - LogChunks, in chunk order
+ */
+export function logFromChunks(chunks) {
+    const lines = [];
+    let previousStep = null;
+    let stepNumber = 0;
+
+    for (const chunk of chunks) {
+        const stepName = (chunk.stepName || 'Full Log').replace(PART_SUFFIX, '');
+        const stepKey = `${chunk.jobName ?? ''}\n${stepName}`;
+        if (stepKey !== previousStep) {
+            stepNumber++;
+            const file = `${stepNumber}_${stepName.replace(/[\\/]/g, '-')}.txt`;
+            lines.push(`--- Log File: ${chunk.jobName ? `${chunk.jobName}/` : ''}${file} ---`);
+            previousStep = stepKey;
+        }
+        lines.push(...chunk.content.split('\n').slice(chunk.overlapLines || 0));
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse and classify one case
+ * @returns {Object} { failureType, priority, step, ruleId }
+ */
+export function predictCase(testCase, { parser = new LogParserService(), classifier = new FailureClassifierService() } = {}) {
+    const parsed = parser.parse(testCase.log, { provider: testCase.provider });
+    const classification = classifier.classify(parsed.chunks, parsed.detectedErrors);
+    const step = classification.detectedError?.stepName
+        ?? classification.detectedStep?.stepName
+        ?? parser.getPrimaryError(parsed.detectedErrors)?.stepName
+        ?? null;
+
+    return {
+        failureType: classification.failureType,
+        priority: classification.priority,
+        step: step ? step.replace(PART_SUFFIX, '') : null,
+        ruleId: classification.ruleId ?? null,
+    };
+}
+
+/**
+ * Run the classifier over a corpus
+ * @param {Array} corpus - loadCorpus()
+ * @param {Object} options - { classifier: FailureClassifierService (default rules when omitted) }
+ * @returns {Object} { classifierVersion, results: [{ id, expected, predicted, correct }], metrics }
+ */
+export function evaluate(corpus, { classifier = new FailureClassifierService() } = {}) {
+    const parser = new LogParserService();
+    const results = corpus.map(testCase => {
+        const predicted = predictCase(testCase, { parser, classifier });
+        return {
+            id: testCase.id,
+            expected: testCase.expected,
+            predicted,
+            correct: {
+                failureType: predicted.failureType === testCase.expected.failureType,
+                priority: predicted.priority === testCase.expected.priority,
+                // Cases without an expected step don't count towards step accuracy
+                step: testCase.expected.step === null ? null : sameStep(predicted.step, testCase.expected.step),
+            },
+        };
+    });
+
+    return { classifierVersion: classifier.version, results, metrics: computeMetrics(results) };
+}
+
+/**
+ * Accuracy, per-class precision / recall / F1 and the confusion matrix
+ */
+export function computeMetrics(results) {
+    const classes = [...new Set(results.flatMap(r => [r.expected.failureType, r.predicted.failureType]))].sort();
+    const confusion = Object.fromEntries(classes.map(expected => [expected, Object.fromEntries(classes.map(predicted => [predicted, 0]))]));
+    for (const result of results) {
+        confusion[result.expected.failureType][result.predicted.failureType]++;
+    }
+
+    const ratio = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 1000 : null);
+    const perClass = classes.map(type => {
+        const truePositives = confusion[type][type];
+        const predictedCount = classes.reduce((sum, expected) => sum + confusion[expected][type], 0);
+        const support = classes.reduce((sum, predicted) => sum + confusion[type][predicted], 0);
+        const precision = ratio(truePositives, predictedCount);
+        const recall = ratio(truePositives, support);
+        const f1 = precision && recall ? Math.round((2 * precision * recall / (precision + recall)) * 1000) / 1000 : 0;
+        return { failureType: type, support, predicted: predictedCount, precision, recall, f1 };
+    });
+
+    const withStep = results.filter(r => r.correct.step !== null);
+    return {
+        cases: results.length,
+        accuracy: ratio(results.filter(r => r.correct.failureType).length, results.length),
+        priorityAccuracy: ratio(results.filter(r => r.correct.priority).length, results.length),
+        stepAccuracy: ratio(withStep.filter(r => r.correct.step).length, withStep.length),
+        perClass,
+        confusion,
+    };
+}
+
+/**
+ * Misclassified cases - wrong failure type or step
+ */
+export function getMisclassified(evaluation) {
+    return evaluation.results.filter(r => !r.correct.failureType || r.correct.step === false);
+}
+
+/**
+ * Baseline file contents for an evaluation - the predictions per case and the metrics
+ */
+export function toBaseline(evaluation) {
+    return {
+        classifierVersion: evaluation.classifierVersion,
+        metrics: {
+            cases: evaluation.metrics.cases,
+            accuracy: evaluation.metrics.accuracy,
+            priorityAccuracy: evaluation.metrics.priorityAccuracy,
+            stepAccuracy: evaluation.metrics.stepAccuracy,
+        },
+        results: Object.fromEntries(evaluation.results.map(r => [r.id, r.predicted])),
+    };
+}
+
+/**
+ * Predictions that changed against a saved baseline
+ * @returns {Object} { changes: [{ id, field, baseline, current, status: 'fixed' | 'regressed' | 'changed' }],
+ *   newCases, removedCases, fixed, regressed }
+ */
+export function compareToBaseline(evaluation, baseline) {
+    const changes = [];
+    const newCases = [];
+
+    for (const result of evaluation.results) {
+        const before = baseline.results[result.id];
+        if (!before) {
+            newCases.push(result.id);
+            continue;
+        }
+        for (const field of ['failureType', 'priority', 'step']) {
+            if (result.correct[field] === null || before[field] === result.predicted[field]) {
+                continue;
+            }
+            const wasCorrect = field === 'step'
+                ? sameStep(before.step, result.expected.step)
+                : before[field] === result.expected[field];
+            changes.push({
+                id: result.id,
+                field,
+                expected: result.expected[field],
+                baseline: before[field],
+                current: result.predicted[field],
+                status: result.correct[field] ? 'fixed' : wasCorrect ? 'regressed' : 'changed',
+            });
+        }
+    }
+
+    const currentIds = new Set(evaluation.results.map(r => r.id));
+    return {
+        changes,
+        newCases,
+        removedCases: Object.keys(baseline.results).filter(id => !currentIds.has(id)),
+        fixed: changes.filter(c => c.status === 'fixed').length,
+        regressed: changes.filter(c => c.status === 'regressed').length,
+    };
+}
+
+/**
+ * Step names compare case-insensitively, without " (part n)"
+ */
+function sameStep(a, b) {
+    const normalize = (name) => (name || '').replace(PART_SUFFIX, '').trim().toLowerCase();
+    return normalize(a) === normalize(b);
+}
@@ -0,0 +1,229 @@
+/**
+ * Correction Service
+ *
+ * Users correct an analysis (failureType, rootCause) and rate its suggested fix.
+ * Every correction is kept as history; the latest correction per field is the
+ * override for future runs of the repo with the same primary error fingerprint,
+ * so a failure is only misclassified once. A correction also drops the cached
+ * analyses of the error (analysisCacheService.js) - the next run gets a new one.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { getFailureType, getPriority } from './failureTaxonomy.js';
+
+const prisma = new PrismaClient();
+
+const MAX_ROOT_CAUSE_LENGTH = 5000;
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Error message for an invalid correction body, null when it is valid
+ * @param {Object} body - { failureType?, rootCause?, comment? }
+ */
+export function validateCorrection(body) {
+    const { failureType, rootCause, comment } = body || {};
+    if (failureType === undefined && rootCause === undefined) {
+        return 'failureType or rootCause is required';
+    }
+    if (failureType !== undefined && (!getFailureType(failureType) || failureType === 'UNKNOWN')) {
+        return 'failureType must be a failure type of the taxonomy (GET /api/taxonomy), other than UNKNOWN';
+    }
+    if (rootCause !== undefined && (typeof rootCause !== 'string' || !rootCause.trim())) {
+        return 'rootCause must be a non-empty string';
+    }
+    if (rootCause?.length > MAX_ROOT_CAUSE_LENGTH) {
+        return `rootCause must be at most ${MAX_ROOT_CAUSE_LENGTH} characters`;
+    }
+    return validateComment(comment);
+}
+
+/**
+ * Error message for an invalid fix rating body, null when it is valid
+ * @param {Object} body - { rating: 1-5, comment? }
+ */
+export function validateFixRating(body) {
+    const { rating, comment } = body || {};
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return 'rating must be an integer from 1 (did not help) to 5 (fixed it)';
+    }
+    return validateComment(comment);
+}
+
+function validateComment(comment) {
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+        return 'comment must be a string';
+    }
+    if (comment?.length > MAX_COMMENT_LENGTH) {
+        return `comment must be at most ${MAX_COMMENT_LENGTH} characters`;
+    }
+    return null;
+}
+
+export class CorrectionService {
+    /**
+     * Classification with a correction override applied - the corrected failure type
+     * and its taxonomy priority. Unchanged without an override of the failure type.
+     * @param {Object} classification - FailureClassifierService.classify() result
+     * @param {Object|null} override - findOverride()
+     */
+    static applyOverride(classification, override) {
+        if (!override?.failureType) {
+            return classification;
+        }
+        const changed = override.failureType !== classification.failureType;
+        return {
+            ...classification,
+            failureType: override.failureType,
+            priority: getPriority(override.failureType),
+            // A deterministic (intentional failure) result no longer holds for another type
+            skipAI: classification.skipAI && !changed,
+            needsAIClassification: false,
+            confidence: {
+                score: 1,
+                reason: `Corrected by a user on a run with the same error (${classification.failureType} by the rules)`,
+            },
+        };
+    }
+
+    /**
+     * Override for a new run of a repo - the latest correction of each field made
+     * on runs with the same primary error fingerprint
+     * @returns {Promise<Object|null>} { failureType, rootCause, correctionIds } or null
+     */
+    async findOverride(repoId, fingerprint) {
+        if (!fingerprint) {
+            return null;
+        }
+
+        const where = { repoId, fingerprint };
+        const [typeCorrection, rootCauseCorrection] = await Promise.all([
+            prisma.analysisCorrection.findFirst({
+                where: { ...where, failureType: { not: null } },
+                orderBy: { createdAt: 'desc' }
+            }),
+            prisma.analysisCorrection.findFirst({
+                where: { ...where, rootCause: { not: null } },
+                orderBy: { createdAt: 'desc' }
+            })
+        ]);
+
+        if (!typeCorrection && !rootCauseCorrection) {
+            return null;
+        }
+
+        return {
+            failureType: typeCorrection?.failureType ?? null,
+            rootCause: rootCauseCorrection?.rootCause ?? null,
+            correctionIds: [...new Set([typeCorrection?.id, rootCauseCorrection?.id].filter(Boolean))]
+        };
+    }
+
+    /**
+     * Correct a run's analysis: record the correction and update the analysis
+     * (also a confirmation - correcting a field to its current value verifies it)
+     * @param {Object} analysis - AnalysisResult
+     * @param {Object} run - WorkflowRun of the analysis
+     * @param {number} userId - User making the correction
+     * @param {Object} body - validated { failureType?, rootCause?, comment? }
+     * @returns {Promise<Object>} { analysis, correction }
+     */
+    async correct(analysis, run, userId, { failureType, rootCause, comment }) {
+        const data = { humanVerified: true };
+        if (failureType !== undefined) {
+            data.failureType = failureType;
+            data.priority = getPriority(failureType);
+        }
+        if (rootCause !== undefined) {
+            data.rootCause = rootCause.trim();
+        }
+
+        const [correction, updated] = await prisma.$transaction([
+            prisma.analysisCorrection.create({
+                data: {
+                    analysisResultId: analysis.id,
+                    repoId: run.repoId,
+                    fingerprint: analysis.fingerprint,
+                    userId,
+                    failureType: data.failureType ?? null,
+                    previousFailureType: failureType !== undefined ? analysis.failureType : null,
+                    rootCause: data.rootCause ?? null,
+                    previousRootCause: rootCause !== undefined ? analysis.rootCause : null,
+                    comment: comment || null
+                }
+            }),
+            prisma.analysisResult.update({
+                where: { id: analysis.id },
+                data
+            }),
+            // Cached analyses of the error would repeat what was corrected
+            ...(analysis.errorSignature ? [prisma.analysisCacheEntry.deleteMany({
+                where: { repoId: run.repoId, errorSignature: analysis.errorSignature }
+            })] : [])
+        ]);
+
+        return { analysis: updated, correction };
+    }
+
+    /**
+     * Rate an analysis' suggested fix - one rating per user, rating again replaces it
+     */
+    async rateFix(analysisId, userId, { rating, comment }) {
+        return prisma.fixRating.upsert({
+            where: { analysisResultId_userId: { analysisResultId: analysisId, userId } },
+            update: { rating, comment: comment || null },
+            create: { analysisResultId: analysisId, userId, rating, comment: comment || null }
+        });
+    }
+
+    /**
+     * Correction history (newest first) and fix ratings of an analysis
+     * @returns {Promise<Object>} { corrections, fixRating: { average, count, ratings } }
+     */
+    async getHistory(analysisId) {
+        const [corrections, ratings] = await Promise.all([
+            prisma.analysisCorrection.findMany({
+                where: { analysisResultId: analysisId },
+                orderBy: { createdAt: 'desc' },
+                include: { user: { select: { id: true, username: true, avatarUrl: true } } }
+            }),
+            prisma.fixRating.findMany({
+                where: { analysisResultId: analysisId },
+                orderBy: { updatedAt: 'desc' },
+                include: { user: { select: { id: true, username: true, avatarUrl: true } } }
+            })
+        ]);
+
+        return {
+            corrections: corrections.map(correction => ({
+                id: correction.id,
+                user: correction.user,
+                failureType: correction.failureType,
+                previousFailureType: correction.previousFailureType,
+                rootCause: correction.rootCause,
+                previousRootCause: correction.previousRootCause,
+                comment: correction.comment,
+                createdAt: correction.createdAt
+            })),
+            fixRating: {
+                ...summarizeRatings(ratings),
+                ratings: ratings.map(rating => ({
+                    user: rating.user,
+                    rating: rating.rating,
+                    comment: rating.comment,
+                    updatedAt: rating.updatedAt
+                }))
+            }
+        };
+    }
+}
+
+/**
+ * Average (one decimal) and count of fix ratings - { average: null, count: 0 } without ratings
+ */
+export function summarizeRatings(ratings) {
+    if (!ratings || ratings.length === 0) {
+        return { average: null, count: 0 };
+    }
+    const total = ratings.reduce((sum, rating) => sum + rating.rating, 0);
+    return { average: Math.round((total / ratings.length) * 10) / 10, count: ratings.length };
+}
@@ -1,42 +1,39 @@
 /**
  * Embedding Service - Phase 2
  * 
- * Generates text embeddings using Google Gemini AI
+ * Generates text embeddings with the deployment's embedding provider (see llmProviders.js)
  * Converts text chunks into 768-dimensional vectors for semantic search
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createEmbeddingClient, EMBEDDING_DIMENSIONS } from './llmProviders.js';
 
 export class EmbeddingService {
-    constructor() {
-        if (!process.env.GEMINI_API_KEY) {
-            throw new Error('GEMINI_API_KEY is required for embedding generation');
-        }
-
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        this.model = 'text-embedding-004'; // Gemini's embedding model
-        this.embeddingDimension = 768;
+    /**
+     * @param {Object} client - Optional embedding client, the deployment's by default -
+     *   the worker passes one metered for the repo (see usageService.js)
+     */
+    constructor(client = createEmbeddingClient()) {
+        this.client = client;
+        this.model = client.label;
+        this.embeddingDimension = EMBEDDING_DIMENSIONS;
     }
 
     /**
      * Generate embedding for a single text
      * @param {string} text - Text to embed
+     * @param {Object} options - { purpose } the call is metered as ('chunk-embedding', 'rag-query', 'chat-query')
      * @returns {Promise<number[]>} - 768-dimensional vector
      */
-    async generateEmbedding(text) {
+    async generateEmbedding(text, { purpose } = {}) {
         try {
             // Clean and truncate text if needed (max ~20,000 chars)
             const cleanText = this.prepareText(text);
 
-            const result = await this.genAI
-                .getGenerativeModel({ model: this.model })
-                .embedContent(cleanText);
-
-            const embedding = result.embedding.values;
+            const embedding = await this.client.embed(cleanText, { purpose });
 
-            // Verify dimension
+            // The vector column has a fixed dimension - other sizes can't be stored or compared
             if (embedding.length !== this.embeddingDimension) {
-                console.warn(`Expected ${this.embeddingDimension} dimensions, got ${embedding.length}`);
+                throw new Error(`${this.model} returned ${embedding.length} dimensions, expected ${this.embeddingDimension} - use a ${this.embeddingDimension}-dimension embedding model`);
             }
 
             return embedding;
@@ -49,13 +46,14 @@ export class EmbeddingService {
     /**
      * Generate embeddings for multiple texts (batch)
      * @param {string[]} texts - Array of texts to embed
+     * @param {Object} options - See generateEmbedding
      * @returns {Promise<number[][]>} - Array of 768-dimensional vectors  
      */
-    async generateEmbeddings(texts) {
+    async generateEmbeddings(texts, options = {}) {
         const embeddings = [];
 
         for (const text of texts) {
-            const embedding = await this.generateEmbedding(text);
+            const embedding = await this.generateEmbedding(text, options);
             embeddings.push(embedding);
 
             // Small delay to avoid rate limits
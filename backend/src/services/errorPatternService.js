@@ -0,0 +1,119 @@
+/**
+ * Error Pattern Service
+ *
+ * Per-repo custom error patterns for formats the built-in patterns don't know
+ * (in-house test harnesses, custom deploy scripts, ...). Enabled patterns are
+ * compiled once per job and handed to LogParserService (detection) and, through
+ * the failureType on each detected error, to FailureClassifierService.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { FAILURE_TYPES } from './failureTaxonomy.js';
+import { checkUserRegex, compileUserRegex } from '../utils/userRegex.js';
+
+const prisma = new PrismaClient();
+
+export const PATTERN_CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// Categories a custom pattern can classify into (intentional failures are structural, not pattern based)
+export const PATTERN_FAILURE_TYPES = FAILURE_TYPES
+    .map(entry => entry.type)
+    .filter(type => !['INTENTIONAL', 'UNKNOWN'].includes(type));
+
+// Patterns run against every log line - keep them short, stateless (no g / y flags)
+// and free of catastrophic backtracking (see userRegex.js)
+const MAX_PATTERN_LENGTH = 500;
+const ALLOWED_FLAGS = /^[imsu]*$/;
+
+export class ErrorPatternService {
+    /**
+     * Enabled patterns for a repo, in creation order
+     */
+    async getEnabledPatterns(repoId) {
+        return prisma.errorPattern.findMany({
+            where: { repoId, enabled: true },
+            orderBy: { id: 'asc' }
+        });
+    }
+
+    /**
+     * Compile stored patterns into the shape used by LogParserService.
+     * Invalid and unsafe regexes are skipped - they are rejected on save, this only guards old rows.
+     */
+    static compile(patterns = []) {
+        const compiled = [];
+
+        for (const p of patterns) {
+            try {
+                compiled.push({
+                    id: p.id,
+                    name: p.name,
+                    category: p.category,
+                    pattern: compileUserRegex(p.pattern, p.flags ?? 'i'),
+                    confidence: p.confidence || 'high',
+                    failureType: p.failureType || null,
+                });
+            } catch (error) {
+                console.warn(`⚠️  Skipping invalid custom error pattern ${p.id} (${p.name}): ${error.message}`);
+            }
+        }
+
+        return compiled;
+    }
+
+    /**
+     * Flags to store for a request's flags - "i" when not given, null for none
+     */
+    static normalizeFlags(flags) {
+        return flags === undefined ? 'i' : (flags ?? '');
+    }
+
+    /**
+     * Validate pattern fields from a request body
+     * Updates validate the stored pattern merged with the changes.
+     * @param {Object} input - { name, pattern, flags, category, confidence, failureType, enabled }
+     * @returns {string|null} Error message, or null when valid
+     */
+    static validate(input) {
+        const { name, pattern, flags, category, confidence, failureType, enabled } = input;
+
+        for (const [field, value] of Object.entries({ name, pattern, category })) {
+            if (typeof value !== 'string' || !value.trim()) {
+                return `${field} is required`;
+            }
+        }
+
+        if (pattern.length > MAX_PATTERN_LENGTH) {
+            return `pattern must be at most ${MAX_PATTERN_LENGTH} characters`;
+        }
+
+        if (flags !== undefined && flags !== null && (typeof flags !== 'string' || !ALLOWED_FLAGS.test(flags))) {
+            return 'flags may only contain i, m, s and u';
+        }
+
+        const normalizedFlags = ErrorPatternService.normalizeFlags(flags);
+        const regexError = checkUserRegex(pattern, normalizedFlags);
+        if (regexError) {
+            return regexError;
+        }
+
+        // It would make every log line an error
+        if (new RegExp(pattern, normalizedFlags).test('')) {
+            return 'pattern must not match an empty string';
+        }
+
+        if (confidence !== undefined && !PATTERN_CONFIDENCE_LEVELS.includes(confidence)) {
+            return `confidence must be one of: ${PATTERN_CONFIDENCE_LEVELS.join(', ')}`;
+        }
+
+        if (failureType !== undefined && failureType !== null && !PATTERN_FAILURE_TYPES.includes(failureType)) {
+            return `failureType must be one of: ${PATTERN_FAILURE_TYPES.join(', ')}`;
+        }
+
+        if (enabled !== undefined && typeof enabled !== 'boolean') {
+            return 'enabled must be a boolean';
+        }
+
+        return null;
+    }
+}
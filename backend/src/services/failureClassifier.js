@@ -4,616 +4,303 @@
  * Deterministic layer that runs BEFORE AI to classify failures
  * and determine if AI analysis is needed.
  * 
- * Priority Order:
- * P0: Intentional failure (exit 1) - Absolute authority, AI skipped
- * P1: Test failures - Very High
- * P2: Build / Compile failures - High
- * P3: Runtime errors - Medium
- * P4: Infra / Dependency issues - Medium
- * P5: Security issues - Medium
- * P6: Timeout issues - Medium
- * P7: Dependency failures - Medium
- * P8: Configuration errors - Low
- * P9: Permission errors - Low
- * P10: Lint / Warnings - Low
+ * Priorities, labels and severities of the failure types come from the taxonomy
+ * (failureTaxonomy.js): P0 intentional failures (absolute authority, AI skipped),
+ * P1 out of memory, down to P11 lint / warnings; a lost runner and a cancellation
+ * (fallback rules) come last.
+ *
+ * The rules (patterns, categories, priority, skipAI, confidence) are declarative
+ * and versioned - see classificationRules.js. The default rule set ships in
+ * config/classificationRules.default.json and can be overridden per org and repo;
+ * every result carries the classifierVersion of the rules that produced it.
+ *
+ * Errors matched by a repo's custom error pattern carry that pattern's
+ * failureType and count towards the matching category.
+ *
+ * Errors from the language extractors (Python, Go, JVM, Rust, .NET) count through
+ * their category; the toolchain, error code and source location of the first one
+ * behind the classification are returned with it.
+ *
+ * Every rule is evaluated, so a run can have several candidate failure types
+ * (a failing test suite and the ECONNREFUSED to its database). A failure that a
+ * rule declares it `causes`, and that shows up at or after that rule's first
+ * evidence in the log, is secondary: tests that failed because the service
+ * container never started rank below the INFRA failure that explains them.
  */
 
-export class FailureClassifierService {
-
-    /**
-     * Classify the failure based on parsed log data
-     * @param {Array} chunks - Parsed log chunks
-     * @param {Array} detectedErrors - Detected errors from log parser
-     * @returns {Object} Classification result with priority
-     */
-    classify(chunks, detectedErrors) {
-        // Check for intentional failures first (P0 - highest priority)
-        const intentionalFailure = this.detectIntentionalFailure(chunks, detectedErrors);
-        if (intentionalFailure) {
-            return intentionalFailure;
-        }
-
-        // Check for test failures (P1)
-        const testFailure = this.detectTestFailure(detectedErrors);
-        if (testFailure) {
-            return testFailure;
-        }
-
-        // Check for build/compile failures (P2)
-        const buildFailure = this.detectBuildFailure(detectedErrors);
-        if (buildFailure) {
-            return buildFailure;
-        }
-
-        // Check for runtime errors (P3)
-        const runtimeError = this.detectRuntimeError(detectedErrors);
-        if (runtimeError) {
-            return runtimeError;
-        }
-
-        // Check for infra issues (P4)
-        const infraFailure = this.detectInfraFailure(detectedErrors);
-        if (infraFailure) {
-            return infraFailure;
-        }
-
-        // Check for security issues (P5)
-        const securityFailure = this.detectSecurityFailure(detectedErrors, chunks);
-        if (securityFailure) {
-            return securityFailure;
-        }
-
-        // Check for timeout issues (P6)
-        const timeoutFailure = this.detectTimeoutFailure(detectedErrors, chunks);
-        if (timeoutFailure) {
-            return timeoutFailure;
-        }
-
-        // Check for dependency issues (P7)
-        const dependencyFailure = this.detectDependencyFailure(detectedErrors, chunks);
-        if (dependencyFailure) {
-            return dependencyFailure;
-        }
+import { getDefaultRuleset, compileRuleset } from './classificationRules.js';
+import { getPriority } from './failureTaxonomy.js';
+import { testUserPattern } from '../utils/userRegex.js';
 
-        // Check for config errors (P8)
-        const configFailure = this.detectConfigFailure(detectedErrors, chunks);
-        if (configFailure) {
-            return configFailure;
-        }
+// Compiled once - most runs use the default rules
+const DEFAULT_RULES = compileRuleset(getDefaultRuleset());
 
-        // Check for permission errors (P9)
-        const permissionFailure = this.detectPermissionFailure(detectedErrors, chunks);
-        if (permissionFailure) {
-            return permissionFailure;
-        }
+// Evidence items returned per candidate
+const MAX_EVIDENCE = 5;
 
-        // Check for lint/warnings (P10)
-        const lintIssue = this.detectLintIssue(detectedErrors);
-        if (lintIssue) {
-            return lintIssue;
-        }
-
-        // No deterministic classification - AI will classify
-        return {
-            failureType: 'UNKNOWN',
-            priority: 99,
-            skipAI: false,
-            needsAIClassification: true,  // Flag to trigger AI classification
-            confidence: {
-                score: 0.0,
-                reason: 'No deterministic classification possible - AI will suggest category'
-            }
-        };
-    }
+// Score of a secondary failure is scaled down, a cause's score goes up
+const SECONDARY_SCORE_FACTOR = 0.5;
+const CAUSE_SCORE_BONUS = 0.1;
 
+export class FailureClassifierService {
     /**
-     * Detect intentional CI failures (exit 1, exit 2, etc.)
-     * P0 - Absolute authority, AI is skipped
+     * @param {Object} options - { ruleset: compiled rule set (compileRuleset), default rules when omitted }
      */
-    detectIntentionalFailure(chunks, detectedErrors) {
-        // Look for explicit exit commands in errors
-        const exitFailure = detectedErrors.find(e =>
-            e.category === 'Exit Failure' ||
-            (e.errorMessage && /^\s*exit\s+[1-9]\d*\s*$/i.test(e.errorMessage))
-        );
-
-        if (exitFailure) {
-            // Find the step where this occurred
-            const failedStep = chunks.find(c =>
-                c.content.includes(exitFailure.errorMessage) ||
-                c.stepName.toLowerCase().includes('exit')
-            );
-
-            return {
-                failureType: 'INTENTIONAL',
-                priority: 5, // P5 - Low priority (intentional test, not a real issue)
-                rootCause: 'Intentional CI failure via explicit exit command (exit 1)',
-                failureStage: failedStep?.stepName || exitFailure.stepName || 'Forced CI Step',
-                suggestedFix: 'Remove or guard the forced "exit 1" step when not testing CI behavior. This is typically used for testing CI pipeline failure handling.',
-                confidence: {
-                    score: 1.0,
-                    reason: 'Explicit exit command detected in CI logs'
-                },
-                skipAI: true, // AI is completely skipped
-                detectedError: exitFailure
-            };
-        }
-
-        // Also check for step names that indicate intentional failure
-        const intentionalStep = chunks.find(c =>
-            c.stepName.toLowerCase().includes('force') &&
-            c.stepName.toLowerCase().includes('fail')
-        );
-
-        if (intentionalStep && intentionalStep.hasErrors) {
-            return {
-                failureType: 'INTENTIONAL',
-                priority: 5, // P5 - Low priority (intentional test, not a real issue)
-                rootCause: `Intentional CI failure in step: "${intentionalStep.stepName}"`,
-                failureStage: intentionalStep.stepName,
-                suggestedFix: 'This step is designed to fail for testing purposes. Remove it when not testing CI behavior.',
-                confidence: {
-                    score: 0.95,
-                    reason: 'Step name indicates intentional failure for testing'
-                },
-                skipAI: true,
-                detectedStep: intentionalStep
-            };
-        }
-
-        return null;
+    constructor(options = {}) {
+        this.ruleset = options.ruleset || DEFAULT_RULES;
     }
 
     /**
-     * Detect test failures (P1)
+     * Version of the rules this classifier runs
      */
-    detectTestFailure(detectedErrors) {
-        const testPatterns = [
-            /test failed/i,
-            /tests? (failing|failed)/i,
-            /assertion (failed|error)/i,
-            /expect\(.+\)\.to/i,
-            /expected .+ (but|to) (got|be|equal)/i,
-            /jest/i,
-            /mocha/i,
-            /vitest/i,
-            /cypress/i,
-            /playwright/i,
-            /\d+ (test|spec)s? failed/i,
-            /FAIL\s+\S+\.test\./i,
-        ];
-
-        const testErrors = detectedErrors.filter(e =>
-            e.category === 'Test Failure' ||
-            testPatterns.some(p => p.test(e.errorMessage || ''))
-        );
-
-        if (testErrors.length > 0) {
-            return {
-                failureType: 'TEST',
-                priority: 1, // P1
-                skipAI: false,
-                highPriorityErrors: testErrors,
-                confidence: {
-                    score: 0.85,
-                    reason: `${testErrors.length} test failure(s) detected`
-                }
-            };
-        }
-
-        return null;
+    get version() {
+        return this.ruleset.version;
     }
 
     /**
-     * Detect build/compile failures (P2)
+     * Classify the failure based on parsed log data
+     * @param {Array} chunks - Parsed log chunks
+     * @param {Array} detectedErrors - Detected errors from log parser
+     * @returns {Object} Classification result of the top candidate, with priority,
+     *   classifierVersion and candidates (every matching failure type, ranked)
      */
-    detectBuildFailure(detectedErrors) {
-        const buildPatterns = [
-            /compilation (failed|error)/i,
-            /build failed/i,
-            /failed to compile/i,
-            /typescript error/i,
-            /ts\d{4}:/i,  // TypeScript error codes
-            /syntax error/i,
-            /Cannot find module/i,
-            /Module not found/i,
-            /webpack/i,
-            /rollup/i,
-            /esbuild/i,
-            /vite.*error/i,
-            /error TS\d+/i,
-        ];
-
-        const buildErrors = detectedErrors.filter(e =>
-            e.category === 'Build Failure' ||
-            e.category === 'Syntax Error' ||
-            buildPatterns.some(p => p.test(e.errorMessage || ''))
-        );
-
-        if (buildErrors.length > 0) {
-            return {
-                failureType: 'BUILD',
-                priority: 2, // P2
-                skipAI: false,
-                highPriorityErrors: buildErrors,
-                confidence: {
-                    score: 0.80,
-                    reason: `${buildErrors.length} build/compile error(s) detected`
-                }
-            };
+    classify(chunks, detectedErrors) {
+        const results = [];
+        for (const rule of this.ruleset.rules) {
+            // The first rule of a failure type speaks for it
+            if (results.some(r => r.failureType === rule.failureType)) {
+                continue;
+            }
+            const result = this.applyRule(rule, chunks, detectedErrors);
+            if (result) {
+                results.push(result);
+            }
         }
 
-        return null;
-    }
-
-    /**
-     * Detect runtime errors (P3)
-     */
-    detectRuntimeError(detectedErrors) {
-        const runtimePatterns = [
-            /TypeError:/i,
-            /ReferenceError:/i,
-            /RangeError:/i,
-            /SyntaxError:/i,
-            /URIError:/i,
-            /EvalError:/i,
-            /undefined is not/i,
-            /null is not/i,
-            /cannot read propert/i,
-            /is not a function/i,
-            /is not defined/i,
-            /uncaught exception/i,
-            /unhandled promise rejection/i,
-        ];
-
-        const runtimeErrors = detectedErrors.filter(e =>
-            e.category === 'Runtime Error' ||
-            runtimePatterns.some(p => p.test(e.errorMessage || ''))
-        );
-
-        if (runtimeErrors.length > 0) {
+        if (results.length === 0) {
+            // No deterministic classification - AI will classify
             return {
-                failureType: 'RUNTIME',
-                priority: 3, // P3
+                failureType: 'UNKNOWN',
+                priority: getPriority('UNKNOWN'),
                 skipAI: false,
-                highPriorityErrors: runtimeErrors,
+                needsAIClassification: true,  // Flag to trigger AI classification
                 confidence: {
-                    score: 0.75,
-                    reason: `${runtimeErrors.length} runtime error(s) detected`
-                }
+                    score: 0.0,
+                    reason: 'No deterministic classification possible - AI will suggest category'
+                },
+                candidates: [],
+                classifierVersion: this.version
             };
         }
 
-        return null;
-    }
-
-    /**
-     * Detect infrastructure issues (P4)
-     */
-    detectInfraFailure(detectedErrors) {
-        const infraPatterns = [
-            /ECONNREFUSED/i,
-            /ECONNRESET/i,
-            /ENOTFOUND/i,
-            /ETIMEDOUT/i,
-            /network error/i,
-            /connection refused/i,
-            /connection reset/i,
-            /docker/i,
-            /container/i,
-            /kubernetes/i,
-            /k8s/i,
-            /pod (failed|error)/i,
-            /redis/i,
-            /database connection/i,
-            /postgres/i,
-            /mysql/i,
-            /mongodb/i,
-        ];
-
-        const infraErrors = detectedErrors.filter(e =>
-            e.category === 'Network Error' ||
-            e.category === 'CI Error' ||
-            infraPatterns.some(p => p.test(e.errorMessage || ''))
-        );
-
-        if (infraErrors.length > 0) {
-            return {
-                failureType: 'INFRA',
-                priority: 4, // P4
-                skipAI: false,
-                highPriorityErrors: infraErrors,
-                confidence: {
-                    score: 0.70,
-                    reason: `${infraErrors.length} infrastructure issue(s) detected`
-                }
-            };
-        }
+        const ranked = this.rankCandidates(results);
+        const { matchedChunks, position, causes, explains, fallback, ...primary } = ranked[0];
 
-        return null;
+        return {
+            ...(primary.skipAI ? primary : this.withLanguageContext(primary)),
+            candidates: ranked.map(result => this.formatCandidate(result)),
+            classifierVersion: this.version
+        };
     }
 
     /**
-     * Detect security issues (P5)
+     * Mark secondary failures and rank the rule results.
+     * A result is secondary when an earlier one (by first evidence in the log) is of a
+     * rule that declares it causes this failure type - only earlier results can be a
+     * cause, so two rules naming each other cannot make both secondary.
+     * Ranking: rules that skip AI (intentional failures), then primary failures, then
+     * secondary ones, then fallback rules (cancelled, runner lost), each in rule order.
      */
-    detectSecurityFailure(detectedErrors, chunks) {
-        const securityPatterns = [
-            /vulnerabilit(y|ies)/i,
-            /security (issue|warning|error)/i,
-            /CVE-\d{4}-\d+/i,
-            /npm audit/i,
-            /high severity/i,
-            /critical severity/i,
-            /snyk/i,
-            /dependabot/i,
-            /secret (exposed|leaked)/i,
-            /credential/i,
-            /authentication failed/i,
-            /unauthorized/i,
-            /403 forbidden/i,
-            /401 unauthorized/i,
-        ];
-
-        const securityErrors = detectedErrors.filter(e =>
-            securityPatterns.some(p => p.test(e.errorMessage || ''))
+    rankCandidates(results) {
+        const byPosition = [...results].sort((a, b) =>
+            comparePositions(a.position, b.position) || results.indexOf(a) - results.indexOf(b)
         );
 
-        // Also check chunks for security-related content
-        const securityChunks = chunks.filter(c =>
-            securityPatterns.some(p => p.test(c.content || ''))
-        );
-
-        if (securityErrors.length > 0 || securityChunks.length > 0) {
-            return {
-                failureType: 'SECURITY',
-                priority: 5, // P5
-                skipAI: false,
-                highPriorityErrors: securityErrors,
-                confidence: {
-                    score: 0.75,
-                    reason: `Security issue(s) detected`
-                }
-            };
+        for (const [index, effect] of byPosition.entries()) {
+            const cause = byPosition.slice(0, index).find(candidate =>
+                candidate.position && candidate.causes.includes(effect.failureType)
+            );
+            if (cause) {
+                effect.secondary = true;
+                effect.causedBy = cause.failureType;
+                cause.explains = [...(cause.explains || []), effect.failureType];
+            }
         }
 
-        return null;
-    }
-
-    /**
-     * Detect timeout issues (P6)
-     */
-    detectTimeoutFailure(detectedErrors, chunks) {
-        const timeoutPatterns = [
-            /timeout/i,
-            /timed out/i,
-            /exceeded (the )?deadline/i,
-            /operation.*timed out/i,
-            /request timeout/i,
-            /socket timeout/i,
-            /execution timeout/i,
-            /job timeout/i,
-            /ESOCKETTIMEDOUT/i,
-        ];
-
-        const timeoutErrors = detectedErrors.filter(e =>
-            timeoutPatterns.some(p => p.test(e.errorMessage || ''))
-        );
-
-        // Also check chunks
-        const timeoutChunks = chunks.filter(c =>
-            timeoutPatterns.some(p => p.test(c.content || ''))
-        );
-
-        if (timeoutErrors.length > 0 || timeoutChunks.length > 0) {
-            return {
-                failureType: 'TIMEOUT',
-                priority: 6, // P6
-                skipAI: false,
-                highPriorityErrors: timeoutErrors,
-                confidence: {
-                    score: 0.80,
-                    reason: `Timeout issue(s) detected`
-                }
-            };
+        for (const result of results) {
+            if (result.secondary) {
+                result.confidence = {
+                    score: Math.round(result.confidence.score * SECONDARY_SCORE_FACTOR * 100) / 100,
+                    reason: `${result.confidence.reason} - likely caused by the ${result.causedBy} failure before it`
+                };
+            } else if (result.explains) {
+                result.confidence = {
+                    score: Math.min(1, Math.round((result.confidence.score + CAUSE_SCORE_BONUS) * 100) / 100),
+                    reason: `${result.confidence.reason} - explains the ${result.explains.join(', ')} failure(s) after it`
+                };
+            }
         }
 
-        return null;
+        const rank = (result) => (result.fallback ? 3 : result.skipAI ? 0 : result.secondary ? 2 : 1);
+        return [...results].sort((a, b) => rank(a) - rank(b) || results.indexOf(a) - results.indexOf(b));
     }
 
     /**
-     * Detect dependency issues (P7)
+     * API / stored shape of a candidate - scores and a few pieces of evidence
      */
-    detectDependencyFailure(detectedErrors, chunks) {
-        const depPatterns = [
-            /npm ERR!/i,
-            /yarn error/i,
-            /pnpm error/i,
-            /package.*not found/i,
-            /missing (peer )?dependency/i,
-            /ERESOLVE/i,
-            /could not resolve/i,
-            /dependency conflict/i,
-            /version mismatch/i,
-            /peer dep/i,
-            /npm WARN/i,
-            /404 not found.*registry/i,
-            /install failed/i,
-        ];
-
-        const depErrors = detectedErrors.filter(e =>
-            e.category === 'Dependency Issue' ||
-            depPatterns.some(p => p.test(e.errorMessage || ''))
-        );
-
-        if (depErrors.length > 0) {
-            return {
-                failureType: 'DEPENDENCY',
-                priority: 7, // P7
-                skipAI: false,
-                highPriorityErrors: depErrors,
-                confidence: {
-                    score: 0.75,
-                    reason: `${depErrors.length} dependency issue(s) detected`
-                }
-            };
+    formatCandidate(result) {
+        const evidence = result.highPriorityErrors.slice(0, MAX_EVIDENCE).map(error => ({
+            category: error.category ?? null,
+            errorMessage: error.errorMessage,
+            stepName: error.stepName ?? null,
+            jobName: error.jobName ?? null,
+            lineNumber: error.lineNumber ?? null,
+            fingerprint: error.fingerprint ?? null
+        }));
+        if (result.detectedStep && evidence.length === 0) {
+            evidence.push({ category: null, errorMessage: null, stepName: result.detectedStep.stepName, jobName: result.detectedStep.jobName ?? null, lineNumber: null, fingerprint: null });
+        }
+        for (const { chunk, line } of result.matchedChunks) {
+            if (evidence.length >= MAX_EVIDENCE) {
+                break;
+            }
+            evidence.push({ category: null, errorMessage: line, stepName: chunk.stepName, jobName: chunk.jobName ?? null, lineNumber: null, fingerprint: null });
         }
 
-        return null;
+        return {
+            failureType: result.failureType,
+            priority: result.priority,
+            score: result.confidence.score,
+            reason: result.confidence.reason,
+            ruleId: result.ruleId,
+            secondary: result.secondary === true,
+            causedBy: result.causedBy ?? null,
+            errorCount: result.highPriorityErrors.length,
+            evidence
+        };
     }
 
     /**
-     * Detect configuration errors (P8)
+     * Result of one rule, or null when it does not match.
+     * Step rules (stepNamePatterns) match a failing step whose name matches every pattern;
+     * other rules match errors (repo custom failureType, category or message pattern)
+     * and, with matchChunkContent, chunks whose content matches a pattern.
+     * Besides the classification fields, the result carries what rankCandidates needs:
+     * position (first evidence in the log), causes and matchedChunks ({ chunk, line }).
      */
-    detectConfigFailure(detectedErrors, chunks) {
-        const configPatterns = [
-            /config(uration)? (error|invalid|missing)/i,
-            /env(ironment)? (variable|var).*(missing|not set|undefined)/i,
-            /invalid (yaml|json|config)/i,
-            /missing (required|config)/i,
-            /\.env/i,
-            /secret.*not (found|set)/i,
-            /environment not configured/i,
-            /bad configuration/i,
-            /settings error/i,
-        ];
-
-        const configErrors = detectedErrors.filter(e =>
-            configPatterns.some(p => p.test(e.errorMessage || ''))
-        );
-
-        // Check chunks for config issues
-        const configChunks = chunks.filter(c =>
-            configPatterns.some(p => p.test(c.content || ''))
-        );
+    applyRule(rule, chunks, detectedErrors) {
+        let matchedErrors = [];
+        let matchedStep = null;
+        let matchedChunks = [];
+
+        if (rule.stepNamePatterns) {
+            matchedStep = chunks.find(c =>
+                c.hasErrors && rule.stepNamePatterns.every(p => testUserPattern(p, c.stepName || ''))
+            ) || null;
+            if (!matchedStep) {
+                return null;
+            }
+        } else {
+            matchedErrors = detectedErrors.filter(e =>
+                e.failureType === rule.failureType ||  // Repo custom pattern
+                rule.categories.some(c => c.category === e.category && (!c.confidence || c.confidence === e.confidence)) ||
+                rule.patterns.some(p => testUserPattern(p, e.errorMessage || ''))
+            );
+            if (rule.matchChunkContent) {
+                matchedChunks = chunks.flatMap(chunk => {
+                    const line = (chunk.content || '').split('\n').find(l => rule.patterns.some(p => testUserPattern(p, l)));
+                    return line === undefined ? [] : [{ chunk, line: line.trim() }];
+                });
+            }
 
-        if (configErrors.length > 0 || configChunks.length > 0) {
-            return {
-                failureType: 'CONFIG',
-                priority: 8, // P8
-                skipAI: false,
-                highPriorityErrors: configErrors,
-                confidence: {
-                    score: 0.70,
-                    reason: `Configuration issue(s) detected`
-                }
-            };
+            if (matchedErrors.length === 0 && matchedChunks.length === 0) {
+                return null;
+            }
         }
 
-        return null;
-    }
-
-    /**
-     * Detect permission errors (P9)
-     */
-    detectPermissionFailure(detectedErrors, chunks) {
-        const permPatterns = [
-            /permission denied/i,
-            /access denied/i,
-            /EACCES/i,
-            /EPERM/i,
-            /not permitted/i,
-            /insufficient permission/i,
-            /forbidden/i,
-            /cannot write/i,
-            /read-only/i,
-            /operation not permitted/i,
-        ];
-
-        const permErrors = detectedErrors.filter(e =>
-            permPatterns.some(p => p.test(e.errorMessage || ''))
-        );
+        // Step the failure happened in, for the rule's text templates
+        const firstError = matchedErrors[0];
+        const stepName = matchedStep?.stepName
+            || firstError?.stepName
+            || (firstError && chunks.find(c => c.content.includes(firstError.errorMessage))?.stepName)
+            || null;
+        const fill = (template) => template?.replace(/\{(\w+)(?:\|([^}]*))?\}/g, (_, name, fallback = '') => {
+            const values = { count: matchedErrors.length, stepName };
+            return values[name] ?? fallback;
+        });
+
+        const result = {
+            failureType: rule.failureType,
+            priority: rule.priority,
+            skipAI: rule.skipAI,
+            fallback: rule.fallback,
+            ruleId: rule.id,
+            highPriorityErrors: matchedErrors,
+            confidence: {
+                score: rule.confidence?.score ?? 0.5,
+                reason: fill(rule.confidence?.reason) || `Matched classification rule ${rule.id}`
+            }
+        };
 
-        if (permErrors.length > 0) {
-            return {
-                failureType: 'PERMISSION',
-                priority: 9, // P9
-                skipAI: false,
-                highPriorityErrors: permErrors,
-                confidence: {
-                    score: 0.80,
-                    reason: `${permErrors.length} permission error(s) detected`
-                }
-            };
+        for (const field of ['rootCause', 'failureStage', 'suggestedFix']) {
+            if (rule[field]) {
+                result[field] = fill(rule[field]);
+            }
+        }
+        if (firstError) {
+            result.detectedError = firstError;
+        }
+        if (matchedStep) {
+            result.detectedStep = matchedStep;
         }
 
-        return null;
+        // Where this failure first shows up - errors without a chunk (test reports) have none
+        const positions = [
+            ...matchedErrors.map(e => ({ chunkIndex: e.chunkIndex, lineNumber: e.lineNumber })),
+            ...matchedChunks.map(({ chunk }) => ({ chunkIndex: chunk.chunkIndex, lineNumber: null })),
+            ...(matchedStep ? [{ chunkIndex: matchedStep.chunkIndex, lineNumber: null }] : [])
+        ].filter(p => Number.isInteger(p.chunkIndex));
+        result.position = positions.sort(comparePositions)[0] || null;
+        result.causes = rule.causes || [];
+        result.matchedChunks = matchedChunks;
+
+        return result;
     }
 
     /**
-     * Detect lint/warning issues (P10 - lowest)
+     * Add the toolchain, error code and source location of the first structured
+     * (language extractor) error behind a classification
      */
-    detectLintIssue(detectedErrors) {
-        const lintPatterns = [
-            /eslint/i,
-            /prettier/i,
-            /tslint/i,
-            /stylelint/i,
-            /lint(ing)? (error|warning)/i,
-            /\d+ warning/i,
-            /\d+ error.*\d+ warning/i,
-            /code style/i,
-            /formatting error/i,
-        ];
-
-        const lintErrors = detectedErrors.filter(e =>
-            (e.category === 'Error' && e.confidence === 'medium') ||
-            lintPatterns.some(p => p.test(e.errorMessage || ''))
-        );
-
-        if (lintErrors.length > 0) {
-            return {
-                failureType: 'LINT',
-                priority: 10, // P10
-                skipAI: false,
-                highPriorityErrors: lintErrors,
-                confidence: {
-                    score: 0.50,
-                    reason: `${lintErrors.length} lint/warning issue(s) detected - low priority`
-                }
-            };
+    withLanguageContext(result) {
+        const structured = result.highPriorityErrors?.find(e => e.toolchain);
+        if (!structured) {
+            return result;
         }
 
-        return null;
-    }
-
-    /**
-     * Get priority label for display
-     */
-    static getPriorityLabel(priority) {
-        const labels = {
-            0: 'P0 - Critical',
-            1: 'P1 - High (Test Failure)',
-            2: 'P2 - High (Build Failure)',
-            3: 'P3 - Medium (Runtime Error)',
-            4: 'P4 - Medium (Infrastructure)',
-            5: 'P5 - Low (Intentional/Test)',
-            6: 'P6 - Medium (Timeout)',
-            7: 'P7 - Medium (Dependency)',
-            8: 'P8 - Low (Configuration)',
-            9: 'P9 - Low (Permission)',
-            10: 'P10 - Low (Lint/Warning)',
-            99: 'Unknown'
+        const code = structured.errorCode ? ` ${structured.errorCode}` : '';
+        return {
+            ...result,
+            toolchain: structured.toolchain,
+            errorCode: structured.errorCode,
+            location: structured.sourceFile ? {
+                file: structured.sourceFile,
+                line: structured.sourceLine,
+                column: structured.sourceColumn
+            } : null,
+            confidence: {
+                ...result.confidence,
+                reason: `${result.confidence.reason} (${structured.toolchain}${code})`
+            }
         };
-        return labels[priority] || `P${priority}`;
     }
+}
 
-    /**
-     * Get all failure type categories
-     */
-    static getCategories() {
-        return [
-            { type: 'INTENTIONAL', priority: 0, label: 'Intentional Failure' },
-            { type: 'TEST', priority: 1, label: 'Test Failure' },
-            { type: 'BUILD', priority: 2, label: 'Build/Compile Error' },
-            { type: 'RUNTIME', priority: 3, label: 'Runtime Error' },
-            { type: 'INFRA', priority: 4, label: 'Infrastructure Issue' },
-            { type: 'SECURITY', priority: 5, label: 'Security Issue' },
-            { type: 'TIMEOUT', priority: 6, label: 'Timeout' },
-            { type: 'DEPENDENCY', priority: 7, label: 'Dependency Issue' },
-            { type: 'CONFIG', priority: 8, label: 'Configuration Error' },
-            { type: 'PERMISSION', priority: 9, label: 'Permission Error' },
-            { type: 'LINT', priority: 10, label: 'Lint/Warning' },
-            { type: 'UNKNOWN', priority: 99, label: 'Unknown' },
-        ];
+/**
+ * Order of two log positions ({ chunkIndex, lineNumber }), unknown positions last
+ */
+function comparePositions(a, b) {
+    if (!a || !b) {
+        return (a ? -1 : 0) + (b ? 1 : 0);
     }
+    return a.chunkIndex - b.chunkIndex || (a.lineNumber ?? Number.MAX_SAFE_INTEGER) - (b.lineNumber ?? Number.MAX_SAFE_INTEGER);
 }
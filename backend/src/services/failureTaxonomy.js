@@ -0,0 +1,106 @@
+/**
+ * Failure Taxonomy
+ *
+ * The one list of failure types, their priorities, labels, severities and colours -
+ * used by the classifier, the AI prompts, analytics, incidents, insights and
+ * GET /api/taxonomy. Nothing else should hard-code a priority or its label.
+ *
+ * Priority is precedence: when a run has several failures, the lowest number is
+ * the root cause (P0 intentional failures always win), in the order the classifier
+ * ranks them - a process killed for memory explains the tests and builds it broke,
+ * and a lost runner or a cancellation only classifies a run nothing else explains.
+ * Severity is how bad a failure is: an intentional failure is P0 but only 'info',
+ * a security issue is P6 but 'critical'.
+ */
+
+export const SEVERITIES = [
+    { severity: 'critical', label: 'Critical', color: '#dc2626' },
+    { severity: 'high', label: 'High', color: '#ea580c' },
+    { severity: 'medium', label: 'Medium', color: '#ca8a04' },
+    { severity: 'low', label: 'Low', color: '#2563eb' },
+    { severity: 'info', label: 'Info', color: '#6b7280' },
+];
+
+// Severities that make a failure an incident
+export const INCIDENT_SEVERITIES = ['critical', 'high', 'medium'];
+
+export const FAILURE_TYPES = [
+    { type: 'INTENTIONAL', priority: 0, label: 'Intentional Failure', severity: 'info', color: '#6b7280', description: 'Forced failure (exit 1, a step meant to fail)' },
+    { type: 'OUT_OF_MEMORY', priority: 1, label: 'Out of Memory', severity: 'high', color: '#9333ea', description: 'Process killed for running out of memory (exit code 137 / SIGKILL, heap out of memory)' },
+    { type: 'TEST', priority: 2, label: 'Test Failure', severity: 'high', color: '#dc2626', description: 'Test failures (Jest, Mocha, Vitest, Cypress, Playwright)' },
+    { type: 'BUILD', priority: 3, label: 'Build/Compile Error', severity: 'critical', color: '#b91c1c', description: 'Compilation/build errors (TypeScript, Webpack, Babel, Vite)' },
+    { type: 'RUNTIME', priority: 4, label: 'Runtime Error', severity: 'high', color: '#ea580c', description: 'Runtime errors (TypeError, ReferenceError, exceptions)' },
+    { type: 'INFRA', priority: 5, label: 'Infrastructure Issue', severity: 'high', color: '#7c3aed', description: 'Infrastructure issues (Docker, Kubernetes, network, database)' },
+    { type: 'SECURITY', priority: 6, label: 'Security Issue', severity: 'critical', color: '#be123c', description: 'Security vulnerabilities, auth failures, secret issues' },
+    { type: 'TIMEOUT', priority: 7, label: 'Timeout', severity: 'medium', color: '#d97706', description: 'Timeout or deadline exceeded (any timeout)' },
+    { type: 'DEPENDENCY', priority: 8, label: 'Dependency Issue', severity: 'medium', color: '#0891b2', description: 'Package/dependency issues (npm, yarn, pnpm, resolution)' },
+    { type: 'CONFIG', priority: 9, label: 'Configuration Error', severity: 'medium', color: '#0d9488', description: 'Configuration or environment variable issues' },
+    { type: 'PERMISSION', priority: 10, label: 'Permission Error', severity: 'medium', color: '#4f46e5', description: 'Permission or access denied errors (EACCES, EPERM)' },
+    { type: 'LINT', priority: 11, label: 'Lint/Warning', severity: 'low', color: '#2563eb', description: 'Linting, formatting, or code style warnings (ESLint, Prettier)' },
+    { type: 'RUNNER_LOST', priority: 12, label: 'Runner Lost', severity: 'medium', color: '#64748b', description: 'Runner shut down or lost communication with GitHub during the job' },
+    { type: 'CANCELLED', priority: 13, label: 'Cancelled', severity: 'info', color: '#94a3b8', description: 'Run or job cancelled (manually, by concurrency, exit code 143 / SIGTERM)' },
+    { type: 'UNKNOWN', priority: 99, label: 'Unknown', severity: 'low', color: '#9ca3af', description: 'No known category fits' },
+];
+
+// Workflow run conclusions that get their logs analyzed, and the failure type a
+// conclusion stands for when the log itself doesn't say (cancelled before any output)
+export const ANALYZED_CONCLUSIONS = ['failure', 'timed_out', 'cancelled'];
+export const CONCLUSION_FAILURE_TYPES = {
+    timed_out: 'TIMEOUT',
+    cancelled: 'CANCELLED',
+};
+
+const BY_TYPE = new Map(FAILURE_TYPES.map(entry => [entry.type, entry]));
+const BY_PRIORITY = new Map(FAILURE_TYPES.map(entry => [entry.priority, entry]));
+
+/**
+ * Taxonomy entry of a failure type, null for types outside the taxonomy (AI suggested ones)
+ */
+export function getFailureType(type) {
+    return BY_TYPE.get(type) || null;
+}
+
+/**
+ * Priority of a failure type, null for types outside the taxonomy
+ */
+export function getPriority(type) {
+    return getFailureType(type)?.priority ?? null;
+}
+
+/**
+ * Display label of a priority ("P2 - Test Failure")
+ */
+export function getPriorityLabel(priority) {
+    const entry = BY_PRIORITY.get(priority);
+    if (!entry) {
+        return priority === null || priority === undefined ? 'Unknown' : `P${priority}`;
+    }
+    return entry.type === 'UNKNOWN' ? entry.label : `P${priority} - ${entry.label}`;
+}
+
+/**
+ * Severity of a failure, by type and else by priority ('medium' when neither is known)
+ */
+export function getSeverity(type, priority = null) {
+    return (getFailureType(type) || BY_PRIORITY.get(priority))?.severity ?? 'medium';
+}
+
+/**
+ * Priorities whose failure type has one of the given severities - for where clauses
+ */
+export function getPrioritiesWithSeverity(severities) {
+    return FAILURE_TYPES
+        .filter(entry => severities.includes(entry.severity))
+        .map(entry => entry.priority);
+}
+
+/**
+ * The taxonomy as served by GET /api/taxonomy
+ */
+export function getTaxonomy() {
+    return {
+        failureTypes: FAILURE_TYPES.map(entry => ({ ...entry, priorityLabel: getPriorityLabel(entry.priority) })),
+        severities: SEVERITIES,
+        incidentSeverities: INCIDENT_SEVERITIES,
+    };
+}
@@ -0,0 +1,186 @@
+/**
+ * Flakiness Service
+ *
+ * Scores how likely a failed run is to be flaky - a failure that goes away without
+ * a code change - from the run history:
+ * - rerun-passed: a GitHub re-run (run_attempt > 1) of the failed run succeeded
+ * - same-commit-passed: another run of the same workflow on the same commit passed
+ * - test-passed-on-same-commit: tests failing here did not fail in another run of
+ *   the same workflow and commit
+ * - known-flaky-fingerprint: the primary error was seen in other flaky runs
+ *
+ * Signals combine as independent evidence (1 - product of (1 - weight)); a run at
+ * or above FLAKY_THRESHOLD is flagged isFlaky and does not page as an incident.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { ANALYZED_CONCLUSIONS } from './failureTaxonomy.js';
+
+const prisma = new PrismaClient();
+
+export const SIGNAL_WEIGHTS = {
+    'rerun-passed': 0.9,
+    'same-commit-passed': 0.8,
+    'test-passed-on-same-commit': 0.7,
+    'known-flaky-fingerprint': 0.6,
+};
+
+export const FLAKY_THRESHOLD = 0.5;
+
+// A fingerprint is known-flaky after this many flaky runs in the window
+const KNOWN_FLAKY_MIN_RUNS = 2;
+const KNOWN_FLAKY_WINDOW_DAYS = 30;
+
+export class FlakinessService {
+    /**
+     * Combined score of signals, 0 (no evidence) - 1
+     */
+    static score(signals) {
+        const notFlaky = signals.reduce((product, signal) => product * (1 - signal.weight), 1);
+        return Math.round((1 - notFlaky) * 100) / 100;
+    }
+
+    /**
+     * Collect the signals of a run, score it and save the result on the run
+     * @param {Object} run - WorkflowRun
+     * @returns {Promise<Object>} { flakinessScore, isFlaky, signals }
+     */
+    async updateRun(run) {
+        const signals = await this.collectSignals(run);
+        const flakinessScore = FlakinessService.score(signals);
+        const isFlaky = flakinessScore >= FLAKY_THRESHOLD;
+
+        await prisma.workflowRun.update({
+            where: { id: run.id },
+            data: { flakinessScore, isFlaky, flakinessSignals: signals }
+        });
+
+        return { flakinessScore, isFlaky, signals };
+    }
+
+    /**
+     * A run succeeded: rescore a failed run whose re-run passed (the webhook keeps the
+     * failed attempt and records the re-run's conclusion), and the failed runs of the
+     * same workflow and commit - they may be flaky now
+     * @param {Object} run - WorkflowRun, after the update
+     */
+    async recordSuccess(run) {
+        if (ANALYZED_CONCLUSIONS.includes(run.status) && run.rerunConclusion === 'success') {
+            await this.updateRun(run);
+        }
+
+        const failedRuns = await prisma.workflowRun.findMany({
+            where: {
+                repoId: run.repoId,
+                workflowName: run.workflowName,
+                commitSha: run.commitSha,
+                status: { in: ANALYZED_CONCLUSIONS },
+                NOT: { id: run.id }
+            }
+        });
+        for (const failedRun of failedRuns) {
+            await this.updateRun(failedRun);
+        }
+
+        return failedRuns.length;
+    }
+
+    /**
+     * Signals of a run - [{ signal, weight, detail }]
+     */
+    async collectSignals(run) {
+        const signals = [];
+
+        // Read fresh - a re-run can pass while the failed attempt is being analyzed
+        const rerun = await prisma.workflowRun.findUnique({
+            where: { id: run.id },
+            select: { rerunConclusion: true, rerunAttempt: true }
+        });
+        if (rerun?.rerunConclusion === 'success') {
+            signals.push({
+                signal: 'rerun-passed',
+                weight: SIGNAL_WEIGHTS['rerun-passed'],
+                detail: `Attempt ${rerun.rerunAttempt} passed after a failed attempt`
+            });
+        }
+
+        const sameCommitRuns = await prisma.workflowRun.findMany({
+            where: {
+                repoId: run.repoId,
+                workflowName: run.workflowName,
+                commitSha: run.commitSha,
+                NOT: { id: run.id }
+            },
+            select: {
+                id: true,
+                status: true,
+                rerunConclusion: true,
+                analysis: { select: { id: true } },
+                testFailures: { select: { suite: true, testName: true } }
+            }
+        });
+
+        const passed = sameCommitRuns.filter(other => other.status === 'success' || other.rerunConclusion === 'success');
+        if (passed.length > 0) {
+            signals.push({
+                signal: 'same-commit-passed',
+                weight: SIGNAL_WEIGHTS['same-commit-passed'],
+                detail: `${passed.length} other run(s) of this workflow passed on the same commit`
+            });
+        }
+
+        // Tests are only compared with failed runs whose tests ran (passing runs have no test list)
+        const failedTests = await prisma.testFailure.findMany({
+            where: { workflowRunId: run.id },
+            select: { suite: true, testName: true }
+        });
+        const processedFailures = sameCommitRuns.filter(other =>
+            ANALYZED_CONCLUSIONS.includes(other.status) && other.analysis && other.testFailures.length > 0
+        );
+        if (failedTests.length > 0 && processedFailures.length > 0) {
+            const flipped = failedTests.filter(test => processedFailures.some(other =>
+                !other.testFailures.some(t => testKey(t) === testKey(test))
+            ));
+            if (flipped.length > 0) {
+                signals.push({
+                    signal: 'test-passed-on-same-commit',
+                    weight: SIGNAL_WEIGHTS['test-passed-on-same-commit'],
+                    detail: `${flipped.length} failing test(s) did not fail in another run of the same commit: ${flipped.slice(0, 3).map(testKey).join(', ')}`
+                });
+            }
+        }
+
+        const analysis = await prisma.analysisResult.findUnique({
+            where: { workflowRunId: run.id },
+            select: { fingerprint: true }
+        });
+        if (analysis?.fingerprint) {
+            const since = new Date(Date.now() - KNOWN_FLAKY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+            const flakyRuns = await prisma.workflowRun.count({
+                where: {
+                    repoId: run.repoId,
+                    isFlaky: true,
+                    createdAt: { gte: since },
+                    analysis: { fingerprint: analysis.fingerprint },
+                    NOT: { id: run.id }
+                }
+            });
+            if (flakyRuns >= KNOWN_FLAKY_MIN_RUNS) {
+                signals.push({
+                    signal: 'known-flaky-fingerprint',
+                    weight: SIGNAL_WEIGHTS['known-flaky-fingerprint'],
+                    detail: `Primary error seen in ${flakyRuns} flaky run(s) in the last ${KNOWN_FLAKY_WINDOW_DAYS} days`
+                });
+            }
+        }
+
+        return signals;
+    }
+}
+
+/**
+ * "suite › test" - a test's identity across runs
+ */
+export function testKey(test) {
+    return test.suite ? `${test.suite} › ${test.testName}` : test.testName;
+}
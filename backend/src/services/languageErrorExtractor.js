@@ -0,0 +1,446 @@
+/**
+ * Language Error Extractor Service
+ *
+ * Structured errors for toolchains the generic patterns only see as "Error"
+ * (or miss entirely):
+ * - Python  (Traceback ... "ValueError: boom")
+ * - Go      (compiler "file.go:12:5: ...", "panic:" + goroutine dump, "--- FAIL:" tests, go.sum / module errors)
+ * - JVM     (exceptions + "at" frames, javac, Kotlin "e: ...", Maven [ERROR], Gradle "FAILURE:")
+ * - Rust    (error[E0382] + "--> src/main.rs:5:20", panics)
+ * - .NET    (MSBuild "File.cs(12,34): error CS1002: ...", NuGet, unhandled exceptions)
+ *
+ * match(lines, index) returns null or
+ * { category, confidence, toolchain, errorCode, file, line, column, message?, endIndex? }
+ * - category is one of the LogParserService categories, so the classifier counts it as usual
+ * - file / line / column: source location of the error (not the log line)
+ * - message: replaces the log line as the error message (when the line itself says little)
+ * - endIndex: last line of the error when it runs past the usual stack frame lines
+ */
+
+// How far to look around the matched line for a traceback header / source location
+const MAX_LOOKAROUND_LINES = 50;
+
+const PYTHON_EXCEPTION = /^((?:[A-Za-z_]\w*\.)*[A-Z]\w*(?:Error|Exception|Exit|Interrupt|Failure))(?::\s*(.*))?$/;
+const PYTHON_FRAME = /^File "(.+)", line (\d+)/;
+const PYTHON_TRACEBACK = /^Traceback \(most recent call last\):$/;
+const PYTHON_LIBRARY_PATH = /[\\/](?:site-packages|dist-packages|lib[\\/]python[\d.]*)[\\/]/;
+
+const GO_COMPILE = /^((?:\.{1,2}\/)?[\w@.\/-]+\.go):(\d+):(\d+):\s+(.+)$/;
+const GO_PANIC = /^panic:\s+(.+?)(?:\s+\[recovered\])?$/;
+const GO_FATAL = /^fatal error:\s+(.+)$/;
+const GO_FRAME = /^(\S+\.go):(\d+)(?:\s+\+0x[0-9a-f]+)?$/;
+const GO_TEST_FAIL = /^---\s+FAIL:\s+\S+\s+\([\d.]+m?s\)$/;
+const GO_TEST_LOG = /^(\S+_test\.go):(\d+):\s/;
+const GO_RUNTIME_FRAME = /\/(?:runtime|testing|reflect)\/[\w.]+\.go$/;
+const GO_MODULE = /^go: .*(missing go\.sum entry|unknown revision|invalid version|no required module provides package|module .+ not found|: 4\d\d )/;
+
+const JVM_EXCEPTION = /^(Exception in thread "[^"]*"\s+)?((?:[a-z_$][\w$]*\.)+[A-Z][\w$]*(?:Exception|Error|Failure))(?::\s*(.*))?$/;
+const JVM_FRAME = /^at\s+\S+\((\w+\.(?:java|kt|scala|groovy)):(\d+)\)$/;
+const JAVAC_ERROR = /^(\S+\.java):(\d+):\s+error:\s+(.+)$/;
+const MAVEN_COMPILE = /^\[ERROR\]\s+(\S+\.(?:java|kt|scala)):\[(\d+),(\d+)\]\s+(.+)$/;
+const MAVEN_GOAL = /^\[ERROR\]\s+Failed to execute goal\s+(\S+)\s+(?:\([^)]*\)\s+)?on project\s+\S+?:\s*(.+)$/;
+const KOTLIN_ERROR = /^e:\s+(?:file:\/\/)?(\S+\.kts?)(?::(\d+):(\d+)|:\s*\((\d+),\s*(\d+)\):)\s*(.+)$/;
+const GRADLE_FAILURE = /^FAILURE:\s+Build (?:failed with an exception|completed with \d+ failures?)\.?$/;
+const GRADLE_SECTION = /^\*\s+(What went wrong|Where|Try|Get more help|Exception is):?$/;
+const GRADLE_TASK = /task '([^']+)'/;
+const GRADLE_WHERE = /^Build file '(.+)' line: (\d+)$/;
+
+const RUST_ERROR = /^error(?:\[(E\d{4})\])?:\s+(.+)$/;
+const RUST_LOCATION = /^-->\s+(\S+?):(\d+):(\d+)$/;
+const RUST_COULD_NOT_COMPILE = /^error: could not compile `[^`]+`/;
+const RUST_PANIC = /^thread '([^']*)' panicked at (?:'(.*)',\s*)?(\S+?\.rs):(\d+):(\d+):?$/;
+
+const DOTNET_DIAGNOSTIC = /^(.+?)\((\d+),(\d+)(?:,\d+,\d+)?\):\s+error\s+([A-Z]{2,}\d{3,5}):\s+(.+?)(?:\s+\[[^\]]+\])?$/;
+const DOTNET_ERROR = /^(?:(.+?)\s*:\s+)?error\s+([A-Z]{2,}\d{3,5}):\s+(.+?)(?:\s+\[[^\]]+\])?$/;
+const DOTNET_UNHANDLED = /^Unhandled exception\.\s+((?:[A-Z]\w*\.)+\w*Exception):?\s*(.*)$/;
+const DOTNET_FRAME = /^at\s+.+\s+in\s+(.+):line\s+(\d+)$/;
+
+export class LanguageErrorExtractorService {
+  /**
+   * Structured error for lines[index], or null when no toolchain recognises it
+   * @param {string[]} lines - Cleaned log lines
+   * @param {number} index - Line to check
+   */
+  match(lines, index) {
+    const line = lines[index];
+
+    return this.matchPython(line, lines, index) ||
+      this.matchGo(line, lines, index) ||
+      this.matchJvm(line, lines, index) ||
+      this.matchRust(line, lines, index) ||
+      this.matchDotnet(line, lines, index);
+  }
+
+  /**
+   * Python: the exception line at the end of a traceback (or under a SyntaxError frame)
+   */
+  matchPython(line, lines, index) {
+    const match = line.match(PYTHON_EXCEPTION);
+    if (!match) {
+      return null;
+    }
+
+    // Walk back over the traceback: frames, the source line under each frame, caret markers
+    const frames = [];
+    let hasTraceback = false;
+    for (let i = index - 1; i >= Math.max(0, index - MAX_LOOKAROUND_LINES); i--) {
+      if (PYTHON_TRACEBACK.test(lines[i])) {
+        hasTraceback = true;
+        break;
+      }
+      const frame = lines[i].match(PYTHON_FRAME);
+      if (frame) {
+        frames.push(frame);
+      } else if (!PYTHON_FRAME.test(lines[i - 1] || '') && !/^[\^~]+$/.test(lines[i]) &&
+        !/^(During handling of the above exception|The above exception was the direct cause)/.test(lines[i])) {
+        break;
+      }
+    }
+
+    // "ValueError" printed outside a traceback is just output
+    const exceptionName = match[1].split('.').pop();
+    const isCompileError = /^(SyntaxError|IndentationError|TabError)$/.test(exceptionName) && frames.length > 0;
+    if (!hasTraceback && !isCompileError) {
+      return null;
+    }
+
+    // Innermost frame in the project's own code, falling back to the innermost frame
+    const frame = frames.find(f => !PYTHON_LIBRARY_PATH.test(f[1])) || frames[0];
+
+    let category = 'Runtime Error';
+    if (/^(ModuleNotFoundError|ImportError)$/.test(exceptionName)) {
+      category = 'Dependency Issue';
+    } else if (/^(SyntaxError|IndentationError|TabError)$/.test(exceptionName)) {
+      category = 'Syntax Error';
+    } else if (exceptionName === 'AssertionError') {
+      category = 'Test Failure';
+    }
+
+    return {
+      category,
+      confidence: 'high',
+      toolchain: 'python',
+      errorCode: exceptionName,
+      file: frame?.[1] ?? null,
+      line: frame ? parseInt(frame[2], 10) : null,
+      column: null,
+    };
+  }
+
+  /**
+   * Go: compiler / vet diagnostics, panics with goroutine dumps, failing tests, module errors
+   */
+  matchGo(line, lines, index) {
+    const match = line.match(GO_COMPILE);
+    if (match) {
+      return {
+        category: 'Build Failure',
+        confidence: 'high',
+        toolchain: 'go',
+        errorCode: null,
+        file: match[1],
+        line: parseInt(match[2], 10),
+        column: parseInt(match[3], 10),
+      };
+    }
+
+    if (GO_PANIC.test(line) || GO_FATAL.test(line)) {
+      // First frame outside the Go runtime / testing packages
+      let frame = null;
+      for (let i = index + 1; i < Math.min(lines.length, index + MAX_LOOKAROUND_LINES); i++) {
+        const candidate = lines[i].match(GO_FRAME);
+        if (candidate && !GO_RUNTIME_FRAME.test(candidate[1])) {
+          frame = candidate;
+          break;
+        }
+      }
+
+      return {
+        category: 'Runtime Error',
+        confidence: 'high',
+        toolchain: 'go',
+        errorCode: null,
+        file: frame?.[1] ?? null,
+        line: frame ? parseInt(frame[2], 10) : null,
+        column: null,
+      };
+    }
+
+    if (GO_TEST_FAIL.test(line)) {
+      // t.Errorf output ("router_test.go:48: got false, want true") follows the test's line
+      const location = lines[index + 1]?.match(GO_TEST_LOG);
+      return {
+        category: 'Test Failure',
+        confidence: 'high',
+        toolchain: 'go',
+        errorCode: null,
+        file: location?.[1] ?? null,
+        line: location ? parseInt(location[2], 10) : null,
+        column: null,
+      };
+    }
+
+    if (GO_MODULE.test(line)) {
+      return {
+        category: 'Dependency Issue',
+        confidence: 'high',
+        toolchain: 'go',
+        errorCode: null,
+        file: null,
+        line: null,
+        column: null,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Java / Kotlin: exceptions, javac, kotlinc, Maven and Gradle failures
+   */
+  matchJvm(line, lines, index) {
+    let match = line.match(KOTLIN_ERROR);
+    if (match) {
+      return {
+        category: 'Build Failure',
+        confidence: 'high',
+        toolchain: 'kotlin',
+        errorCode: null,
+        file: match[1],
+        line: parseInt(match[2] ?? match[4], 10),
+        column: parseInt(match[3] ?? match[5], 10),
+      };
+    }
+
+    match = line.match(JAVAC_ERROR);
+    if (match) {
+      return {
+        category: 'Build Failure',
+        confidence: 'high',
+        toolchain: 'javac',
+        errorCode: null,
+        file: match[1],
+        line: parseInt(match[2], 10),
+        column: null,
+      };
+    }
+
+    match = line.match(MAVEN_COMPILE);
+    if (match) {
+      return {
+        category: 'Build Failure',
+        confidence: 'high',
+        toolchain: 'maven',
+        errorCode: null,
+        file: match[1],
+        line: parseInt(match[2], 10),
+        column: parseInt(match[3], 10),
+      };
+    }
+
+    match = line.match(MAVEN_GOAL);
+    if (match) {
+      // "org.apache.maven.plugins:maven-surefire-plugin:3.0.0:test" -> "maven-surefire-plugin:test"
+      const goalParts = match[1].split(':');
+      return {
+        category: this.buildToolCategory(match[2]),
+        confidence: 'high',
+        toolchain: 'maven',
+        errorCode: goalParts.length > 2 ? `${goalParts[1]}:${goalParts[goalParts.length - 1]}` : match[1],
+        file: null,
+        line: null,
+        column: null,
+      };
+    }
+
+    if (GRADLE_FAILURE.test(line)) {
+      return this.matchGradleFailure(lines, index);
+    }
+
+    match = line.match(JVM_EXCEPTION);
+    // Needs "Exception in thread" or a stack frame below it to be an actual exception
+    if (match && (match[1] || /^at\s+\S/.test(lines[index + 1] || ''))) {
+      let frame = null;
+      for (let i = index + 1; i < Math.min(lines.length, index + MAX_LOOKAROUND_LINES); i++) {
+        frame = lines[i].match(JVM_FRAME);
+        if (frame || !/^(at\s|\.\.\.\s*\d+)/.test(lines[i])) {
+          break;
+        }
+      }
+
+      const exceptionName = match[2].split('.').pop();
+      let category = 'Runtime Error';
+      if (/^(ClassNotFoundException|NoClassDefFoundError)$/.test(exceptionName)) {
+        category = 'Dependency Issue';
+      } else if (/^(AssertionError|AssertionFailedError|ComparisonFailure)$/.test(exceptionName)) {
+        category = 'Test Failure';
+      }
+
+      return {
+        category,
+        confidence: 'high',
+        toolchain: 'jvm',
+        errorCode: match[2],
+        file: frame?.[1] ?? null,
+        line: frame ? parseInt(frame[2], 10) : null,
+        column: null,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Gradle prints "FAILURE: Build failed with an exception." and the actual
+   * error a few lines later, under "* What went wrong:"
+   */
+  matchGradleFailure(lines, index) {
+    const wrong = [];
+    let where = null;
+    let section = null;
+    let endIndex = index;
+
+    for (let i = index + 1; i < Math.min(lines.length, index + MAX_LOOKAROUND_LINES); i++) {
+      const header = lines[i].match(GRADLE_SECTION);
+      if (header) {
+        section = header[1];
+        if (section === 'Try' || section === 'Get more help' || section === 'Exception is') {
+          break;
+        }
+      } else if (section === 'What went wrong') {
+        wrong.push(lines[i]);
+      } else if (section === 'Where') {
+        where = lines[i].match(GRADLE_WHERE) || where;
+      } else if (section === null) {
+        break;
+      }
+      endIndex = i;
+    }
+
+    const message = wrong.join(' ');
+    return {
+      category: this.buildToolCategory(message),
+      confidence: 'high',
+      toolchain: 'gradle',
+      errorCode: message.match(GRADLE_TASK)?.[1] ?? null,
+      file: where?.[1] ?? null,
+      line: where ? parseInt(where[2], 10) : null,
+      column: null,
+      message: message ? `Gradle build failed: ${message}` : undefined,
+      endIndex,
+    };
+  }
+
+  /**
+   * Category of a Maven / Gradle failure from its description
+   */
+  buildToolCategory(description) {
+    if (/test failures|failing tests|tests? failed/i.test(description)) {
+      return 'Test Failure';
+    }
+    if (/could not resolve|could not find artifact|could not transfer artifact|dependencies/i.test(description)) {
+      return 'Dependency Issue';
+    }
+    return 'Build Failure';
+  }
+
+  /**
+   * Rust: rustc diagnostics (error[E0382] + "--> file:line:col"), cargo failures, panics
+   */
+  matchRust(line, lines, index) {
+    let match = line.match(RUST_PANIC);
+    if (match) {
+      // Test threads are named after the test ("tests::it_works")
+      return {
+        category: match[1].includes('::') ? 'Test Failure' : 'Runtime Error',
+        confidence: 'high',
+        toolchain: 'rust',
+        errorCode: null,
+        file: match[3],
+        line: parseInt(match[4], 10),
+        column: parseInt(match[5], 10),
+      };
+    }
+
+    if (RUST_COULD_NOT_COMPILE.test(line)) {
+      return {
+        category: 'Build Failure',
+        confidence: 'high',
+        toolchain: 'rust',
+        errorCode: null,
+        file: null,
+        line: null,
+        column: null,
+      };
+    }
+
+    match = line.match(RUST_ERROR);
+    if (!match) {
+      return null;
+    }
+
+    const location = (lines[index + 1] || '').match(RUST_LOCATION);
+    // A plain "error: ..." line is only rustc's when a source location follows
+    if (!match[1] && !location) {
+      return null;
+    }
+
+    return {
+      category: 'Build Failure',
+      confidence: 'high',
+      toolchain: 'rust',
+      errorCode: match[1] ?? null,
+      file: location?.[1] ?? null,
+      line: location ? parseInt(location[2], 10) : null,
+      column: location ? parseInt(location[3], 10) : null,
+    };
+  }
+
+  /**
+   * .NET: MSBuild / compiler diagnostics (CS, FS, BC, MSB, NU codes), unhandled exceptions.
+   * tsc prints diagnostics in the same format - reported as typescript.
+   */
+  matchDotnet(line, lines, index) {
+    const diagnostic = line.match(DOTNET_DIAGNOSTIC);
+    const match = diagnostic ? null : line.match(DOTNET_ERROR);
+
+    if (diagnostic || match) {
+      const errorCode = diagnostic ? diagnostic[4] : match[2];
+      // "MSBUILD : error ..." / "CSC : error ..." name the tool, not a file
+      const file = diagnostic ? diagnostic[1] : (match[1] && /[\\/.]/.test(match[1]) ? match[1] : null);
+
+      return {
+        category: errorCode.startsWith('NU') ? 'Dependency Issue' : 'Build Failure',
+        confidence: 'high',
+        toolchain: errorCode.startsWith('TS') ? 'typescript' : 'dotnet',
+        errorCode,
+        file,
+        line: diagnostic ? parseInt(diagnostic[2], 10) : null,
+        column: diagnostic ? parseInt(diagnostic[3], 10) : null,
+      };
+    }
+
+    const unhandled = line.match(DOTNET_UNHANDLED);
+    if (unhandled) {
+      let frame = null;
+      for (let i = index + 1; i < Math.min(lines.length, index + MAX_LOOKAROUND_LINES) && /^at\s/.test(lines[i]); i++) {
+        frame = lines[i].match(DOTNET_FRAME);
+        if (frame) {
+          break;
+        }
+      }
+
+      return {
+        category: 'Runtime Error',
+        confidence: 'high',
+        toolchain: 'dotnet',
+        errorCode: unhandled[1],
+        file: frame?.[1] ?? null,
+        line: frame ? parseInt(frame[2], 10) : null,
+        column: null,
+      };
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,372 @@
+/**
+ * LLM Provider Registry
+ *
+ * Text generation (analysis, classification, chat) and embeddings behind one
+ * interface. The deployment picks its providers in the environment, an org can
+ * pick another generation provider / model (see llmSettingService.js).
+ *
+ * Provider shape:
+ * {
+ *   id: 'openai',
+ *   name: 'OpenAI-compatible',
+ *   offline: boolean,                   // deterministic, no language model behind it
+ *   defaultModel: 'gpt-4o-mini',
+ *   defaultEmbeddingModel: 'text-embedding-3-small',
+ *   isConfigured() -> boolean,          // credentials / endpoint present in the environment
+ *   generate(prompt, { model, task, input }) -> Promise<{ text, usage }>,
+ *   embed(text, { model }) -> Promise<{ embedding, usage }>
+ * }
+ *
+ * task is 'analysis', 'classification' or 'chat', input the structured data the
+ * prompt was built from - model providers only need the prompt. usage is the
+ * token count the API reported ({ inputTokens, outputTokens }), null when it
+ * reports none - the clients estimate it then.
+ *
+ * A client created with a meter calls it after every model call, with
+ * { kind, provider, model, label, purpose, inputTokens, outputTokens, estimated,
+ * latencyMs, success } - see usageService.js. Offline calls are not metered.
+ *
+ * Environment:
+ *   LLM_PROVIDER          gemini | openai | local | offline (default gemini with GEMINI_API_KEY, else offline)
+ *   LLM_MODEL             generation model (default per provider)
+ *   EMBEDDING_PROVIDER    default LLM_PROVIDER - every deployment embeds with one provider,
+ *   EMBEDDING_MODEL       stored vectors are only comparable with vectors of the same model
+ *   OPENAI_API_KEY, OPENAI_BASE_URL              openai (any OpenAI-compatible API)
+ *   LOCAL_LLM_BASE_URL, LOCAL_LLM_API_KEY        local (Ollama, llama.cpp server, vLLM, ...)
+ *   LLM_TIMEOUT_MS        request timeout of the HTTP providers (default 60000)
+ */
+
+import axios from 'axios';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { generateOffline, embedOffline } from './offlineLlm.js';
+
+// LogChunk.embedding is a vector(768) column
+export const EMBEDDING_DIMENSIONS = 768;
+
+const providers = new Map();
+
+/**
+ * Register a provider (replaces one with the same id)
+ */
+export function registerLlmProvider(provider) {
+    providers.set(provider.id, provider);
+}
+
+/**
+ * Provider by id, undefined when unknown
+ */
+export function getLlmProvider(id) {
+    return providers.get(id);
+}
+
+/**
+ * Registered providers, for the settings API
+ */
+export function listLlmProviders() {
+    return [...providers.values()].map(provider => ({
+        id: provider.id,
+        name: provider.name,
+        offline: provider.offline,
+        configured: provider.isConfigured(),
+        defaultModel: provider.defaultModel,
+        defaultEmbeddingModel: provider.defaultEmbeddingModel
+    }));
+}
+
+function timeoutMs() {
+    const value = parseInt(process.env.LLM_TIMEOUT_MS, 10);
+    return Number.isNaN(value) || value <= 0 ? 60000 : value;
+}
+
+// ============================================
+// Google Gemini
+// ============================================
+let geminiClient = null;
+let geminiKey = null;
+
+function gemini() {
+    if (!geminiClient || geminiKey !== process.env.GEMINI_API_KEY) {
+        geminiKey = process.env.GEMINI_API_KEY;
+        geminiClient = new GoogleGenerativeAI(geminiKey);
+    }
+    return geminiClient;
+}
+
+registerLlmProvider({
+    id: 'gemini',
+    name: 'Google Gemini',
+    offline: false,
+    defaultModel: 'gemini-2.5-flash-lite',
+    defaultEmbeddingModel: 'text-embedding-004',
+    isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+    generate: async (prompt, { model }) => {
+        const result = await gemini().getGenerativeModel({ model }).generateContent(prompt);
+        const response = await result.response;
+        const usage = response.usageMetadata;
+        return {
+            text: response.text(),
+            usage: usage ? { inputTokens: usage.promptTokenCount ?? 0, outputTokens: usage.candidatesTokenCount ?? 0 } : null
+        };
+    },
+    embed: async (text, { model }) => {
+        // embedContent reports no token count
+        const result = await gemini().getGenerativeModel({ model }).embedContent(text);
+        return { embedding: result.embedding.values, usage: null };
+    }
+});
+
+// ============================================
+// OpenAI-compatible APIs
+// ============================================
+
+/**
+ * Provider for an OpenAI-compatible API (/chat/completions and /embeddings)
+ * @param {Object} options - { id, name, baseUrl(), apiKey(), defaults, requestDimensions }
+ */
+function openAICompatibleProvider({ id, name, baseUrl, apiKey, isConfigured, defaultModel, defaultEmbeddingModel, requestDimensions }) {
+    const post = async (path, body) => {
+        const headers = apiKey() ? { Authorization: `Bearer ${apiKey()}` } : {};
+        const response = await axios.post(`${baseUrl().replace(/\/+$/, '')}${path}`, body, {
+            headers,
+            timeout: timeoutMs()
+        });
+        return response.data;
+    };
+
+    return {
+        id,
+        name,
+        offline: false,
+        defaultModel,
+        defaultEmbeddingModel,
+        isConfigured,
+        generate: async (prompt, { model }) => {
+            const data = await post('/chat/completions', {
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: 0.2
+            });
+            const text = data?.choices?.[0]?.message?.content;
+            if (typeof text !== 'string') {
+                throw new Error(`${name} returned no completion`);
+            }
+            return {
+                text,
+                usage: data.usage ? { inputTokens: data.usage.prompt_tokens ?? 0, outputTokens: data.usage.completion_tokens ?? 0 } : null
+            };
+        },
+        embed: async (text, { model }) => {
+            const data = await post('/embeddings', {
+                model,
+                input: text,
+                // text-embedding-3 models can shorten their vectors, local servers reject the field
+                ...(requestDimensions ? { dimensions: EMBEDDING_DIMENSIONS } : {})
+            });
+            const embedding = data?.data?.[0]?.embedding;
+            if (!Array.isArray(embedding)) {
+                throw new Error(`${name} returned no embedding`);
+            }
+            return {
+                embedding,
+                usage: data.usage ? { inputTokens: data.usage.prompt_tokens ?? 0, outputTokens: 0 } : null
+            };
+        }
+    };
+}
+
+registerLlmProvider(openAICompatibleProvider({
+    id: 'openai',
+    name: 'OpenAI-compatible',
+    baseUrl: () => process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: () => process.env.OPENAI_API_KEY,
+    isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+    defaultModel: 'gpt-4o-mini',
+    defaultEmbeddingModel: 'text-embedding-3-small',
+    requestDimensions: true
+}));
+
+// Nothing leaves the network - e.g. Ollama's OpenAI-compatible API at http://localhost:11434/v1
+registerLlmProvider(openAICompatibleProvider({
+    id: 'local',
+    name: 'Local OpenAI-compatible server',
+    baseUrl: () => process.env.LOCAL_LLM_BASE_URL,
+    apiKey: () => process.env.LOCAL_LLM_API_KEY,
+    isConfigured: () => Boolean(process.env.LOCAL_LLM_BASE_URL),
+    defaultModel: 'llama3.1',
+    defaultEmbeddingModel: 'nomic-embed-text',
+    requestDimensions: false
+}));
+
+// ============================================
+// Offline (deterministic, no model)
+// ============================================
+registerLlmProvider({
+    id: 'offline',
+    name: 'Offline (deterministic)',
+    offline: true,
+    defaultModel: 'offline',
+    defaultEmbeddingModel: 'hashing',
+    isConfigured: () => true,
+    generate: async (prompt, { task, input }) => ({ text: generateOffline(task, input), usage: null }),
+    embed: async (text) => ({ embedding: embedOffline(text, EMBEDDING_DIMENSIONS), usage: null })
+});
+
+// ============================================
+// Selection
+// ============================================
+
+/**
+ * Provider of the deployment - LLM_PROVIDER, or gemini when GEMINI_API_KEY is set
+ */
+function deploymentProviderId() {
+    return process.env.LLM_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'offline');
+}
+
+/**
+ * A registered provider that is configured in this deployment, throws otherwise
+ */
+function requireConfigured(id, variable) {
+    const provider = getLlmProvider(id);
+    if (!provider) {
+        throw new Error(`Unknown ${variable} "${id}" (${[...providers.keys()].join(', ')})`);
+    }
+    if (!provider.isConfigured()) {
+        throw new Error(`${variable} "${id}" is not configured, see GEMINI_SETUP.md`);
+    }
+    return provider;
+}
+
+const warnedMisconfigurations = new Set();
+
+/**
+ * A provider of the deployment's environment - the offline one, with a warning, when it
+ * is unknown or not configured: a typo in LLM_PROVIDER must not take the API down
+ */
+function configuredOrOffline(id, variable) {
+    try {
+        return requireConfigured(id, variable);
+    } catch (error) {
+        if (!warnedMisconfigurations.has(error.message)) {
+            warnedMisconfigurations.add(error.message);
+            console.warn(`⚠️  ${error.message} - using offline`);
+        }
+        return getLlmProvider('offline');
+    }
+}
+
+/**
+ * Generation and embedding providers / models of the deployment
+ * @returns {Object} { generation: { provider, model }, embedding: { provider, model } }
+ */
+export function getDeploymentLlmConfig() {
+    const generation = configuredOrOffline(deploymentProviderId(), 'LLM_PROVIDER');
+    const embedding = configuredOrOffline(process.env.EMBEDDING_PROVIDER || generation.id, 'EMBEDDING_PROVIDER');
+    return {
+        // The models are of the configured providers, not of the offline fallback
+        generation: { provider: generation.id, model: (!generation.offline && process.env.LLM_MODEL) || generation.defaultModel },
+        embedding: { provider: embedding.id, model: (!embedding.offline && process.env.EMBEDDING_MODEL) || embedding.defaultEmbeddingModel }
+    };
+}
+
+/**
+ * Generation config of an org - its setting over the deployment's. A setting whose
+ * provider is no longer configured here is ignored.
+ * @param {Object|null} setting - LlmSetting { provider, model }
+ * @returns {Object} { provider, model, source: 'org' | 'deployment' }
+ */
+export function resolveGenerationConfig(setting) {
+    const deployment = getDeploymentLlmConfig().generation;
+    if (!setting) {
+        return { ...deployment, source: 'deployment' };
+    }
+
+    const provider = getLlmProvider(setting.provider);
+    if (!provider?.isConfigured()) {
+        console.warn(`⚠️  LLM provider "${setting.provider}" of ${setting.owner} is not configured, using ${deployment.provider}`);
+        return { ...deployment, source: 'deployment' };
+    }
+    return { provider: provider.id, model: setting.model || provider.defaultModel, source: 'org' };
+}
+
+// Token estimate of text a provider reported no usage for (~4 characters per token)
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Run a provider call and report it to the meter (when there is one)
+ * @param {Function} call - () => provider call
+ * @param {Function} toUsage - result -> { inputTokens, outputTokens, estimated }
+ */
+async function metered(meter, event, call, toUsage) {
+    if (!meter) {
+        return call();
+    }
+
+    const startedAt = Date.now();
+    try {
+        const result = await call();
+        meter({ ...event, ...toUsage(result), latencyMs: Date.now() - startedAt, success: true });
+        return result;
+    } catch (error) {
+        // Failed calls are metered without tokens - they take time and count against rate limits
+        meter({ ...event, inputTokens: 0, outputTokens: 0, estimated: false, latencyMs: Date.now() - startedAt, success: false });
+        throw error;
+    }
+}
+
+/**
+ * Generation client - { provider, model, label, offline, generate(prompt, { task, input, purpose }) }
+ * purpose is what the call is metered as, the task by default
+ * @param {Object} config - { provider, model }, the deployment's by default
+ * @param {Object} options - { meter }, see above
+ */
+export function createGenerationClient(config = getDeploymentLlmConfig().generation, { meter = null } = {}) {
+    const provider = requireConfigured(config.provider, 'LLM provider');
+    const model = config.model || provider.defaultModel;
+    const label = provider.offline ? provider.id : `${provider.id}/${model}`;
+    return {
+        provider: provider.id,
+        model,
+        label,
+        offline: provider.offline,
+        generate: async (prompt, { task, input, purpose } = {}) => {
+            const { text } = await metered(
+                provider.offline ? null : meter,
+                { kind: 'generation', provider: provider.id, model, label, purpose: purpose || task || 'generation' },
+                () => provider.generate(prompt, { model, task, input }),
+                ({ text: output, usage }) => usage
+                    ? { ...usage, estimated: false }
+                    : { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(output), estimated: true }
+            );
+            return text;
+        }
+    };
+}
+
+/**
+ * Embedding client of the deployment - { provider, model, label, embed(text, { purpose }) }
+ * @param {Object} options - { meter }, see above
+ */
+export function createEmbeddingClient({ meter = null } = {}) {
+    const config = getDeploymentLlmConfig().embedding;
+    const provider = requireConfigured(config.provider, 'EMBEDDING_PROVIDER');
+    const model = config.model || provider.defaultEmbeddingModel;
+    const label = provider.offline ? provider.id : `${provider.id}/${model}`;
+    return {
+        provider: provider.id,
+        model,
+        label,
+        embed: async (text, { purpose } = {}) => {
+            const { embedding } = await metered(
+                provider.offline ? null : meter,
+                { kind: 'embedding', provider: provider.id, model, label, purpose: purpose || 'embedding' },
+                () => provider.embed(text, { model }),
+                ({ usage }) => usage
+                    ? { ...usage, estimated: false }
+                    : { inputTokens: estimateTokens(text), outputTokens: 0, estimated: true }
+            );
+            return embedding;
+        }
+    };
+}
@@ -0,0 +1,98 @@
+/**
+ * LLM Setting Service
+ *
+ * An org's (repo owner's) choice of generation provider and model, over the
+ * deployment's (see llmProviders.js). Embeddings are not per org: every chunk is
+ * searched against every other, so they all need vectors of the same model.
+ *
+ * A setting belongs to the user who set it and applies to their repos of the org -
+ * any user can add a repo of an org, and the setting decides whose API key pays.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import {
+    getLlmProvider,
+    listLlmProviders,
+    getDeploymentLlmConfig,
+    resolveGenerationConfig,
+    createGenerationClient
+} from './llmProviders.js';
+
+const prisma = new PrismaClient();
+
+const MODEL_PATTERN = /^[\w.:/-]{1,100}$/;
+
+/**
+ * Error message for an invalid setting body, null when it is valid
+ * @param {Object} body - { provider, model? }
+ */
+export function validateLlmSetting(body) {
+    const { provider, model } = body || {};
+    if (typeof provider !== 'string' || !getLlmProvider(provider)) {
+        return `provider must be one of ${listLlmProviders().map(entry => entry.id).join(', ')}`;
+    }
+    if (!getLlmProvider(provider).isConfigured()) {
+        return `provider "${provider}" is not configured in this deployment`;
+    }
+    if (model !== undefined && model !== null && (typeof model !== 'string' || !MODEL_PATTERN.test(model))) {
+        return 'model must be a model name of at most 100 characters (letters, digits, . _ : / -)';
+    }
+    return null;
+}
+
+export class LlmSettingService {
+    /**
+     * Stored setting of a repo's org, null when it uses the deployment's
+     * @param {Object} repo - Repo { userId, owner }
+     */
+    async getSetting(repo) {
+        return prisma.llmSetting.findUnique({
+            where: { userId_owner: { userId: repo.userId, owner: repo.owner } }
+        });
+    }
+
+    /**
+     * Providers of the deployment, the org's setting and what its analyses use
+     * @returns {Promise<Object>} { providers, deployment, org, effective }
+     */
+    async describe(repo) {
+        const setting = await this.getSetting(repo);
+        return {
+            providers: listLlmProviders(),
+            deployment: getDeploymentLlmConfig(),
+            org: setting,
+            effective: resolveGenerationConfig(setting)
+        };
+    }
+
+    /**
+     * Generation client for the analyses and chats of a repo
+     * @param {Object} options - { meter } of createGenerationClient
+     */
+    async getGenerationClient(repo, options = {}) {
+        return createGenerationClient(resolveGenerationConfig(await this.getSetting(repo)), options);
+    }
+
+    /**
+     * Create or replace the setting of a repo's org
+     */
+    async saveSetting(repo, { provider, model }) {
+        const key = { userId: repo.userId, owner: repo.owner };
+        const data = { provider, model: model || null };
+        return prisma.llmSetting.upsert({
+            where: { userId_owner: key },
+            update: data,
+            create: { ...key, ...data }
+        });
+    }
+
+    /**
+     * Remove the setting of a repo's org - returns false when there was none
+     */
+    async removeSetting(repo) {
+        const deleted = await prisma.llmSetting.deleteMany({
+            where: { userId: repo.userId, owner: repo.owner }
+        });
+        return deleted.count > 0;
+    }
+}
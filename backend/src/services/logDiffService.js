@@ -0,0 +1,219 @@
+/**
+ * Log Diff Service
+ *
+ * Compares a failed run's log with the last green run of the same workflow and
+ * branch - what we otherwise do by opening both runs side by side:
+ * - Stored LogChunks are aligned step by step (job + step name, chunk parts joined)
+ * - Lines are compared after masking volatile tokens (timestamps, durations, ids,
+ *   paths, numbers), so only lines that really are new count as new
+ * - Steps that ran in only one of the runs, and tool versions that changed
+ *   (hosted tool cache, runner / image, actions, toolchain version output)
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { normalizeErrorMessage } from '../utils/errorFingerprint.js';
+
+const prisma = new PrismaClient();
+
+// Chunks of one step are named "Step (part 2)"
+const PART_SUFFIX = / \(part \d+\)$/;
+
+// New lines returned per step (counts cover all of them)
+const MAX_NEW_LINES_PER_STEP = 50;
+
+/**
+ * Lines that print a tool version. tool null: the tool name is the first group and
+ * the version the second, otherwise the version is the first group.
+ */
+const TOOL_VERSION_PATTERNS = [
+    // actions/setup-* install into the hosted tool cache: /opt/hostedtoolcache/node/18.17.0/x64
+    { pattern: /hostedtoolcache[\\/]([^\\/\s]+)[\\/](\d[^\\/\s]*)[\\/]/i, tool: null },
+    { pattern: /^Current runner version: '([^']+)'/, tool: 'runner' },
+    { pattern: /^Image: (\S+)$/, tool: 'runner-image' },
+    { pattern: /^Version: (\d{8}\.\d+(?:\.\d+)?)$/, tool: 'runner-image-version' },
+    { pattern: /^Download action repository '([^'@]+)@([^']+)'/, tool: null },
+    { pattern: /^go version go(\S+)/, tool: 'go' },
+    { pattern: /^Python (\d+\.\d+\.\d+)$/, tool: 'python' },
+    { pattern: /^(rustc|cargo) (\d+\.\d+\.\d+)/, tool: null },
+    { pattern: /^openjdk version "([^"]+)"/, tool: 'java' },
+    { pattern: /^Apache Maven (\S+)/, tool: 'maven' },
+    { pattern: /^Gradle (\d\S*)$/, tool: 'gradle' },
+];
+
+export class LogDiffService {
+    /**
+     * Run to compare against: 'last-success' (latest successful run of the same
+     * workflow and branch before this one) or the id of a run of the same repo
+     * @returns {Promise<Object|null>} The baseline WorkflowRun, null if there is none
+     */
+    async findBaseline(run, against = 'last-success') {
+        if (against !== 'last-success') {
+            return prisma.workflowRun.findFirst({
+                where: { id: Number(against), repoId: run.repoId, NOT: { id: run.id } }
+            });
+        }
+
+        return prisma.workflowRun.findFirst({
+            where: {
+                repoId: run.repoId,
+                workflowName: run.workflowName,
+                branch: run.branch,
+                status: 'success',
+                createdAt: { lt: run.createdAt },
+                NOT: { id: run.id }
+            },
+            orderBy: { createdAt: 'desc' }
+        });
+    }
+
+    /**
+     * Stored chunks of a run, in log order
+     */
+    async getChunks(workflowRunId) {
+        return prisma.logChunk.findMany({
+            where: { workflowRunId },
+            orderBy: { chunkIndex: 'asc' },
+            select: { chunkIndex: true, stepName: true, jobName: true, content: true, overlapLines: true }
+        });
+    }
+
+    /**
+     * Diff of a run's chunks against the baseline's chunks
+     * @returns {Object} { steps, newSteps, missingSteps, changedToolVersions, summary }
+     *   steps: common steps with new / removed line counts and the new lines, most divergent first
+     */
+    diff(currentChunks, baselineChunks) {
+        const current = this.groupSteps(currentChunks);
+        const baseline = this.groupSteps(baselineChunks);
+
+        const steps = [];
+        const newSteps = [];
+
+        for (const [key, step] of current) {
+            const baselineStep = baseline.get(key);
+            if (!baselineStep) {
+                newSteps.push({ jobName: step.jobName, stepName: step.stepName, lineCount: step.lines.length });
+                continue;
+            }
+
+            const known = new Set(baselineStep.lines.map(line => line.signature));
+            const seen = new Set(step.lines.map(line => line.signature));
+            const newLines = step.lines.filter(line => !known.has(line.signature));
+            const removedLineCount = baselineStep.lines.filter(line => !seen.has(line.signature)).length;
+            const totalLines = step.lines.length + baselineStep.lines.length;
+
+            steps.push({
+                jobName: step.jobName,
+                stepName: step.stepName,
+                lineCount: step.lines.length,
+                baselineLineCount: baselineStep.lines.length,
+                newLineCount: newLines.length,
+                removedLineCount,
+                // Share of the two logs that differs, 0 (same) - 1 (nothing in common)
+                divergence: totalLines === 0 ? 0 : Math.round(((newLines.length + removedLineCount) / totalLines) * 100) / 100,
+                newLines: newLines.slice(0, MAX_NEW_LINES_PER_STEP).map(({ chunkIndex, text }) => ({ chunkIndex, text })),
+            });
+        }
+
+        const missingSteps = [...baseline.entries()]
+            .filter(([key]) => !current.has(key))
+            .map(([, step]) => ({ jobName: step.jobName, stepName: step.stepName, lineCount: step.lines.length }));
+
+        steps.sort((a, b) => b.divergence - a.divergence || b.newLineCount - a.newLineCount);
+
+        const changedToolVersions = this.compareToolVersions(
+            this.extractToolVersions([...current.values()].flatMap(step => step.lines.map(line => line.text))),
+            this.extractToolVersions([...baseline.values()].flatMap(step => step.lines.map(line => line.text)))
+        );
+
+        return {
+            steps,
+            newSteps,
+            missingSteps,
+            changedToolVersions,
+            summary: {
+                stepsCompared: steps.length,
+                changedSteps: steps.filter(step => step.newLineCount > 0 || step.removedLineCount > 0).length,
+                newLineCount: steps.reduce((sum, step) => sum + step.newLineCount, 0),
+                newSteps: newSteps.length,
+                missingSteps: missingSteps.length,
+                changedToolVersions: changedToolVersions.length,
+            },
+        };
+    }
+
+    /**
+     * Steps with new lines, most divergent first - the evidence handed to the AI
+     */
+    getDivergentSections(diff, limit = 3) {
+        return diff.steps.filter(step => step.newLineCount > 0).slice(0, limit);
+    }
+
+    /**
+     * Chunks -> Map "job / step" -> { jobName, stepName, lines: [{ chunkIndex, text, signature }] }
+     * Overlap lines at the start of a chunk repeat the previous chunk and are dropped.
+     */
+    groupSteps(chunks) {
+        const steps = new Map();
+
+        for (const chunk of [...chunks].sort((a, b) => a.chunkIndex - b.chunkIndex)) {
+            const stepName = chunk.stepName.replace(PART_SUFFIX, '');
+            const key = `${chunk.jobName ?? ''}\n${stepName}`;
+            if (!steps.has(key)) {
+                steps.set(key, { jobName: chunk.jobName ?? null, stepName, lines: [] });
+            }
+
+            const lines = chunk.content.split('\n').slice(chunk.overlapLines || 0);
+            steps.get(key).lines.push(...lines.map(text => ({
+                chunkIndex: chunk.chunkIndex,
+                text,
+                signature: normalizeErrorMessage(text),
+            })));
+        }
+
+        return steps;
+    }
+
+    /**
+     * Tool versions printed in a log - Map tool -> Set of versions
+     */
+    extractToolVersions(lines) {
+        const versions = new Map();
+
+        for (const line of lines) {
+            for (const { pattern, tool } of TOOL_VERSION_PATTERNS) {
+                const match = line.match(pattern);
+                if (!match) {
+                    continue;
+                }
+                const name = tool || match[1].toLowerCase();
+                const version = tool ? match[1] : match[2];
+                if (!versions.has(name)) {
+                    versions.set(name, new Set());
+                }
+                versions.get(name).add(version);
+                break;
+            }
+        }
+
+        return versions;
+    }
+
+    /**
+     * Tools whose versions differ - [{ tool, baseline: [...], current: [...] }]
+     * (an empty list when the tool did not show up in that run)
+     */
+    compareToolVersions(current, baseline) {
+        const changed = [];
+
+        for (const tool of new Set([...baseline.keys(), ...current.keys()])) {
+            const currentVersions = [...(current.get(tool) || [])].sort();
+            const baselineVersions = [...(baseline.get(tool) || [])].sort();
+            if (currentVersions.join('\n') !== baselineVersions.join('\n')) {
+                changed.push({ tool, baseline: baselineVersions, current: currentVersions });
+            }
+        }
+
+        return changed;
+    }
+}
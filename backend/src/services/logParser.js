@@ -2,98 +2,620 @@
  * Enhanced Log Parser Service - Phase 1
  * 
  * Features:
- * - Smart step detection (GitHub Actions markers)
- * - Intelligent chunking (size-based + step-based)
+ * - Smart step detection (GitHub Actions, GitLab CI, Jenkins, CircleCI markers)
+ * - Intelligent chunking (step-based, token budget, never splitting an error block, optional overlap)
  * - Advanced noise removal
- * - 30+ error patterns
+ * - 30+ error patterns, plus per-repo custom patterns
+ * - Structured errors (toolchain, error code, source location) for Python, Go, JVM, Rust and .NET
+ * - Failing test extraction (Jest, Mocha, Vitest, pytest, Go test, JUnit XML)
+ * - File / line diagnostics from workflow commands (::error file=...), annotations and problem matcher output
  * - Token counting
+ * - Step / chunk timing from GitHub Actions timestamps
+ * - Job hierarchy (job -> step) and matrix leg summaries from GitHub Actions archives
+ * - Streaming mode for very large logs (bounded memory, chunks emitted in batches)
+ * - Secret / PII redaction before anything is chunked, stored, embedded or prompted
+ * - Error signatures (volatile tokens masked) and fingerprints, stable across runs and repos
+ * - Exit code / signal semantics: out-of-memory kills (137), cancellations (143), lost runners
  */
 
+import { detectLogProvider, getLogProvider, DETECTION_SAMPLE_LINES } from './logProviders.js';
+import { TestResultExtractorService } from './testResultExtractor.js';
+import { LanguageErrorExtractorService } from './languageErrorExtractor.js';
+import { AnnotationExtractorService } from './annotationExtractor.js';
+import { RedactionService } from './redactionService.js';
+import { normalizeErrorMessage, fingerprintError } from '../utils/errorFingerprint.js';
+import { testUserPattern } from '../utils/userRegex.js';
+
+/**
+ * Read a non-negative integer from the environment
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * "1m 5s" style duration for the analyzer steps
+ */
+function formatDuration(durationMs) {
+  if (durationMs === null || durationMs === undefined) {
+    return 'N/A';
+  }
+  const seconds = Math.round(durationMs / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+// Exit codes above 128 are 128 + the number of the signal that killed the process
+const EXIT_SIGNALS = { 1: 'SIGHUP', 2: 'SIGINT', 6: 'SIGABRT', 9: 'SIGKILL', 11: 'SIGSEGV', 13: 'SIGPIPE', 15: 'SIGTERM' };
+
+/**
+ * Exit code of an "exit code 137" / "exited with code 1" / "exit status 2" line and
+ * the signal behind it - { exitCode, signal } (signal null for a plain failure), null
+ * without an exit code
+ */
+export function parseExitCode(line) {
+  const match = line.match(/\bexit(?:ed\s+with)?\s+(?:code|status)\s+(\d+)/i);
+  if (!match) {
+    return null;
+  }
+  const exitCode = parseInt(match[1], 10);
+  return { exitCode, signal: exitCode > 128 ? EXIT_SIGNALS[exitCode - 128] ?? null : null };
+}
+
 export class LogParserService {
-  constructor() {
-    // Max lines per chunk (to avoid token limits)
+  /**
+   * @param {Object} options - {
+   *   errorContextBefore: lines of context kept before each error (LOG_ERROR_CONTEXT_BEFORE, default 3),
+   *   errorContextAfter: lines of context kept after each error block (LOG_ERROR_CONTEXT_AFTER, default 3),
+   *   maxErrorBlockLines: max lines of a captured stack trace / diagnostic (default 50),
+   *   maxChunkTokens: token budget per chunk (LOG_CHUNK_MAX_TOKENS, default 4000),
+   *   chunkOverlapLines: lines repeated from the previous chunk of a step (LOG_CHUNK_OVERLAP_LINES, default 0),
+   *   customPatterns: repo custom error patterns, compiled by ErrorPatternService.compile,
+   *   redactionRules: repo redaction rules ({ name, pattern, flags }) on top of the built-in detectors
+   * }
+   */
+  constructor(options = {}) {
+    // Chunk size: a token budget - 4000 tokens (~16k chars) embed whole, EmbeddingService
+    // cuts its input at 20k chars - plus a cap on lines per chunk
+    this.MAX_CHUNK_TOKENS = options.maxChunkTokens ?? envInt('LOG_CHUNK_MAX_TOKENS', 4000);
     this.MAX_CHUNK_LINES = 1000;
+    // Context repeated at the start of the next chunk of the same step (errors there belong to the previous chunk)
+    this.CHUNK_OVERLAP_LINES = options.chunkOverlapLines ?? envInt('LOG_CHUNK_OVERLAP_LINES', 0);
     // Approximate tokens per line (rough estimate)
     this.AVG_TOKENS_PER_LINE = 5;
+
+    // Error evidence window
+    this.ERROR_CONTEXT_BEFORE = options.errorContextBefore ?? envInt('LOG_ERROR_CONTEXT_BEFORE', 3);
+    this.ERROR_CONTEXT_AFTER = options.errorContextAfter ?? envInt('LOG_ERROR_CONTEXT_AFTER', 3);
+    this.MAX_ERROR_BLOCK_LINES = options.maxErrorBlockLines ?? 50;
+
+    // Checked before the built-in patterns - a repo's own formats are the more specific match
+    this.customPatterns = options.customPatterns || [];
+    this.redactionRules = options.redactionRules || [];
+
+    // Streaming mode: chunks handed to onChunks per batch, and how many error chunks stay in memory
+    this.STREAM_BATCH_SIZE = 50;
+    this.MAX_RETAINED_ERROR_CHUNKS = 20;
+    // Streaming mode: cap on errors / failing tests collected
+    this.MAX_STREAM_RESULTS = 500;
+    // Cap on diagnostics kept per run (a lint job can print thousands of warnings)
+    this.MAX_DIAGNOSTICS = 200;
+
+    this.testResultExtractor = new TestResultExtractorService();
+    this.languageErrorExtractor = new LanguageErrorExtractorService();
+    this.annotationExtractor = new AnnotationExtractorService();
   }
 
   /**
    * Main parse method - returns chunks and overall analysis
+   * @param {string} rawLog - Raw log text
+   * @param {Object} options - {
+   *   provider: 'github-actions' | 'gitlab-ci' | 'jenkins' | 'circleci' hint,
+   *   reports: [string] JUnit XML report contents
+   * }
    */
-  parse(rawLog) {
-    const cleanedLines = this.cleanLog(rawLog);
-    const steps = this.detectSteps(cleanedLines);
-    const chunks = this.createChunks(steps, cleanedLines);
-    const detectedErrors = this.detectErrors(chunks);
+  parse(rawLog, options = {}) {
+    const redactor = new RedactionService({ rules: this.redactionRules });
+    const lineMeta = [];
+    const cleanedLines = this.cleanLog(rawLog, lineMeta).map(line => redactor.redactLine(line));
+    const reports = (options.reports || []).map(report => redactor.redactText(report));
+    const provider = detectLogProvider(cleanedLines, options.provider);
+    const steps = this.detectSteps(cleanedLines, provider);
+    const chunks = this.createChunks(steps, cleanedLines, lineMeta);
+    const detectedErrors = this.detectErrors(chunks, lineMeta);
+    const failedTests = this.extractFailedTests(cleanedLines, chunks, reports);
+    const diagnostics = this.detectDiagnostics(chunks, lineMeta);
+    const stepTimings = this.getStepTimings(steps, lineMeta);
 
     return {
       chunks,           // Array of chunk objects
       detectedErrors,   // Overall errors
+      failedTests,      // Individual failing tests
+      diagnostics,      // File / line annotations and problem matcher output
+      stepTimings,
+      jobs: this.getJobSummaries(stepTimings, detectedErrors),
+      timing: this.getRunTiming(this.getTiming(lineMeta), detectedErrors),
+      provider: provider.id,
       totalLines: cleanedLines.length,
       totalChunks: chunks.length,
+      redaction: redactor.getSummary(),  // { total, byType } - never the values
+    };
+  }
+
+  /**
+   * Streaming parse for logs too large to hold in memory.
+   * Lines are cleaned, assigned to steps and chunked as they arrive, with the same
+   * step/chunk rules as parse(). Complete chunks are handed to onChunks in batches and
+   * then dropped; only the first error chunks and the last 2 chunks are kept for
+   * classification and AI analysis, so memory does not grow with the log size.
+   * @param {AsyncIterable<string>} rawLines - Raw log lines (e.g. readZipLogLines)
+   * @param {Object} options - {
+   *   provider, reports: same as parse(),
+   *   onChunks: async (chunks) => {} called with every batch of complete chunks,
+   *   batchSize: chunks per batch (default 50)
+   * }
+   * @returns Same shape as parse(), chunks limited to the retained ones
+   */
+  async parseStream(rawLines, options = {}) {
+    const { onChunks = async () => {}, batchSize = this.STREAM_BATCH_SIZE } = options;
+
+    const redactor = new RedactionService({ rules: this.redactionRules });
+    let provider = options.provider ? getLogProvider(options.provider) : null;
+    let detectionBuffer = [];   // Cleaned lines held back until the provider is known
+
+    let rawLineNumber = 0;
+    let lineIndex = 0;          // Index of the next cleaned line
+    let chunkIndex = 0;
+    let openStep = null;        // Step whose end marker has not been seen yet
+    let segment = null;         // Step (or gap) currently being chunked
+    let gap = null;             // Marker-only lines after a closed step, see fillStepGaps
+    let firstTimestamp = null;
+    let lastTimestamp = null;
+    const stepTimings = [];
+
+    let batch = [];
+    const errorChunks = [];
+    let lastChunks = [];
+    const detectedErrors = [];
+    const seenErrors = new Map();   // fingerprint -> recorded error
+    let failedTests = [];
+    const diagnostics = [];
+    const seenDiagnostics = new Set();
+
+    const emitChunk = (stepName, jobName, startLine, lines, meta, overlapLines) => {
+      const errors = this.findErrorsInLines(lines, { lineMeta: meta, skipLines: overlapLines });
+      const chunk = {
+        chunkIndex: chunkIndex++,
+        stepName,
+        jobName,
+        content: lines.join('\n'),
+        startLine,
+        endLine: startLine + lines.length - 1,
+        lineCount: lines.length,
+        overlapLines,
+        tokenCount: this.estimateTokens(lines),
+        hasErrors: errors.length > 0,
+        errorCount: errors.length,
+        ...this.getTiming(meta),
+      };
+
+      for (const error of errors) {
+        const key = this.errorKey(error);
+        if (seenErrors.has(key)) {
+          seenErrors.get(key).occurrences++;
+        } else if (detectedErrors.length < this.MAX_STREAM_RESULTS) {
+          const recorded = { ...error, chunkIndex: chunk.chunkIndex, stepName, jobName };
+          seenErrors.set(key, recorded);
+          detectedErrors.push(recorded);
+        }
+      }
+
+      if (failedTests.length < this.MAX_STREAM_RESULTS) {
+        for (const { lineIndex: testLine, ...test } of this.testResultExtractor.extract(lines)) {
+          if (testLine === null || testLine >= overlapLines) {
+            failedTests.push({ ...test, stepName, jobName, chunkIndex: chunk.chunkIndex });
+          }
+        }
+      }
+
+      for (const diagnostic of this.findDiagnosticsInLines(lines, { lineMeta: meta, skipLines: overlapLines })) {
+        const key = this.annotationExtractor.diagnosticKey(diagnostic);
+        if (!seenDiagnostics.has(key) && diagnostics.length < this.MAX_DIAGNOSTICS) {
+          seenDiagnostics.add(key);
+          diagnostics.push({ ...diagnostic, stepName, jobName, chunkIndex: chunk.chunkIndex });
+        }
+      }
+
+      if (chunk.hasErrors && errorChunks.length < this.MAX_RETAINED_ERROR_CHUNKS) {
+        errorChunks.push(chunk);
+      }
+      lastChunks = [...lastChunks.slice(-1), chunk];
+      batch.push(chunk);
+    };
+
+    const openSegment = (name, startLine, jobName = null) => {
+      const opened = {
+        name,
+        jobName,
+        startLine,
+        endLine: startLine - 1,
+        part: 0,
+        ended: false,
+        firstTimestamp: null,
+        lastTimestamp: null,
+      };
+      opened.splitter = this.createChunkSplitter(startLine, (lines, meta, chunkStart, overlapLines, isLast) => {
+        if (isLast && opened.part === 0) {
+          emitChunk(opened.name, opened.jobName, chunkStart, lines, meta, overlapLines);
+          return;
+        }
+        // Output before any step that is too long for one chunk: no step has been seen
+        opened.name = opened.name ?? 'Full Log';
+        emitChunk(`${opened.name} (part ${++opened.part})`, opened.jobName, chunkStart, lines, meta, overlapLines);
+      });
+      segment = opened;
+    };
+
+    const addToSegment = (line, meta, index) => {
+      segment.splitter.push(line, meta);
+      segment.endLine = index;
+      if (meta.timestamp !== null) {
+        segment.firstTimestamp = segment.firstTimestamp ?? meta.timestamp;
+        segment.lastTimestamp = meta.timestamp;
+      }
+    };
+
+    const flushSegment = (stepFollows) => {
+      if (segment && segment.endLine >= segment.startLine) {
+        segment.name = segment.name ?? (stepFollows ? 'Job output' : 'Full Log');
+        segment.splitter.finish();
+        stepTimings.push({
+          stepIndex: stepTimings.length,
+          name: segment.name,
+          jobName: segment.jobName,
+          startLine: segment.startLine,
+          endLine: segment.endLine,
+          ...this.timingFromRange(segment.firstTimestamp, segment.lastTimestamp),
+        });
+      }
+      segment = null;
+    };
+
+    // Marker-only lines between steps stay with the previous step
+    const closeGap = () => {
+      gap?.forEach(entry => addToSegment(entry.line, entry.meta, entry.index));
+      gap = null;
+    };
+
+    const processLine = (line, meta) => {
+      const index = lineIndex++;
+      const action = provider.matchLine(line, openStep);
+
+      if (action?.type === 'start') {
+        closeGap();
+        flushSegment(true);
+        openStep = { ...action.step };
+        openSegment(action.step.name, index, action.step.jobName ?? null);
+        addToSegment(line, meta, index);
+        return;
+      }
+
+      if (action?.type === 'end' && openStep) {
+        addToSegment(line, meta, index);
+        openStep = null;
+        segment.ended = !provider.attachTrailingOutput;
+        return;
+      }
+
+      if (!segment) {
+        // Output before the first step
+        openSegment(null, index);
+      } else if (segment.ended) {
+        if (provider.markerLine?.test(line)) {
+          if (gap?.length >= this.MAX_CHUNK_LINES) {
+            closeGap();
+          }
+          gap = gap || [];
+          gap.push({ line, meta, index });
+          return;
+        }
+
+        // Real output after a closed step becomes its own "Job output" step
+        const pending = gap || [];
+        const { jobName } = segment;
+        gap = null;
+        flushSegment(true);
+        openSegment('Job output', pending[0]?.index ?? index, jobName);
+        pending.forEach(entry => addToSegment(entry.line, entry.meta, entry.index));
+      }
+
+      addToSegment(line, meta, index);
+    };
+
+    const resolveProvider = () => {
+      provider = detectLogProvider(detectionBuffer.map(entry => entry.line), options.provider);
+      detectionBuffer.forEach(entry => processLine(entry.line, entry.meta));
+      detectionBuffer = [];
+    };
+
+    const flushBatch = async () => {
+      const ready = batch;
+      batch = [];
+      await onChunks(ready);
+    };
+
+    for await (const rawLine of rawLines) {
+      rawLineNumber++;
+      const timestamp = this.extractTimestamp(rawLine);
+      if (timestamp !== null) {
+        firstTimestamp = firstTimestamp ?? timestamp;
+        lastTimestamp = timestamp;
+      }
+
+      for (const cleanedLine of this.cleanLine(rawLine)) {
+        const line = redactor.redactLine(cleanedLine);
+        const meta = { lineNumber: rawLineNumber, timestamp };
+        if (provider) {
+          processLine(line, meta);
+        } else {
+          detectionBuffer.push({ line, meta });
+          if (detectionBuffer.length >= DETECTION_SAMPLE_LINES) {
+            resolveProvider();
+          }
+        }
+      }
+
+      if (batch.length >= batchSize) {
+        await flushBatch();
+      }
+    }
+
+    if (!provider) {
+      resolveProvider();
+    }
+    closeGap();
+    flushSegment(false);
+    if (batch.length > 0) {
+      await flushBatch();
+    }
+
+    // JUnit reports are not part of the log - no step/chunk to attribute them to
+    const reports = (options.reports || []).map(report => redactor.redactText(report));
+    const reportTests = this.testResultExtractor.extract([], { reports });
+    failedTests.push(...reportTests.map(({ lineIndex: _, ...test }) => ({ ...test, stepName: null, jobName: null, chunkIndex: null })));
+    failedTests = this.testResultExtractor.deduplicate(failedTests);
+
+    const retainedChunks = new Map([...errorChunks, ...lastChunks].map(chunk => [chunk.chunkIndex, chunk]));
+
+    return {
+      chunks: [...retainedChunks.values()].sort((a, b) => a.chunkIndex - b.chunkIndex),
+      detectedErrors,
+      failedTests,
+      diagnostics,
+      stepTimings,
+      jobs: this.getJobSummaries(stepTimings, detectedErrors),
+      timing: this.getRunTiming(this.timingFromRange(firstTimestamp, lastTimestamp), detectedErrors),
+      provider: provider.id,
+      totalLines: lineIndex,
+      totalChunks: chunkIndex,
+      redaction: redactor.getSummary(),
+      streamed: true,
     };
   }
 
   /**
    * Advanced log cleaning - removes ANSI codes, timestamps, progress bars
+   * @param {string} rawLog - Raw log text
+   * @param {Array} lineMeta - Optional array filled with { lineNumber, timestamp } for every cleaned
+   *                           line: the 1-based line in the original log (so errors can point back
+   *                           to it) and the stripped timestamp in ms (null when the line had none)
    */
-  cleanLog(rawLog) {
+  cleanLog(rawLog, lineMeta = null) {
+    const lines = rawLog.split('\n');
+    const cleanedLines = [];
+
+    lines.forEach((line, index) => {
+      const timestamp = lineMeta ? this.extractTimestamp(line) : null;
+      // A \r-separated line becomes several lines sharing the original line number
+      for (const part of this.cleanLine(line)) {
+        cleanedLines.push(part);
+        if (lineMeta) {
+          lineMeta.push({ lineNumber: index + 1, timestamp });
+        }
+      }
+    });
+
+    return cleanedLines;
+  }
+
+  /**
+   * Clean a single raw line - returns the non-empty lines it contains
+   */
+  cleanLine(line) {
     // ANSI escape codes (colors, formatting)
     const ansiRegex = /[\u001b\u009b][[()#;?]*(?:[0-9]{1,4}(?:;[0-9]{0,4})*)?[0-9A-ORZcf-nqry=><]/g;
 
-    // GitHub Actions timestamps
-    const timestampRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d+Z\s+/;
+    // GitHub Actions timestamps (the first line of each log file starts with a BOM)
+    const timestampRegex = /^\uFEFF?\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d+Z\s+/;
 
     // Progress indicators and carriage returns
     const progressRegex = /\r(?!\n)/g;
 
-    const lines = rawLog.split('\n');
-    return lines.map((line, index) => {
-      let cleaned = line
-        .replace(ansiRegex, '')           // Remove colors
-        .replace(timestampRegex, '')      // Remove timestamps
-        .replace(progressRegex, '\n')     // Convert \r to \n
-        .trim();
+    const cleaned = line
+      .replace(ansiRegex, '')           // Remove colors
+      .replace(timestampRegex, '')      // Remove timestamps
+      .replace(progressRegex, '\n');    // Convert \r to \n
 
-      return cleaned;
-    }).filter(line => line.length > 0);  // Remove empty lines
+    return cleaned
+      .split('\n')
+      .map(part => part.trim())
+      .filter(part => part.length > 0); // Remove empty lines
   }
 
   /**
-   * Detect GitHub Actions steps from log markers
+   * GitHub Actions timestamp at the start of a raw line, in ms (null if none)
    */
-  detectSteps(lines) {
-    const steps = [];
-    let currentStep = null;
-    let currentStepStart = 0;
+  extractTimestamp(line) {
+    const match = line.match(/^\uFEFF?(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z)\s/);
+    if (!match) {
+      return null;
+    }
+    const time = Date.parse(match[1]);
+    return Number.isNaN(time) ? null : time;
+  }
 
-    const patterns = {
-      // GitHub Actions group markers
-      groupStart: /^##\[group\](.+)$/,
-      groupEnd: /^##\[endgroup\]$/,
+  /**
+   * Start / end / duration from timestamps in ms (nulls when unknown)
+   */
+  timingFromRange(firstTimestamp, lastTimestamp) {
+    if (firstTimestamp === null || lastTimestamp === null) {
+      return { startedAt: null, endedAt: null, durationMs: null };
+    }
+    return {
+      startedAt: new Date(firstTimestamp).toISOString(),
+      endedAt: new Date(lastTimestamp).toISOString(),
+      durationMs: lastTimestamp - firstTimestamp,
+    };
+  }
+
+  /**
+   * Timing of a range of lines from their metadata (lines without a timestamp are ignored)
+   */
+  getTiming(meta = []) {
+    let first = null;
+    let last = null;
+    for (const entry of meta || []) {
+      if (entry?.timestamp != null) {
+        first = first ?? entry.timestamp;
+        last = entry.timestamp;
+      }
+    }
+    return this.timingFromRange(first, last);
+  }
+
+  /**
+   * Per-step timing, in step order
+   */
+  getStepTimings(steps, lineMeta) {
+    return steps.map((step, stepIndex) => ({
+      stepIndex,
+      name: step.name,
+      jobName: step.jobName ?? null,
+      startLine: step.startLine,
+      endLine: step.endLine,
+      ...this.getTiming(lineMeta?.slice(step.startLine, step.endLine + 1)),
+    }));
+  }
+
+  /**
+   * Per-job summary, for logs with a job hierarchy (GitHub Actions archives: one folder per job).
+   * Matrix legs ("test (18, ubuntu-latest)") are split into baseName + matrixValues, and
+   * failureSignature lets legs be compared: the category and signature of the job's primary error.
+   */
+  getJobSummaries(stepTimings, detectedErrors) {
+    const jobs = new Map();
+
+    for (const step of stepTimings) {
+      if (!step.jobName) {
+        continue;
+      }
+      if (!jobs.has(step.jobName)) {
+        const matrix = step.jobName.match(/^(.*?)\s*\((.+)\)$/);
+        jobs.set(step.jobName, {
+          name: step.jobName,
+          baseName: matrix ? matrix[1] : step.jobName,
+          matrixValues: matrix ? matrix[2].split(',').map(value => value.trim()) : [],
+          stepCount: 0,
+          firstTimestamp: null,
+          lastTimestamp: null,
+        });
+      }
+
+      const job = jobs.get(step.jobName);
+      job.stepCount++;
+      if (step.startedAt) {
+        job.firstTimestamp = job.firstTimestamp ?? Date.parse(step.startedAt);
+        job.lastTimestamp = Date.parse(step.endedAt);
+      }
+    }
+
+    return [...jobs.values()].map(({ firstTimestamp, lastTimestamp, ...job }) => {
+      const errors = detectedErrors.filter(error => error.jobName === job.name);
+      const primaryError = this.getPrimaryError(errors);
 
-      // GitHub Actions section markers
-      section: /^##\[section\](.+)$/,
+      return {
+        ...job,
+        ...this.timingFromRange(firstTimestamp, lastTimestamp),
+        errorCount: errors.length,
+        primaryError: primaryError ? {
+          category: primaryError.category,
+          errorMessage: primaryError.errorMessage,
+          stepName: primaryError.stepName,
+          lineNumber: primaryError.lineNumber,
+          fingerprint: primaryError.fingerprint,
+        } : null,
+        failureSignature: primaryError ? `${primaryError.category}:${primaryError.signature}` : null,
+      };
+    });
+  }
+
+  /**
+   * Steps for the AI analysis: the chunks with errors plus the last 2 chunks (they
+   * often hold the final exit status / summary), named "job / step" in multi-job logs
+   */
+  getAnalysisSteps(chunks) {
+    const lastChunkIndices = new Set(chunks.slice(-2).map(chunk => chunk.chunkIndex));
+    return chunks
+      .filter(chunk => chunk.hasErrors || lastChunkIndices.has(chunk.chunkIndex))
+      .map(chunk => ({
+        id: chunk.chunkIndex,
+        name: chunk.jobName ? `${chunk.jobName} / ${chunk.stepName}` : chunk.stepName,
+        logLines: chunk.content.split('\n'),
+        duration: formatDuration(chunk.durationMs),
+        status: chunk.hasErrors ? 'failure' : 'info',
+      }));
+  }
 
-      // Common step indicators
-      runCommand: /^Run\s+(.+)$/,
-      postStep: /^Post\s+(.+)$/,
+  /**
+   * The error that best describes a failure. "Process completed with exit code 1"
+   * is the same in every failed job - prefer the real error.
+   */
+  getPrimaryError(errors) {
+    return errors.find(error => !['CI Error', 'Process Exit'].includes(error.category)) || errors[0] || null;
+  }
 
-      // Workflow step markers
-      stepStart: /^={3,}\s*(.+?)\s*={3,}$/,
+  /**
+   * Whole-log timing plus how long it took until the first error was printed
+   */
+  getRunTiming(timing, detectedErrors) {
+    const errorTimes = detectedErrors
+      .map(error => Date.parse(error.timestamp))
+      .filter(time => !Number.isNaN(time));
 
-      // Log file markers from combined logs (e.g., "--- Log File: build-and-test/6_Force CI failure (testing).txt ---")
-      // This is the MOST reliable source of step names
-      logFileMarker: /^---\s*Log File:\s*(.+?\.txt)\s*---$/,
+    return {
+      ...timing,
+      timeToFirstErrorMs: timing.startedAt && errorTimes.length > 0
+        ? Math.min(...errorTimes) - Date.parse(timing.startedAt)
+        : null,
     };
+  }
+
+  /**
+   * Detect steps from the provider's section/stage markers
+   * @param {string[]} lines - Cleaned log lines
+   * @param {Object} provider - Log provider (see logProviders.js), auto-detected if omitted
+   */
+  detectSteps(lines, provider = detectLogProvider(lines)) {
+    const steps = [];
+    let currentStep = null;
 
     for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
+      const action = provider.matchLine(lines[i], currentStep);
+      if (!action) {
+        continue;
+      }
 
-      // Check for log file marker FIRST (highest priority - contains actual step name)
-      // Format: "--- Log File: build-and-test/6_Force CI failure (testing).txt ---"
-      let match = line.match(patterns.logFileMarker);
-      if (match) {
+      if (action.type === 'start') {
         if (currentStep) {
           // Save previous step
           steps.push({
@@ -101,80 +623,17 @@ export class LogParserService {
             endLine: i - 1
           });
         }
-        // Extract step name from filename (e.g., "6_Force CI failure (testing).txt" -> "Force CI failure (testing)")
-        const filePath = match[1];
-        const fileName = filePath.split('/').pop(); // Get just the filename
-        // Remove step number prefix and .txt extension
-        const stepName = fileName
-          .replace(/^\d+_/, '')  // Remove leading number and underscore
-          .replace(/\.txt$/, ''); // Remove .txt extension
-
         currentStep = {
-          name: stepName || fileName,
+          ...action.step,
           startLine: i,
           endLine: i,
-          isFromLogFile: true, // Mark this as coming from log file marker
         };
-        continue;
-      }
-
-      // Check for group start
-      match = line.match(patterns.groupStart);
-      if (match) {
-        // Only start a new step from ##[group] if we don't have a log file based step
-        // or if the current step is also from ##[group]
-        if (currentStep && !currentStep.isFromLogFile) {
-          // Save previous step
-          steps.push({
-            ...currentStep,
-            endLine: i - 1
-          });
-          currentStep = {
-            name: match[1].trim(),
-            startLine: i,
-            endLine: i,
-          };
-        } else if (!currentStep) {
-          currentStep = {
-            name: match[1].trim(),
-            startLine: i,
-            endLine: i,
-          };
-        }
-        // If currentStep.isFromLogFile, don't replace it - the log file name is more descriptive
-        continue;
-      }
-
-      // Check for group end
-      if (line.match(patterns.groupEnd) && currentStep && !currentStep.isFromLogFile) {
+      } else if (action.type === 'end' && currentStep) {
         steps.push({
           ...currentStep,
           endLine: i
         });
         currentStep = null;
-        continue;
-      }
-
-      // Check for run command (only if no current step)
-      match = line.match(patterns.runCommand);
-      if (match && !currentStep) {
-        currentStep = {
-          name: `Run: ${match[1].substring(0, 50)}...`,
-          startLine: i,
-          endLine: i,
-        };
-        continue;
-      }
-
-      // Check for post step (only if no current step)
-      match = line.match(patterns.postStep);
-      if (match && !currentStep) {
-        currentStep = {
-          name: `Post: ${match[1]}`,
-          startLine: i,
-          endLine: i,
-        };
-        continue;
       }
     }
 
@@ -193,61 +652,249 @@ export class LogParserService {
         startLine: 0,
         endLine: lines.length - 1
       });
+      return steps;
     }
 
-    return steps;
+    return this.fillStepGaps(steps, lines, provider);
+  }
+
+  /**
+   * Make sure every line belongs to a step.
+   * Lines between closed sections (e.g. GitLab's final "ERROR: Job failed") are either
+   * attached to the previous step (GitHub: output follows ##[endgroup]) or kept as a
+   * separate "Job output" step, so errors there are still chunked and attributed.
+   * Gaps made only of provider marker lines (e.g. "[Pipeline] stage") are never split out.
+   */
+  fillStepGaps(steps, lines, provider) {
+    const filled = [];
+    let nextLine = 0;
+
+    const isMarkerOnly = (startLine, endLine) => provider.markerLine &&
+      lines.slice(startLine, endLine + 1).every(line => provider.markerLine.test(line));
+
+    const addGap = (startLine, endLine) => {
+      const previous = filled[filled.length - 1];
+      if (previous && (provider.attachTrailingOutput || isMarkerOnly(startLine, endLine))) {
+        previous.endLine = endLine;
+      } else {
+        filled.push({ name: 'Job output', jobName: previous?.jobName ?? null, startLine, endLine });
+      }
+    };
+
+    for (const step of steps) {
+      if (step.startLine > nextLine) {
+        addGap(nextLine, step.startLine - 1);
+      }
+      filled.push(step);
+      nextLine = step.endLine + 1;
+    }
+
+    if (nextLine < lines.length) {
+      addGap(nextLine, lines.length - 1);
+    }
+
+    return filled;
   }
 
   /**
    * Create intelligent chunks from steps and lines
+   * @param {Array} lineMeta - Optional, from cleanLog - adds chunk start/end time and duration
    */
-  createChunks(steps, lines) {
+  createChunks(steps, lines, lineMeta = null) {
     const chunks = [];
     let chunkIndex = 0;
 
     for (const step of steps) {
-      const stepLines = lines.slice(step.startLine, step.endLine + 1);
+      let part = 0;
+      const splitter = this.createChunkSplitter(step.startLine, (chunkLines, _meta, startLine, overlapLines, isLast) => {
+        const errors = this.findErrorsInLines(chunkLines, { skipLines: overlapLines });
+        const endLine = startLine + chunkLines.length - 1;
 
-      // If step is small enough, create single chunk
-      if (stepLines.length <= this.MAX_CHUNK_LINES) {
-        const errors = this.findErrorsInLines(stepLines);
         chunks.push({
           chunkIndex: chunkIndex++,
-          stepName: step.name,
-          content: stepLines.join('\n'),
-          startLine: step.startLine,
-          endLine: step.endLine,
-          lineCount: stepLines.length,
-          tokenCount: this.estimateTokens(stepLines),
+          // A step that fits in one chunk keeps its name
+          stepName: isLast && part === 0 ? step.name : `${step.name} (part ${++part})`,
+          jobName: step.jobName ?? null,
+          content: chunkLines.join('\n'),
+          startLine,
+          endLine,
+          lineCount: chunkLines.length,
+          overlapLines,
+          tokenCount: this.estimateTokens(chunkLines),
           hasErrors: errors.length > 0,
           errorCount: errors.length,
+          ...this.getTiming(lineMeta?.slice(startLine, endLine + 1)),
         });
-      } else {
-        // Split large step into multiple chunks
-        for (let i = 0; i < stepLines.length; i += this.MAX_CHUNK_LINES) {
-          const chunkLines = stepLines.slice(i, i + this.MAX_CHUNK_LINES);
-          const absoluteStart = step.startLine + i;
-          const absoluteEnd = absoluteStart + chunkLines.length - 1;
-          const errors = this.findErrorsInLines(chunkLines);
-
-          chunks.push({
-            chunkIndex: chunkIndex++,
-            stepName: `${step.name} (part ${Math.floor(i / this.MAX_CHUNK_LINES) + 1})`,
-            content: chunkLines.join('\n'),
-            startLine: absoluteStart,
-            endLine: absoluteEnd,
-            lineCount: chunkLines.length,
-            tokenCount: this.estimateTokens(chunkLines),
-            hasErrors: errors.length > 0,
-            errorCount: errors.length,
-          });
-        }
+      });
+
+      for (let i = step.startLine; i <= step.endLine; i++) {
+        splitter.push(lines[i], lineMeta?.[i]);
       }
+      splitter.finish();
     }
 
     return chunks;
   }
 
+  /**
+   * Incremental chunking of one step's lines, shared by parse() and parseStream().
+   * A chunk is cut when the next line would exceed MAX_CHUNK_TOKENS (or MAX_CHUNK_LINES),
+   * but never inside an error block: the cut moves back to where the block starts, or -
+   * for a block filling the whole chunk - forward to where it ends (up to MAX_ERROR_BLOCK_LINES).
+   * The last CHUNK_OVERLAP_LINES lines of a chunk are repeated at the start of the next
+   * (fewer when they would take more than a quarter of the budget).
+   * Lines are never split: a single line over the budget makes its chunk go over it.
+   * @param {number} startLine - Index of the step's first line in the cleaned log
+   * @param {Function} emit - (lines, meta, startLine, overlapLines, isLast) for each chunk
+   * @returns {{ push: (line, meta) => void, finish: () => void }}
+   */
+  createChunkSplitter(startLine, emit) {
+    let lines = [];
+    let meta = [];
+    let chars = 0;          // Size of lines, for the token estimate
+    let overlap = 0;        // Leading lines repeated from the previous chunk
+    let overflow = 0;       // Lines added past the budget to keep an error block whole
+    let firstLine = startLine;
+
+    const cut = (count) => {
+      emit(lines.slice(0, count), meta.slice(0, count), firstLine, overlap, false);
+
+      // Overlap is context - at most a quarter of the budget, so it never crowds out new lines
+      let keep = 0;
+      let keepChars = 0;
+      while (keep < Math.min(this.CHUNK_OVERLAP_LINES, count - 1)) {
+        keepChars += lines[count - keep - 1].length + 1;
+        if (keepChars / 4 > this.MAX_CHUNK_TOKENS / 4) {
+          break;
+        }
+        keep++;
+      }
+      lines = lines.slice(count - keep);
+      meta = meta.slice(count - keep);
+      firstLine += count - keep;
+      overlap = keep;
+      chars = lines.reduce((sum, line) => sum + line.length + 1, 0);
+      overflow = 0;
+    };
+
+    return {
+      push: (line, lineMeta) => {
+        const isFull = lines.length > overlap && (
+          lines.length >= this.MAX_CHUNK_LINES ||
+          Math.ceil((chars + line.length) / 4) > this.MAX_CHUNK_TOKENS
+        );
+
+        if (isFull) {
+          if (this.canSplitBefore(line, lines[lines.length - 1], lines[lines.length - 2])) {
+            cut(lines.length);
+          } else {
+            const blockStart = this.findChunkCut(lines, overlap);
+            if (blockStart !== -1) {
+              cut(blockStart);
+            } else if (overflow++ >= this.MAX_ERROR_BLOCK_LINES) {
+              cut(lines.length);
+            }
+          }
+        }
+
+        lines.push(line);
+        meta.push(lineMeta);
+        chars += line.length + 1;
+      },
+      finish: () => {
+        if (lines.length > overlap) {
+          emit(lines, meta, firstLine, overlap, true);
+        }
+      },
+    };
+  }
+
+  /**
+   * Last position a chunk can be cut at, going back at most MAX_ERROR_BLOCK_LINES (-1 if none)
+   */
+  findChunkCut(lines, overlap) {
+    const limit = Math.max(overlap + 1, lines.length - this.MAX_ERROR_BLOCK_LINES);
+    for (let i = lines.length - 1; i >= limit; i--) {
+      if (this.canSplitBefore(lines[i], lines[i - 1], lines[i - 2])) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Whether a chunk may start at this line: not inside a stack trace / diagnostic
+   * (see isErrorContinuationLine) and not inside a Python traceback, whose frames
+   * are followed by a source line and end with the exception line.
+   */
+  canSplitBefore(line, previous = '', beforePrevious = '') {
+    const pythonFrame = /^File ".+", line \d+/;
+    return !this.isErrorContinuationLine(line) &&
+      !pythonFrame.test(previous) &&
+      !pythonFrame.test(beforePrevious) &&
+      !/^Traceback \(most recent call last\):$/.test(previous);
+  }
+
+  /**
+   * Extract failing tests and attribute them to the chunk/step they were printed in
+   */
+  extractFailedTests(lines, chunks, reports = []) {
+    const results = this.testResultExtractor.extract(lines, { reports });
+
+    return results.map(({ lineIndex, ...result }) => {
+      const chunk = lineIndex === null
+        ? null
+        : chunks.find(c => lineIndex >= c.startLine && lineIndex <= c.endLine);
+
+      return {
+        ...result,
+        stepName: chunk?.stepName || null,
+        jobName: chunk?.jobName ?? null,
+        chunkIndex: chunk?.chunkIndex ?? null,
+      };
+    });
+  }
+
+  /**
+   * Diagnostics (annotations, problem matcher output) of every chunk, attributed to its step.
+   * Deduplicated and capped at MAX_DIAGNOSTICS, in log order.
+   */
+  detectDiagnostics(chunks, lineMeta = null) {
+    const diagnostics = [];
+
+    for (const chunk of chunks) {
+      const found = this.findDiagnosticsInLines(chunk.content.split('\n'), {
+        offset: chunk.startLine,
+        lineMeta,
+        skipLines: chunk.overlapLines,
+      });
+      diagnostics.push(...found.map(diagnostic => ({
+        ...diagnostic,
+        stepName: chunk.stepName,
+        jobName: chunk.jobName ?? null,
+        chunkIndex: chunk.chunkIndex,
+      })));
+    }
+
+    return this.annotationExtractor.deduplicate(diagnostics).slice(0, this.MAX_DIAGNOSTICS);
+  }
+
+  /**
+   * Diagnostics in specific lines, with the original log line number
+   * @param {string[]} lines - Lines to scan
+   * @param {Object} options - { offset, lineMeta, skipLines } as for findErrorsInLines
+   */
+  findDiagnosticsInLines(lines, options = {}) {
+    const { offset = 0, lineMeta = null, skipLines = 0 } = options;
+
+    return this.annotationExtractor.extract(lines)
+      .filter(({ lineIndex }) => lineIndex >= skipLines)
+      .map(({ lineIndex, ...diagnostic }) => ({
+        ...diagnostic,
+        lineNumber: lineMeta?.[offset + lineIndex]?.lineNumber ?? offset + lineIndex + 1,
+      }));
+  }
+
   /**
    * Estimate token count (rough approximation)
    */
@@ -259,18 +906,25 @@ export class LogParserService {
 
   /**
    * Enhanced error detection with 30+ patterns
+   * @param {Array} chunks - Chunks from createChunks
+   * @param {Array} lineMeta - Per cleaned line metadata from cleanLog (original line numbers)
    */
-  detectErrors(chunks) {
+  detectErrors(chunks, lineMeta = null) {
     const allErrors = [];
 
     for (const chunk of chunks) {
       const chunkLines = chunk.content.split('\n');
-      const errors = this.findErrorsInLines(chunkLines);
+      const errors = this.findErrorsInLines(chunkLines, {
+        offset: chunk.startLine,
+        lineMeta,
+        skipLines: chunk.overlapLines,
+      });
 
       // Add chunk reference to each error
       errors.forEach(error => {
         error.chunkIndex = chunk.chunkIndex;
         error.stepName = chunk.stepName;
+        error.jobName = chunk.jobName ?? null;
       });
 
       allErrors.push(...errors);
@@ -282,8 +936,21 @@ export class LogParserService {
 
   /**
    * Find errors in specific lines
+   * Each error carries its full multi-line block (stack trace, Caused by chain,
+   * compiler code frame) plus a window of context lines before/after.
+   * Custom patterns win, then "::error file=..." workflow commands (category Annotation),
+   * then the language extractors (which add toolchain, errorCode and sourceFile /
+   * sourceLine / sourceColumn), then the built-in patterns. Annotations and problem
+   * matcher lines also give the error its sourceFile / sourceLine / sourceColumn.
+   * @param {string[]} lines - Lines to scan
+   * @param {Object} options - {
+   *   offset: index of lines[0] in the cleaned log,
+   *   lineMeta: from cleanLog,
+   *   skipLines: leading lines only given as context (chunk overlap) - no errors reported there
+   * }
    */
-  findErrorsInLines(lines) {
+  findErrorsInLines(lines, options = {}) {
+    const { offset = 0, lineMeta = null, skipLines = 0 } = options;
     const errors = [];
 
     const errorPatterns = [
@@ -328,8 +995,22 @@ export class LogParserService {
       { category: 'API Error', pattern: /\bHTTP\s+(4[0-9]{2}|5[0-9]{2})\b(?!\.)/i, confidence: 'high' },
       { category: 'API Error', pattern: /\bstatus\s+code[:\s]+(4[0-9]{2}|5[0-9]{2})\b/i, confidence: 'high' },
 
+      // Jobs that ended without a code failure - killed for memory, timed out, cancelled,
+      // runner gone (before the CI errors: GitHub prints these as ##[error] lines)
+      { category: 'Out of Memory', pattern: /exit\s+code\s+137\b/i, confidence: 'high' },
+      { category: 'Out of Memory', pattern: /heap\s+out\s+of\s+memory/i, confidence: 'high' },
+      { category: 'Out of Memory', pattern: /\bOOMKilled\b|Out\s+of\s+memory:\s+Killed\s+process/i, confidence: 'high' },
+      { category: 'Out of Memory', pattern: /runtime:\s+out\s+of\s+memory|OutOfMemoryError|Cannot\s+allocate\s+memory/i, confidence: 'high' },
+      { category: 'Timeout', pattern: /exceeded\s+the\s+maximum\s+execution\s+time|\bhas\s+timed\s+out\b/i, confidence: 'high' },
+      { category: 'Cancelled', pattern: /exit\s+code\s+143\b/i, confidence: 'high' },
+      { category: 'Cancelled', pattern: /The\s+operation\s+was\s+cancell?ed/i, confidence: 'high' },
+      { category: 'Cancelled', pattern: /Canceling\s+since\s+a\s+higher\s+priority\s+waiting\s+request/i, confidence: 'high' },
+      { category: 'Runner Lost', pattern: /lost\s+communication\s+with\s+the\s+server/i, confidence: 'high' },
+      { category: 'Runner Lost', pattern: /runner\s+has\s+received\s+a\s+shutdown\s+signal/i, confidence: 'high' },
+
       // GitHub Actions specific errors
       { category: 'CI Error', pattern: /##\[error\]/i, confidence: 'high' },
+      { category: 'CI Error', pattern: /^::error\b/, confidence: 'high' },
       { category: 'CI Error', pattern: /Error:\s+Process\s+completed\s+with\s+exit\s+code/i, confidence: 'high' },
 
       // Exit Codes and Process Failures
@@ -346,41 +1027,175 @@ export class LogParserService {
       { category: 'Error', pattern: /\bCRITICAL\b/i, confidence: 'high' },
     ];
 
-    for (const line of lines) {
-      for (const { category, pattern, confidence } of errorPatterns) {
-        if (pattern.test(line)) {
-          const error = {
-            category,
-            errorMessage: line,
-            confidence,
-            evidenceLogLines: [line],
-          };
-
-          // Mark intentional failures for machine-readable classification
-          if (category === 'Exit Failure') {
-            error.isIntentionalFailure = true;
-          }
+    // Original (1-based) line number of a line in this slice
+    const lineNumberAt = (index) => lineMeta?.[offset + index]?.lineNumber ?? offset + index + 1;
+    const timestampAt = (index) => lineMeta?.[offset + index]?.timestamp ?? null;
 
-          errors.push(error);
-          break; // One error per line
+    for (let i = skipLines; i < lines.length; i++) {
+      const line = lines[i];
+      const customMatch = this.customPatterns.find(({ pattern }) => testUserPattern(pattern, line));
+      // Error annotation pointing at a file - more specific than the generic "CI Error"
+      const annotation = customMatch ? null : this.annotationExtractor.parseWorkflowCommand(line);
+      const annotationMatch = annotation?.severity === 'error' && annotation.file
+        ? { category: 'Annotation', confidence: 'high' }
+        : null;
+      const languageMatch = customMatch || annotationMatch ? null : this.languageErrorExtractor.match(lines, i);
+      const match = customMatch || annotationMatch || languageMatch || errorPatterns.find(({ pattern }) => pattern.test(line));
+      if (!match) {
+        continue;
+      }
+
+      const { category, confidence } = match;
+      const blockStart = this.findErrorBlockStart(lines, i);
+      const blockEnd = Math.max(this.findErrorBlockEnd(lines, i), languageMatch?.endIndex ?? i);
+      const blockLines = lines.slice(blockStart, blockEnd + 1);
+      const traceLines = blockLines.filter((_, index) => blockStart + index !== i);
+
+      const error = {
+        category,
+        errorMessage: languageMatch?.message
+          || (annotationMatch && [annotation.title, annotation.message].filter(Boolean).join(': '))
+          || line,
+        confidence,
+        lineNumber: lineNumberAt(i),
+        startLineNumber: lineNumberAt(blockStart),
+        endLineNumber: lineNumberAt(blockEnd),
+        evidenceLogLines: blockLines,
+        stackTrace: traceLines.length > 0 ? traceLines.join('\n') : null,
+        contextBefore: lines.slice(Math.max(0, blockStart - this.ERROR_CONTEXT_BEFORE), blockStart),
+        contextAfter: lines.slice(blockEnd + 1, blockEnd + 1 + this.ERROR_CONTEXT_AFTER),
+        timestamp: timestampAt(i) === null ? null : new Date(timestampAt(i)).toISOString(),
+      };
+
+      // Language extractor match - where in the source the error is
+      if (languageMatch) {
+        error.toolchain = languageMatch.toolchain;
+        error.errorCode = languageMatch.errorCode;
+        error.sourceFile = languageMatch.file;
+        error.sourceLine = languageMatch.line;
+        error.sourceColumn = languageMatch.column;
+      } else {
+        // Annotation / problem matcher line - same source location
+        const diagnostic = annotationMatch ? annotation : this.annotationExtractor.match(lines, i);
+        if (diagnostic?.file) {
+          error.sourceFile = diagnostic.file;
+          error.sourceLine = diagnostic.line;
+          error.sourceColumn = diagnostic.column;
+        }
+      }
+
+      // Same failure, same fingerprint - whatever the paths, ports or ids in this run
+      error.signature = normalizeErrorMessage(error.errorMessage);
+      error.fingerprint = fingerprintError(error);
+      error.occurrences = 1;
+
+      // Custom pattern match - the classifier uses its failureType
+      if (match.id !== undefined) {
+        error.customPatternId = match.id;
+        error.customPatternName = match.name;
+        if (match.failureType) {
+          error.failureType = match.failureType;
         }
       }
+
+      // Mark intentional failures for machine-readable classification
+      if (category === 'Exit Failure') {
+        error.isIntentionalFailure = true;
+      }
+
+      // How the process ended - a signal means it was killed (137 SIGKILL, 143 SIGTERM)
+      const exit = parseExitCode(line);
+      if (exit) {
+        error.exitCode = exit.exitCode;
+        error.signal = exit.signal;
+      }
+
+      errors.push(error);
+
+      // One error per block - stack frames and code frames are not separate errors
+      i = blockEnd;
     }
 
     return errors;
   }
 
   /**
-   * Deduplicate errors
+   * Lines that continue an error block (stack frames, Caused by chains, code frames)
+   */
+  isErrorContinuationLine(line) {
+    return [
+      /^at\s+\S/,                                 // JS / Java / .NET stack frames
+      /^\.\.\.\s*\d+\s+(more|common frames omitted)/, // Java truncated frames
+      /^(Caused by|Suppressed):/,                   // Java cause chain
+      /^\[cause\]:/,                                // Node error cause
+      /^File ".+", line \d+/,                       // Python frame
+      /^goroutine \d+ \[.+\]:$/,                    // Go panic header
+      /^\S+\.go:\d+(\s+\+0x[0-9a-f]+)?$/,           // Go frame location
+      /^[\w.*/()\[\]-]+\(.*\)$/,                    // Go frame function call
+      /^\[signal .+\]$/,                            // Go signal info
+      /^exit status \d+$/,                          // Go run/test exit
+      /^-->\s+\S+:\d+/,                              // Rust location
+      /^=\s*(note|help):/,                          // Rust notes
+      /^(help|note):/,                              // Rust / gcc notes
+      /^>?\s*\d+\s*\|/,                              // Code frame with line number
+      /^\|/,                                        // Code frame gutter
+      /^[\^~]+$/,                                   // Caret markers
+    ].some(pattern => pattern.test(line));
+  }
+
+  /**
+   * Extend the block backwards for formats that print the error last
+   * (Python: "Traceback (most recent call last):" ... "ValueError: boom")
+   */
+  findErrorBlockStart(lines, index) {
+    const limit = Math.max(0, index - this.MAX_ERROR_BLOCK_LINES);
+    for (let i = index - 1; i >= limit; i--) {
+      const line = lines[i];
+      if (/^Traceback \(most recent call last\):$/.test(line)) {
+        return i;
+      }
+      const isFrame = /^File ".+", line \d+/.test(line) ||
+        /^File ".+", line \d+/.test(lines[i - 1] || '') || // source line under a frame
+        /^[\^~]+$/.test(line) ||
+        /^(During handling of the above exception|The above exception was the direct cause)/.test(line);
+      if (!isFrame) {
+        break;
+      }
+    }
+    return index;
+  }
+
+  /**
+   * Extend the block forwards over stack frames / diagnostics
+   */
+  findErrorBlockEnd(lines, index) {
+    const limit = Math.min(lines.length - 1, index + this.MAX_ERROR_BLOCK_LINES);
+    let end = index;
+    while (end < limit && this.isErrorContinuationLine(lines[end + 1])) {
+      end++;
+    }
+    return end;
+  }
+
+  /**
+   * Key used to treat two errors as the same
+   */
+  errorKey(error) {
+    return error.fingerprint;
+  }
+
+  /**
+   * Deduplicate errors - the first one is kept, with the number of occurrences
    */
   deduplicateErrors(errors) {
-    const seen = new Set();
+    const seen = new Map();
     return errors.filter(error => {
-      const key = `${error.category}:${error.errorMessage}`;
+      const key = this.errorKey(error);
       if (seen.has(key)) {
+        seen.get(key).occurrences++;
         return false;
       }
-      seen.add(key);
+      seen.set(key, error);
       return true;
     });
   }
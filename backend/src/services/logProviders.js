@@ -0,0 +1,299 @@
+/**
+ * CI Log Provider Registry
+ *
+ * Each provider knows how to recognise its own log format and where its
+ * step (section/stage) boundaries are. LogParserService picks a provider
+ * from a hint or by auto-detection, then walks the log line by line and
+ * lets the provider decide when a step starts or ends.
+ *
+ * Provider shape:
+ * {
+ *   id: 'gitlab-ci',
+ *   name: 'GitLab CI',
+ *   detect(lines) -> number,            // confidence score, 0 = not this provider
+ *   matchLine(line, currentStep) -> action | null,
+ *   attachTrailingOutput: boolean,      // lines after a closed step belong to it
+ *   markerLine: RegExp                  // optional, pure marker lines between steps
+ * }
+ *
+ * Actions:
+ * - { type: 'start', step: { name, jobName?, ...extra } }  close current step, open a new one
+ * - { type: 'end' }                              close current step on this line
+ * - { type: 'skip' }                             marker line, no boundary change
+ */
+
+// Only look at the head of the log when auto-detecting
+export const DETECTION_SAMPLE_LINES = 5000;
+
+/**
+ * Count how many lines in the sample match any of the given patterns
+ */
+function countMatches(lines, patterns) {
+  const sample = lines.length > DETECTION_SAMPLE_LINES ? lines.slice(0, DETECTION_SAMPLE_LINES) : lines;
+  let count = 0;
+  for (const line of sample) {
+    if (patterns.some(p => p.test(line))) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * "step_script" -> "Step script"
+ */
+function humanizeSectionName(name) {
+  const words = name.replace(/[_-]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// ============================================
+// GitHub Actions
+// ============================================
+const GITHUB_PATTERNS = {
+  // GitHub Actions group markers
+  groupStart: /^##\[group\](.+)$/,
+  groupEnd: /^##\[endgroup\]$/,
+
+  // Common step indicators
+  runCommand: /^Run\s+(.+)$/,
+  postStep: /^Post\s+(.+)$/,
+
+  // Log file markers from combined logs (e.g., "--- Log File: build-and-test/6_Force CI failure (testing).txt ---")
+  // This is the MOST reliable source of step names
+  logFileMarker: /^---\s*Log File:\s*(.+?\.txt)\s*---$/,
+};
+
+const githubActions = {
+  id: 'github-actions',
+  name: 'GitHub Actions',
+  // Command output is printed after the "##[group]Run ..." block is closed
+  attachTrailingOutput: true,
+
+  detect(lines) {
+    return countMatches(lines, [
+      GITHUB_PATTERNS.logFileMarker,
+      GITHUB_PATTERNS.groupStart,
+      /^##\[(error|warning|debug|section)\]/,
+      /^Current runner version:/,
+    ]);
+  },
+
+  matchLine(line, currentStep) {
+    // Log file marker has the highest priority - contains the actual step name
+    let match = line.match(GITHUB_PATTERNS.logFileMarker);
+    if (match) {
+      // Extract step name from filename (e.g., "6_Force CI failure (testing).txt" -> "Force CI failure (testing)")
+      // and the job from its folder (e.g., "test (18, ubuntu-latest)/6_...")
+      const pathParts = match[1].split('/');
+      const fileName = pathParts.pop();
+      const stepName = fileName
+        .replace(/^\d+_/, '')   // Remove leading number and underscore
+        .replace(/\.txt$/, ''); // Remove .txt extension
+
+      return {
+        type: 'start',
+        step: {
+          name: stepName || fileName,
+          jobName: pathParts.length > 0 ? pathParts.join('/') : null,
+          isFromLogFile: true,
+        },
+      };
+    }
+
+    match = line.match(GITHUB_PATTERNS.groupStart);
+    if (match) {
+      // A log file based step is more descriptive than a ##[group] name, keep it
+      if (currentStep?.isFromLogFile) {
+        return { type: 'skip' };
+      }
+      return { type: 'start', step: { name: match[1].trim() } };
+    }
+
+    if (GITHUB_PATTERNS.groupEnd.test(line) && currentStep && !currentStep.isFromLogFile) {
+      return { type: 'end' };
+    }
+
+    // Run / Post commands only open a step when nothing else is open
+    match = line.match(GITHUB_PATTERNS.runCommand);
+    if (match && !currentStep) {
+      return { type: 'start', step: { name: `Run: ${match[1].substring(0, 50)}...` } };
+    }
+
+    match = line.match(GITHUB_PATTERNS.postStep);
+    if (match && !currentStep) {
+      return { type: 'start', step: { name: `Post: ${match[1]}` } };
+    }
+
+    return null;
+  },
+};
+
+// ============================================
+// GitLab CI
+// ============================================
+// section_start:1700000000:step_script[collapsed=true]\r\e[0KExecuting "step_script" stage
+// The \r is turned into a newline by cleanLog, so the marker may be followed by more text
+const GITLAB_PATTERNS = {
+  sectionStart: /^section_start:\d+:([A-Za-z0-9_.-]+)/,
+  sectionEnd: /^section_end:\d+:([A-Za-z0-9_.-]+)/,
+};
+
+const gitlabCI = {
+  id: 'gitlab-ci',
+  name: 'GitLab CI',
+
+  detect(lines) {
+    return countMatches(lines, [
+      GITLAB_PATTERNS.sectionStart,
+      /^Running with gitlab-runner/,
+    ]);
+  },
+
+  matchLine(line) {
+    let match = line.match(GITLAB_PATTERNS.sectionStart);
+    if (match) {
+      return {
+        type: 'start',
+        step: { name: humanizeSectionName(match[1]), sectionId: match[1] },
+      };
+    }
+
+    match = line.match(GITLAB_PATTERNS.sectionEnd);
+    if (match) {
+      return { type: 'end' };
+    }
+
+    return null;
+  },
+};
+
+// ============================================
+// Jenkins (Declarative / Scripted Pipeline)
+// ============================================
+// [Pipeline] stage
+// [Pipeline] { (Build)
+// ...
+// [Pipeline] }
+// [Pipeline] // stage
+const JENKINS_PATTERNS = {
+  blockStart: /^\[Pipeline\]\s*\{\s*\((.+)\)\s*$/,
+  stageEnd: /^\[Pipeline\]\s*\/\/\s*stage\s*$/,
+};
+
+const jenkins = {
+  id: 'jenkins',
+  name: 'Jenkins',
+  markerLine: /^\[Pipeline\]/,
+
+  detect(lines) {
+    return countMatches(lines, [
+      /^\[Pipeline\]\s/,
+      /^Started by (user|timer|an SCM change|upstream project)/,
+      /^Finished: (SUCCESS|FAILURE|UNSTABLE|ABORTED)$/,
+    ]);
+  },
+
+  matchLine(line) {
+    const match = line.match(JENKINS_PATTERNS.blockStart);
+    if (match) {
+      return { type: 'start', step: { name: match[1].trim() } };
+    }
+
+    if (JENKINS_PATTERNS.stageEnd.test(line)) {
+      return { type: 'end' };
+    }
+
+    return null;
+  },
+};
+
+// ============================================
+// CircleCI
+// ============================================
+// ====>> Spin up environment
+// ====>> npm test
+const CIRCLECI_PATTERNS = {
+  stepHeader: /^====>>\s*(.+)$/,
+};
+
+const circleCI = {
+  id: 'circleci',
+  name: 'CircleCI',
+
+  detect(lines) {
+    return countMatches(lines, [
+      CIRCLECI_PATTERNS.stepHeader,
+      /^#!\/bin\/bash -eo pipefail$/,
+      // Not just any line mentioning circleci - config paths, URLs and packages appear in other CIs' logs
+      /^Build-agent version \S+/,
+      /^CircleCI received exit code \d+$/,
+    ]);
+  },
+
+  matchLine(line) {
+    const match = line.match(CIRCLECI_PATTERNS.stepHeader);
+    if (match) {
+      return { type: 'start', step: { name: match[1].trim() } };
+    }
+    return null;
+  },
+};
+
+// ============================================
+// Registry
+// ============================================
+const providers = new Map();
+
+export const DEFAULT_LOG_PROVIDER = githubActions.id;
+
+/**
+ * Register (or replace) a log provider
+ */
+export function registerLogProvider(provider) {
+  if (!provider?.id || typeof provider.detect !== 'function' || typeof provider.matchLine !== 'function') {
+    throw new Error('Log provider must have an id, detect() and matchLine()');
+  }
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Get a provider by id (undefined if unknown)
+ */
+export function getLogProvider(id) {
+  return providers.get(id);
+}
+
+/**
+ * List registered providers (id + display name)
+ */
+export function listLogProviders() {
+  return [...providers.values()].map(p => ({ id: p.id, name: p.name }));
+}
+
+/**
+ * Resolve the provider for a log.
+ * A known hint always wins; otherwise (no hint, or an unknown one) the provider
+ * with the highest detection score is used, falling back to GitHub Actions.
+ * The result's provider id tells the caller which one was used.
+ */
+export function detectLogProvider(lines, hint = null) {
+  const hinted = hint ? providers.get(hint) : null;
+  if (hinted) {
+    return hinted;
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const provider of providers.values()) {
+    const score = provider.detect(lines);
+    if (score > bestScore) {
+      best = provider;
+      bestScore = score;
+    }
+  }
+
+  return best || providers.get(DEFAULT_LOG_PROVIDER);
+}
+
+[githubActions, gitlabCI, jenkins, circleCI].forEach(registerLogProvider);
@@ -0,0 +1,160 @@
+/**
+ * Offline LLM
+ *
+ * The deterministic provider of llmProviders.js: no model, no network, the same
+ * output for the same input. Analyses are built from the parser's errors and the
+ * classification (what a model would base its answer on), embeddings are hashed
+ * word features - similar logs share words, so they get similar vectors.
+ * For air-gapped deployments without a local model, and for tests.
+ */
+
+import { getFailureType } from './failureTaxonomy.js';
+import { matchStepName, MAX_ROOT_CAUSE_LENGTH } from './analysisSchema.js';
+
+// What to do first, by failure type
+const FIX_HINTS = {
+    INTENTIONAL: 'The step fails on purpose (an explicit exit with a non-zero code). Check the condition that triggers it and whether it should still fail the build.',
+    TEST: 'Run the failing test(s) locally, compare the expected and actual values in the output and fix the code or the test. If it passes on a re-run, check it for flakiness.',
+    BUILD: 'Fix the compile error at the reported file and line, then run the build locally before pushing.',
+    RUNTIME: 'Follow the stack trace to the first frame in your code and guard against the failing value (null / undefined, wrong type, missing file).',
+    INFRA: 'Check the service or network the step depends on (Docker, registry, database, cloud API) and re-run the job once it is reachable.',
+    SECURITY: 'Upgrade or replace the vulnerable package, or rotate the exposed credential and move it into a secret.',
+    TIMEOUT: 'Find the step that stopped making progress, then raise its timeout-minutes or speed it up (caching, splitting, parallelism).',
+    DEPENDENCY: 'Reinstall dependencies from a clean lockfile (delete node_modules, npm ci) and pin or fix the version that does not resolve.',
+    CONFIG: 'Check the workflow and tool configuration and that every required environment variable and secret is set for this job.',
+    PERMISSION: 'Grant the missing permission (workflow permissions, token scope, file mode) or run the command as a user that has it.',
+    LINT: 'Run the linter / formatter locally with --fix and commit the result.',
+    OUT_OF_MEMORY: 'Lower the memory the step needs (fewer parallel workers, --max-old-space-size) or run the job on a larger runner.',
+    RUNNER_LOST: 'Re-run the job. If it keeps happening, check the runner for resource exhaustion or use another runner.',
+    CANCELLED: 'The run was cancelled (manually, by concurrency or fail-fast). Re-run it if the cancellation was not intended.',
+};
+
+const CONFIDENCE_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Error the analysis is about - the highest-confidence one, log order otherwise
+ */
+function primaryError(detectedErrors) {
+    return [...(detectedErrors || [])]
+        .sort((a, b) => (CONFIDENCE_ORDER[a.confidence] ?? 2) - (CONFIDENCE_ORDER[b.confidence] ?? 2))[0] || null;
+}
+
+function sourceLocation(error) {
+    if (!error?.sourceFile) {
+        return '';
+    }
+    return ` at ${error.sourceFile}${error.sourceLine ? `:${error.sourceLine}` : ''}`;
+}
+
+/**
+ * Analysis from the structured input of AIAnalyzerService.analyzeFailure, in the
+ * shape of analysisSchema.js
+ * @param {Object} input - { steps, detectedErrors, classificationContext, ragContext }
+ */
+function analyze({ steps = [], detectedErrors = [], classificationContext = null, ragContext = null } = {}) {
+    const error = primaryError(detectedErrors);
+    const failureType = classificationContext?.failureType || 'UNKNOWN';
+    const label = getFailureType(failureType)?.label || failureType;
+    const promptSteps = steps || [];
+    // The step of the error, else the first failing one, as named in the prompt
+    const failureStage = matchStepName(error?.stepName, promptSteps)
+        || promptSteps.find(step => step.status === 'failure')?.name
+        || promptSteps[0]?.name
+        || error?.stepName
+        || 'Unknown';
+
+    let rootCause;
+    if (classificationContext?.verifiedRootCause) {
+        rootCause = classificationContext.verifiedRootCause.substring(0, MAX_ROOT_CAUSE_LENGTH);
+    } else if (error) {
+        rootCause = `${label}: ${error.errorMessage.trim().substring(0, 250)}${sourceLocation(error)}`;
+    } else {
+        rootCause = `${label} - no specific error was detected in the log`;
+    }
+
+    const hint = FIX_HINTS[failureType] || 'Open the failing step\'s log around the first error and fix what it reports.';
+    const lines = error?.lineNumber ? ` (log line ${error.lineNumber})` : '';
+
+    let suggestedFix = error ? `${hint} Start from the detected ${error.category}${lines}.` : hint;
+    // The fix of the most similar past failure (unhelpful ones are already left out)
+    const pastSolution = ragContext?.suggestedSolutions?.[0];
+    if (pastSolution) {
+        suggestedFix += `\n\nA similar past failure (${Math.round(pastSolution.similarity * 100)}% similar) was fixed by: ${pastSolution.solution.substring(0, 1000)}`;
+    }
+
+    return {
+        rootCause,
+        failureStage,
+        suggestedFix,
+        // Generic advice - even less certain without a detected error to go on
+        confidence: error ? 0.5 : 0.2,
+        citedLines: Number.isInteger(error?.lineNumber) ? [error.lineNumber] : [],
+    };
+}
+
+/**
+ * Chat answer: the log snippets retrieved for the question
+ * @param {Object} input - { message, chunks }
+ */
+function chat({ chunks = [] } = {}) {
+    if (!chunks || chunks.length === 0) {
+        return 'No language model is configured for this deployment, and no part of the log matched the question.';
+    }
+    const snippets = chunks.slice(0, 3).map((chunk, i) =>
+        `[Snippet ${i + 1}] (Step: ${chunk.stepName})\n${(chunk.content || '').split('\n').slice(0, 15).join('\n')}`
+    );
+    return `No language model is configured for this deployment. These parts of the log match the question:\n\n${snippets.join('\n\n')}`;
+}
+
+/**
+ * Response text for a task of AIAnalyzerService - JSON for an analysis, like the
+ * prompt asks of a model. Classification is left to the deterministic classifier.
+ * @param {string} task - 'analysis' | 'chat'
+ * @param {Object} input - structured data the prompt was built from
+ */
+export function generateOffline(task, input) {
+    if (task === 'analysis') {
+        return JSON.stringify(analyze(input));
+    }
+    if (task === 'chat') {
+        return chat(input);
+    }
+    throw new Error(`Offline provider cannot handle task "${task}"`);
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Hashed bag of words and word pairs, L2-normalized - numbers and single
+ * characters (timestamps, ids) are left out
+ * @returns {number[]} vector of the given dimension
+ */
+export function embedOffline(text, dimensions) {
+    const vector = new Array(dimensions).fill(0);
+    const words = (text || '').toLowerCase().match(/[a-z_][a-z0-9_]+/g) || [];
+    const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+    for (const feature of features) {
+        const h = hash(feature);
+        // The top bit picks the sign, so unrelated features cancel out instead of piling up
+        vector[h % dimensions] += h & 0x80000000 ? -1 : 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (norm === 0) {
+        // pgvector's cosine distance is undefined for the zero vector
+        vector[0] = 1;
+        return vector;
+    }
+    return vector.map(value => value / norm);
+}
@@ -0,0 +1,239 @@
+/**
+ * Prompt Experiment Service
+ *
+ * A/B tests of two analysis prompt versions (see promptTemplates.js) on a repo's
+ * runs. Each run is assigned a version from a hash of the experiment and run ids,
+ * so a re-analysis of the run keeps its version. The report compares the versions
+ * on what the repo's users and the classifier say about their analyses:
+ * - classifierAgreement: failureStage is the step of the primary error the parser found
+ * - rootCauseCorrectionRate: users had to correct the root cause
+ * - fixRating: how users rated the suggested fixes
+ * - schemaValidRate: the first response passed the schema, without a repair
+ * Only analyses the model wrote count - offline fallbacks say nothing about a prompt.
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { getDefaultPromptId, isPromptVersion } from './promptTemplates.js';
+import { summarizeRatings } from './correctionService.js';
+
+const prisma = new PrismaClient();
+
+// Analyses per version before the report names a leader
+const MIN_ANALYSES_PER_VERSION = 10;
+// Ratings per version before fix ratings are compared
+const MIN_RATINGS_PER_VERSION = 3;
+
+const MODEL_STATUSES = ['valid', 'repaired'];
+
+/**
+ * Error message for an invalid experiment body, null when it is valid
+ * @param {Object} body - { versionA, versionB, splitPercent? }
+ */
+export function validatePromptExperiment(body) {
+    const { versionA, versionB, splitPercent } = body || {};
+    if (!isPromptVersion('analysis', versionA) || !isPromptVersion('analysis', versionB)) {
+        return 'versionA and versionB must be analysis prompt versions ("analysis@1"), see GET /api/repos/:id/prompt-experiment';
+    }
+    if (versionA === versionB) {
+        return 'versionA and versionB must be different versions';
+    }
+    if (splitPercent !== undefined && (!Number.isInteger(splitPercent) || splitPercent < 1 || splitPercent > 99)) {
+        return 'splitPercent (share of runs that get versionB) must be an integer from 1 to 99';
+    }
+    return null;
+}
+
+/**
+ * Step of the run's primary error, as the analysis prompt names steps ("job / step")
+ */
+function primaryErrorStep(analysis) {
+    let detectedErrors = [];
+    try {
+        detectedErrors = typeof analysis.detectedErrors === 'string'
+            ? JSON.parse(analysis.detectedErrors)
+            : analysis.detectedErrors || [];
+    } catch (e) {
+        return null;
+    }
+    const primary = detectedErrors.find(error => error.fingerprint && error.fingerprint === analysis.fingerprint);
+    if (!primary?.stepName) {
+        return null;
+    }
+    return primary.jobName ? `${primary.jobName} / ${primary.stepName}` : primary.stepName;
+}
+
+function rate(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 1000 : null;
+}
+
+/**
+ * Report metrics of one version's analyses
+ */
+function summarizeVersion(version, analyses) {
+    const statusCounts = {};
+    for (const analysis of analyses) {
+        statusCounts[analysis.analysisStatus || 'unknown'] = (statusCounts[analysis.analysisStatus || 'unknown'] || 0) + 1;
+    }
+
+    const modelWritten = analyses.filter(analysis => MODEL_STATUSES.includes(analysis.analysisStatus));
+    const withPrimaryStep = modelWritten
+        .map(analysis => ({ analysis, step: primaryErrorStep(analysis) }))
+        .filter(entry => entry.step);
+    const agreeing = withPrimaryStep.filter(({ analysis, step }) => analysis.failureStage === step);
+    const corrected = modelWritten.filter(analysis => analysis.corrections.length > 0);
+    // The first response is judged when the model answered at all
+    const answered = analyses.filter(analysis => [...MODEL_STATUSES, 'invalid'].includes(analysis.analysisStatus));
+
+    return {
+        version,
+        analyses: analyses.length,
+        modelAnalyses: modelWritten.length,
+        statusCounts,
+        classifierAgreement: { rate: rate(agreeing.length, withPrimaryStep.length), count: withPrimaryStep.length },
+        rootCauseCorrectionRate: rate(corrected.length, modelWritten.length),
+        fixRating: summarizeRatings(modelWritten.flatMap(analysis => analysis.fixRatings)),
+        schemaValidRate: rate(statusCounts.valid || 0, answered.length)
+    };
+}
+
+/**
+ * Which version did better - wins per metric, a leader once both versions have
+ * enough analyses and one wins more metrics
+ */
+function compareVersions(a, b) {
+    const metrics = [
+        ['classifierAgreement', a.classifierAgreement.rate, b.classifierAgreement.rate, 1],
+        ['rootCauseCorrectionRate', a.rootCauseCorrectionRate, b.rootCauseCorrectionRate, -1],
+        ['schemaValidRate', a.schemaValidRate, b.schemaValidRate, 1]
+    ];
+    if (a.fixRating.count >= MIN_RATINGS_PER_VERSION && b.fixRating.count >= MIN_RATINGS_PER_VERSION) {
+        metrics.push(['fixRating', a.fixRating.average, b.fixRating.average, 1]);
+    }
+
+    const winners = {};
+    const wins = { [a.version]: 0, [b.version]: 0 };
+    for (const [metric, valueA, valueB, direction] of metrics) {
+        if (valueA === null || valueB === null || valueA === valueB) {
+            winners[metric] = null;
+            continue;
+        }
+        const winner = (valueA - valueB) * direction > 0 ? a.version : b.version;
+        winners[metric] = winner;
+        wins[winner]++;
+    }
+
+    if (a.modelAnalyses < MIN_ANALYSES_PER_VERSION || b.modelAnalyses < MIN_ANALYSES_PER_VERSION) {
+        return {
+            leader: null,
+            wins,
+            winners,
+            reason: `Not enough analyses yet - ${MIN_ANALYSES_PER_VERSION} per version are needed`
+        };
+    }
+    if (wins[a.version] === wins[b.version]) {
+        return { leader: null, wins, winners, reason: 'No difference - both versions win as many metrics' };
+    }
+
+    const leader = wins[a.version] > wins[b.version] ? a.version : b.version;
+    return { leader, wins, winners, reason: `${leader} wins ${wins[leader]} of ${metrics.length} metric(s)` };
+}
+
+export class PromptExperimentService {
+    /**
+     * Version of an experiment for a run - stable for the run, splitPercent% get versionB
+     */
+    static assignVersion(experiment, runId) {
+        const hash = crypto.createHash('sha256').update(`${experiment.id}:${runId}`).digest();
+        return hash.readUInt32BE(0) % 100 < experiment.splitPercent ? experiment.versionB : experiment.versionA;
+    }
+
+    /**
+     * The repo's running experiment, null when there is none
+     */
+    async getActive(repoId) {
+        return prisma.promptExperiment.findFirst({
+            where: { repoId, active: true },
+            orderBy: { createdAt: 'desc' }
+        });
+    }
+
+    /**
+     * Analysis prompt version for a run of a repo - { promptVersion, experimentId }
+     */
+    async getPromptVersion(repoId, runId) {
+        const experiment = await this.getActive(repoId);
+        if (!experiment) {
+            return { promptVersion: getDefaultPromptId('analysis'), experimentId: null };
+        }
+        return { promptVersion: PromptExperimentService.assignVersion(experiment, runId), experimentId: experiment.id };
+    }
+
+    /**
+     * Start an experiment - a running one is stopped first
+     */
+    async start(repoId, { versionA, versionB, splitPercent = 50 }) {
+        const [, experiment] = await prisma.$transaction([
+            prisma.promptExperiment.updateMany({
+                where: { repoId, active: true },
+                data: { active: false, endedAt: new Date() }
+            }),
+            prisma.promptExperiment.create({
+                data: { repoId, versionA, versionB, splitPercent }
+            })
+        ]);
+        return experiment;
+    }
+
+    /**
+     * Stop the running experiment - returns it, null when there was none
+     */
+    async stop(repoId) {
+        const experiment = await this.getActive(repoId);
+        if (!experiment) {
+            return null;
+        }
+        return prisma.promptExperiment.update({
+            where: { id: experiment.id },
+            data: { active: false, endedAt: new Date() }
+        });
+    }
+
+    /**
+     * Experiments of a repo, newest first
+     */
+    async list(repoId) {
+        return prisma.promptExperiment.findMany({
+            where: { repoId },
+            orderBy: { createdAt: 'desc' },
+            include: { _count: { select: { analyses: true } } }
+        });
+    }
+
+    /**
+     * Comparison report of an experiment
+     * @returns {Promise<Object>} { versions: { [version]: metrics }, comparison: { leader, wins, winners, reason } }
+     */
+    async report(experiment) {
+        const analyses = await prisma.analysisResult.findMany({
+            where: { promptExperimentId: experiment.id },
+            select: {
+                promptVersion: true,
+                analysisStatus: true,
+                failureStage: true,
+                fingerprint: true,
+                detectedErrors: true,
+                corrections: { where: { rootCause: { not: null } }, select: { id: true } },
+                fixRatings: { select: { rating: true } }
+            }
+        });
+
+        const a = summarizeVersion(experiment.versionA, analyses.filter(analysis => analysis.promptVersion === experiment.versionA));
+        const b = summarizeVersion(experiment.versionB, analyses.filter(analysis => analysis.promptVersion === experiment.versionB));
+
+        return {
+            versions: { [a.version]: a, [b.version]: b },
+            comparison: compareVersions(a, b)
+        };
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * Prompt Templates
+ *
+ * The LLM prompts are versioned templates in config/prompts: manifest.json lists
+ * every version of a prompt ("analysis@2") and which one is the default, the
+ * template text is a file per version. A published version is never edited -
+ * a change is a new version, so an AnalysisResult's promptVersion always says
+ * which text produced it.
+ *
+ * Template syntax:
+ * - {{name}}                     value of a variable
+ * - {{#name}} ... {{/name}}      block rendered when the variable is set (non-empty string, true, non-zero)
+ * - {{^name}} ... {{/name}}      block rendered when it is not
+ * A line holding nothing but a block tag is dropped. Every variable a template uses
+ * must be passed (an empty string is fine) - a missing one is an error, not a blank.
+ */
+
+import fs from 'fs';
+
+const PROMPTS_DIR = new URL('../config/prompts/', import.meta.url);
+const MANIFEST = JSON.parse(fs.readFileSync(new URL('manifest.json', PROMPTS_DIR), 'utf8'));
+
+const texts = new Map();
+
+/**
+ * "analysis@2" -> { name: 'analysis', version: '2' } (null when malformed)
+ */
+export function parsePromptId(id) {
+    const match = typeof id === 'string' ? id.match(/^([a-z][a-z0-9-]*)@([\w.-]+)$/) : null;
+    return match ? { name: match[1], version: match[2] } : null;
+}
+
+/**
+ * Default version id of a prompt ("analysis@1")
+ */
+export function getDefaultPromptId(name) {
+    const prompt = MANIFEST[name];
+    if (!prompt) {
+        throw new Error(`Unknown prompt "${name}"`);
+    }
+    return `${name}@${prompt.default}`;
+}
+
+/**
+ * Whether a version id names a version of the given prompt
+ */
+export function isPromptVersion(name, id) {
+    const parsed = parsePromptId(id);
+    return Boolean(parsed && parsed.name === name && MANIFEST[name]?.versions[parsed.version]);
+}
+
+/**
+ * Every prompt with its versions, for the API
+ */
+export function listPromptTemplates() {
+    return Object.entries(MANIFEST).map(([name, prompt]) => ({
+        name,
+        default: `${name}@${prompt.default}`,
+        versions: Object.entries(prompt.versions).map(([version, entry]) => ({
+            id: `${name}@${version}`,
+            description: entry.description,
+            createdAt: entry.createdAt
+        }))
+    }));
+}
+
+/**
+ * Template text of a version (read once)
+ */
+function getTemplateText(id) {
+    if (!texts.has(id)) {
+        const { name, version } = parsePromptId(id) || {};
+        const entry = MANIFEST[name]?.versions[version];
+        if (!entry) {
+            throw new Error(`Unknown prompt version "${id}"`);
+        }
+        texts.set(id, fs.readFileSync(new URL(entry.file, PROMPTS_DIR), 'utf8'));
+    }
+    return texts.get(id);
+}
+
+function isSet(value) {
+    return value !== undefined && value !== null && value !== false && value !== '' && value !== 0;
+}
+
+/**
+ * Render template text with variables (see the syntax above)
+ */
+export function renderTemplate(text, variables) {
+    const lookup = (name) => {
+        if (!(name in variables)) {
+            throw new Error(`Prompt variable "${name}" is not set`);
+        }
+        return variables[name];
+    };
+
+    // Block tags alone on their line take the line with them
+    const compact = text.replace(/^[ \t]*(\{\{[#^/][\w]+\}\})[ \t]*\r?\n/gm, '$1');
+
+    // Outer blocks first - a kept block's inner blocks are resolved on the next pass
+    let withBlocks = compact;
+    let previous;
+    do {
+        previous = withBlocks;
+        withBlocks = withBlocks.replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, kind, name, body) =>
+            (kind === '#') === isSet(lookup(name)) ? body : ''
+        );
+    } while (withBlocks !== previous);
+
+    return withBlocks.replace(/\{\{(\w+)\}\}/g, (match, name) => String(lookup(name) ?? ''));
+}
+
+/**
+ * Render a prompt
+ * @param {string} name - Prompt name ('analysis', 'classification', 'chat', 'repair')
+ * @param {Object} variables - Template variables
+ * @param {string} id - Version id, the prompt's default version when not given
+ * @returns {Object} { prompt, promptVersion }
+ */
+export function renderPrompt(name, variables, id = getDefaultPromptId(name)) {
+    if (!isPromptVersion(name, id)) {
+        throw new Error(`"${id}" is not a version of the ${name} prompt`);
+    }
+    return { prompt: renderTemplate(getTemplateText(id), variables), promptVersion: id };
+}
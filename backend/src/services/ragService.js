@@ -6,15 +6,20 @@
  * from similar past failures before generating analysis
  */
 
-import { EmbeddingService } from './embeddingService.js';
 import { VectorSearchService } from './vectorSearch.js';
 import { PrismaClient } from '@prisma/client';
 
 const prisma = new PrismaClient();
 
+// Fixes users rated at or below this (1-5) are not suggested again
+const UNHELPFUL_FIX_RATING = 2;
+
 export class RAGService {
-    constructor() {
-        this.embeddingService = new EmbeddingService();
+    /**
+     * @param {EmbeddingService} embeddingService - On a metered client: new EmbeddingService(createEmbeddingClient({ meter }))
+     */
+    constructor(embeddingService) {
+        this.embeddingService = embeddingService;
         this.vectorSearch = new VectorSearchService();
     }
 
@@ -34,7 +39,7 @@ export class RAGService {
             const query = this.constructQuery(detectedErrors, chunks);
 
             // 2. Generate embedding for query
-            const queryEmbedding = await this.embeddingService.generateEmbedding(query);
+            const queryEmbedding = await this.embeddingService.generateEmbedding(query, { purpose: 'rag-query' });
 
             // 3. Search for similar past failures with their analysis
             const similarCases = await this.vectorSearch.findSimilarWithAnalysis(
@@ -86,6 +91,8 @@ export class RAGService {
 
     /**
      * Extract structured context from similar cases
+     * Root causes verified by a user come before AI-generated ones, fixes users
+     * rated as unhelpful are left out
      */
     extractContext(similarCases) {
         const context = {
@@ -95,11 +102,18 @@ export class RAGService {
             suggestedSolutions: [],
         };
 
-        for (const case_ of similarCases) {
-            const similarity = case_.similarity || 0;
+        // Only include cases with reasonable similarity
+        const relevantCases = similarCases
+            .filter(case_ => (case_.similarity || 0) >= 0.6)
+            .sort((a, b) => Number(Boolean(b.humanVerified)) - Number(Boolean(a.humanVerified))
+                || (b.similarity || 0) - (a.similarity || 0));
 
-            // Only include cases with reasonable similarity
-            if (similarity < 0.6) continue;
+        for (const case_ of relevantCases) {
+            const similarity = case_.similarity || 0;
+            const fixRating = case_.fixRating ?? null;
+            const suggestedFix = fixRating !== null && fixRating <= UNHELPFUL_FIX_RATING
+                ? null
+                : case_.suggestedFix || null;
 
             context.similarCases.push({
                 similarity: similarity,
@@ -107,7 +121,9 @@ export class RAGService {
                 date: case_.runCreatedAt,
                 logSnippet: case_.content?.substring(0, 200) || '',
                 rootCause: case_.rootCause || null,
-                suggestedFix: case_.suggestedFix || null,
+                verified: Boolean(case_.humanVerified),
+                suggestedFix,
+                fixRating,
             });
 
             // Collect root causes as patterns
@@ -116,10 +132,11 @@ export class RAGService {
             }
 
             // Collect suggested fixes
-            if (case_.suggestedFix) {
+            if (suggestedFix) {
                 context.suggestedSolutions.push({
-                    solution: case_.suggestedFix,
+                    solution: suggestedFix,
                     similarity: similarity,
+                    fixRating,
                 });
             }
         }
@@ -154,11 +171,14 @@ export class RAGService {
             enhancedPrompt += `Date: ${new Date(case_.date).toLocaleDateString()}\n`;
 
             if (case_.rootCause) {
-                enhancedPrompt += `Past Root Cause: ${case_.rootCause}\n`;
+                enhancedPrompt += case_.verified
+                    ? `Verified Root Cause (confirmed by a user): ${case_.rootCause}\n`
+                    : `Past Root Cause: ${case_.rootCause}\n`;
             }
 
             if (case_.suggestedFix) {
-                enhancedPrompt += `Past Solution: ${case_.suggestedFix}\n`;
+                const rating = case_.fixRating !== null ? ` (rated ${case_.fixRating}/5 by users)` : '';
+                enhancedPrompt += `Past Solution${rating}: ${case_.suggestedFix}\n`;
             }
 
             enhancedPrompt += '\n';
@@ -167,7 +187,8 @@ export class RAGService {
         // Add instruction to use historical context
         enhancedPrompt += `\nIMPORTANT: Consider these historical cases when analyzing the current failure.\n`;
         enhancedPrompt += `If the current failure is similar to a past case, reference it and adapt the solution.\n`;
-        enhancedPrompt += `If it's a recurring issue, mention that pattern in your analysis.\n\n`;
+        enhancedPrompt += `If it's a recurring issue, mention that pattern in your analysis.\n`;
+        enhancedPrompt += `Prefer verified root causes over past AI-generated ones.\n\n`;
 
         return enhancedPrompt;
     }
@@ -183,7 +204,7 @@ export class RAGService {
         const lines = [`Found ${context.similarCases.length} similar case(s):`];
 
         context.similarCases.forEach((case_, i) => {
-            lines.push(`  ${i + 1}. ${case_.workflowName} (${(case_.similarity * 100).toFixed(0)}% similar)`);
+            lines.push(`  ${i + 1}. ${case_.workflowName} (${(case_.similarity * 100).toFixed(0)}% similar${case_.verified ? ', verified' : ''})`);
         });
 
         if (context.commonPatterns.length > 0) {
@@ -222,7 +243,8 @@ export class RAGService {
             };
         }
 
-        const topSimilarity = context.similarCases[0]?.similarity || 0;
+        // Verified cases are listed first, not necessarily the most similar one
+        const topSimilarity = Math.max(...context.similarCases.map(case_ => case_.similarity || 0));
         const caseCount = context.similarCases.length;
 
         let score = 0.5; // Base score
@@ -255,7 +277,7 @@ export class RAGService {
     async retrieveChatContext(runId, message) {
         try {
             console.log(`🔍 Chat RAG: Retrieving context for run ${runId}...`);
-            const embedding = await this.embeddingService.generateEmbedding(message);
+            const embedding = await this.embeddingService.generateEmbedding(message, { purpose: 'chat-query' });
             
             // Search specifically within this run's logs
             const chunks = await this.vectorSearch.findRelevantChunksForRun(runId, embedding, 5);
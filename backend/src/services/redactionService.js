@@ -0,0 +1,238 @@
+/**
+ * Redaction Service
+ *
+ * Removes secrets and PII from log lines before they are stored, embedded
+ * or sent to the LLM. One instance is one redaction session (one run):
+ * - Built-in detectors (cloud keys, tokens, JWTs, private keys, connection strings, emails)
+ * - Per-repo user-defined rules
+ * - Stable placeholders: the same value always becomes the same placeholder
+ *   within a run ([REDACTED_AWS_ACCESS_KEY_1]), so the log stays readable
+ * - Counts per type for the run; the redacted values themselves are never kept in the summary
+ */
+
+import { checkUserRegex, USER_PATTERN_MAX_INPUT } from '../utils/userRegex.js';
+
+// Patterns run against every log line - keep them short, no g / y flags (added on compile)
+// and free of catastrophic backtracking (see userRegex.js)
+const MAX_RULE_LENGTH = 500;
+const ALLOWED_FLAGS = /^[imsu]*$/;
+// The name is also the placeholder type ([REDACTED_USER_<NAME>_1])
+const MAX_RULE_NAME_LENGTH = 100;
+
+/**
+ * Built-in detectors.
+ * valueGroup: only that capture group is replaced (keeps "password=" / "postgres://user:" readable)
+ */
+const BUILT_IN_DETECTORS = [
+  { type: 'AWS_ACCESS_KEY', pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|AIPA|ANPA|ANVA)[A-Z0-9]{16}\b/g },
+  { type: 'AWS_SECRET_KEY', pattern: /(aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?)([A-Za-z0-9/+=]{40})/gi, valueGroup: 2 },
+  { type: 'GITHUB_TOKEN', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  { type: 'GITLAB_TOKEN', pattern: /\bglpat-[A-Za-z0-9_-]{20,}/g },
+  { type: 'SLACK_TOKEN', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { type: 'SLACK_WEBHOOK', pattern: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/]+/g },
+  { type: 'GOOGLE_API_KEY', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { type: 'STRIPE_KEY', pattern: /\b(?:sk|rk)_(?:live|test)_[0-9a-zA-Z]{16,}\b/g },
+  { type: 'NPM_TOKEN', pattern: /\bnpm_[A-Za-z0-9]{36}\b/g },
+  { type: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  { type: 'CONNECTION_PASSWORD', pattern: /(\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)([^\s@/]+)(?=@)/gi, valueGroup: 2 },
+  { type: 'AUTH_HEADER', pattern: /(Authorization:\s*(?:Bearer|Basic|token)\s+)([A-Za-z0-9._~+/=-]{8,})/gi, valueGroup: 2 },
+  // Environment style assignments: DB_PASSWORD=..., API_TOKEN: ... (GitHub's own *** mask is left alone)
+  { type: 'SECRET', pattern: /(\b[A-Z0-9_]*(?:PASSWORD|PASSWD|SECRET|TOKEN|API_KEY|APIKEY|ACCESS_KEY|PRIVATE_KEY)[A-Z0-9_]*["']?\s*[:=]\s*["']?)((?!\*{3})[^\s"']{6,})/g, valueGroup: 2 },
+  // Query string style: ?token=..., &password=...
+  { type: 'SECRET', pattern: /([?&](?:password|passwd|pwd|secret|token|access_token|api_?key)=)([^\s&#"']{6,})/gi, valueGroup: 2 },
+  { type: 'EMAIL', pattern: /\b(?!git@)[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+];
+
+// PEM private keys span several lines
+const PRIVATE_KEY_BEGIN = /-----BEGIN [A-Z ]*PRIVATE KEY-----/;
+const PRIVATE_KEY_END = /-----END [A-Z ]*PRIVATE KEY-----/;
+
+/**
+ * Pieces of at most USER_PATTERN_MAX_INPUT characters a user rule runs on - a safe
+ * regex can still scan a minified line quadratically. Cut after whitespace where
+ * possible, secrets don't contain any.
+ */
+function splitLongLine(line) {
+  const pieces = [];
+  let rest = line;
+  while (rest.length > USER_PATTERN_MAX_INPUT) {
+    const space = rest.lastIndexOf(' ', USER_PATTERN_MAX_INPUT - 1);
+    const cut = space > 0 ? space + 1 : USER_PATTERN_MAX_INPUT;
+    pieces.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  pieces.push(rest);
+  return pieces;
+}
+
+export class RedactionService {
+  /**
+   * @param {Object} options - { rules: repo redaction rules ({ name, pattern, flags }) }
+   */
+  constructor(options = {}) {
+    const { detectors, invalid } = RedactionService.compileRules(options.rules);
+    this.detectors = [...BUILT_IN_DETECTORS, ...detectors];
+    this.invalidRules = invalid;    // Rules that could not be applied - reported in the summary
+
+    this.placeholders = new Map();  // "TYPE:value" -> placeholder
+    this.nextIndex = {};            // TYPE -> last placeholder number
+    this.counts = {};               // TYPE -> occurrences redacted
+    this.privateKeyPlaceholder = null; // Set while inside a multi-line private key
+  }
+
+  /**
+   * Compile user-defined rules into detectors. Rules are validated on save, but one
+   * stored before a check existed may not pass it - it is not applied, and returned
+   * in `invalid` so the run can report that its values were not redacted.
+   * @returns {Object} { detectors, invalid: [{ id, name, error }] }
+   */
+  static compileRules(rules = []) {
+    const detectors = [];
+    const invalid = [];
+
+    for (const rule of rules) {
+      const error = RedactionService.validateRule(rule);
+      if (error) {
+        invalid.push({ id: rule.id, name: rule.name, error });
+        continue;
+      }
+      // USER_ keeps a rule named "email" out of the built-in EMAIL count
+      const type = `USER_${rule.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '')}`;
+      detectors.push({ type, pattern: new RegExp(rule.pattern, `${rule.flags ?? ''}g`), user: true });
+    }
+
+    return { detectors, invalid };
+  }
+
+  /**
+   * Validate rule fields from a request body, returns an error message or null
+   */
+  static validateRule({ name, pattern, flags, enabled }) {
+    for (const [field, value] of Object.entries({ name, pattern })) {
+      if (typeof value !== 'string' || !value.trim()) {
+        return `${field} is required`;
+      }
+    }
+
+    if (name.length > MAX_RULE_NAME_LENGTH) {
+      return `name must be at most ${MAX_RULE_NAME_LENGTH} characters`;
+    }
+
+    if (!/[A-Za-z0-9]/.test(name)) {
+      return 'name must contain a letter or digit (it names the placeholder)';
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return 'enabled must be a boolean';
+    }
+
+    if (pattern.length > MAX_RULE_LENGTH) {
+      return `pattern must be at most ${MAX_RULE_LENGTH} characters`;
+    }
+
+    if (flags !== undefined && flags !== null && (typeof flags !== 'string' || !ALLOWED_FLAGS.test(flags))) {
+      return 'flags may only contain i, m, s and u';
+    }
+
+    const regexError = checkUserRegex(pattern, flags ?? '');
+    if (regexError) {
+      return regexError;
+    }
+
+    if (new RegExp(pattern, flags ?? '').test('')) {
+      return 'pattern must not match an empty string';
+    }
+
+    return null;
+  }
+
+  /**
+   * Stable placeholder for a value
+   */
+  placeholderFor(type, value) {
+    const key = `${type}:${value}`;
+    this.counts[type] = (this.counts[type] || 0) + 1;
+
+    let placeholder = this.placeholders.get(key);
+    if (!placeholder) {
+      this.nextIndex[type] = (this.nextIndex[type] || 0) + 1;
+      placeholder = `[REDACTED_${type}_${this.nextIndex[type]}]`;
+      this.placeholders.set(key, placeholder);
+    }
+    return placeholder;
+  }
+
+  /**
+   * Redact a single log line
+   */
+  redactLine(line) {
+    let redacted = this.redactPrivateKey(line);
+
+    for (const { type, pattern, valueGroup, user } of this.detectors) {
+      const replace = text => text.replace(pattern, (match, ...groups) => {
+        const value = valueGroup ? groups[valueGroup - 1] : match;
+        // Already redacted by an earlier detector
+        if (value.includes('[REDACTED_')) {
+          return match;
+        }
+        if (!valueGroup) {
+          return this.placeholderFor(type, match);
+        }
+        const prefix = groups.slice(0, valueGroup - 1).join('');
+        return prefix + this.placeholderFor(type, value) + match.slice(prefix.length + value.length);
+      });
+      redacted = user ? splitLongLine(redacted).map(replace).join('') : replace(redacted);
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Redact multi-line text (e.g. a JUnit report)
+   */
+  redactText(text) {
+    return text.split('\n').map(line => this.redactLine(line)).join('\n');
+  }
+
+  /**
+   * Replace PEM private key material; key lines keep their place in the log
+   */
+  redactPrivateKey(line) {
+    if (this.privateKeyPlaceholder) {
+      const end = line.match(PRIVATE_KEY_END);
+      if (!end) {
+        return this.privateKeyPlaceholder;
+      }
+      const placeholder = this.privateKeyPlaceholder;
+      this.privateKeyPlaceholder = null;
+      return placeholder + line.slice(end.index + end[0].length);
+    }
+
+    const begin = line.match(PRIVATE_KEY_BEGIN);
+    if (!begin) {
+      return line;
+    }
+
+    const rest = line.slice(begin.index);
+    const end = rest.match(PRIVATE_KEY_END);
+    const keyText = end ? rest.slice(0, end.index + end[0].length) : rest;
+    const placeholder = this.placeholderFor('PRIVATE_KEY', keyText);
+
+    if (!end) {
+      this.privateKeyPlaceholder = placeholder;
+    }
+    return line.slice(0, begin.index) + placeholder + rest.slice(keyText.length);
+  }
+
+  /**
+   * Redaction counts for the run and the repo rules that could not be applied -
+   * { total, byType: { AWS_ACCESS_KEY: 2, ... }, invalidRules: [{ id, name, error }] }
+   */
+  getSummary() {
+    return {
+      total: Object.values(this.counts).reduce((sum, count) => sum + count, 0),
+      byType: { ...this.counts },
+      invalidRules: this.invalidRules,
+    };
+  }
+}
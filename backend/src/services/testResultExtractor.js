@@ -0,0 +1,428 @@
+/**
+ * Test Result Extractor Service
+ *
+ * Pulls individual failing tests out of cleaned log lines so a run can list
+ * exactly which tests broke instead of the first "Test Failure" line.
+ *
+ * Supported formats:
+ * - Jest      ("FAIL file" + "● Suite › test" blocks)
+ * - Vitest    ("FAIL  file > suite > test" blocks)
+ * - Mocha     ("N failing" + "1) Suite ... test:" blocks)
+ * - pytest    ("FAILED file::Class::test - message" summary + "___ test ___" details)
+ * - Go test   ("--- FAIL: TestName (0.00s)")
+ * - JUnit XML (<testcase><failure/></testcase>, printed in logs or passed as reports)
+ *
+ * Each result: { framework, suite, testName, file, message, stack, lineIndex }
+ * lineIndex is the index of the header line in the cleaned log (null for reports).
+ */
+
+// Max lines collected for a single failure block
+const MAX_BLOCK_LINES = 40;
+// Max lines kept in the assertion message
+const MAX_MESSAGE_LINES = 10;
+
+const STACK_LINE = /^(at\s+|❯\s+)/;
+
+// Lines of the CI around the test output - a failure block never runs past them.
+// Cleaned lines are trimmed and blank lines dropped, so indentation can't end a block.
+const CI_LINE = new RegExp([
+  /^##\[/,                                                    // GitHub Actions commands
+  /^(Error: )?Process completed with exit code \d+/,           // GitHub Actions step result
+  /^section_(start|end):\d+:/,                                 // GitLab CI sections
+  /^(ERROR: Job failed|Cleaning up (project directory|file based variables))/, // GitLab runner trailer
+  /^\[Pipeline\]/,                                             // Jenkins
+  /^Finished: (SUCCESS|FAILURE|UNSTABLE|ABORTED)$/,
+  /^====>>/,                                                   // CircleCI steps
+  /^(CircleCI received exit code|Exited with code) /,
+].map(pattern => pattern.source).join('|'));
+
+export class TestResultExtractorService {
+  /**
+   * Extract failing tests from cleaned log lines
+   * @param {string[]} lines - Cleaned log lines
+   * @param {Object} options - { reports: [string] } JUnit XML report contents
+   * @returns {Array} Failing tests (deduplicated)
+   */
+  extract(lines, options = {}) {
+    const results = [
+      ...this.extractJest(lines),
+      ...this.extractVitest(lines),
+      ...this.extractMocha(lines),
+      ...this.extractPytest(lines),
+      ...this.extractGoTest(lines),
+      ...this.extractJUnitFromLines(lines),
+    ];
+
+    for (const report of options.reports || []) {
+      results.push(...this.extractFromJUnitXml(report));
+    }
+
+    return this.deduplicate(results);
+  }
+
+  /**
+   * Split a block into assertion message and stack frames
+   */
+  splitMessageAndStack(blockLines) {
+    const messageLines = [];
+    const stackLines = [];
+
+    for (const line of blockLines) {
+      if (STACK_LINE.test(line)) {
+        stackLines.push(line);
+      } else if (stackLines.length === 0 && messageLines.length < MAX_MESSAGE_LINES) {
+        messageLines.push(line);
+      }
+    }
+
+    return {
+      message: messageLines.join('\n') || null,
+      stack: stackLines.join('\n') || null,
+    };
+  }
+
+  /**
+   * Collect lines after a header until a terminator or a CI line matches
+   */
+  collectBlock(lines, startIndex, isTerminator) {
+    const block = [];
+    for (let i = startIndex; i < lines.length && block.length < MAX_BLOCK_LINES; i++) {
+      if (isTerminator(lines[i]) || CI_LINE.test(lines[i])) {
+        break;
+      }
+      block.push(lines[i]);
+    }
+    return block;
+  }
+
+  /**
+   * Jest
+   * FAIL src/math.test.js
+   *   ● Math › adds numbers
+   *     expect(received).toBe(expected)
+   *     at Object.<anonymous> (src/math.test.js:11:23)
+   */
+  extractJest(lines) {
+    const results = [];
+    const fileHeader = /^FAIL\s+(\S+)\s*(\(.*\))?$/;
+    const testHeader = /^●\s+(.+)$/;
+    const terminator = line => testHeader.test(line) || /^(FAIL|PASS)\s+\S+/.test(line) ||
+      /^(Test Suites|Tests|Summary of all failing tests):/.test(line);
+
+    let currentFile = null;
+    for (let i = 0; i < lines.length; i++) {
+      const fileMatch = lines[i].match(fileHeader);
+      if (fileMatch) {
+        currentFile = fileMatch[1];
+        continue;
+      }
+
+      const testMatch = lines[i].match(testHeader);
+      if (!testMatch || !currentFile) {
+        continue;
+      }
+
+      const parts = testMatch[1].split(' › ').map(p => p.trim());
+      const block = this.collectBlock(lines, i + 1, terminator);
+      const { message, stack } = this.splitMessageAndStack(block);
+
+      results.push({
+        framework: 'jest',
+        suite: parts.length > 1 ? parts.slice(0, -1).join(' › ') : null,
+        testName: parts[parts.length - 1],
+        file: currentFile,
+        message,
+        stack,
+        lineIndex: i,
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Vitest
+   * FAIL  src/math.test.ts > Math > adds numbers
+   * AssertionError: expected 5 to be 4
+   * ❯ src/math.test.ts:5:17
+   */
+  extractVitest(lines) {
+    const results = [];
+    const header = /^FAIL\s+(\S+)\s+>\s+(.+)$/;
+    const terminator = line => header.test(line) || /^⎯{3,}/.test(line) || /^(Test Files|Tests)\s+\d+/.test(line);
+
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(header);
+      if (!match) {
+        continue;
+      }
+
+      const parts = match[2].split(' > ').map(p => p.trim());
+      const block = this.collectBlock(lines, i + 1, terminator);
+      const { message, stack } = this.splitMessageAndStack(block);
+
+      results.push({
+        framework: 'vitest',
+        suite: parts.length > 1 ? parts.slice(0, -1).join(' > ') : null,
+        testName: parts[parts.length - 1],
+        file: match[1],
+        message,
+        stack,
+        lineIndex: i,
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Mocha (only the detail section printed after "N failing")
+   * 1) Array
+   * #indexOf()
+   * should return -1:
+   * AssertionError [ERR_ASSERTION]: expected ...
+   * at Context.<anonymous> (test/array.test.js:5:14)
+   */
+  extractMocha(lines) {
+    const results = [];
+    const failingSummary = /^\d+\s+failing$/;
+    const entryHeader = /^(\d+)\)\s+(.+)$/;
+
+    const summaryIndex = lines.findIndex(line => failingSummary.test(line));
+    if (summaryIndex === -1) {
+      return results;
+    }
+
+    for (let i = summaryIndex + 1; i < lines.length; i++) {
+      const match = lines[i].match(entryHeader);
+      if (!match) {
+        continue;
+      }
+
+      // Title parts continue until the line ending with ":" (the test name)
+      const titleParts = [match[2]];
+      let j = i + 1;
+      if (!match[2].endsWith(':')) {
+        while (j < lines.length && titleParts.length < 10) {
+          titleParts.push(lines[j]);
+          j++;
+          if (titleParts[titleParts.length - 1].endsWith(':')) {
+            break;
+          }
+        }
+      }
+
+      const block = [];
+      let inStack = false;
+      for (; j < lines.length && block.length < MAX_BLOCK_LINES; j++) {
+        const line = lines[j];
+        if (entryHeader.test(line) || CI_LINE.test(line) || (inStack && !STACK_LINE.test(line))) {
+          break;
+        }
+        inStack = inStack || STACK_LINE.test(line);
+        block.push(line);
+      }
+
+      const { message, stack } = this.splitMessageAndStack(block);
+      const testName = titleParts.pop().replace(/:$/, '');
+      const fileMatch = stack?.match(/\(([^()]+?):\d+:\d+\)/);
+
+      results.push({
+        framework: 'mocha',
+        suite: titleParts.join(' ') || null,
+        testName,
+        file: fileMatch ? fileMatch[1] : null,
+        message,
+        stack,
+        lineIndex: i,
+      });
+
+      i = j - 1;
+    }
+
+    return results;
+  }
+
+  /**
+   * pytest
+   * ____ TestUser.test_create ____
+   * E   assert 404 == 201
+   * tests/test_api.py:42: AssertionError
+   * FAILED tests/test_api.py::TestUser::test_create - assert 404 == 201
+   */
+  extractPytest(lines) {
+    const results = [];
+    const summary = /^(FAILED|ERROR)\s+(\S+?\.py)::(\S+?)(?:\s+-\s+(.*))?$/;
+    const detailHeader = /^_{3,}\s+(.+?)\s+_{3,}$/;
+
+    // Collect "E   ..." lines and "file.py:NN: Error" locations per detail section
+    const details = new Map();
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(detailHeader);
+      if (!match) {
+        continue;
+      }
+      const block = this.collectBlock(lines, i + 1, line =>
+        detailHeader.test(line) || /^={3,}/.test(line));
+      details.set(match[1].replace(/^ERROR (at|collecting) /, ''), {
+        message: block.filter(line => /^E\s/.test(line)).map(line => line.replace(/^E\s+/, '')).slice(0, MAX_MESSAGE_LINES).join('\n') || null,
+        stack: block.filter(line => /^\S+\.py:\d+:/.test(line)).join('\n') || null,
+      });
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(summary);
+      if (!match) {
+        continue;
+      }
+
+      const nodeParts = match[3].split('::');
+      const testName = nodeParts[nodeParts.length - 1];
+      const suite = nodeParts.length > 1 ? nodeParts.slice(0, -1).join('::') : null;
+      const detail = details.get([...nodeParts].join('.')) || details.get(testName) || {};
+
+      results.push({
+        framework: 'pytest',
+        suite,
+        testName,
+        file: match[2],
+        message: detail.message || match[4] || null,
+        stack: detail.stack || null,
+        lineIndex: i,
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Go test
+   * --- FAIL: TestAdd/negative (0.00s)
+   * math_test.go:12: Add(-1, 1) = 1; want 0
+   * FAIL	github.com/acme/math	0.003s
+   */
+  extractGoTest(lines) {
+    const results = [];
+    const header = /^---\s+FAIL:\s+(\S+)\s+\([\d.]+m?s\)$/;
+    const packageResult = /^FAIL\s+(\S+)\s+[\d.]+m?s$/;
+    const terminator = line => /^(---|===)\s/.test(line) || /^(FAIL|ok|PASS)(\s|$)/.test(line);
+
+    let pending = [];
+    for (let i = 0; i < lines.length; i++) {
+      const packageMatch = lines[i].match(packageResult);
+      if (packageMatch) {
+        // Package line follows its tests
+        pending.forEach(result => { result.suite = result.suite || packageMatch[1]; });
+        pending = [];
+        continue;
+      }
+
+      const match = lines[i].match(header);
+      if (!match) {
+        continue;
+      }
+
+      const block = this.collectBlock(lines, i + 1, terminator);
+      const messageLines = block.slice(0, MAX_MESSAGE_LINES);
+      const fileMatch = messageLines[0]?.match(/^(\S+\.go):\d+:/);
+      const nameParts = match[1].split('/');
+
+      const result = {
+        framework: 'go',
+        suite: nameParts.length > 1 ? nameParts[0] : null,
+        testName: match[1],
+        file: fileMatch ? fileMatch[1] : null,
+        message: messageLines.join('\n') || null,
+        stack: null,
+        lineIndex: i,
+      };
+      results.push(result);
+      pending.push(result);
+    }
+
+    return results;
+  }
+
+  /**
+   * JUnit XML printed into the log (e.g. `cat junit.xml`)
+   */
+  extractJUnitFromLines(lines) {
+    const start = lines.findIndex(line => /<testsuites?[\s>]/.test(line));
+    if (start === -1) {
+      return [];
+    }
+
+    return this.extractFromJUnitXml(lines.slice(start).join('\n'))
+      .map(result => ({ ...result, lineIndex: start }));
+  }
+
+  /**
+   * Parse failing <testcase> elements from a JUnit XML document
+   */
+  extractFromJUnitXml(xml) {
+    const results = [];
+    const testcaseRegex = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+    const failureRegex = /<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/;
+
+    let match;
+    while ((match = testcaseRegex.exec(xml)) !== null) {
+      const body = match[2] || '';
+      const failure = body.match(failureRegex);
+      if (!failure) {
+        continue;
+      }
+
+      const attrs = this.parseXmlAttributes(match[1]);
+      const failureAttrs = this.parseXmlAttributes(failure[2]);
+      const stack = failure[3] ? this.decodeXml(failure[3].replace(/^<!\[CDATA\[|\]\]>$/g, '')).trim() : null;
+
+      results.push({
+        framework: 'junit',
+        suite: attrs.classname || null,
+        testName: attrs.name || 'unknown',
+        file: attrs.file || null,
+        message: failureAttrs.message || (stack ? stack.split('\n')[0] : null),
+        stack,
+        lineIndex: null,
+      });
+    }
+
+    return results;
+  }
+
+  parseXmlAttributes(source) {
+    const attrs = {};
+    const attrRegex = /([\w:-]+)\s*=\s*"([^"]*)"/g;
+    let match;
+    while ((match = attrRegex.exec(source || '')) !== null) {
+      attrs[match[1]] = this.decodeXml(match[2]);
+    }
+    return attrs;
+  }
+
+  decodeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Same test reported twice (e.g. Jest details + "Summary of all failing tests")
+   * keeps the first occurrence
+   */
+  deduplicate(results) {
+    const seen = new Set();
+    return results.filter(result => {
+      const key = `${result.framework}:${result.file}:${result.suite}:${result.testName}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Usage Budget
+ *
+ * The arithmetic of usageService.js, without the database: prices of model calls
+ * (config/llmPricing.default.json, LLM_PRICING_FILE to override), budget bodies,
+ * calendar months and whether a budget is used up.
+ */
+
+import fs from 'fs';
+
+const PRICING = JSON.parse(fs.readFileSync(
+    process.env.LLM_PRICING_FILE || new URL('../config/llmPricing.default.json', import.meta.url),
+    'utf8'
+));
+
+export const BUDGET_SCOPES = ['repo', 'org'];
+
+/**
+ * Error message for an invalid budget body, null when it is valid
+ * @param {Object} body - { scope?: 'repo' | 'org', monthlyCostUsd?, monthlyTokens? } - at least one limit
+ */
+export function validateUsageBudget(body) {
+    const { scope = 'repo', monthlyCostUsd, monthlyTokens } = body || {};
+    if (!BUDGET_SCOPES.includes(scope)) {
+        return `scope must be one of ${BUDGET_SCOPES.join(', ')}`;
+    }
+    if (monthlyCostUsd !== undefined && monthlyCostUsd !== null
+        && (typeof monthlyCostUsd !== 'number' || !Number.isFinite(monthlyCostUsd) || monthlyCostUsd <= 0)) {
+        return 'monthlyCostUsd must be a positive number (USD)';
+    }
+    if (monthlyTokens !== undefined && monthlyTokens !== null
+        && (!Number.isInteger(monthlyTokens) || monthlyTokens <= 0 || monthlyTokens > 2147483647)) {
+        return 'monthlyTokens must be a positive integer';
+    }
+    if ((monthlyCostUsd ?? null) === null && (monthlyTokens ?? null) === null) {
+        return 'monthlyCostUsd or monthlyTokens is required';
+    }
+    return null;
+}
+
+/**
+ * A calendar month (UTC) - "2026-10", the month of now when not given
+ * @param {Date} now - for tests
+ * @returns {Object|null} { month, start, end } - null when malformed
+ */
+export function getMonthRange(month, now = new Date()) {
+    const match = month === undefined
+        ? [null, now.getUTCFullYear(), now.getUTCMonth() + 1]
+        : String(month).match(/^(\d{4})-(\d{2})$/);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+        return null;
+    }
+    const year = Number(match[1]);
+    const monthIndex = Number(match[2]) - 1;
+    return {
+        month: `${year}-${String(monthIndex + 1).padStart(2, '0')}`,
+        start: new Date(Date.UTC(year, monthIndex, 1)),
+        end: new Date(Date.UTC(year, monthIndex + 1, 1))
+    };
+}
+
+/**
+ * Cost of a call in USD, null when the model has no price
+ * @param {Object} event - { provider, label, inputTokens, outputTokens }
+ * @param {Object} pricing - { prices: { [label | provider]: { input, output } } } per million tokens
+ */
+export function priceCall({ provider, label, inputTokens, outputTokens }, pricing = PRICING) {
+    const price = pricing.prices[label] || pricing.prices[provider];
+    if (!price) {
+        return null;
+    }
+    return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+/**
+ * A cost rounded to a millionth of a dollar (sums of floats drift)
+ */
+export function roundCost(value) {
+    return Math.round((value || 0) * 1e6) / 1e6;
+}
+
+/**
+ * This month's usage against a budget
+ * @param {Object} budget - UsageBudget { monthlyCostUsd, monthlyTokens } - a null limit is no limit
+ * @param {Object} sums - _sum of an LlmUsage aggregate { inputTokens, outputTokens, costUsd }
+ * @returns {Object} { used: { costUsd, tokens }, exceeded }
+ */
+export function evaluateBudget(budget, sums) {
+    const used = {
+        costUsd: roundCost(sums.costUsd),
+        tokens: (sums.inputTokens || 0) + (sums.outputTokens || 0)
+    };
+    return {
+        used,
+        exceeded: (budget.monthlyCostUsd !== null && used.costUsd >= budget.monthlyCostUsd)
+            || (budget.monthlyTokens !== null && used.tokens >= budget.monthlyTokens)
+    };
+}
@@ -0,0 +1,212 @@
+/**
+ * Usage Service
+ *
+ * Every model call - generation and embedding - is metered (see the meter of
+ * llmProviders.js) and stored as an LlmUsage row: tokens in / out, latency,
+ * provider / model, the org, repo, user and run it was made for and its purpose.
+ * The cost is priced when the call is recorded (config/llmPricing.default.json),
+ * so a price change doesn't rewrite the past.
+ *
+ * An org (repo owner) and a repo can each have a monthly budget - a cost and / or
+ * a token limit. Once one is used up the repo's runs get deterministic analyses
+ * only (offline provider, no embeddings) and its chat is refused until the next
+ * month (UTC). The budget is checked when a run starts, so the run that crosses
+ * the limit still finishes with the model. An org budget belongs to the user who
+ * set it and counts their usage of the org - any user can add a repo of an org,
+ * so one user's calls must not use up (or set) another's budget. The math is in
+ * usageBudget.js.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { getMonthRange, priceCall, roundCost, evaluateBudget } from './usageBudget.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Usage sums of a groupBy / aggregate result
+ */
+function formatSums(group) {
+    return {
+        calls: group._count._all,
+        inputTokens: group._sum.inputTokens || 0,
+        outputTokens: group._sum.outputTokens || 0,
+        costUsd: roundCost(group._sum.costUsd),
+        latencyMs: Math.round(group._avg?.latencyMs || 0)
+    };
+}
+
+const SUMS = {
+    _count: { _all: true },
+    _sum: { inputTokens: true, outputTokens: true, costUsd: true },
+    _avg: { latencyMs: true }
+};
+
+export class UsageService {
+    /**
+     * Columns of a repo's budget of a scope - also what the org budget's usage is counted by
+     */
+    static scopeKey(scope, repo) {
+        return scope === 'org' ? { userId: repo.userId, owner: repo.owner } : { repoId: repo.id };
+    }
+
+    /**
+     * Meter for the model clients of a repo (createGenerationClient / createEmbeddingClient)
+     * @param {Object} context - { owner, repoId, userId?, workflowRunId? }
+     * @returns {Function} event => Promise - never rejects, metering must not fail an analysis
+     */
+    createMeter(context) {
+        return (event) => this.record(context, event);
+    }
+
+    /**
+     * Store a metered call
+     */
+    async record({ owner, repoId = null, userId = null, workflowRunId = null }, event) {
+        try {
+            await prisma.llmUsage.create({
+                data: {
+                    owner,
+                    repoId,
+                    userId,
+                    workflowRunId,
+                    kind: event.kind,
+                    purpose: event.purpose,
+                    provider: event.provider,
+                    model: event.model,
+                    inputTokens: event.inputTokens,
+                    outputTokens: event.outputTokens,
+                    estimated: event.estimated,
+                    costUsd: priceCall(event),
+                    latencyMs: event.latencyMs,
+                    success: event.success
+                }
+            });
+        } catch (error) {
+            console.error('Failed to record LLM usage:', error.message);
+        }
+    }
+
+    /**
+     * Budgets of a repo and its org with this month's usage
+     * @param {Object} repo - Repo
+     * @returns {Promise<Object>} { exceeded, reason, budgets: [{ scope, id, monthlyCostUsd, monthlyTokens, used, exceeded }] }
+     */
+    async getBudgetStatus(repo) {
+        const { month, start, end } = getMonthRange();
+        const orgKey = UsageService.scopeKey('org', repo);
+        const [repoBudget, orgBudget] = await Promise.all([
+            prisma.usageBudget.findUnique({ where: { repoId: repo.id } }),
+            prisma.usageBudget.findUnique({ where: { userId_owner: orgKey } })
+        ]);
+
+        const budgets = [];
+        for (const [scope, budget, where] of [
+            ['repo', repoBudget, { repoId: repo.id }],
+            ['org', orgBudget, orgKey]
+        ]) {
+            if (!budget) {
+                continue;
+            }
+            const usage = await prisma.llmUsage.aggregate({
+                where: { ...where, createdAt: { gte: start, lt: end } },
+                _sum: { inputTokens: true, outputTokens: true, costUsd: true }
+            });
+            budgets.push({
+                scope,
+                id: budget.id,
+                monthlyCostUsd: budget.monthlyCostUsd,
+                monthlyTokens: budget.monthlyTokens,
+                ...evaluateBudget(budget, usage._sum)
+            });
+        }
+
+        const exceeded = budgets.find(budget => budget.exceeded);
+        return {
+            month,
+            exceeded: Boolean(exceeded),
+            reason: exceeded
+                ? `The ${exceeded.scope === 'org' ? `org ${repo.owner}` : `repo ${repo.name}`} used up its LLM budget for ${month}`
+                : null,
+            budgets
+        };
+    }
+
+    /**
+     * Create or replace the repo or org budget of a repo
+     * @param {Object} body - validated { scope, monthlyCostUsd?, monthlyTokens? }
+     */
+    async saveBudget(repo, { scope = 'repo', monthlyCostUsd, monthlyTokens }) {
+        const key = UsageService.scopeKey(scope, repo);
+        const data = { monthlyCostUsd: monthlyCostUsd ?? null, monthlyTokens: monthlyTokens ?? null };
+        return prisma.usageBudget.upsert({
+            where: scope === 'org' ? { userId_owner: key } : key,
+            update: data,
+            create: { ...key, ...data }
+        });
+    }
+
+    /**
+     * Remove the repo or org budget of a repo - returns false when there was none
+     */
+    async removeBudget(repo, scope = 'repo') {
+        const deleted = await prisma.usageBudget.deleteMany({
+            where: UsageService.scopeKey(scope, repo)
+        });
+        return deleted.count > 0;
+    }
+
+    /**
+     * Usage and cost of repos in a month, broken down by repo, purpose and model
+     * @param {Array} repos - Repos [{ id, name, owner }]
+     * @param {Object} range - getMonthRange()
+     */
+    async getUsage(repos, { month, start, end }) {
+        const where = {
+            repoId: { in: repos.map(repo => repo.id) },
+            createdAt: { gte: start, lt: end }
+        };
+
+        const [totals, failedCalls, estimatedCalls, unpricedCalls, byRepo, byPurpose, byModel] = await Promise.all([
+            prisma.llmUsage.aggregate({ where, ...SUMS }),
+            prisma.llmUsage.count({ where: { ...where, success: false } }),
+            prisma.llmUsage.count({ where: { ...where, estimated: true } }),
+            prisma.llmUsage.count({ where: { ...where, costUsd: null } }),
+            prisma.llmUsage.groupBy({ by: ['repoId'], where, ...SUMS }),
+            prisma.llmUsage.groupBy({ by: ['kind', 'purpose'], where, ...SUMS }),
+            prisma.llmUsage.groupBy({ by: ['provider', 'model'], where, ...SUMS })
+        ]);
+
+        const reposById = new Map(repos.map(repo => [repo.id, repo]));
+        const byCost = (a, b) => b.costUsd - a.costUsd || b.calls - a.calls;
+
+        return {
+            month,
+            from: start,
+            to: end,
+            totals: {
+                ...formatSums(totals),
+                failedCalls,
+                // No token count from the API - tokens are ~4 characters each
+                estimatedCalls,
+                // Models without a price cost nothing here
+                unpricedCalls
+            },
+            byRepo: byRepo.map(group => ({
+                repoId: group.repoId,
+                repo: reposById.get(group.repoId)?.name ?? null,
+                owner: reposById.get(group.repoId)?.owner ?? null,
+                ...formatSums(group)
+            })).sort(byCost),
+            byPurpose: byPurpose.map(group => ({
+                kind: group.kind,
+                purpose: group.purpose,
+                ...formatSums(group)
+            })).sort(byCost),
+            byModel: byModel.map(group => ({
+                provider: group.provider,
+                model: group.model,
+                ...formatSums(group)
+            })).sort(byCost)
+        };
+    }
+}
@@ -93,6 +93,7 @@ export class VectorSearchService {
   /**
    * Find similar chunks from a specific workflow run's analysis
    * Useful for finding "we've seen this before" scenarios
+   * (with whether a user verified the root cause and the average fix rating)
    */
   async findSimilarWithAnalysis(queryEmbedding, limit = 3) {
     try {
@@ -106,6 +107,8 @@ export class VectorSearchService {
           lc.similarity,
           ar."rootCause",
           ar."suggestedFix",
+          ar."humanVerified",
+          (SELECT AVG(fr.rating)::float FROM "FixRating" fr WHERE fr."analysisResultId" = ar.id) as "fixRating",
           wr."workflowName",
           wr."createdAt" as "runCreatedAt"
         FROM (
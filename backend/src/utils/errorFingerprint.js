@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+
+/**
+ * Volatile parts of an error message, masked so the same failure gets the same
+ * signature in every run (and every repo). Order matters: the specific tokens
+ * go before the generic number mask.
+ */
+const VOLATILE_TOKENS = [
+  // Redaction placeholders are numbered per run
+  [/\[REDACTED_([A-Z0-9_]+?)_\d+\]/g, '[REDACTED_$1]'],
+  [/\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g, '<timestamp>'],
+  [/\b\d{1,2}:\d{2}:\d{2}(?:[.,]\d+)?\b/g, '<time>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+  [/\b(?=[0-9a-f]*[a-f])(?=[0-9a-f]*\d)[0-9a-f]{12,64}\b/gi, '<hash>'],
+  // Temp files and directories
+  [/(?:\/private)?\/(?:tmp|var\/folders)\/[^\s:'"()\]]*|[A-Za-z]:\\Users\\[^\\\s]+\\AppData\\Local\\Temp\\[^\s:'"()\]]*/g, '<tmp>'],
+  // Runner workspace prefix (/home/runner/work/<repo>/<repo>/, D:\a\<repo>\<repo>\) - keep the repo-relative path
+  [/(?:\/home\/runner\/work|\/__w)\/[^/\s]+\/[^/\s]+\/|[A-Za-z]:\\a\\[^\\\s]+\\[^\\\s]+\\/g, ''],
+  [/\b(?:\d{1,3}\.){3}\d{1,3}(?::\d{1,5})?\b/g, '<ip>'],
+  [/\b\d+(?:\.\d+)?\s?(?:ms|s|sec|secs|seconds|m|min|mins|minutes|h)\b/g, '<duration>'],
+  [/\b\d+(?:\.\d+)*\b/g, '<n>'],
+];
+
+/**
+ * Error message with volatile tokens (paths, ports, addresses, ids, timestamps, numbers) masked
+ */
+export function normalizeErrorMessage(message) {
+  let signature = message || '';
+  for (const [pattern, replacement] of VOLATILE_TOKENS) {
+    signature = signature.replace(pattern, replacement);
+  }
+  return signature.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Stable fingerprint of a detected error - equal for the same failure across runs and repos
+ * @param {Object} error - { category, toolchain?, errorCode?, signature }
+ */
+export function fingerprintError({ category, toolchain, errorCode, signature }) {
+  return crypto
+    .createHash('sha256')
+    .update([category, toolchain || '', errorCode || '', signature].join('\n'))
+    .digest('hex')
+    .slice(0, 16);
+}
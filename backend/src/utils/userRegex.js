@@ -0,0 +1,46 @@
+import safeRegex from 'safe-regex2';
+
+/**
+ * User-defined regexes (custom error patterns, redaction rules) run against every
+ * log line. One with nested quantifiers ("(a+)+$") backtracks exponentially on a
+ * line that almost matches and stalls the worker, so such patterns are refused:
+ * safe-regex2 rejects a star height above 1 and more than 25 repetitions. Syntax it
+ * cannot analyze (lookbehind) is refused too.
+ */
+
+// Error patterns only look at the start of a line - bounds the cost of a slow but "safe" regex
+export const USER_PATTERN_MAX_INPUT = 2000;
+
+const UNSAFE_MESSAGE = 'pattern is not safe to run on every log line - avoid nested quantifiers like (a+)+ and lookbehind';
+
+/**
+ * Error message for an invalid or unsafe user regex, null when it can be used
+ */
+export function checkUserRegex(pattern, flags) {
+  let regex;
+  try {
+    regex = new RegExp(pattern, flags);
+  } catch (error) {
+    // "Invalid regular expression: /(/: Unterminated group"
+    return error.message;
+  }
+  return safeRegex(regex) ? null : UNSAFE_MESSAGE;
+}
+
+/**
+ * Compile a user regex - throws on an invalid or unsafe one
+ */
+export function compileUserRegex(pattern, flags) {
+  const error = checkUserRegex(pattern, flags);
+  if (error) {
+    throw new Error(error);
+  }
+  return new RegExp(pattern, flags);
+}
+
+/**
+ * Test a compiled user pattern against the first USER_PATTERN_MAX_INPUT characters of a line
+ */
+export function testUserPattern(pattern, line) {
+  return pattern.test(line.length > USER_PATTERN_MAX_INPUT ? line.slice(0, USER_PATTERN_MAX_INPUT) : line);
+}
@@ -0,0 +1,210 @@
+import fs from 'fs';
+import zlib from 'zlib';
+import { Readable, pipeline } from 'stream';
+import { StringDecoder } from 'string_decoder';
+
+// "3_Run tests.txt" -> step number 3
+const STEP_FILE = /^(\d+)_(.*)\.txt$/;
+
+// Zip record signatures and sizes (APPNOTE.TXT 4.3)
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const CENTRAL_DIRECTORY_HEADER_SIZE = 46;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const LOCAL_FILE_HEADER_SIZE = 30;
+const MAX_COMMENT_SIZE = 0xffff;
+const ZIP64_MARKER = 0xffffffff;
+
+/**
+ * Read `length` bytes of an open file at `position`
+ */
+async function readAt(file, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await file.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Entries of a zip file on disk, from its central directory - only the directory is
+ * read, entry data is streamed from the file when an entry is opened (openEntryStream)
+ */
+async function readZipEntries(filePath) {
+  const file = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await file.stat();
+
+    // The end of central directory record is the last record, followed by a comment
+    const tailLength = Math.min(size, END_OF_CENTRAL_DIRECTORY_SIZE + MAX_COMMENT_SIZE);
+    const tail = await readAt(file, size - tailLength, tailLength);
+    let end = -1;
+    for (let i = tail.length - END_OF_CENTRAL_DIRECTORY_SIZE; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) {
+      throw new Error('Not a zip file: end of central directory not found');
+    }
+
+    const entryCount = tail.readUInt16LE(end + 10);
+    const directorySize = tail.readUInt32LE(end + 12);
+    const directoryOffset = tail.readUInt32LE(end + 16);
+    if (directoryOffset === ZIP64_MARKER || directorySize === ZIP64_MARKER) {
+      throw new Error('ZIP64 log archives are not supported');
+    }
+
+    const directory = await readAt(file, directoryOffset, directorySize);
+    const entries = [];
+    let offset = 0;
+    for (let i = 0; i < entryCount; i++) {
+      if (offset + CENTRAL_DIRECTORY_HEADER_SIZE > directory.length
+        || directory.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+        throw new Error('Corrupt zip file: bad central directory');
+      }
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      const entryName = directory.toString('utf8', offset + CENTRAL_DIRECTORY_HEADER_SIZE, offset + CENTRAL_DIRECTORY_HEADER_SIZE + nameLength);
+      entries.push({
+        filePath,
+        entryName,
+        isDirectory: entryName.endsWith('/'),
+        method: directory.readUInt16LE(offset + 10),
+        compressedSize: directory.readUInt32LE(offset + 20),
+        size: directory.readUInt32LE(offset + 24),
+        localHeaderOffset: directory.readUInt32LE(offset + 42),
+      });
+      offset += CENTRAL_DIRECTORY_HEADER_SIZE + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Log (.txt) entries of a workflow log archive on disk, job by job, steps in order.
+ *
+ * The archive has one folder per job ("test (18, ubuntu-latest)/1_Set up job.txt")
+ * plus a root file per job ("1_test (18, ubuntu-latest).txt") holding that whole job
+ * log again. Root files are skipped when their job folder exists, so lines are not
+ * parsed twice; they are kept for archives without job folders.
+ */
+export async function getLogEntries(filePath) {
+  const entries = (await readZipEntries(filePath))
+    .filter(entry => !entry.isDirectory && entry.entryName.endsWith('.txt'));
+
+  const jobFolders = new Set(entries
+    .filter(entry => entry.entryName.includes('/'))
+    .map(entry => entry.entryName.slice(0, entry.entryName.lastIndexOf('/'))));
+
+  const stepNumber = (fileName) => {
+    const match = fileName.match(STEP_FILE);
+    return match ? parseInt(match[1], 10) : Number.MAX_SAFE_INTEGER;
+  };
+
+  return entries
+    .filter(entry => {
+      if (entry.entryName.includes('/')) {
+        return true;
+      }
+      const jobName = entry.entryName.match(STEP_FILE)?.[2];
+      return !jobName || !jobFolders.has(jobName);
+    })
+    .sort((a, b) => {
+      const [folderA, fileA] = splitEntryName(a.entryName);
+      const [folderB, fileB] = splitEntryName(b.entryName);
+      return folderA.localeCompare(folderB) || stepNumber(fileA) - stepNumber(fileB) || fileA.localeCompare(fileB);
+    });
+}
+
+/**
+ * "job/3_step.txt" -> ["job", "3_step.txt"], "1_job.txt" -> ["", "1_job.txt"]
+ */
+function splitEntryName(entryName) {
+  const index = entryName.lastIndexOf('/');
+  return index === -1 ? ['', entryName] : [entryName.slice(0, index), entryName.slice(index + 1)];
+}
+
+/**
+ * Total uncompressed size of the given entries, in bytes (read from the zip headers)
+ */
+export function getUncompressedSize(entries) {
+  return entries.reduce((sum, entry) => sum + entry.size, 0);
+}
+
+/**
+ * Inflate a single entry as a stream, reading its compressed data from the archive file
+ */
+async function openEntryStream(entry) {
+  const file = await fs.promises.open(entry.filePath, 'r');
+  let header;
+  try {
+    header = await readAt(file, entry.localHeaderOffset, LOCAL_FILE_HEADER_SIZE);
+  } finally {
+    await file.close();
+  }
+  if (header.length < LOCAL_FILE_HEADER_SIZE || header.readUInt32LE(0) !== LOCAL_FILE_HEADER) {
+    throw new Error(`Corrupt zip file: bad local header for ${entry.entryName}`);
+  }
+
+  // The local header's name and extra field can differ from the central directory's
+  const start = entry.localHeaderOffset + LOCAL_FILE_HEADER_SIZE + header.readUInt16LE(26) + header.readUInt16LE(28);
+  if (entry.compressedSize === 0) {
+    return Readable.from([]);
+  }
+  const source = fs.createReadStream(entry.filePath, { start, end: start + entry.compressedSize - 1 });
+
+  switch (entry.method) {
+    case 0: // Stored
+      return source;
+    case 8: // Deflated
+      // pipeline (unlike pipe) passes read errors of the archive on to the inflated stream
+      return pipeline(source, zlib.createInflateRaw(), () => {});
+    default:
+      source.destroy();
+      throw new Error(`Unsupported compression method ${entry.method} for ${entry.entryName}`);
+  }
+}
+
+/**
+ * Split a byte stream into lines ('\n' separated, the last line may be empty)
+ */
+async function* readLines(stream) {
+  const decoder = new StringDecoder('utf8');
+  let remainder = '';
+
+  for await (const data of stream) {
+    const lines = (remainder + decoder.write(data)).split('\n');
+    remainder = lines.pop();
+    yield* lines;
+  }
+
+  yield remainder + decoder.end();
+}
+
+/**
+ * Yield the lines of every log entry, one entry at a time.
+ * Produces exactly the lines of the combined log the worker builds in memory
+ * ("\n--- Log File: <name> ---\n" + text for each entry), so line numbers match.
+ */
+export async function* readZipLogLines(entries) {
+  yield '';
+  for (const entry of entries) {
+    yield `--- Log File: ${entry.entryName} ---`;
+    yield* readLines(await openEntryStream(entry));
+  }
+}
+
+/**
+ * Text of a single log entry (for logs small enough to be parsed in memory)
+ */
+export async function readEntryText(entry) {
+  const data = [];
+  for await (const chunk of await openEntryStream(entry)) {
+    data.push(chunk);
+  }
+  return Buffer.concat(data).toString('utf8');
+}
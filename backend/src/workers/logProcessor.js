@@ -2,12 +2,27 @@ import 'dotenv/config';
 import { Worker } from 'bullmq';
 import IORedis from 'ioredis';
 import axios from 'axios';
-import AdmZip from 'adm-zip';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
 import { LogParserService } from '../services/logParser.js';
 import { AIAnalyzerService } from '../services/aiAnalyzer.js';
 import { FailureClassifierService } from '../services/failureClassifier.js';  // Deterministic classifier
 import { EmbeddingService } from '../services/embeddingService.js';  // Phase 2
 import { VectorSearchService } from '../services/vectorSearch.js';  // Phase 2
+import { ErrorPatternService } from '../services/errorPatternService.js';
+import { LogDiffService } from '../services/logDiffService.js';
+import { ClassificationRulesetService } from '../services/classificationRulesetService.js';
+import { FlakinessService } from '../services/flakinessService.js';
+import { CorrectionService } from '../services/correctionService.js';
+import { LlmSettingService } from '../services/llmSettingService.js';
+import { PromptExperimentService } from '../services/promptExperimentService.js';
+import { AnalysisCacheService } from '../services/analysisCacheService.js';
+import { UsageService } from '../services/usageService.js';
+import { createGenerationClient, createEmbeddingClient } from '../services/llmProviders.js';
+import { CONCLUSION_FAILURE_TYPES } from '../services/failureTaxonomy.js';
+import { getLogEntries, getUncompressedSize, readZipLogLines, readEntryText } from '../utils/zipLogReader.js';
 import { PrismaClient } from '@prisma/client';
 
 const prisma = new PrismaClient();
@@ -15,11 +30,236 @@ const redisConnection = new IORedis(process.env.REDIS_URL || 'redis://localhost:
   maxRetriesPerRequest: null,
 });
 
+// Logs larger than this (uncompressed) are parsed in streaming mode instead of in memory
+const STREAMING_THRESHOLD_BYTES = parseInt(process.env.LOG_STREAMING_THRESHOLD_BYTES, 10) || 50 * 1024 * 1024;
+
+/**
+ * Parser timestamps are ISO strings (or null)
+ */
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+/**
+ * Job names in the log archive are GitHub job names with characters that are not
+ * allowed in file names removed - compare them in that form
+ */
+function normalizeJobName(name) {
+  return name.toLowerCase().replace(/[\\/:*?"<>|]/g, '').trim();
+}
+
+/**
+ * The run's conclusion as a detected error, for the classifier only (not stored) - a
+ * timed out or cancelled run may not say so in its log. Placed in the last chunk:
+ * the run ended there.
+ */
+function conclusionErrors(conclusion, chunks) {
+  const failureType = CONCLUSION_FAILURE_TYPES[conclusion];
+  if (!failureType) {
+    return [];
+  }
+  const lastChunk = chunks[chunks.length - 1];
+  return [{
+    category: conclusion === 'cancelled' ? 'Cancelled' : 'Timeout',
+    errorMessage: `GitHub reported the run as ${conclusion === 'cancelled' ? 'cancelled' : 'timed out'}`,
+    confidence: 'high',
+    failureType,
+    stepName: lastChunk?.stepName ?? null,
+    jobName: lastChunk?.jobName ?? null,
+    chunkIndex: lastChunk?.chunkIndex ?? null,
+  }];
+}
+
+/**
+ * Jobs of the run from the GitHub API (conclusions, ids). Null when it can't be fetched -
+ * the log-derived job summaries are still saved.
+ */
+async function fetchGitHubJobs(octokit, owner, repo, runId) {
+  try {
+    const { data } = await octokit.actions.listJobsForWorkflowRun({
+      owner,
+      repo,
+      run_id: runId,
+      per_page: 100,
+    });
+    return data.jobs;
+  } catch (error) {
+    console.warn(`⚠️  Could not fetch jobs for run ${runId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Download a run's log archive to a temporary file - its .txt entries, job by job,
+ * are read from there, so the archive is never held in memory.
+ * @returns {Promise<Object>} { entries, cleanup } - cleanup() removes the file
+ */
+async function downloadLogArchive(octokit, owner, repo, runId) {
+  const response = await octokit.actions.downloadWorkflowRunLogs({
+    owner,
+    repo,
+    run_id: runId,
+  });
+
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'run-logs-'));
+  const cleanup = () => fs.promises.rm(directory, { recursive: true, force: true });
+  try {
+    // The response.url is a temporary URL to the log zip file
+    console.log(`Downloading logs from: ${response.url}`);
+    const filePath = path.join(directory, `${runId}.zip`);
+    const logResponse = await axios.get(response.url, { responseType: 'stream' });
+    await pipeline(logResponse.data, fs.createWriteStream(filePath));
+    return { entries: await getLogEntries(filePath), cleanup };
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+}
+
+/**
+ * Combine all .txt entries into one log (see readZipLogLines for the streaming equivalent)
+ */
+async function combineLogEntries(logEntries) {
+  let fullLogText = '';
+  for (const entry of logEntries) {
+    fullLogText += `\n--- Log File: ${entry.entryName} ---\n`;
+    fullLogText += await readEntryText(entry);
+  }
+  return fullLogText;
+}
+
+/**
+ * Baseline for the log diff: the last green run of the same workflow and branch, with its chunks.
+ * Green runs are not analyzed, so their logs are fetched and chunked the first time a failure
+ * needs them. Null when there is no baseline (or its log is too large to hold in memory).
+ */
+async function loadBaseline(octokit, owner, repo, workflowRun, logParser, logDiff) {
+  const baseline = await logDiff.findBaseline(workflowRun);
+  if (!baseline) {
+    return null;
+  }
+
+  let chunks = await logDiff.getChunks(baseline.id);
+  if (chunks.length === 0) {
+    const { entries: logEntries, cleanup } = await downloadLogArchive(octokit, owner, repo, Number(baseline.githubRunId));
+    try {
+      if (logEntries.length === 0 || getUncompressedSize(logEntries) > STREAMING_THRESHOLD_BYTES) {
+        return null;
+      }
+      chunks = logParser.parse(await combineLogEntries(logEntries), { provider: 'github-actions' }).chunks;
+    } finally {
+      await cleanup();
+    }
+    await saveChunks(baseline.id, chunks);
+    console.log(`📥 Saved ${chunks.length} chunks of baseline run ${baseline.githubRunId}`);
+  }
+
+  return { run: baseline, chunks };
+}
+
+/**
+ * Save the jobs of a run - log job summaries, completed with the GitHub jobs API where they match
+ */
+async function saveJobs(workflowRunId, jobs, githubJobs) {
+  await prisma.workflowJob.deleteMany({
+    where: { workflowRunId }
+  });
+
+  if (jobs.length === 0) {
+    return;
+  }
+
+  const githubJobsByName = new Map((githubJobs || []).map(job => [normalizeJobName(job.name), job]));
+
+  await prisma.workflowJob.createMany({
+    data: jobs.map(job => {
+      const githubJob = githubJobsByName.get(normalizeJobName(job.name));
+      return {
+        workflowRunId,
+        githubJobId: githubJob ? String(githubJob.id) : null,
+        name: job.name,
+        baseName: job.baseName,
+        matrixValues: job.matrixValues.length > 0 ? job.matrixValues : undefined,
+        // The API conclusion is authoritative; from the log alone, errors mean failure
+        conclusion: githubJob?.conclusion || (job.errorCount > 0 ? 'failure' : 'success'),
+        startedAt: toDate(githubJob?.started_at || job.startedAt),
+        completedAt: toDate(githubJob?.completed_at || job.endedAt),
+        durationMs: job.durationMs,
+        errorCount: job.errorCount,
+        primaryError: job.primaryError?.errorMessage || null,
+        failureSignature: job.failureSignature,
+      };
+    }),
+  });
+}
+
+/**
+ * Save log chunks for a workflow run
+ */
+async function saveChunks(workflowRunId, chunks) {
+  await prisma.logChunk.createMany({
+    data: chunks.map(chunk => ({
+      workflowRunId,
+      chunkIndex: chunk.chunkIndex,
+      stepName: chunk.stepName,
+      jobName: chunk.jobName,
+      content: chunk.content,
+      startLine: chunk.startLine,
+      endLine: chunk.endLine,
+      tokenCount: chunk.tokenCount,
+      overlapLines: chunk.overlapLines,
+      hasErrors: chunk.hasErrors,
+      errorCount: chunk.errorCount,
+      startedAt: toDate(chunk.startedAt),
+      endedAt: toDate(chunk.endedAt),
+      durationMs: chunk.durationMs,
+    })),
+  });
+}
+
+/**
+ * Phase 2: Generate embeddings for saved chunks - returns how many were embedded
+ */
+async function embedChunks(workflowRunId, chunks, embeddingService, vectorSearch) {
+  let embeddedCount = 0;
+  for (const chunk of chunks) {
+    try {
+      // Generate embedding for chunk content
+      const embedding = await embeddingService.generateEmbedding(chunk.content, { purpose: 'chunk-embedding' });
+
+      // Find the database ID for this chunk
+      const dbChunk = await prisma.logChunk.findUnique({
+        where: {
+          workflowRunId_chunkIndex: {
+            workflowRunId,
+            chunkIndex: chunk.chunkIndex,
+          },
+        },
+      });
+
+      if (dbChunk) {
+        await vectorSearch.updateChunkEmbedding(dbChunk.id, embedding);
+        embeddedCount++;
+      }
+
+      // Small delay to avoid rate limits
+      await new Promise(resolve => setTimeout(resolve, 100));
+    } catch (error) {
+      console.error(`Failed to generate embedding for chunk ${chunk.chunkIndex}:`, error.message);
+      // Continue with other chunks
+    }
+  }
+  return embeddedCount;
+}
+
 const worker = new Worker(
   'log-processing',
   async (job) => {
-    const { repoFullName, runId, installationId } = job.data;
+    // conclusion: jobs queued before timed out / cancelled runs were analyzed don't have it
+    const { repoFullName, runId, installationId, conclusion = 'failure' } = job.data;
     console.log(`Processing job for run ID: ${runId} in repo: ${repoFullName}`);
+    // The downloaded log archive - removed when the job ends, however it ends
+    let logArchive = null;
 
     try {
       // 1. Authenticate as the GitHub App Installation
@@ -48,54 +288,27 @@ const worker = new Worker(
       const octokit = await app.getInstallationOctokit(installationId);
       const [owner, repo] = repoFullName.split('/');
 
-      // 2. Get the workflow run logs URL
-      const response = await octokit.actions.downloadWorkflowRunLogs({
-        owner,
-        repo,
-        run_id: runId,
-      });
+      const githubJobs = await fetchGitHubJobs(octokit, owner, repo, runId);
 
-      // The response.url is a temporary URL to the log zip file
-      console.log(`Successfully fetched log URL for run ${runId}: ${response.url}`);
+      // 2-3. Download and Unzip Logs
+      logArchive = await downloadLogArchive(octokit, owner, repo, runId);
+      const logEntries = logArchive.entries;
 
-      // 3. Download and Unzip Logs
-      console.log(`Downloading logs from: ${response.url}`);
-      const logResponse = await axios.get(response.url, { responseType: 'arraybuffer' });
-      const zip = new AdmZip(Buffer.from(logResponse.data));
-      const zipEntries = zip.getEntries();
-
-      let fullLogText = '';
-
-      // Combine all .txt files from the zip
-      for (const entry of zipEntries) {
-        if (!entry.isDirectory && entry.entryName.endsWith('.txt')) {
-          const text = entry.getData().toString('utf8');
-          fullLogText += `\n--- Log File: ${entry.entryName} ---\n`;
-          fullLogText += text;
+      if (logEntries.length === 0) {
+        if (conclusion === 'cancelled') {
+          console.log('⏹️  Run was cancelled before any job wrote a log - nothing to analyze');
+          return;
         }
-      }
-
-      if (!fullLogText) {
         throw new Error('No .txt log files found in the downloaded zip.');
       }
 
-      console.log(`Extracted ${fullLogText.length} characters of log data.`);
+      const logSize = getUncompressedSize(logEntries);
+      const useStreaming = logSize > STREAMING_THRESHOLD_BYTES;
+      console.log(`Found ${logEntries.length} log file(s), ${(logSize / 1024 / 1024).toFixed(1)} MB uncompressed${useStreaming ? ' - using streaming mode' : ''}`);
 
       // Ensure runId is a string for the DB query (as per schema)
       const githubRunId = String(runId);
 
-      // 4. Parse logs with ENHANCED parser (Phase 1: Smart Chunking)
-      const logParser = new LogParserService();
-      const aiAnalyzer = new AIAnalyzerService();
-
-      console.log('🔍 Parsing logs with smart chunking...');
-      const parseResult = logParser.parse(fullLogText);
-
-      console.log(`📊 Parsed into ${parseResult.totalChunks} chunks from ${parseResult.totalLines} lines`);
-      console.log(`❌ Found ${parseResult.detectedErrors.length} errors`);
-
-      // 5. Save chunks to database (Phase 1)
-      console.log('💾 Saving log chunks to database...');
       const workflowRun = await prisma.workflowRun.findUnique({
         where: { githubRunId },
       });
@@ -114,88 +327,208 @@ const worker = new Worker(
         console.log(`🗑️  Deleted ${deletedCount.count} old chunks (re-processing)`);
       }
 
-      // Save all chunks
-      for (const chunk of parseResult.chunks) {
-        await prisma.logChunk.create({
-          data: {
-            workflowRunId: workflowRun.id,
-            chunkIndex: chunk.chunkIndex,
-            stepName: chunk.stepName,
-            content: chunk.content,
-            startLine: chunk.startLine,
-            endLine: chunk.endLine,
-            tokenCount: chunk.tokenCount,
-            hasErrors: chunk.hasErrors,
-            errorCount: chunk.errorCount,
-          },
-        });
+      // Repo custom error patterns, applied alongside the built-in ones
+      const customPatterns = ErrorPatternService.compile(
+        await new ErrorPatternService().getEnabledPatterns(workflowRun.repoId)
+      );
+      if (customPatterns.length > 0) {
+        console.log(`🧩 Using ${customPatterns.length} custom error pattern(s)`);
       }
-      console.log(`✅ Saved ${parseResult.chunks.length} chunks to database`);
 
-      // Phase 2: Generate embeddings for chunks
-      console.log('🧬 Generating embeddings for chunks...');
-      const embeddingService = new EmbeddingService();
+      // Repo redaction rules, applied on top of the built-in secret / PII detectors
+      const redactionRules = await prisma.redactionRule.findMany({
+        where: { repoId: workflowRun.repoId, enabled: true },
+        orderBy: { id: 'asc' }
+      });
+
+      // 4. Parse logs with ENHANCED parser (Phase 1: Smart Chunking)
+      const logParser = new LogParserService({ customPatterns, redactionRules });
+      const repoRecord = await prisma.repo.findUnique({ where: { id: workflowRun.repoId } });
+      // Model calls are metered for the repo. Once its (or its org's) monthly budget is used
+      // up, the analysis is deterministic only - the offline provider and no embeddings
+      const usageService = new UsageService();
+      const budget = await usageService.getBudgetStatus(repoRecord);
+      const meter = usageService.createMeter({
+        owner: repoRecord.owner,
+        repoId: repoRecord.id,
+        userId: repoRecord.userId,
+        workflowRunId: workflowRun.id,
+      });
+      if (budget.exceeded) {
+        console.log(`💸 ${budget.reason} - deterministic analysis only`);
+      }
+      const embeddingService = budget.exceeded ? null : new EmbeddingService(createEmbeddingClient({ meter }));
+      // The repo owner's (org's) LLM provider, the deployment's by default, and the analysis
+      // prompt version of the repo's A/B experiment (the default version without one)
+      const prompt = await new PromptExperimentService().getPromptVersion(workflowRun.repoId, workflowRun.id);
+      const aiAnalyzer = new AIAnalyzerService({
+        llm: budget.exceeded
+          ? createGenerationClient({ provider: 'offline' })
+          : await new LlmSettingService().getGenerationClient(repoRecord, { meter }),
+        promptVersion: prompt.promptVersion,
+        embeddingService,
+        offlineStatus: budget.exceeded ? 'budget' : 'offline',
+      });
       const vectorSearch = new VectorSearchService();
 
+      // Logs fetched through the GitHub App are always GitHub Actions logs
+      const parseOptions = { provider: 'github-actions' };
+      let parseResult;
       let embeddedCount = 0;
-      for (const chunk of parseResult.chunks) {
-        try {
-          // Generate embedding for chunk content
-          const embedding = await embeddingService.generateEmbedding(chunk.content);
-
-          // Find the database ID for this chunk
-          const dbChunk = await prisma.logChunk.findUnique({
-            where: {
-              workflowRunId_chunkIndex: {
-                workflowRunId: workflowRun.id,
-                chunkIndex: chunk.chunkIndex,
-              },
-            },
-          });
-
-          if (dbChunk) {
-            await vectorSearch.updateChunkEmbedding(dbChunk.id, embedding);
-            embeddedCount++;
-          }
 
-          // Small delay to avoid rate limits
-          await new Promise(resolve => setTimeout(resolve, 100));
-        } catch (error) {
-          console.error(`Failed to generate embedding for chunk ${chunk.chunkIndex}:`, error.message);
-          // Continue with other chunks
+      if (useStreaming) {
+        // 5. Stream zip entries through the parser, saving + embedding chunks batch by batch
+        console.log('🔍 Parsing logs in streaming mode...');
+        parseResult = await logParser.parseStream(readZipLogLines(logEntries), {
+          ...parseOptions,
+          onChunks: async (chunks) => {
+            await saveChunks(workflowRun.id, chunks);
+            if (embeddingService) {
+              embeddedCount += await embedChunks(workflowRun.id, chunks, embeddingService, vectorSearch);
+            }
+          },
+        });
+        console.log(`✅ Saved ${parseResult.totalChunks} chunks to database`);
+      } else {
+        // Combine all .txt files from the zip
+        const fullLogText = await combineLogEntries(logEntries);
+
+        console.log(`Extracted ${fullLogText.length} characters of log data.`);
+
+        console.log('🔍 Parsing logs with smart chunking...');
+        parseResult = logParser.parse(fullLogText, parseOptions);
+
+        // 5. Save chunks to database (Phase 1)
+        console.log('💾 Saving log chunks to database...');
+        await saveChunks(workflowRun.id, parseResult.chunks);
+        console.log(`✅ Saved ${parseResult.chunks.length} chunks to database`);
+
+        if (embeddingService) {
+          console.log('🧬 Generating embeddings for chunks...');
+          embeddedCount = await embedChunks(workflowRun.id, parseResult.chunks, embeddingService, vectorSearch);
         }
       }
-      console.log(`✅ Generated embeddings for ${embeddedCount}/${parseResult.chunks.length} chunks`);
 
-      // Find chunks with errors
-      const errorChunks = parseResult.chunks.filter(c => c.hasErrors);
+      console.log(`📊 Parsed into ${parseResult.totalChunks} chunks from ${parseResult.totalLines} lines (${parseResult.provider})`);
+      console.log(`❌ Found ${parseResult.detectedErrors.length} errors, ${parseResult.failedTests.length} failing test(s), ${parseResult.diagnostics.length} diagnostic(s)`);
+      console.log(`✅ Generated embeddings for ${embeddedCount}/${parseResult.totalChunks} chunks`);
+
+      // Record what was redacted (counts only) so the run shows nothing sensitive was stored,
+      // and the log timing
+      await prisma.workflowRun.update({
+        where: { id: workflowRun.id },
+        data: {
+          redactionCount: parseResult.redaction.total,
+          redactionSummary: parseResult.redaction.byType,
+          durationMs: parseResult.timing.durationMs,
+          timeToFirstErrorMs: parseResult.timing.timeToFirstErrorMs,
+        },
+      });
+      for (const rule of parseResult.redaction.invalidRules) {
+        console.warn(`⚠️  Redaction rule ${rule.id} (${rule.name}) was not applied: ${rule.error}`);
+      }
+      if (parseResult.redaction.total > 0) {
+        console.log(`🔒 Redacted ${parseResult.redaction.total} secret/PII value(s)`);
+      }
+
+      // Save per-step timing (replace any from a previous processing)
+      await prisma.stepTiming.deleteMany({
+        where: { workflowRunId: workflowRun.id }
+      });
+
+      if (parseResult.stepTimings.length > 0) {
+        await prisma.stepTiming.createMany({
+          data: parseResult.stepTimings.map(step => ({
+            workflowRunId: workflowRun.id,
+            stepIndex: step.stepIndex,
+            stepName: step.name,
+            jobName: step.jobName,
+            startLine: step.startLine,
+            endLine: step.endLine,
+            startedAt: toDate(step.startedAt),
+            endedAt: toDate(step.endedAt),
+            durationMs: step.durationMs,
+          })),
+        });
+      }
+
+      // Save jobs / matrix legs (replace any from a previous processing)
+      await saveJobs(workflowRun.id, parseResult.jobs, githubJobs);
+      const failedJobs = parseResult.jobs.filter(job => job.errorCount > 0);
+      if (parseResult.jobs.length > 0) {
+        console.log(`🧱 Saved ${parseResult.jobs.length} job(s), ${failedJobs.length} with errors`);
+      }
 
-      // Always include the last 2 chunks as they often contain the final exit status/summary
-      const lastChunks = parseResult.chunks.slice(-2);
+      // Save distinct errors by fingerprint (replace any from a previous processing)
+      await prisma.errorOccurrence.deleteMany({
+        where: { workflowRunId: workflowRun.id }
+      });
 
-      // Combine and deduplicate by chunkIndex
-      const uniqueChunkIndices = new Set([
-        ...errorChunks.map(c => c.chunkIndex),
-        ...lastChunks.map(c => c.chunkIndex)
-      ]);
+      if (parseResult.detectedErrors.length > 0) {
+        await prisma.errorOccurrence.createMany({
+          data: parseResult.detectedErrors.map(error => ({
+            workflowRunId: workflowRun.id,
+            fingerprint: error.fingerprint,
+            signature: error.signature,
+            category: error.category,
+            toolchain: error.toolchain || null,
+            errorCode: error.errorCode || null,
+            errorMessage: error.errorMessage,
+            stepName: error.stepName,
+            jobName: error.jobName,
+            occurrences: error.occurrences,
+          })),
+          skipDuplicates: true,
+        });
+      }
 
-      const chunksToAnalyze = parseResult.chunks.filter(c => uniqueChunkIndices.has(c.chunkIndex));
+      // Save individual failing tests (replace any from a previous processing)
+      await prisma.testFailure.deleteMany({
+        where: { workflowRunId: workflowRun.id }
+      });
+
+      if (parseResult.failedTests.length > 0) {
+        await prisma.testFailure.createMany({
+          data: parseResult.failedTests.map(test => ({
+            workflowRunId: workflowRun.id,
+            framework: test.framework,
+            suite: test.suite,
+            testName: test.testName,
+            file: test.file,
+            message: test.message,
+            stack: test.stack,
+            stepName: test.stepName,
+            jobName: test.jobName,
+            chunkIndex: test.chunkIndex,
+          })),
+        });
+        console.log(`🧪 Saved ${parseResult.failedTests.length} failing test(s)`);
+      }
 
-      // Convert chunks to format for AI analyzer
-      const steps = chunksToAnalyze.map(chunk => ({
-        id: chunk.chunkIndex,
-        name: chunk.stepName,
-        logLines: chunk.content.split('\n'),
-        duration: 'N/A',
-        status: chunk.hasErrors ? 'failure' : 'info',
-      }));
+      // Error chunks and the last 2 chunks, in the AI analyzer's step format
+      const steps = logParser.getAnalysisSteps(parseResult.chunks);
 
       // 6. DETERMINISTIC CLASSIFICATION (runs BEFORE AI)
       console.log('🔬 Running deterministic failure classification...');
-      const classifier = new FailureClassifierService();
-      const classification = classifier.classify(parseResult.chunks, parseResult.detectedErrors);
-
-      console.log(`📊 Classification: ${classification.failureType} (P${classification.priority})`);
+      // Default classification rules with the repo's org / repo overrides
+      const classifier = new FailureClassifierService({
+        ruleset: await new ClassificationRulesetService().getRuleset(repoRecord),
+      });
+      // A user's correction of the same primary error on an earlier run wins over the rules
+      const primaryError = logParser.getPrimaryError(parseResult.detectedErrors);
+      const override = await new CorrectionService().findOverride(workflowRun.repoId, primaryError?.fingerprint);
+      const classification = CorrectionService.applyOverride(
+        classifier.classify(parseResult.chunks, [
+          ...parseResult.detectedErrors,
+          ...conclusionErrors(conclusion, parseResult.chunks)
+        ]),
+        override
+      );
+
+      console.log(`📊 Classification: ${classification.failureType} (P${classification.priority}, rules ${classification.classifierVersion})`);
+      if (override) {
+        console.log(`✍️  User correction applied (correction ${override.correctionIds.join(', ')})`);
+      }
 
       let analysisResult;
 
@@ -216,6 +549,7 @@ const worker = new Worker(
           suggestedFix: classification.suggestedFix,
           confidence: classification.confidence,
           usedAI: false,
+          analysisStatus: 'deterministic',
           classification: classification.failureType,
           priority: classification.priority,
         };
@@ -247,19 +581,58 @@ const worker = new Worker(
         const classificationContext = {
           failureType: finalClassification.failureType,
           priority: finalClassification.priority,
+          candidates: classification.candidates,
+          verifiedRootCause: override?.rootCause ?? null,
         };
 
+        // A validated analysis of an earlier run that failed the same way saves the model call
+        const analysisCache = new AnalysisCacheService();
+        const cacheKey = { primaryError, promptVersion: prompt.promptVersion, llmProvider: aiAnalyzer.llm.label };
+        const cachedResult = aiAnalyzer.useRealAI
+          ? await analysisCache.get(workflowRun.repoId, cacheKey, { steps, detectedErrors: parseResult.detectedErrors })
+          : null;
+
+        // What changed since the last green run - all chunks are needed, so not in streaming mode
+        let baselineDiff = null;
+        if (!useStreaming && !cachedResult) {
+          try {
+            const logDiff = new LogDiffService();
+            const baseline = await loadBaseline(octokit, owner, repo, workflowRun, logParser, logDiff);
+            if (baseline) {
+              const diff = logDiff.diff(parseResult.chunks, baseline.chunks);
+              baselineDiff = {
+                baselineRunId: baseline.run.id,
+                baselineCommitSha: baseline.run.commitSha,
+                sections: logDiff.getDivergentSections(diff),
+                missingSteps: diff.missingSteps,
+                changedToolVersions: diff.changedToolVersions,
+              };
+              console.log(`🔀 Diff against run ${baseline.run.githubRunId}: ${diff.summary.newLineCount} new line(s), ${diff.summary.changedToolVersions} tool version change(s)`);
+            }
+          } catch (error) {
+            // Old logs expire - the analysis goes on without the diff
+            console.warn(`⚠️  Log diff against the last green run failed: ${error.message}`);
+          }
+        }
+
         // Phase 3: Pass chunks for RAG context + classification context
-        const aiResult = await aiAnalyzer.analyzeFailure(
+        const aiResult = cachedResult ?? await aiAnalyzer.analyzeFailure(
           steps,
           parseResult.detectedErrors,
           parseResult.chunks,
-          classificationContext  // NEW: Pass classification context
+          classificationContext,  // NEW: Pass classification context
+          { diagnostics: parseResult.diagnostics, baselineDiff }
         );
+        if (cachedResult) {
+          console.log(`♻️  Analysis cache hit - reused the analysis of run ${cachedResult.cachedFromRunId}`);
+        } else if (await analysisCache.set(workflowRun.repoId, workflowRun.id, cacheKey, aiResult, parseResult.detectedErrors)) {
+          console.log('♻️  Analysis cached for runs with the same error');
+        }
 
         console.log('--- AI Analysis Result ---');
         console.log('Root Cause:', aiResult.rootCause);
         console.log('Suggested Fix:', aiResult.suggestedFix);
+        console.log(`Analysis: ${aiResult.analysisStatus} (${aiResult.llmProvider}, ${aiResult.promptVersion}${prompt.experimentId ? `, experiment ${prompt.experimentId}` : ''})${aiResult.validationErrors ? ` - schema errors: ${aiResult.validationErrors.join('; ')}` : ''}`);
         if (aiResult.usedRAG) {
           console.log(`🎯 RAG Enhanced: Found ${aiResult.similarCasesCount} similar past case(s)`);
         }
@@ -268,14 +641,21 @@ const worker = new Worker(
 
         analysisResult = {
           ...aiResult,
-          usedAI: true,
           classification: finalClassification.failureType,
           priority: finalClassification.priority,
         };
       }
 
+      if (override?.rootCause) {
+        analysisResult.rootCause = override.rootCause;
+      }
+
       // 8. Save analysis results to database
       console.log('💾 Saving analysis results...');
+      // Attribute the analysis to the job the (first) failure happened in
+      const failedJobName = failedJobs[0]?.name ?? null;
+      // Only analyses written with the experiment's prompt version count for the experiment
+      const promptExperimentId = analysisResult.promptVersion && !analysisResult.cachedFromRunId ? prompt.experimentId : null;
       await prisma.analysisResult.upsert({
         where: { workflowRunId: workflowRun.id },
         update: {
@@ -284,9 +664,23 @@ const worker = new Worker(
           suggestedFix: analysisResult.suggestedFix,
           priority: analysisResult.priority,
           failureType: analysisResult.classification,
+          jobName: failedJobName,
+          fingerprint: primaryError?.fingerprint ?? null,
+          errorSignature: primaryError?.signature ?? null,
+          classifierVersion: classification.classifierVersion,
           usedAI: analysisResult.usedAI !== false,
+          llmProvider: analysisResult.llmProvider ?? null,
+          analysisStatus: analysisResult.analysisStatus,
+          citedLines: JSON.stringify(analysisResult.citedLines || []),
+          validationErrors: JSON.stringify(analysisResult.validationErrors || []),
+          promptVersion: analysisResult.promptVersion ?? null,
+          promptExperimentId,
+          cachedFromRunId: analysisResult.cachedFromRunId ?? null,
           detectedErrors: JSON.stringify(parseResult.detectedErrors || []),
+          diagnostics: JSON.stringify(parseResult.diagnostics || []),
+          candidates: JSON.stringify(classification.candidates || []),
           steps: JSON.stringify(steps),
+          humanVerified: Boolean(override),
         },
         create: {
           workflowRunId: workflowRun.id,
@@ -295,18 +689,38 @@ const worker = new Worker(
           suggestedFix: analysisResult.suggestedFix,
           priority: analysisResult.priority,
           failureType: analysisResult.classification,
+          jobName: failedJobName,
+          fingerprint: primaryError?.fingerprint ?? null,
+          errorSignature: primaryError?.signature ?? null,
+          classifierVersion: classification.classifierVersion,
           usedAI: analysisResult.usedAI !== false,
+          llmProvider: analysisResult.llmProvider ?? null,
+          analysisStatus: analysisResult.analysisStatus,
+          citedLines: JSON.stringify(analysisResult.citedLines || []),
+          validationErrors: JSON.stringify(analysisResult.validationErrors || []),
+          promptVersion: analysisResult.promptVersion ?? null,
+          promptExperimentId,
+          cachedFromRunId: analysisResult.cachedFromRunId ?? null,
           detectedErrors: JSON.stringify(parseResult.detectedErrors || []),
+          diagnostics: JSON.stringify(parseResult.diagnostics || []),
+          candidates: JSON.stringify(classification.candidates || []),
           steps: JSON.stringify(steps),
+          humanVerified: Boolean(override),
         },
       });
 
       console.log(`✅ Analysis saved for run ${runId}`);
+
+      // Flakiness from the run history (same commit, re-runs, known flaky errors)
+      const flakiness = await new FlakinessService().updateRun(workflowRun);
+      console.log(`🎲 Flakiness: ${flakiness.flakinessScore}${flakiness.isFlaky ? ' - flagged flaky' : ''} (${flakiness.signals.map(s => s.signal).join(', ') || 'no signals'})`);
       console.log(`📊 Stats: ${parseResult.totalChunks} chunks, ${parseResult.detectedErrors.length} errors, AI used: ${analysisResult.usedAI}`);
 
     } catch (error) {
       console.error(`Failed to process job for run ID ${runId}:`, error);
       throw error; // This will cause the job to be retried
+    } finally {
+      await logArchive?.cleanup();
     }
   },
   {
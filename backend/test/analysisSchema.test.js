@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractJson,
+  matchStepName,
+  validateAnalysis,
+  parseAnalysisResponse,
+  parseClassificationResponse,
+  MAX_LISTED_LINES,
+} from '../src/services/analysisSchema.js';
+
+const steps = [{ name: 'build / Install' }, { name: 'build / Run tests' }, { name: 'lint / Run tests' }];
+const detectedErrors = [{ lineNumber: 12 }, { lineNumber: 40 }, { lineNumber: null }];
+const valid = {
+  rootCause: ' The login test expects a 200. ',
+  failureStage: 'build / Run tests',
+  suggestedFix: 'Restore the session cookie.',
+  confidence: 0.8,
+  citedLines: [40, 12, 40],
+};
+
+test('extractJson tolerates code fences and surrounding text', () => {
+  assert.deepEqual(extractJson('Here it is:\n```json\n{"a": 1}\n```').value, { a: 1 });
+  assert.equal(extractJson('').error, 'The response is empty');
+  assert.equal(extractJson('no json').error, 'The response contains no JSON object');
+  assert.match(extractJson('{"a": }').error, /not valid JSON/);
+});
+
+test('matchStepName matches exactly or by an unambiguous step part', () => {
+  assert.equal(matchStepName('BUILD / install', steps), 'build / Install');
+  assert.equal(matchStepName('Install', steps), 'build / Install');
+  assert.equal(matchStepName('Run tests', steps), null);
+  assert.equal(matchStepName('Deploy', steps), null);
+});
+
+test('a valid analysis is normalized', () => {
+  assert.deepEqual(validateAnalysis(valid, { steps, detectedErrors }), {
+    analysis: {
+      rootCause: 'The login test expects a 200.',
+      failureStage: 'build / Run tests',
+      suggestedFix: 'Restore the session cookie.',
+      confidence: 0.8,
+      citedLines: [12, 40],
+    },
+    errors: [],
+  });
+});
+
+test('every invalid field is reported', () => {
+  const { analysis, errors } = validateAnalysis(
+    { rootCause: '', failureStage: 'Deploy', suggestedFix: 'x'.repeat(5001), confidence: 2, citedLines: 'line 12' },
+    { steps, detectedErrors }
+  );
+
+  assert.equal(analysis, null);
+  assert.equal(errors.length, 5);
+  assert.match(errors[1], /"suggestedFix" must be at most 5000/);
+  assert.match(errors[2], /"failureStage" must be one of the steps/);
+});
+
+test('cited lines must be lines of the detected errors', () => {
+  assert.deepEqual(
+    validateAnalysis({ ...valid, citedLines: [13] }, { steps, detectedErrors }).errors,
+    ['"citedLines" may only contain log lines of the detected errors (12, 40), not 13']
+  );
+  assert.deepEqual(
+    validateAnalysis({ ...valid, citedLines: [13] }, { steps }).errors,
+    ['"citedLines" must be empty - no log line numbers were given']
+  );
+});
+
+test('the repair message lists a bounded number of valid lines', () => {
+  const manyErrors = Array.from({ length: 300 }, (_, index) => ({ lineNumber: 300 - index }));
+  const [error] = validateAnalysis({ ...valid, citedLines: [1000] }, { steps, detectedErrors: manyErrors }).errors;
+  const listed = Array.from({ length: MAX_LISTED_LINES }, (_, index) => index + 1).join(', ');
+
+  assert.equal(error, `"citedLines" may only contain log lines of the detected errors (${listed} and ${300 - MAX_LISTED_LINES} more), not 1000`);
+});
+
+test('parseAnalysisResponse reports a response without JSON', () => {
+  assert.deepEqual(parseAnalysisResponse('I cannot tell', { steps }), {
+    analysis: null,
+    errors: ['The response contains no JSON object'],
+  });
+  assert.equal(parseAnalysisResponse(JSON.stringify(valid), { steps, detectedErrors }).errors.length, 0);
+});
+
+test('parseClassificationResponse normalizes the category and keeps a known one\'s priority out', () => {
+  const context = { failureTypes: ['TEST', 'BUILD', 'UNKNOWN'] };
+  const { classification, errors } = parseClassificationResponse(
+    '```json\n{"failureType": "test", "priority": 12, "confidence": 0.7, "reason": " Assertion failed. "}\n```',
+    context
+  );
+  assert.deepEqual(errors, []);
+  assert.deepEqual(classification, { failureType: 'TEST', priority: null, confidence: 0.7, reason: 'Assertion failed.' });
+
+  const created = parseClassificationResponse(
+    '{"failureType": "Flaky network", "priority": 4, "confidence": 0.6, "reason": "DNS lookups time out."}',
+    context
+  ).classification;
+  assert.equal(created.failureType, 'FLAKY_NETWORK');
+  assert.equal(created.priority, 4);
+});
+
+test('parseClassificationResponse reports every problem of an invalid classification', () => {
+  const context = { failureTypes: ['TEST'] };
+  assert.deepEqual(parseClassificationResponse('I think it is a test failure', context).errors, ['The response contains no JSON object']);
+
+  const { classification, errors } = parseClassificationResponse(
+    '{"failureType": "???", "confidence": 2, "reason": ""}',
+    context
+  );
+  assert.equal(classification, null);
+  assert.deepEqual(errors, [
+    '"failureType" must be a category name (UPPERCASE, underscores only)',
+    '"confidence" must be a number from 0.0 to 1.0',
+    '"reason" must be a non-empty string',
+  ]);
+  assert.deepEqual(
+    parseClassificationResponse('{"failureType": "NEW_ONE", "priority": 11, "confidence": 0.5, "reason": "x"}', context).errors,
+    ['"priority" of a new category must be an integer from 1 to 10']
+  );
+});
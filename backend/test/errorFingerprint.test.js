@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeErrorMessage, fingerprintError } from '../src/utils/errorFingerprint.js';
+
+test('volatile tokens are masked', () => {
+  assert.equal(
+    normalizeErrorMessage('2026-10-19T12:00:01.123Z connect ECONNREFUSED 10.0.0.12:5432 after 350ms'),
+    '<timestamp> connect ECONNREFUSED <ip> after <duration>'
+  );
+  assert.equal(
+    normalizeErrorMessage('Cannot find /home/runner/work/app/app/src/index.ts line 12'),
+    'Cannot find src/index.ts line <n>'
+  );
+  assert.equal(normalizeErrorMessage('wrote /tmp/jest_abc123/out.json'), 'wrote <tmp>');
+  assert.equal(
+    normalizeErrorMessage('id 123e4567-e89b-12d3-a456-426614174000 at 0xdeadbeef'),
+    'id <uuid> at <hex>'
+  );
+  assert.equal(normalizeErrorMessage('commit 9fceb02d0ae598e95dc970b74767f19372d61af8'), 'commit <hash>');
+});
+
+test('redaction placeholders lose their per-run number', () => {
+  assert.equal(normalizeErrorMessage('token [REDACTED_GITHUB_TOKEN_3] rejected'), 'token [REDACTED_GITHUB_TOKEN] rejected');
+});
+
+test('whitespace is collapsed and a missing message is empty', () => {
+  assert.equal(normalizeErrorMessage('  a \t b\n'), 'a b');
+  assert.equal(normalizeErrorMessage(null), '');
+});
+
+test('the same failure in two runs gets the same fingerprint', () => {
+  const first = fingerprintError({ category: 'Network Error', signature: normalizeErrorMessage('ECONNREFUSED 10.0.0.1:5432') });
+  const second = fingerprintError({ category: 'Network Error', signature: normalizeErrorMessage('ECONNREFUSED 10.0.0.9:6543') });
+
+  assert.equal(first, second);
+  assert.match(first, /^[0-9a-f]{16}$/);
+});
+
+test('category, toolchain and error code are part of the fingerprint', () => {
+  const base = { category: 'Build Error', toolchain: 'tsc', errorCode: 'TS2345', signature: 'Argument of type <n>' };
+
+  assert.notEqual(fingerprintError(base), fingerprintError({ ...base, category: 'Test Failure' }));
+  assert.notEqual(fingerprintError(base), fingerprintError({ ...base, toolchain: null }));
+  assert.notEqual(fingerprintError(base), fingerprintError({ ...base, errorCode: 'TS2322' }));
+});
@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TestResultExtractorService } from '../src/services/testResultExtractor.js';
+
+const extractor = new TestResultExtractorService();
+
+test('jest blocks name the suite, test, file, message and stack', () => {
+  const results = extractor.extract([
+    'FAIL src/math.test.js',
+    '● Math › adds numbers',
+    'expect(received).toBe(expected)',
+    'Expected: 4',
+    'Received: 5',
+    'at Object.<anonymous> (src/math.test.js:11:23)',
+    '● Math › Nested › subtracts',
+    'expect(received).toBe(expected)',
+    'Tests: 2 failed, 3 passed, 5 total',
+  ]);
+
+  assert.deepEqual(results, [
+    {
+      framework: 'jest',
+      suite: 'Math',
+      testName: 'adds numbers',
+      file: 'src/math.test.js',
+      message: 'expect(received).toBe(expected)\nExpected: 4\nReceived: 5',
+      stack: 'at Object.<anonymous> (src/math.test.js:11:23)',
+      lineIndex: 1,
+    },
+    {
+      framework: 'jest',
+      suite: 'Math › Nested',
+      testName: 'subtracts',
+      file: 'src/math.test.js',
+      message: 'expect(received).toBe(expected)',
+      stack: null,
+      lineIndex: 6,
+    },
+  ]);
+});
+
+test('a failure block stops at the CI lines after the test output', () => {
+  const [result] = extractor.extract([
+    'section_start:1700000000:step_script',
+    'FAIL src/math.test.js',
+    '● Math › adds',
+    'expect(received).toBe(expected)',
+    'Received: 5',
+    'section_end:1700000003:step_script',
+    'ERROR: Job failed: exit code 1',
+  ]);
+  assert.equal(result.message, 'expect(received).toBe(expected)\nReceived: 5');
+
+  const [github] = extractor.extract([
+    'FAIL src/a.test.js',
+    '● works',
+    'boom',
+    '##[error]Process completed with exit code 1.',
+  ]);
+  assert.equal(github.message, 'boom');
+  assert.equal(github.suite, null);
+});
+
+test('vitest headers carry the file and the test path', () => {
+  const [result] = extractor.extract([
+    'FAIL  src/math.test.ts > Math > adds numbers',
+    'AssertionError: expected 5 to be 4',
+    '❯ src/math.test.ts:5:17',
+    '⎯⎯⎯⎯⎯⎯⎯⎯',
+  ]);
+
+  assert.deepEqual(result, {
+    framework: 'vitest',
+    suite: 'Math',
+    testName: 'adds numbers',
+    file: 'src/math.test.ts',
+    message: 'AssertionError: expected 5 to be 4',
+    stack: '❯ src/math.test.ts:5:17',
+    lineIndex: 0,
+  });
+});
+
+test('mocha entries after "N failing" span title lines', () => {
+  const results = extractor.extract([
+    '3 passing (12ms)',
+    '1 failing',
+    '1) Array',
+    '#indexOf()',
+    'should return -1:',
+    'AssertionError [ERR_ASSERTION]: 0 == -1',
+    'at Context.<anonymous> (test/array.test.js:5:14)',
+    'npm ERR! Test failed.',
+  ]);
+
+  assert.deepEqual(results, [{
+    framework: 'mocha',
+    suite: 'Array #indexOf()',
+    testName: 'should return -1',
+    file: 'test/array.test.js',
+    message: 'AssertionError [ERR_ASSERTION]: 0 == -1',
+    stack: 'at Context.<anonymous> (test/array.test.js:5:14)',
+    lineIndex: 2,
+  }]);
+});
+
+test('pytest summaries take the message of their detail section', () => {
+  const [result] = extractor.extract([
+    '____ TestUser.test_create ____',
+    'def test_create(client):',
+    'E   assert 404 == 201',
+    'tests/test_api.py:42: AssertionError',
+    '==== short test summary info ====',
+    'FAILED tests/test_api.py::TestUser::test_create - assert 404 == 201',
+  ]);
+
+  assert.deepEqual(result, {
+    framework: 'pytest',
+    suite: 'TestUser',
+    testName: 'test_create',
+    file: 'tests/test_api.py',
+    message: 'assert 404 == 201',
+    stack: 'tests/test_api.py:42: AssertionError',
+    lineIndex: 5,
+  });
+});
+
+test('go subtests get their package as the suite when it has none', () => {
+  const results = extractor.extract([
+    '=== RUN   TestAdd',
+    '--- FAIL: TestAdd/negative (0.00s)',
+    'math_test.go:12: Add(-1, 1) = 1; want 0',
+    '--- FAIL: TestSub (0.01s)',
+    'math_test.go:20: boom',
+    'FAIL\tgithub.com/acme/math\t0.003s',
+  ]);
+
+  assert.deepEqual(results.map(({ suite, testName, file, message }) => ({ suite, testName, file, message })), [
+    { suite: 'TestAdd', testName: 'TestAdd/negative', file: 'math_test.go', message: 'math_test.go:12: Add(-1, 1) = 1; want 0' },
+    { suite: 'github.com/acme/math', testName: 'TestSub', file: 'math_test.go', message: 'math_test.go:20: boom' },
+  ]);
+});
+
+test('junit reports and junit printed into the log', () => {
+  const xml = [
+    '<testsuites><testsuite name="api">',
+    '<testcase classname="api.UserTest" name="creates &quot;admin&quot;" file="src/user.test.js">',
+    '<failure message="expected 201"><![CDATA[AssertionError: expected 201\n  at user.test.js:9]]></failure>',
+    '</testcase>',
+    '<testcase classname="api.UserTest" name="lists"/>',
+    '</testsuite></testsuites>',
+  ];
+
+  assert.deepEqual(extractor.extract([], { reports: [xml.join('\n')] }), [{
+    framework: 'junit',
+    suite: 'api.UserTest',
+    testName: 'creates "admin"',
+    file: 'src/user.test.js',
+    message: 'expected 201',
+    stack: 'AssertionError: expected 201\n  at user.test.js:9',
+    lineIndex: null,
+  }]);
+  assert.equal(extractor.extract(['$ cat junit.xml', ...xml])[0].lineIndex, 1);
+});
+
+test('a test reported twice is kept once', () => {
+  const results = extractor.extract([
+    'FAIL src/a.test.js',
+    '● suite › works',
+    'boom',
+    'Summary of all failing tests:',
+    'FAIL src/a.test.js',
+    '● suite › works',
+    'boom',
+  ]);
+
+  assert.equal(results.length, 1);
+  assert.equal(results[0].lineIndex, 1);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateUsageBudget,
+  getMonthRange,
+  priceCall,
+  roundCost,
+  evaluateBudget,
+} from '../src/services/usageBudget.js';
+
+test('priceCall prices by label, then by provider, per million tokens', () => {
+  const pricing = { prices: { 'openai/gpt-4o': { input: 2.5, output: 10 }, local: { input: 0, output: 0 } } };
+
+  assert.equal(priceCall({ provider: 'openai', label: 'openai/gpt-4o', inputTokens: 2000, outputTokens: 500 }, pricing), 0.01);
+  assert.equal(priceCall({ provider: 'local', label: 'local/llama3.1', inputTokens: 2000, outputTokens: 500 }, pricing), 0);
+  assert.equal(priceCall({ provider: 'openai', label: 'openai/o9', inputTokens: 2000, outputTokens: 500 }, pricing), null);
+});
+
+test('priceCall uses the default price list', () => {
+  assert.equal(priceCall({ provider: 'gemini', label: 'gemini/gemini-2.5-flash', inputTokens: 1e6, outputTokens: 1e6 }), 2.8);
+});
+
+test('roundCost rounds to a millionth of a dollar', () => {
+  assert.equal(roundCost(0.1 + 0.2), 0.3);
+  assert.equal(roundCost(null), 0);
+});
+
+test('getMonthRange is a UTC calendar month', () => {
+  assert.deepEqual(getMonthRange('2026-12'), {
+    month: '2026-12',
+    start: new Date('2026-12-01T00:00:00Z'),
+    end: new Date('2027-01-01T00:00:00Z'),
+  });
+  assert.equal(getMonthRange(undefined, new Date('2026-10-31T23:59:59Z')).month, '2026-10');
+  assert.equal(getMonthRange('2026-13'), null);
+  assert.equal(getMonthRange('October'), null);
+});
+
+test('validateUsageBudget needs a scope and at least one positive limit', () => {
+  assert.equal(validateUsageBudget({ monthlyCostUsd: 20 }), null);
+  assert.equal(validateUsageBudget({ scope: 'org', monthlyTokens: 5000000 }), null);
+  assert.match(validateUsageBudget({ scope: 'team', monthlyCostUsd: 20 }), /scope must be one of repo, org/);
+  assert.match(validateUsageBudget({ monthlyCostUsd: -1 }), /monthlyCostUsd/);
+  assert.match(validateUsageBudget({ monthlyTokens: 1.5 }), /monthlyTokens/);
+  assert.equal(validateUsageBudget({ monthlyCostUsd: null }), 'monthlyCostUsd or monthlyTokens is required');
+});
+
+test('evaluateBudget is exceeded once either limit is reached', () => {
+  const sums = { costUsd: 4.9999999, inputTokens: 900, outputTokens: 100 };
+
+  assert.deepEqual(evaluateBudget({ monthlyCostUsd: 5, monthlyTokens: null }, sums), {
+    used: { costUsd: 5, tokens: 1000 },
+    exceeded: true,
+  });
+  assert.equal(evaluateBudget({ monthlyCostUsd: 10, monthlyTokens: 1000 }, sums).exceeded, true);
+  assert.equal(evaluateBudget({ monthlyCostUsd: 10, monthlyTokens: 1001 }, sums).exceeded, false);
+  assert.deepEqual(
+    evaluateBudget({ monthlyCostUsd: 1, monthlyTokens: null }, { costUsd: null, inputTokens: null, outputTokens: null }),
+    { used: { costUsd: 0, tokens: 0 }, exceeded: false }
+  );
+});